@@ -0,0 +1,62 @@
+const User = require('../models/User');
+const { verifyToken } = require('../utils/authTokens');
+const credentialVault = require('../services/credentialVault');
+const logger = require('../utils/logger');
+
+// Reads "Authorization: Bearer <token>". EventSource can't send headers, so
+// SSE requests pass the token as ?token= instead.
+function getRequestToken(req) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) {
+        return header.slice('Bearer '.length).trim();
+    }
+    return typeof req.query?.token === 'string' ? req.query.token : null;
+}
+
+// Rejects requests without a valid token and sets req.user to the logged-in
+// User. Routes scope their data with req.user._id, and the rest of the request
+// runs with the user's stored API keys.
+async function requireAuth(req, res, next) {
+    try {
+        const claims = verifyToken(getRequestToken(req));
+        if (!claims) {
+            return res.status(401).json({
+                success: false,
+                message: 'Please log in to continue'
+            });
+        }
+
+        const user = await User.findById(claims.sub);
+        if (!user || (user.tokenVersion || 0) !== claims.ver) {
+            return res.status(401).json({
+                success: false,
+                message: 'Your session has expired, please log in again'
+            });
+        }
+
+        req.user = user;
+        return credentialVault.withCredentials(user._id, next);
+    } catch (error) {
+        logger.error('Authentication check failed:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Authentication check failed'
+        });
+    }
+}
+
+// Use after requireAuth on routes that change instance-wide settings
+function requireAdmin(req, res, next) {
+    if (req.user?.role !== 'admin') {
+        return res.status(403).json({
+            success: false,
+            message: 'Only admins can change this setting'
+        });
+    }
+    next();
+}
+
+module.exports = {
+    requireAuth,
+    requireAdmin
+};
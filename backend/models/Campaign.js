@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+// One company's email in a campaign, from draft through delivery:
+// pending (draft being written) -> draft -> approved -> sending -> queued
+// (SMTP retrying) / sent / failed. Skipped items are never sent.
+const campaignItemSchema = new mongoose.Schema({
+    company: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Company',
+        required: true
+    },
+    companyName: String,
+    // Company timezone when known; the send window is checked in it
+    timezone: String,
+
+    to: String,
+    recipientName: String,
+    subject: String,
+    body: String,
+
+    status: {
+        type: String,
+        enum: ['pending', 'draft', 'approved', 'skipped', 'sending', 'queued', 'sent', 'failed'],
+        default: 'pending'
+    },
+    // Why the draft needs attention, or why sending failed
+    error: String,
+
+    aiUsage: {
+        tokensUsed: { type: Number, default: 0 },
+        cost: { type: Number, default: 0 }
+    },
+
+    outboxId: mongoose.Schema.Types.ObjectId,
+    // When the scheduler handed the email to the outbox
+    queuedAt: Date,
+    sentAt: Date
+});
+
+const campaignSchema = new mongoose.Schema({
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+
+    // generating -> review -> running <-> paused -> completed; or cancelled
+    status: {
+        type: String,
+        enum: ['generating', 'review', 'running', 'paused', 'completed', 'cancelled'],
+        default: 'generating'
+    },
+
+    settings: {
+        // Most emails sent on one day (in the campaign timezone)
+        dailyCap: {
+            type: Number,
+            min: 1,
+            max: 500,
+            default: 20
+        },
+        // Emails only go out between these local hours of the recipient,
+        // on these weekdays (0 = Sunday)
+        sendWindow: {
+            startHour: { type: Number, min: 0, max: 23, default: 9 },
+            endHour: { type: Number, min: 1, max: 24, default: 17 },
+            days: { type: [Number], default: [1, 2, 3, 4, 5] }
+        },
+        // Minimum gap between two emails to the same recipient domain
+        domainSpacingMinutes: {
+            type: Number,
+            min: 0,
+            default: 60
+        },
+        // Nothing is sent before this time
+        startAt: Date,
+        // Used for recipients without a known timezone and for the daily cap
+        timezone: {
+            type: String,
+            default: 'UTC'
+        }
+    },
+
+    // How the companies were picked: the filter used, or null for a
+    // hand-picked selection
+    filter: mongoose.Schema.Types.Mixed,
+
+    // Email template the drafts are rendered from (see
+    // services/emailDrafts.findTemplate); AI-written when unset
+    templateId: String,
+
+    items: [campaignItemSchema],
+
+    startedAt: Date,
+    completedAt: Date
+}, {
+    timestamps: true
+});
+
+campaignSchema.index({ owner: 1, createdAt: -1 });
+campaignSchema.index({ status: 1 });
+
+// Item counts by status, e.g. { draft: 3, sent: 10 }
+campaignSchema.methods.getItemCounts = function() {
+    return this.items.reduce((counts, item) => {
+        counts[item.status] = (counts[item.status] || 0) + 1;
+        return counts;
+    }, {});
+};
+
+module.exports = mongoose.model('Campaign', campaignSchema);
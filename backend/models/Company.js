@@ -1,6 +1,13 @@
 const mongoose = require('mongoose');
+const { getIdentityKeys } = require('../utils/companyIdentity');
 
 const companySchema = new mongoose.Schema({
+    // User whose search found this company; every query is scoped to it
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
     name: {
         type: String,
         required: true,
@@ -14,6 +21,10 @@ const companySchema = new mongoose.Schema({
         type: String,
         trim: true
     },
+    // Set on save from name/domain/website (utils/companyIdentity) so
+    // "Acme", "Acme Inc." and "acme.com" are recognised as one company
+    normalizedName: String,
+    normalizedDomain: String,
     location: {
         type: String,
         trim: true
@@ -41,6 +52,11 @@ const companySchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    // Name of the target region the company was found in, if any
+    region: {
+        type: String,
+        trim: true
+    },
 
     // HR Contacts
     hrContacts: [{
@@ -70,16 +86,42 @@ const companySchema = new mongoose.Schema({
             type: String,
             enum: ['apollo', 'hunter', 'manual', 'linkedin'],
             default: 'manual'
+        },
+        // Result of services/contactVerification. 'catch-all' domains accept
+        // every address, so the mailbox itself can't be confirmed.
+        verificationStatus: {
+            type: String,
+            enum: ['unverified', 'valid', 'invalid', 'catch-all', 'risky', 'unknown'],
+            default: 'unverified'
+        },
+        verificationReason: String,
+        verificationCheckedAt: Date,
+        // Chosen by the user; at most one contact has it and it is kept first
+        isPrimary: {
+            type: Boolean,
+            default: false
         }
     }],
 
+    // Whether the AI scores below are real. Companies whose evaluation failed
+    // (or never ran) are saved without scores and can be retried through
+    // POST /api/companies/retry-evaluations.
+    evaluationStatus: {
+        type: String,
+        enum: ['scored', 'pending', 'failed'],
+        default: 'scored'
+    },
+    evaluationError: String,
+
     // Work-life balance evaluation
     workLifeBalance: {
         score: {
             type: Number,
             min: 1,
             max: 10,
-            required: true
+            required: function() {
+                return this.evaluationStatus === 'scored';
+            }
         },
         aiAnalysis: {
             type: String,
@@ -99,16 +141,78 @@ const companySchema = new mongoose.Schema({
         type: Number,
         min: 0,
         max: 100,
-        required: true
+        required: function() {
+            return this.evaluationStatus === 'scored';
+        }
     },
     aiAnalysis: {
         type: String,
         trim: true
     },
     matchFactors: [String],
+    // Per-factor scores behind aiMatchScore, see utils/matchBreakdown.js
+    matchBreakdown: [{
+        _id: false,
+        factor: String,
+        label: String,
+        weight: Number,
+        score: {
+            type: Number,
+            min: 0,
+            max: 100
+        },
+        reason: String,
+        source: {
+            type: String,
+            enum: ['model', 'wlb-evaluation'],
+            default: 'model'
+        }
+    }],
+    // Which model produced the current match score
+    scoreProvenance: {
+        provider: String,
+        model: String,
+        evaluatedAt: Date,
+        repaired: Boolean
+    },
     highlights: [String],
     concerns: [String],
 
+    // Every scoring of the company, oldest first, so rescoring against a
+    // newer profile keeps the earlier scores (see services/companyScoring.js)
+    scoreHistory: [{
+        _id: false,
+        matchScore: Number,
+        wlbScore: Number,
+        source: {
+            type: String,
+            enum: ['search', 'rescore', 'retry'],
+            default: 'search'
+        },
+        searchJobId: String,
+        scoredAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    lastScoredAt: Date,
+    // Difference from the previous scores after the latest rescore
+    lastScoreChange: {
+        matchDelta: Number,
+        wlbDelta: Number,
+        significant: {
+            type: Boolean,
+            default: false
+        },
+        changedAt: Date
+    },
+
+    // Tokens and USD spent evaluating this company (search and rescoring)
+    aiUsage: {
+        tokensUsed: { type: Number, default: 0 },
+        cost: { type: Number, default: 0 }
+    },
+
     // Company policies and culture
     remotePolicy: {
         type: String,
@@ -181,7 +285,41 @@ const companySchema = new mongoose.Schema({
         sent: {
             type: Boolean,
             default: false
-        }
+        },
+        // Delivery through services/emailSender; 'draft' emails were only
+        // generated (or sent from the user's own mail client)
+        deliveryStatus: {
+            type: String,
+            enum: ['draft', 'queued', 'sent', 'failed'],
+            default: 'draft'
+        },
+        outboxId: mongoose.Schema.Types.ObjectId,
+        messageId: String,
+        sentAt: Date,
+        deliveryError: String,
+        // Replies found in the mailbox by services/replyPoller
+        repliedAt: Date,
+        replies: [{
+            _id: false,
+            messageId: String,
+            from: String,
+            subject: String,
+            snippet: String,
+            receivedAt: Date,
+            // 'message-id' when the reply referenced this email, 'domain'
+            // when only the sender's domain matched
+            matchedBy: {
+                type: String,
+                enum: ['message-id', 'domain']
+            }
+        }],
+        // Tokens and USD spent generating this email
+        aiUsage: {
+            tokensUsed: { type: Number, default: 0 },
+            cost: { type: Number, default: 0 }
+        },
+        // Email template it was rendered from, when not AI-written
+        templateId: String
     }],
 
     // Quality scores
@@ -228,9 +366,15 @@ companySchema.index({ aiMatchScore: -1 });
 companySchema.index({ 'workLifeBalance.score': -1 });
 companySchema.index({ isLocalPriority: 1 });
 companySchema.index({ status: 1 });
+companySchema.index({ 'emailHistory.messageId': 1 });
+companySchema.index({ 'emailHistory.replies.messageId': 1 });
 companySchema.index({ createdAt: -1 });
+companySchema.index({ lastScoredAt: 1 });
+companySchema.index({ evaluationStatus: 1 });
 
 // Compound indexes
+companySchema.index({ owner: 1, name: 1 });
+companySchema.index({ owner: 1, aiMatchScore: -1 });
 companySchema.index({ aiMatchScore: -1, 'workLifeBalance.score': -1 });
 companySchema.index({ location: 1, industry: 1 });
 companySchema.index({ isLocalPriority: 1, aiMatchScore: -1 });
@@ -238,7 +382,9 @@ companySchema.index({ isLocalPriority: 1, aiMatchScore: -1 });
 // Virtual for primary HR contact
 companySchema.virtual('primaryHRContact').get(function() {
     if (this.hrContacts && this.hrContacts.length > 0) {
-        return this.hrContacts.find(contact => contact.verified) || this.hrContacts[0];
+        return this.hrContacts.find(contact => contact.isPrimary) ||
+            this.hrContacts.find(contact => contact.verified) ||
+            this.hrContacts[0];
     }
     return null;
 });
@@ -265,6 +411,7 @@ companySchema.virtual('sizeCategory').get(function() {
 
 // Virtual for match grade
 companySchema.virtual('matchGrade').get(function() {
+    if (typeof this.aiMatchScore !== 'number') return 'Unscored';
     if (this.aiMatchScore >= 90) return 'A';
     if (this.aiMatchScore >= 80) return 'B';
     if (this.aiMatchScore >= 70) return 'C';
@@ -290,6 +437,30 @@ companySchema.methods.addHRContact = function(contact) {
     return this.save();
 };
 
+// Contact with the same email address (case-insensitive), ignoring exceptId
+companySchema.methods.findContactByEmail = function(email, exceptId = null) {
+    const normalized = (email || '').trim().toLowerCase();
+    if (!normalized) return null;
+
+    return this.hrContacts.find(contact =>
+        contact.email === normalized &&
+        (!exceptId || contact._id.toString() !== exceptId.toString())
+    ) || null;
+};
+
+// Makes contactId the only primary contact and moves it to the front, where
+// the list views look for it. Does not save.
+companySchema.methods.setPrimaryContact = function(contactId) {
+    const contact = this.hrContacts.id(contactId);
+    if (!contact) return null;
+
+    this.hrContacts.forEach(other => {
+        other.isPrimary = other._id.equals(contact._id);
+    });
+    this.hrContacts = [contact, ...this.hrContacts.filter(other => !other._id.equals(contact._id))];
+    return contact;
+};
+
 companySchema.methods.addNote = function(noteContent) {
     this.notes.push({
         content: noteContent,
@@ -330,6 +501,33 @@ companySchema.statics.findLocalPriority = function() {
     return this.find({ isLocalPriority: true });
 };
 
+// Query for owner's record of the same company as companyData, matching the
+// normalized name or domain (or the exact name for records saved before
+// those were stored)
+companySchema.statics.identityQuery = function(owner, companyData) {
+    const { nameKey, domainKey } = getIdentityKeys(companyData);
+    return {
+        owner,
+        $or: [
+            { name: companyData.name },
+            ...(nameKey ? [{ normalizedName: nameKey }] : []),
+            ...(domainKey ? [{ normalizedDomain: domainKey }] : [])
+        ]
+    };
+};
+
+// Drops the old unique { name, searchJobId } index, which made company names
+// unique across all users now that companies belong to an owner (the
+// { owner, name } index replaces it). Safe to run on every start.
+companySchema.statics.dropLegacyIndexes = async function() {
+    const indexes = await this.collection.indexes().catch(() => []);
+    if (indexes.some(index => index.name === 'name_1_searchJobId_1')) {
+        await this.collection.dropIndex('name_1_searchJobId_1');
+        return true;
+    }
+    return false;
+};
+
 companySchema.statics.getMatchStats = function() {
     return this.aggregate([
         {
@@ -374,14 +572,20 @@ companySchema.pre('save', function(next) {
     if (this.industry) qualityScore += 10;
     if (this.description) qualityScore += 10;
     if (this.hrContacts && this.hrContacts.length > 0) qualityScore += 25;
-    if (this.workLifeBalance) qualityScore += 10;
+    if (this.workLifeBalance?.score) qualityScore += 10;
 
     this.dataQuality = qualityScore;
 
+    const { nameKey, domainKey } = getIdentityKeys(this);
+    this.normalizedName = nameKey;
+    this.normalizedDomain = domainKey || undefined;
+
     next();
 });
 
-// Ensure unique name per search job
-companySchema.index({ name: 1, searchJobId: 1 }, { unique: true });
+// Duplicate lookups (services/companyDedup.js). Not unique: existing
+// duplicates stay until they are merged.
+companySchema.index({ owner: 1, normalizedName: 1 });
+companySchema.index({ owner: 1, normalizedDomain: 1 });
 
 module.exports = mongoose.model('Company', companySchema);
\ No newline at end of file
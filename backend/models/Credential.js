@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// A user's API key for one provider, encrypted with AES-256-GCM by
+// services/credentialVault. The plaintext key is never stored.
+const credentialSchema = new mongoose.Schema({
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    provider: {
+        type: String,
+        required: true
+    },
+
+    // Base64 ciphertext, IV and GCM auth tag
+    ciphertext: {
+        type: String,
+        required: true
+    },
+    iv: {
+        type: String,
+        required: true
+    },
+    authTag: {
+        type: String,
+        required: true
+    },
+    // Fingerprint of the master key this was encrypted with, so old master
+    // keys can be rotated out
+    keyId: {
+        type: String,
+        required: true
+    },
+
+    // For masked read-back ("••••abcd")
+    last4: String,
+    // When the key itself was last replaced
+    rotatedAt: Date
+}, {
+    timestamps: true
+});
+
+credentialSchema.index({ owner: 1, provider: 1 }, { unique: true });
+credentialSchema.index({ keyId: 1 });
+
+module.exports = mongoose.model('Credential', credentialSchema);
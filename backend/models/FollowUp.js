@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// One step of a follow-up sequence for an email that got no reply:
+// scheduled -> draft (written when due) -> queued/sent/failed once the user
+// approves it. Stopped when the company responds (or moves past
+// 'contacted'), skipped when the user drops it.
+const followUpSchema = new mongoose.Schema({
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    company: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Company',
+        required: true
+    },
+    companyName: String,
+
+    // The email being followed up on (a Company emailHistory entry)
+    emailHistoryId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    originalSubject: String,
+    originalMessageId: String,
+    originalSentAt: Date,
+    to: {
+        type: String,
+        required: true
+    },
+
+    // 1-based position in the sequence
+    step: {
+        type: Number,
+        required: true
+    },
+    totalSteps: Number,
+    label: String,
+    dueAt: {
+        type: Date,
+        required: true
+    },
+
+    status: {
+        type: String,
+        enum: ['scheduled', 'draft', 'queued', 'sent', 'failed', 'stopped', 'skipped'],
+        default: 'scheduled'
+    },
+    stoppedReason: String,
+    error: String,
+
+    subject: String,
+    body: String,
+    generatedAt: Date,
+    aiUsage: {
+        tokensUsed: { type: Number, default: 0 },
+        cost: { type: Number, default: 0 }
+    },
+
+    outboxId: mongoose.Schema.Types.ObjectId,
+    sentAt: Date
+}, {
+    timestamps: true
+});
+
+followUpSchema.index({ emailHistoryId: 1, step: 1 }, { unique: true });
+followUpSchema.index({ status: 1, dueAt: 1 });
+followUpSchema.index({ owner: 1, status: 1, dueAt: 1 });
+followUpSchema.index({ company: 1, status: 1 });
+
+module.exports = mongoose.model('FollowUp', followUpSchema);
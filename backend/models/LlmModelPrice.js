@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Price an admin set for one model through /api/config/llm, in USD per
+// million tokens. Saved so the search worker and restarted servers cost
+// calls the same way; removed marks a built-in or LLM_PRICES price that was
+// taken out.
+const llmModelPriceSchema = new mongoose.Schema({
+    model: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    input: Number,
+    output: Number,
+    removed: {
+        type: Boolean,
+        default: false
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('LlmModelPrice', llmModelPriceSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Provider/model an admin routed one LLM task to through /api/config/llm.
+// Saved so the search worker and restarted servers use it too; tasks
+// without one follow the environment.
+const llmTaskOverrideSchema = new mongoose.Schema({
+    task: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    provider: String,
+    model: String
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('LlmTaskOverride', llmTaskOverrideSchema);
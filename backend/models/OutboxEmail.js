@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// An email waiting to be sent, being sent or done. services/emailSender
+// works through queued emails and retries temporary SMTP failures.
+const outboxEmailSchema = new mongoose.Schema({
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    company: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Company',
+        required: true
+    },
+    companyName: String,
+    // The company's emailHistory entry this send is recorded on
+    emailHistoryId: mongoose.Schema.Types.ObjectId,
+
+    to: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true
+    },
+    replyTo: String,
+    fromName: String,
+    subject: {
+        type: String,
+        required: true
+    },
+    body: {
+        type: String,
+        required: true
+    },
+
+    status: {
+        type: String,
+        enum: ['queued', 'sending', 'sent', 'failed', 'cancelled'],
+        default: 'queued'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastError: String,
+
+    // Message-ID header, set before the first attempt so retries reuse it
+    messageId: String,
+    // Message-ID of the email this one replies to, for threading
+    inReplyTo: String,
+    // Set when this is a follow-up, which never starts a sequence of its own
+    followUpId: mongoose.Schema.Types.ObjectId,
+    // Final SMTP server response, e.g. "250 2.0.0 Ok: queued as ..."
+    smtpResponse: String,
+    sentAt: Date
+}, {
+    timestamps: true
+});
+
+outboxEmailSchema.index({ status: 1, nextAttemptAt: 1 });
+outboxEmailSchema.index({ owner: 1, createdAt: -1 });
+outboxEmailSchema.index({ messageId: 1 });
+outboxEmailSchema.index({ emailHistoryId: 1 });
+
+module.exports = mongoose.model('OutboxEmail', outboxEmailSchema);
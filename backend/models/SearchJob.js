@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const searchEvents = require('../utils/searchEvents');
 
 const searchJobSchema = new mongoose.Schema({
     jobId: {
@@ -6,14 +7,31 @@ const searchJobSchema = new mongoose.Schema({
         required: true,
         unique: true
     },
+    // User who started the search; companies it saves belong to them too
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        index: true
+    },
     parameters: {
         profile: mongoose.Schema.Types.Mixed,
         location: String,
-        maxResults: Number
+        maxResults: Number,
+        demoMode: Boolean,
+        // Re-score companies found by earlier searches instead of skipping them
+        rescoreExisting: Boolean,
+        // Target regions, see utils/regions.js
+        regions: [mongoose.Schema.Types.Mixed],
+        // Spending limits, see utils/searchBudget.js. Unset means unlimited.
+        budget: {
+            maxCost: Number,
+            maxApolloCredits: Number,
+            maxHunterSearches: Number
+        }
     },
     status: {
         type: String,
-        enum: ['pending', 'running', 'paused', 'completed', 'failed'],
+        enum: ['pending', 'running', 'paused', 'completed', 'failed', 'cancelled'],
         default: 'pending'
     },
     progress: {
@@ -35,10 +53,15 @@ const searchJobSchema = new mongoose.Schema({
         companiesProcessed: { type: Number, default: 0 },
         companiesSaved: { type: Number, default: 0 },
         companiesSkipped: { type: Number, default: 0 },
+        companiesRescored: { type: Number, default: 0 }, // existing companies re-evaluated
+        significantScoreChanges: { type: Number, default: 0 },
 
-        // Location breakdown
-        bostonCompanies: { type: Number, default: 0 },
-        providenceCompanies: { type: Number, default: 0 },
+        // Location breakdown - companies generated per target region, in search order
+        regionCompanies: [{
+            _id: false,
+            name: String,
+            count: { type: Number, default: 0 }
+        }],
         nationwideCompanies: { type: Number, default: 0 },
 
         // Contact discovery
@@ -67,7 +90,9 @@ const searchJobSchema = new mongoose.Schema({
 
         // Error tracking
         processingErrors: { type: Number, default: 0 },
-        apiErrors: { type: Number, default: 0 }
+        apiErrors: { type: Number, default: 0 },
+        validationFailures: { type: Number, default: 0 },
+        evaluationsFailed: { type: Number, default: 0 } // companies saved without scores
     },
 
     // Recent activity feed
@@ -75,7 +100,7 @@ const searchJobSchema = new mongoose.Schema({
         timestamp: { type: Date, default: Date.now },
         type: {
             type: String,
-            enum: ['company-found', 'company-processed', 'contact-found', 'error', 'milestone']
+            enum: ['company-found', 'company-processed', 'contact-found', 'error', 'milestone', 'budget-exhausted']
         },
         message: String,
         companyName: String,
@@ -91,6 +116,34 @@ const searchJobSchema = new mongoose.Schema({
         errors: [String]
     },
     aiAnalysis: String,
+
+    // AI responses that stayed invalid after a repair attempt
+    validationFailures: [{
+        task: String,
+        companyName: String,
+        errors: [String],
+        rawResponse: String,
+        attempts: Number,
+        timestamp: { type: Date, default: Date.now }
+    }],
+
+    // Why the job failed when it was not a processing error (e.g. interrupted)
+    failureReason: String,
+
+    // Set while paused because a budget limit was hit: 'openai', 'apollo' or 'hunter'
+    budgetExhausted: String,
+
+    // Crash-safe checkpoint. Candidates are stored in processing order and
+    // cursor is the index of the next one to process.
+    checkpoint: {
+        aiAnalysis: mongoose.Schema.Types.Mixed,
+        candidates: [mongoose.Schema.Types.Mixed],
+        expandedNationwide: { type: Boolean, default: false },
+        cursor: { type: Number, default: 0 },
+        resumeCount: { type: Number, default: 0 },
+        savedAt: Date
+    },
+
     apiUsage: {
         openai: {
             calls: { type: Number, default: 0 },
@@ -137,6 +190,31 @@ searchJobSchema.methods.addActivity = function(type, message, companyName = null
     }
 };
 
+// Method to record an AI response that failed schema validation
+searchJobSchema.methods.recordValidationFailure = function(error, companyName = null) {
+    this.validationFailures.push({
+        task: error.task,
+        companyName,
+        errors: (error.errors || []).slice(0, 10),
+        rawResponse: error.rawResponse,
+        attempts: error.attempts,
+        timestamp: new Date()
+    });
+
+    // Keep only last 50 failures
+    if (this.validationFailures.length > 50) {
+        this.validationFailures = this.validationFailures.slice(-50);
+    }
+
+    this.liveStats.validationFailures += 1;
+    this.addActivity('error',
+        `⚠️ Invalid AI response for ${error.task}${companyName ? ` (${companyName})` : ''}: ${error.errors?.[0] || error.message}`,
+        companyName, {
+            task: error.task,
+            attempts: error.attempts
+        });
+};
+
 // Method to update live stats
 searchJobSchema.methods.updateStats = function(updates) {
     Object.keys(updates).forEach(key => {
@@ -186,4 +264,13 @@ searchJobSchema.methods.incrementStat = function(statName, increment = 1) {
     }
 };
 
+// Push every saved state to live progress subscribers (SSE)
+searchJobSchema.post('save', function(doc) {
+    try {
+        searchEvents.publish(doc);
+    } catch (error) {
+        console.error('Error publishing search job update:', error);
+    }
+});
+
 module.exports = mongoose.model('SearchJob', searchJobSchema);
\ No newline at end of file
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Global ledger of LLM calls - one record per completion, including repairs
+const usageRecordSchema = new mongoose.Schema({
+    task: {
+        type: String,
+        required: true
+    },
+    provider: {
+        type: String,
+        required: true
+    },
+    model: String,
+
+    // Token counts as reported by the provider
+    promptTokens: { type: Number, default: 0 },
+    completionTokens: { type: Number, default: 0 },
+    totalTokens: { type: Number, default: 0 },
+
+    // USD, from the price table at the time of the call
+    cost: { type: Number, default: 0 },
+
+    // What the call was made for
+    jobId: String,
+    companyId: String,
+    companyName: String,
+    purpose: {
+        type: String,
+        enum: ['search', 'rescore', 'email', 'profile', 'other'],
+        default: 'other'
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+usageRecordSchema.index({ jobId: 1 });
+usageRecordSchema.index({ companyName: 1 });
+usageRecordSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('UsageRecord', usageRecordSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// scrypt parameters for password hashes; stored with each hash so they can
+// be raised later without breaking existing logins
+const SCRYPT_KEY_LENGTH = 64;
+const SCRYPT_COST = 16384;
+
+const userSchema = new mongoose.Schema({
+    username: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        lowercase: true,
+        minlength: 3,
+        maxlength: 40,
+        match: [/^[a-z0-9._-]+$/, 'Username may only contain letters, numbers, dots, dashes and underscores']
+    },
+    displayName: {
+        type: String,
+        trim: true
+    },
+    // "scrypt$<cost>$<salt>$<hash>"
+    passwordHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+    // Admins can change instance-wide settings (API keys, LLM providers)
+    role: {
+        type: String,
+        enum: ['admin', 'member'],
+        default: 'member'
+    },
+    // Set only on the account registered first, which becomes the admin.
+    // Unique, so two registrations racing on an empty database can't both
+    // become admin.
+    firstUser: Boolean,
+    // Bumped to revoke every token issued before it (logout everywhere)
+    tokenVersion: {
+        type: Number,
+        default: 0
+    },
+    lastLoginAt: Date
+}, {
+    timestamps: true
+});
+
+userSchema.index({ firstUser: 1 }, { unique: true, partialFilterExpression: { firstUser: true } });
+
+function hashPassword(password, salt, cost) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, { N: cost }, (error, key) => {
+            if (error) reject(error);
+            else resolve(key.toString('hex'));
+        });
+    });
+}
+
+userSchema.methods.setPassword = async function(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await hashPassword(password, salt, SCRYPT_COST);
+    this.passwordHash = `scrypt$${SCRYPT_COST}$${salt}$${hash}`;
+    return this;
+};
+
+// Needs passwordHash, which is not selected by default
+userSchema.methods.verifyPassword = async function(password) {
+    const [scheme, cost, salt, expected] = (this.passwordHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !expected) return false;
+
+    const actual = await hashPassword(password, salt, parseInt(cost));
+    return crypto.timingSafeEqual(Buffer.from(actual, 'hex'), Buffer.from(expected, 'hex'));
+};
+
+userSchema.methods.toPublicJSON = function() {
+    return {
+        id: this._id,
+        username: this.username,
+        displayName: this.displayName || this.username,
+        role: this.role,
+        lastLoginAt: this.lastLoginAt,
+        createdAt: this.createdAt
+    };
+};
+
+module.exports = mongoose.model('User', userSchema);
@@ -1,11 +1,11 @@
 const mongoose = require('mongoose');
 
 const userProfileSchema = new mongoose.Schema({
+    // _id of the User this profile belongs to, as a string
     userId: {
         type: String,
         required: true,
-        unique: true,
-        default: 'default'
+        unique: true
     },
 
     // Personal Information
@@ -133,11 +133,32 @@ const userProfileSchema = new mongoose.Schema({
             stockOptions: Boolean,
             professionalDevelopment: Boolean
         },
+        // 'boston-providence' is kept for profiles saved before target regions
         location: {
             type: String,
-            enum: ['boston-providence', 'remote', 'hybrid', 'on-site'],
-            default: 'boston-providence'
+            enum: ['target-regions', 'boston-providence', 'remote', 'hybrid', 'on-site'],
+            default: 'target-regions'
         },
+        // Where searches look first, in priority order (see utils/regions.js).
+        // Empty means the default Boston and Providence regions.
+        regions: [{
+            _id: false,
+            name: {
+                type: String,
+                required: true,
+                trim: true
+            },
+            city: {
+                type: String,
+                trim: true
+            },
+            radiusMiles: {
+                type: Number,
+                min: 1,
+                max: 500
+            },
+            metros: [String]
+        }],
         roleTypes: {
             type: [String],
             enum: ['full-time', 'part-time', 'contract', 'freelance', 'internship']
@@ -156,10 +177,9 @@ const userProfileSchema = new mongoose.Schema({
             type: Date,
             default: Date.now
         },
-        model: {
-            type: String,
-            default: 'gpt-3.5-turbo'
-        }
+        // LLM provider and model that served profileAnalysis
+        provider: String,
+        model: String
     },
 
     // Search History
@@ -196,6 +216,8 @@ const userProfileSchema = new mongoose.Schema({
         name: String,
         subject: String,
         body: String,
+        // Variables the template uses (see utils/emailTemplate.js)
+        variables: [String],
         isDefault: {
             type: Boolean,
             default: false
@@ -249,6 +271,26 @@ const userProfileSchema = new mongoose.Schema({
         apiLogging: {
             type: Boolean,
             default: false
+        },
+        // Relative weights of the company priority score (see utils/ranking.js).
+        // Unset means the defaults.
+        rankingWeights: {
+            matchScore: { type: Number, min: 0, max: 100 },
+            workLifeBalance: { type: Number, min: 0, max: 100 },
+            localPriority: { type: Number, min: 0, max: 100 },
+            contacts: { type: Number, min: 0, max: 100 },
+            fundingStage: { type: Number, min: 0, max: 100 },
+            remotePolicy: { type: Number, min: 0, max: 100 }
+        },
+        // Follow-ups drafted for emails that get no reply (see
+        // services/followUps.js). Unset means the default sequence.
+        followUpSequence: {
+            enabled: Boolean,
+            steps: [{
+                _id: false,
+                delayDays: { type: Number, min: 1, max: 90 },
+                label: String
+            }]
         }
     },
 
@@ -409,8 +451,7 @@ userProfileSchema.methods.updateAIAnalysis = function(analysis) {
     try {
         this.aiAnalysis = {
             ...analysis,
-            generatedAt: new Date(),
-            model: 'gpt-3.5-turbo'
+            generatedAt: new Date()
         };
 
         return this.save();
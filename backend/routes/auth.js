@@ -0,0 +1,204 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const UserProfile = require('../models/UserProfile');
+const Company = require('../models/Company');
+const SearchJob = require('../models/SearchJob');
+const { issueToken, verifyToken, TOKEN_TTL_HOURS } = require('../utils/authTokens');
+const { requireAuth } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Only admins can add users unless AUTH_ALLOW_REGISTRATION=true opens sign-up
+// to anyone. The first account is always allowed and becomes the admin.
+const registrationOpen = () => process.env.AUTH_ALLOW_REGISTRATION === 'true';
+
+// Create an account
+router.post('/register', async (req, res) => {
+    try {
+        const { username, password, displayName } = req.body;
+
+        if (!username || !password || typeof password !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'Username and password are required'
+            });
+        }
+
+        if (password.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+            });
+        }
+
+        const isFirstUser = (await User.countDocuments()) === 0;
+
+        if (!isFirstUser && !registrationOpen() && !(await isAdminRequest(req))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Registration is closed - ask an admin to create your account'
+            });
+        }
+
+        if (await User.exists({ username: String(username).toLowerCase().trim() })) {
+            return res.status(409).json({
+                success: false,
+                message: 'That username is already taken'
+            });
+        }
+
+        const user = new User({
+            username,
+            displayName,
+            role: isFirstUser ? 'admin' : 'member',
+            ...(isFirstUser && { firstUser: true })
+        });
+        await user.setPassword(password);
+        await user.save();
+
+        // Data saved before accounts existed belongs to the first user
+        if (isFirstUser) {
+            await claimLegacyData(user);
+        }
+
+        logger.info('👤 User registered', { username: user.username, role: user.role });
+
+        res.status(201).json({
+            success: true,
+            token: issueToken(user),
+            expiresInHours: TOKEN_TTL_HOURS,
+            user: user.toPublicJSON(),
+            message: 'Account created successfully'
+        });
+
+    } catch (error) {
+        // Lost a race with another registration
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: error.keyPattern?.firstUser ?
+                    'The admin account was just created - sign in or ask the admin for an account' :
+                    'That username is already taken'
+            });
+        }
+
+        logger.error('Failed to register user:', error);
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: Object.values(error.errors).map(err => err.message)
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create account'
+        });
+    }
+});
+
+// Log in with username and password
+router.post('/login', async (req, res) => {
+    try {
+        const { username, password } = req.body;
+
+        if (!username || !password || typeof password !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'Username and password are required'
+            });
+        }
+
+        const user = await User.findOne({ username: String(username).toLowerCase().trim() }).select('+passwordHash');
+
+        if (!user || !(await user.verifyPassword(password))) {
+            logger.warn('🔒 Failed login attempt', { username });
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid username or password'
+            });
+        }
+
+        user.lastLoginAt = new Date();
+        await user.save();
+
+        logger.info('🔓 User logged in', { username: user.username });
+
+        res.json({
+            success: true,
+            token: issueToken(user),
+            expiresInHours: TOKEN_TTL_HOURS,
+            user: user.toPublicJSON()
+        });
+
+    } catch (error) {
+        logger.error('Failed to log in:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to log in'
+        });
+    }
+});
+
+// The logged-in user
+router.get('/me', requireAuth, (req, res) => {
+    res.json({
+        success: true,
+        user: req.user.toPublicJSON()
+    });
+});
+
+// Revoke every token issued to the logged-in user, on all devices
+router.post('/logout-all', requireAuth, async (req, res) => {
+    try {
+        await User.updateOne({ _id: req.user._id }, { $inc: { tokenVersion: 1 } });
+
+        logger.info('🔒 User logged out everywhere', { username: req.user.username });
+
+        res.json({
+            success: true,
+            message: 'Logged out on all devices'
+        });
+
+    } catch (error) {
+        logger.error('Failed to log out:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to log out'
+        });
+    }
+});
+
+// Helper functions
+async function isAdminRequest(req) {
+    const header = req.headers.authorization || '';
+    const claims = header.startsWith('Bearer ') ? verifyToken(header.slice('Bearer '.length).trim()) : null;
+    if (!claims) return false;
+
+    const user = await User.findById(claims.sub).lean();
+    return user?.role === 'admin' && (user.tokenVersion || 0) === claims.ver;
+}
+
+// Before accounts, everything used the 'default' profile and had no owner
+async function claimLegacyData(user) {
+    const userId = user._id.toString();
+
+    const [profile, companies, searchJobs] = await Promise.all([
+        UserProfile.updateOne({ userId: 'default' }, { $set: { userId } }),
+        Company.updateMany({ owner: { $exists: false } }, { $set: { owner: user._id } }),
+        SearchJob.updateMany({ owner: { $exists: false } }, { $set: { owner: user._id } })
+    ]);
+
+    logger.info('📦 Existing data assigned to the first user', {
+        username: user.username,
+        profile: profile.modifiedCount,
+        companies: companies.modifiedCount,
+        searchJobs: searchJobs.modifiedCount
+    });
+}
+
+module.exports = router;
@@ -0,0 +1,472 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Campaign = require('../models/Campaign');
+const Company = require('../models/Company');
+const UserProfile = require('../models/UserProfile');
+const emailSender = require('../services/emailSender');
+const campaignScheduler = require('../services/campaignScheduler');
+const { checkSyntax } = require('../services/contactVerification');
+const { findTemplate } = require('../services/emailDrafts');
+const { buildCompanyFilter } = require('../utils/companyFilter');
+const logger = require('../utils/logger');
+
+// Largest number of companies in one campaign
+const MAX_CAMPAIGN_COMPANIES = 200;
+
+// Statuses a user can move an item to by hand
+const EDITABLE_ITEM_STATUSES = ['draft', 'approved', 'skipped', 'failed'];
+
+// Validates settings from the request over the current ones.
+// Returns { settings } or { error }.
+function readSettings(input = {}, current = {}) {
+    const settings = {
+        dailyCap: current.dailyCap ?? 20,
+        sendWindow: {
+            startHour: current.sendWindow?.startHour ?? 9,
+            endHour: current.sendWindow?.endHour ?? 17,
+            days: current.sendWindow?.days ? [...current.sendWindow.days] : [1, 2, 3, 4, 5]
+        },
+        domainSpacingMinutes: current.domainSpacingMinutes ?? 60,
+        startAt: current.startAt || null,
+        timezone: current.timezone || 'UTC'
+    };
+
+    const isInt = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+    if (input.dailyCap !== undefined) {
+        if (!isInt(input.dailyCap, 1, 500)) return { error: 'dailyCap must be a whole number from 1 to 500' };
+        settings.dailyCap = input.dailyCap;
+    }
+
+    if (input.sendWindow) {
+        const { startHour, endHour, days } = input.sendWindow;
+        if (startHour !== undefined) settings.sendWindow.startHour = startHour;
+        if (endHour !== undefined) settings.sendWindow.endHour = endHour;
+        if (days !== undefined) settings.sendWindow.days = days;
+
+        const window = settings.sendWindow;
+        if (!isInt(window.startHour, 0, 23) || !isInt(window.endHour, 1, 24) || window.startHour >= window.endHour) {
+            return { error: 'The send window needs a start hour before its end hour (0-24)' };
+        }
+        if (!Array.isArray(window.days) || window.days.length === 0 || !window.days.every(day => isInt(day, 0, 6))) {
+            return { error: 'The send window needs at least one weekday (0 = Sunday to 6 = Saturday)' };
+        }
+        window.days = [...new Set(window.days)].sort();
+    }
+
+    if (input.domainSpacingMinutes !== undefined) {
+        if (!isInt(input.domainSpacingMinutes, 0, 7 * 24 * 60)) {
+            return { error: 'domainSpacingMinutes must be a whole number from 0 to 10080' };
+        }
+        settings.domainSpacingMinutes = input.domainSpacingMinutes;
+    }
+
+    if (input.startAt !== undefined) {
+        const startAt = input.startAt ? new Date(input.startAt) : null;
+        if (startAt && isNaN(startAt.getTime())) return { error: 'startAt is not a valid date' };
+        settings.startAt = startAt;
+    }
+
+    if (input.timezone !== undefined) {
+        if (!campaignScheduler.isValidTimezone(input.timezone)) {
+            return { error: `Unknown timezone ${input.timezone}` };
+        }
+        settings.timezone = input.timezone;
+    }
+
+    return { settings };
+}
+
+// Campaign for the response; the list leaves out the items themselves
+function formatCampaign(campaign, { withItems = true } = {}) {
+    const { items, ...rest } = campaign.toObject();
+    return {
+        ...rest,
+        counts: campaign.getItemCounts(),
+        total: items.length,
+        aiUsage: items.reduce((total, item) => ({
+            tokensUsed: total.tokensUsed + (item.aiUsage?.tokensUsed || 0),
+            cost: total.cost + (item.aiUsage?.cost || 0)
+        }), { tokensUsed: 0, cost: 0 }),
+        ...(withItems && { items })
+    };
+}
+
+// Why an item can't be approved, or null if it can
+function approvalProblem(item) {
+    if (!item.to || !checkSyntax(item.to).domain) return 'Add a valid recipient email first';
+    if (!item.subject || !item.body) return 'The email needs a subject and body';
+    return null;
+}
+
+async function findCampaign(req, res) {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        res.status(400).json({ success: false, message: 'Invalid campaign id' });
+        return null;
+    }
+
+    const campaign = await Campaign.findOne({ _id: req.params.id, owner: req.user._id });
+    if (!campaign) {
+        res.status(404).json({ success: false, message: 'Campaign not found' });
+        return null;
+    }
+    return campaign;
+}
+
+// List the user's campaigns, newest first
+router.get('/', async (req, res) => {
+    try {
+        const campaigns = await Campaign.find({ owner: req.user._id })
+            .select('-items.body')
+            .sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            data: campaigns.map(campaign => formatCampaign(campaign, { withItems: false })),
+            smtpConfigured: emailSender.isConfigured()
+        });
+    } catch (error) {
+        logger.error('Failed to get campaigns:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get campaigns',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+// Create a campaign and start writing its drafts in the background.
+// Body: { name, companyIds } or { name, filter } where filter takes the
+// GET /api/companies query options; plus optional profile, settings and
+// templateId to render the drafts from an email template instead of the AI.
+router.post('/', async (req, res) => {
+    try {
+        const { name, companyIds, filter, profile, templateId, settings: settingsInput } = req.body;
+
+        if (!name || !name.trim()) {
+            return res.status(400).json({ success: false, message: 'Campaign name is required' });
+        }
+
+        const hasSelection = Array.isArray(companyIds) && companyIds.length > 0;
+        if (!hasSelection && !filter) {
+            return res.status(400).json({ success: false, message: 'Select companies or give a filter' });
+        }
+        if (hasSelection && !companyIds.every(id => mongoose.isValidObjectId(id))) {
+            return res.status(400).json({ success: false, message: 'Invalid company id in companyIds' });
+        }
+
+        const { settings, error } = readSettings(settingsInput);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        if (templateId !== undefined && templateId !== null) {
+            const savedProfile = await UserProfile.findOne({ userId: req.user.id }).select('emailTemplates').lean();
+            if (typeof templateId !== 'string' || !findTemplate(savedProfile, templateId)) {
+                return res.status(400).json({ success: false, message: 'Email template not found' });
+            }
+        }
+
+        const companies = hasSelection ?
+            await Company.find({ _id: { $in: [...new Set(companyIds)] }, owner: req.user._id })
+                .select('name timezone')
+                .limit(MAX_CAMPAIGN_COMPANIES + 1) :
+            await Company.find(buildCompanyFilter(req.user._id, filter))
+                .select('name timezone')
+                .sort({ aiMatchScore: -1 })
+                .limit(MAX_CAMPAIGN_COMPANIES + 1);
+
+        if (companies.length === 0) {
+            return res.status(400).json({ success: false, message: 'No companies match' });
+        }
+        if (companies.length > MAX_CAMPAIGN_COMPANIES) {
+            return res.status(400).json({
+                success: false,
+                message: `A campaign can have at most ${MAX_CAMPAIGN_COMPANIES} companies`
+            });
+        }
+
+        const campaign = await Campaign.create({
+            owner: req.user._id,
+            name: name.trim(),
+            settings,
+            filter: hasSelection ? null : filter,
+            templateId: templateId ?? undefined,
+            items: companies.map(company => ({
+                company: company._id,
+                companyName: company.name,
+                timezone: company.timezone
+            }))
+        });
+
+        const hasProfile = profile?.personalInfo?.firstName && profile?.personalInfo?.email;
+        campaignScheduler.startDraftGeneration(campaign, hasProfile ? profile : undefined);
+
+        logger.info(`📣 Campaign ${campaign.name} created`, {
+            campaignId: campaign._id.toString(),
+            companies: companies.length
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `Writing drafts for ${companies.length} companies`,
+            data: formatCampaign(campaign)
+        });
+    } catch (error) {
+        logger.error('Failed to create campaign:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create campaign',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+router.get('/:id', async (req, res) => {
+    try {
+        const campaign = await findCampaign(req, res);
+        if (!campaign) return;
+
+        res.json({ success: true, data: formatCampaign(campaign) });
+    } catch (error) {
+        logger.error('Failed to get campaign:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get campaign',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+// Rename or change the schedule. Body: { name?, settings? }
+router.put('/:id', async (req, res) => {
+    try {
+        const campaign = await findCampaign(req, res);
+        if (!campaign) return;
+
+        if (campaign.status === 'cancelled') {
+            return res.status(409).json({ success: false, message: 'Campaign is cancelled' });
+        }
+
+        if (req.body.name !== undefined) {
+            if (!req.body.name.trim()) {
+                return res.status(400).json({ success: false, message: 'Campaign name is required' });
+            }
+            campaign.name = req.body.name.trim();
+        }
+
+        if (req.body.settings) {
+            const { settings, error } = readSettings(req.body.settings, campaign.settings.toObject());
+            if (error) {
+                return res.status(400).json({ success: false, message: error });
+            }
+            campaign.settings = settings;
+        }
+
+        await campaign.save();
+        res.json({ success: true, message: 'Campaign updated', data: formatCampaign(campaign) });
+    } catch (error) {
+        logger.error('Failed to update campaign:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update campaign',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+// Edit a draft or approve/skip it. Body: { to?, subject?, body?, status? }
+router.put('/:id/items/:itemId', async (req, res) => {
+    try {
+        const campaign = await findCampaign(req, res);
+        if (!campaign) return;
+
+        const item = mongoose.isValidObjectId(req.params.itemId) ? campaign.items.id(req.params.itemId) : null;
+        if (!item) {
+            return res.status(404).json({ success: false, message: 'Campaign email not found' });
+        }
+
+        if (!EDITABLE_ITEM_STATUSES.includes(item.status)) {
+            return res.status(409).json({ success: false, message: `This email is ${item.status} and can no longer be changed` });
+        }
+
+        const { to, subject, body, status } = req.body;
+        if (status !== undefined && !['draft', 'approved', 'skipped'].includes(status)) {
+            return res.status(400).json({ success: false, message: 'status must be draft, approved or skipped' });
+        }
+
+        if (to !== undefined) item.to = String(to).trim().toLowerCase();
+        if (subject !== undefined) item.subject = subject;
+        if (body !== undefined) item.body = body;
+
+        // Edits to an already approved email must keep it sendable too
+        if ((status || item.status) === 'approved') {
+            const problem = approvalProblem(item);
+            if (problem) {
+                return res.status(400).json({ success: false, message: problem });
+            }
+            item.error = undefined;
+        }
+        if (status) item.status = status;
+
+        await campaign.save();
+        res.json({ success: true, message: 'Campaign email updated', data: item });
+    } catch (error) {
+        logger.error('Failed to update campaign email:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update campaign email',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+// Approve every draft that has a valid recipient, subject and body
+router.post('/:id/approve', async (req, res) => {
+    try {
+        const campaign = await findCampaign(req, res);
+        if (!campaign) return;
+
+        let approved = 0;
+        let needsAttention = 0;
+        campaign.items.forEach(item => {
+            if (item.status !== 'draft') return;
+            if (approvalProblem(item)) {
+                needsAttention++;
+                return;
+            }
+            item.status = 'approved';
+            item.error = undefined;
+            approved++;
+        });
+
+        await campaign.save();
+        res.json({
+            success: true,
+            message: `Approved ${approved} emails${needsAttention ? `; ${needsAttention} need a recipient or content first` : ''}`,
+            data: formatCampaign(campaign)
+        });
+    } catch (error) {
+        logger.error('Failed to approve campaign emails:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to approve campaign emails',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+// Start (or resume) sending approved emails on the schedule
+router.post('/:id/start', async (req, res) => {
+    try {
+        const campaign = await findCampaign(req, res);
+        if (!campaign) return;
+
+        if (!emailSender.isConfigured()) {
+            return res.status(503).json({
+                success: false,
+                message: 'Email sending is not configured on the server (set SMTP_HOST)'
+            });
+        }
+
+        if (!['review', 'paused', 'completed'].includes(campaign.status)) {
+            return res.status(409).json({ success: false, message: `Campaign is ${campaign.status}` });
+        }
+
+        if (!campaign.items.some(item => item.status === 'approved')) {
+            return res.status(400).json({ success: false, message: 'Approve at least one email first' });
+        }
+
+        campaign.status = 'running';
+        campaign.startedAt = campaign.startedAt || new Date();
+        campaign.completedAt = undefined;
+        await campaign.save();
+
+        logger.info(`▶️ Campaign ${campaign.name} started`, { campaignId: campaign._id.toString() });
+        res.json({ success: true, message: 'Campaign started', data: formatCampaign(campaign) });
+    } catch (error) {
+        logger.error('Failed to start campaign:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to start campaign',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+router.post('/:id/pause', async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid campaign id' });
+        }
+
+        const campaign = await Campaign.findOneAndUpdate(
+            { _id: req.params.id, owner: req.user._id, status: 'running' },
+            { $set: { status: 'paused' } },
+            { new: true }
+        );
+        if (!campaign) {
+            return res.status(409).json({ success: false, message: 'No running campaign with that id' });
+        }
+
+        res.json({ success: true, message: 'Campaign paused', data: formatCampaign(campaign) });
+    } catch (error) {
+        logger.error('Failed to pause campaign:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to pause campaign',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+// Stop for good; emails already handed to the outbox are not recalled
+router.post('/:id/cancel', async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid campaign id' });
+        }
+
+        const campaign = await Campaign.findOneAndUpdate(
+            { _id: req.params.id, owner: req.user._id, status: { $ne: 'cancelled' } },
+            { $set: { status: 'cancelled', completedAt: new Date() } },
+            { new: true }
+        );
+        if (!campaign) {
+            return res.status(404).json({ success: false, message: 'Campaign not found' });
+        }
+
+        res.json({ success: true, message: 'Campaign cancelled', data: formatCampaign(campaign) });
+    } catch (error) {
+        logger.error('Failed to cancel campaign:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to cancel campaign',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+router.delete('/:id', async (req, res) => {
+    try {
+        const campaign = await findCampaign(req, res);
+        if (!campaign) return;
+
+        if (campaign.status === 'running') {
+            return res.status(409).json({ success: false, message: 'Pause the campaign before deleting it' });
+        }
+
+        await campaign.deleteOne();
+        res.json({ success: true, message: 'Campaign deleted' });
+    } catch (error) {
+        logger.error('Failed to delete campaign:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete campaign',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+module.exports = router;
@@ -1,8 +1,28 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Company = require('../models/Company');
+const UserProfile = require('../models/UserProfile');
+const companyScoring = require('../services/companyScoring');
+const companyDedup = require('../services/companyDedup');
+const followUps = require('../services/followUps');
+const contactRoutes = require('./contacts');
+const { resolveRankingWeights, buildPriorityScoreStage } = require('../utils/ranking');
+const { buildCompanyFilter } = require('../utils/companyFilter');
 const logger = require('../utils/logger');
 
+// The user's ranking weights, or the defaults when none are saved
+async function loadRankingWeights(user) {
+    const profile = await UserProfile.findOne({ userId: user.id }).select('settings.rankingWeights').lean();
+    return resolveRankingWeights(profile?.settings?.rankingWeights);
+}
+
+// companyIds from a request body: left out, or a list of valid ids
+function validCompanyIds(companyIds) {
+    return companyIds == null ||
+        (Array.isArray(companyIds) && companyIds.every(id => mongoose.isValidObjectId(id)));
+}
+
 // ==========================================
 // SPECIFIC ROUTES FIRST (no parameters)
 // ==========================================
@@ -14,55 +34,17 @@ router.get('/', async (req, res) => {
         const limit = parseInt(req.query.limit) || 50;
         const skip = (page - 1) * limit;
 
-        // Filter options
-        const filter = {};
-        if (req.query.location) {
-            filter.location = { $regex: req.query.location, $options: 'i' };
-        }
-        if (req.query.industry) {
-            filter.industry = { $regex: req.query.industry, $options: 'i' };
-        }
-        if (req.query.size) {
-            filter.size = req.query.size;
-        }
-        if (req.query.minMatchScore) {
-            filter.aiMatchScore = { $gte: parseInt(req.query.minMatchScore) };
-        }
-        if (req.query.minWLBScore) {
-            filter['workLifeBalance.score'] = { $gte: parseInt(req.query.minWLBScore) };
-        }
-
-        // Enhanced filtering for the new table
-        if (req.query.status && req.query.status !== 'all') {
-            filter.status = req.query.status;
-        }
-        if (req.query.hasContacts) {
-            if (req.query.hasContacts === 'yes') {
-                filter['hrContacts.0'] = { $exists: true };
-            } else if (req.query.hasContacts === 'no') {
-                filter['hrContacts.0'] = { $exists: false };
-            }
-        }
-        if (req.query.isLocal === 'true') {
-            filter.isLocalPriority = true;
-        }
-
-        // Text search across multiple fields
-        if (req.query.search) {
-            const searchRegex = { $regex: req.query.search, $options: 'i' };
-            filter.$or = [
-                { name: searchRegex },
-                { location: searchRegex },
-                { industry: searchRegex },
-                { description: searchRegex }
-            ];
-        }
+        const filter = buildCompanyFilter(req.user._id, req.query);
 
         // Sort options
-        let sortOption = { aiMatchScore: -1 }; // Default sort by match score
+        let sortOption = { priorityScore: -1, aiMatchScore: -1 }; // Default sort by weighted priority
         if (req.query.sortBy) {
             const sortOrder = req.query.sortOrder === 'asc' ? 1 : -1;
             switch (req.query.sortBy) {
+                case 'priority':
+                case 'priorityScore':
+                    sortOption = { priorityScore: sortOrder, aiMatchScore: sortOrder };
+                    break;
                 case 'match':
                 case 'aiMatchScore':
                     sortOption = { aiMatchScore: sortOrder };
@@ -83,15 +65,18 @@ router.get('/', async (req, res) => {
                     sortOption = { updatedAt: sortOrder };
                     break;
                 default:
-                    sortOption = { aiMatchScore: -1 };
+                    sortOption = { priorityScore: -1, aiMatchScore: -1 };
             }
         }
 
-        const companies = await Company.find(filter)
-            .sort(sortOption)
-            .skip(skip)
-            .limit(limit)
-            .lean();
+        const rankingWeights = await loadRankingWeights(req.user);
+        const companies = await Company.aggregate([
+            { $match: filter },
+            buildPriorityScoreStage(rankingWeights),
+            { $sort: sortOption },
+            { $skip: skip },
+            { $limit: limit }
+        ]);
 
         const total = await Company.countDocuments(filter);
 
@@ -106,7 +91,8 @@ router.get('/', async (req, res) => {
             remotePolicy: company.remotePolicy || 'Not specified',
             status: company.status || 'not-contacted',
             emailCount: company.emailHistory?.length || 0,
-            hasEmailSent: company.emailHistory?.some(email => email.sent) || false
+            hasEmailSent: company.emailHistory?.some(email => email.sent) || false,
+            needsScoring: company.evaluationStatus === 'failed' || company.evaluationStatus === 'pending'
         }));
 
         res.json({
@@ -117,7 +103,8 @@ router.get('/', async (req, res) => {
                 limit,
                 total,
                 pages: Math.ceil(total / limit)
-            }
+            },
+            rankingWeights
         });
 
     } catch (error) {
@@ -134,7 +121,7 @@ router.get('/', async (req, res) => {
 router.get('/export', async (req, res) => {
     try {
         // Build filter based on query parameters (same as main GET route)
-        const filter = {};
+        const filter = { owner: req.user._id };
         if (req.query.location) {
             filter.location = { $regex: req.query.location, $options: 'i' };
         }
@@ -214,8 +201,11 @@ router.get('/export', async (req, res) => {
 // Enhanced company statistics endpoint
 router.get('/stats/summary', async (req, res) => {
     try {
+        const ownerMatch = { $match: { owner: req.user._id } };
+
         // Main stats aggregation
         const mainStats = await Company.aggregate([
+            ownerMatch,
             {
                 $group: {
                     _id: null,
@@ -230,6 +220,9 @@ router.get('/stats/summary', async (req, res) => {
                     },
                     localPriority: {
                         $sum: { $cond: ['$isLocalPriority', 1, 0] }
+                    },
+                    needsScoring: {
+                        $sum: { $cond: [{ $in: ['$evaluationStatus', ['failed', 'pending']] }, 1, 0] }
                     }
                 }
             }
@@ -237,6 +230,7 @@ router.get('/stats/summary', async (req, res) => {
 
         // Status breakdown
         const statusStats = await Company.aggregate([
+            ownerMatch,
             {
                 $group: {
                     _id: '$status',
@@ -248,6 +242,7 @@ router.get('/stats/summary', async (req, res) => {
 
         // Location breakdown
         const locationStats = await Company.aggregate([
+            ownerMatch,
             {
                 $group: {
                     _id: '$location',
@@ -260,6 +255,7 @@ router.get('/stats/summary', async (req, res) => {
 
         // Industry breakdown
         const industryStats = await Company.aggregate([
+            ownerMatch,
             {
                 $group: {
                     _id: '$industry',
@@ -272,6 +268,7 @@ router.get('/stats/summary', async (req, res) => {
 
         // Company size breakdown
         const sizeStats = await Company.aggregate([
+            ownerMatch,
             {
                 $group: {
                     _id: '$size',
@@ -283,6 +280,7 @@ router.get('/stats/summary', async (req, res) => {
 
         // HR contact stats
         const contactStats = await Company.aggregate([
+            ownerMatch,
             {
                 $group: {
                     _id: null,
@@ -306,6 +304,7 @@ router.get('/stats/summary', async (req, res) => {
 
         // Email statistics
         const emailStats = await Company.aggregate([
+            ownerMatch,
             {
                 $group: {
                     _id: null,
@@ -342,6 +341,7 @@ router.get('/stats/summary', async (req, res) => {
         const recentActivity = await Company.aggregate([
             {
                 $match: {
+                    owner: req.user._id,
                     createdAt: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) }
                 }
             },
@@ -365,7 +365,8 @@ router.get('/stats/summary', async (req, res) => {
                     avgWLBScore: 0,
                     highMatches: 0,
                     excellentWLB: 0,
-                    localPriority: 0
+                    localPriority: 0,
+                    needsScoring: 0
                 },
                 statusBreakdown: statusStats,
                 topLocations: locationStats,
@@ -408,6 +409,7 @@ router.get('/search/advanced', async (req, res) => {
             hasContacts,
             isLocal,
             status,
+            evaluationStatus,
             industry,
             size,
             location,
@@ -418,7 +420,7 @@ router.get('/search/advanced', async (req, res) => {
             limit = 20
         } = req.query;
 
-        const filter = {};
+        const filter = { owner: req.user._id };
         const skip = (parseInt(page) - 1) * parseInt(limit);
 
         // Build dynamic filter
@@ -448,6 +450,12 @@ router.get('/search/advanced', async (req, res) => {
             filter.status = status;
         }
 
+        if (evaluationStatus === 'needs-scoring') {
+            filter.evaluationStatus = { $in: ['failed', 'pending'] };
+        } else if (evaluationStatus) {
+            filter.evaluationStatus = evaluationStatus;
+        }
+
         if (industry) {
             filter.industry = { $regex: industry, $options: 'i' };
         }
@@ -472,10 +480,14 @@ router.get('/search/advanced', async (req, res) => {
         }
 
         // Build sort options
-        let sort = { aiMatchScore: -1 }; // default
+        let sort = { priorityScore: -1, aiMatchScore: -1 }; // default
         if (sortBy) {
             const order = sortOrder === 'asc' ? 1 : -1;
             switch (sortBy) {
+                case 'priority':
+                case 'priorityScore':
+                    sort = { priorityScore: order, aiMatchScore: order };
+                    break;
                 case 'name':
                     sort = { name: order };
                     break;
@@ -496,15 +508,18 @@ router.get('/search/advanced', async (req, res) => {
                     sort = { updatedAt: order };
                     break;
                 default:
-                    sort = { aiMatchScore: -1 };
+                    sort = { priorityScore: -1, aiMatchScore: -1 };
             }
         }
 
-        const companies = await Company.find(filter)
-            .sort(sort)
-            .skip(skip)
-            .limit(parseInt(limit))
-            .lean();
+        const rankingWeights = await loadRankingWeights(req.user);
+        const companies = await Company.aggregate([
+            { $match: filter },
+            buildPriorityScoreStage(rankingWeights),
+            { $sort: sort },
+            { $skip: skip },
+            { $limit: parseInt(limit) }
+        ]);
 
         const total = await Company.countDocuments(filter);
 
@@ -517,7 +532,8 @@ router.get('/search/advanced', async (req, res) => {
             contactCount: company.hrContacts?.length || 0,
             verifiedContactCount: company.hrContacts?.filter(c => c.verified).length || 0,
             emailCount: company.emailHistory?.length || 0,
-            hasEmailSent: company.emailHistory?.some(email => email.sent) || false
+            hasEmailSent: company.emailHistory?.some(email => email.sent) || false,
+            needsScoring: company.evaluationStatus === 'failed' || company.evaluationStatus === 'pending'
         }));
 
         res.json({
@@ -541,7 +557,8 @@ router.get('/search/advanced', async (req, res) => {
                 size,
                 location,
                 search
-            }
+            },
+            rankingWeights
         });
 
     } catch (error) {
@@ -556,7 +573,7 @@ router.get('/search/advanced', async (req, res) => {
 // Get companies with minimal data for dropdown/autocomplete
 router.get('/minimal', async (req, res) => {
     try {
-        const companies = await Company.find({}, {
+        const companies = await Company.find({ owner: req.user._id }, {
             name: 1,
             location: 1,
             industry: 1,
@@ -587,6 +604,134 @@ router.get('/minimal', async (req, res) => {
     }
 });
 
+// Evaluate companies that were saved without scores because their AI
+// evaluation failed or never ran. Body: { companyIds, limit }, both optional.
+router.post('/retry-evaluations', async (req, res) => {
+    try {
+        const { companyIds, limit } = req.body || {};
+        const maxCompanies = Math.min(Math.max(parseInt(limit) || 25, 1), 100);
+
+        if (!validCompanyIds(companyIds)) {
+            return res.status(400).json({ success: false, message: 'Invalid company id in companyIds' });
+        }
+
+        if (!companyScoring.canRescore()) {
+            return res.status(400).json({
+                success: false,
+                message: 'An LLM provider is required to score companies'
+            });
+        }
+
+        const result = await companyScoring.retryFailedEvaluations(req.user, companyIds, maxCompanies);
+
+        res.json({
+            success: true,
+            message: `Scored ${result.rescored.length} companies, ${result.failed.length} still failing`,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Failed to retry company evaluations:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retry company evaluations',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+// Re-score companies against the current profile. Body: { companyIds,
+// industry, location, status, minMatchScore, maxMatchScore, staleOnly, limit }
+router.post('/rescore', async (req, res) => {
+    try {
+        const { limit, ...filter } = req.body || {};
+        const maxCompanies = Math.min(Math.max(parseInt(limit) || 25, 1), 100);
+
+        if (!validCompanyIds(filter.companyIds)) {
+            return res.status(400).json({ success: false, message: 'Invalid company id in companyIds' });
+        }
+
+        if (!companyScoring.canRescore()) {
+            return res.status(400).json({
+                success: false,
+                message: 'An LLM provider is required to re-score companies'
+            });
+        }
+
+        const result = await companyScoring.rescoreCompanies(req.user, filter, maxCompanies);
+
+        res.json({
+            success: true,
+            message: `Re-scored ${result.rescored.length} companies, ${result.significantChanges} with significant changes`,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Failed to rescore companies:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to rescore companies',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+// Groups of companies that look like the same company (matching normalized
+// names or domains), each with a suggested record to keep
+router.get('/duplicates', async (req, res) => {
+    try {
+        const groups = await companyDedup.findDuplicateGroups(req.user._id);
+
+        res.json({
+            success: true,
+            data: {
+                groups,
+                totalGroups: groups.length,
+                totalDuplicates: groups.reduce((sum, group) => sum + group.companies.length - 1, 0)
+            }
+        });
+
+    } catch (error) {
+        logger.error('Failed to find duplicate companies:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to find duplicate companies',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+// Merge duplicates into one record. Body: { survivorId, duplicateIds }.
+// Contacts, notes, email history, API sources and score history move to the
+// survivor and the duplicates are deleted.
+router.post('/merge', async (req, res) => {
+    try {
+        const { survivorId, duplicateIds } = req.body || {};
+
+        const result = await companyDedup.mergeCompanies(req.user._id, survivorId, duplicateIds);
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Merged ${result.mergedIds.length} duplicates into ${result.company.name}`,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Failed to merge companies:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to merge companies',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
 // ==========================================
 // PARAMETERIZED ROUTES (with :id params)
 // ==========================================
@@ -603,8 +748,8 @@ router.post('/:id/notes', async (req, res) => {
             });
         }
 
-        const company = await Company.findByIdAndUpdate(
-            req.params.id,
+        const company = await Company.findOneAndUpdate(
+            { _id: req.params.id, owner: req.user._id },
             {
                 $push: {
                     notes: {
@@ -644,6 +789,9 @@ router.post('/:id/notes', async (req, res) => {
     }
 });
 
+// HR contacts: /api/companies/:id/contacts
+router.use('/:id/contacts', contactRoutes);
+
 // Move this BEFORE the /:id route (around line 400)
 // NEW: Bulk delete companies - MOVED BEFORE /:id
 router.delete('/bulk', async (req, res) => {
@@ -659,12 +807,13 @@ router.delete('/bulk', async (req, res) => {
 
         // Get company names for logging before deletion
         const companiesToDelete = await Company.find(
-            { _id: { $in: companyIds } },
+            { _id: { $in: companyIds }, owner: req.user._id },
             { name: 1 }
         ).lean();
 
         const result = await Company.deleteMany({
-            _id: { $in: companyIds }
+            _id: { $in: companyIds },
+            owner: req.user._id
         });
 
         logger.info('Bulk company deletion:', {
@@ -696,7 +845,7 @@ router.delete('/bulk', async (req, res) => {
 router.delete('/:id', async (req, res) => {
     // existing single delete logic
     try {
-        const company = await Company.findByIdAndDelete(req.params.id);
+        const company = await Company.findOneAndDelete({ _id: req.params.id, owner: req.user._id });
 
         if (!company) {
             return res.status(404).json({
@@ -734,7 +883,7 @@ router.delete('/:id', async (req, res) => {
 // Get company by ID
 router.get('/:id', async (req, res) => {
     try {
-        const company = await Company.findById(req.params.id).lean();
+        const company = await Company.findOne({ _id: req.params.id, owner: req.user._id }).lean();
 
         if (!company) {
             return res.status(404).json({
@@ -754,7 +903,8 @@ router.get('/:id', async (req, res) => {
             remotePolicy: company.remotePolicy || 'Not specified',
             status: company.status || 'not-contacted',
             emailCount: company.emailHistory?.length || 0,
-            hasEmailSent: company.emailHistory?.some(email => email.sent) || false
+            hasEmailSent: company.emailHistory?.some(email => email.sent) || false,
+            needsScoring: company.evaluationStatus === 'failed' || company.evaluationStatus === 'pending'
         };
 
         res.json({
@@ -785,8 +935,8 @@ router.put('/:id/status', async (req, res) => {
             });
         }
 
-        const company = await Company.findByIdAndUpdate(
-            req.params.id,
+        const company = await Company.findOneAndUpdate(
+            { _id: req.params.id, owner: req.user._id },
             {
                 status,
                 updatedAt: new Date()
@@ -801,6 +951,9 @@ router.put('/:id/status', async (req, res) => {
             });
         }
 
+        // Responded, interview, rejected or hired ends the follow-up sequence
+        await followUps.handleStatusChange(req.user._id, company._id, status);
+
         logger.info('Company status updated:', {
             companyId: req.params.id,
             companyName: company.name,
@@ -851,14 +1004,21 @@ router.put('/bulk', async (req, res) => {
             }
         }
 
+        // Companies can't be handed to another user
+        delete updates.owner;
+
         // Add timestamp to updates
         updates.updatedAt = new Date();
 
         const result = await Company.updateMany(
-            { _id: { $in: companyIds } },
+            { _id: { $in: companyIds }, owner: req.user._id },
             { $set: updates }
         );
 
+        if (updates.status) {
+            await followUps.handleStatusChange(req.user._id, companyIds, updates.status);
+        }
+
         logger.info('Bulk company update:', {
             companyIds,
             updates,
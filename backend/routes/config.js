@@ -2,6 +2,10 @@ const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 const logger = require('../utils/logger');
+const llmProviders = require('../services/llmProviders');
+const usageTracker = require('../services/usageTracker');
+const credentialVault = require('../services/credentialVault');
+const { requireAdmin } = require('../middleware/auth');
 
 // Import or create SearchJob model safely
 let SearchJob;
@@ -170,31 +174,190 @@ try {
     SearchJob = mongoose.model('SearchJob', searchJobSchema);
 }
 
-// Save API keys (in production, encrypt these)
+// The user's API keys, masked, and which providers fall back to the
+// instance-wide environment keys
+router.get('/api-keys', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: {
+                vaultConfigured: credentialVault.isConfigured(),
+                keys: await credentialVault.listCredentials(req.user._id)
+            }
+        });
+    } catch (error) {
+        logger.error('Failed to list API keys:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Save the user's API keys, e.g. { "openai": "sk-...", "apollo": "..." }.
+// Keys are encrypted in the database; sending a provider again replaces
+// (rotates) its key and empty values are ignored.
 router.post('/api-keys', async (req, res) => {
     try {
-        const { openai, apollo, hunter, linkedin, crunchbase } = req.body;
-
-        // In production, store these encrypted in database
-        // For now, just validate they exist and update environment
-        if (openai) process.env.OPENAI_API_KEY = openai;
-        if (apollo) process.env.APOLLO_API_KEY = apollo;
-        if (hunter) process.env.HUNTER_API_KEY = hunter;
-        if (linkedin) process.env.LINKEDIN_API_KEY = linkedin;
-        if (crunchbase) process.env.CRUNCHBASE_API_KEY = crunchbase;
-
-        logger.info('API keys updated - Apollo.io integration enabled');
-        res.json({ success: true, message: 'API keys saved successfully' });
+        if (!credentialVault.isConfigured()) {
+            return res.status(503).json({
+                success: false,
+                message: 'API keys cannot be stored until CREDENTIAL_MASTER_KEY is set on the server'
+            });
+        }
+
+        const updates = Object.entries(req.body || {})
+            .filter(([, value]) => typeof value === 'string' && value.trim())
+            .map(([provider, value]) => [provider, value.trim()]);
+
+        for (const [provider, value] of updates) {
+            if (!credentialVault.isKnownProvider(provider)) {
+                return res.status(400).json({ success: false, message: `Unknown API provider: ${provider}` });
+            }
+            if (value.length > credentialVault.MAX_KEY_LENGTH) {
+                return res.status(400).json({ success: false, message: `${provider} API key is too long` });
+            }
+        }
+
+        for (const [provider, value] of updates) {
+            await credentialVault.saveCredential(req.user._id, provider, value);
+        }
+
+        res.json({
+            success: true,
+            message: updates.length > 0 ? 'API keys saved successfully' : 'No API keys to save',
+            data: {
+                vaultConfigured: true,
+                keys: await credentialVault.listCredentials(req.user._id)
+            }
+        });
     } catch (error) {
         logger.error('Failed to save API keys:', error);
-        res.status(500).json({ message: error.message });
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Re-encrypt every stored key under the current CREDENTIAL_MASTER_KEY
+router.post('/api-keys/rotate', requireAdmin, async (req, res) => {
+    try {
+        if (!credentialVault.isConfigured()) {
+            return res.status(503).json({ success: false, message: 'CREDENTIAL_MASTER_KEY is not set' });
+        }
+
+        const result = await credentialVault.rotateMasterKey();
+        res.json({
+            success: true,
+            message: `Re-encrypted ${result.rotated} API keys${result.failed ? `, ${result.failed} could not be decrypted` : ''}`,
+            data: result
+        });
+    } catch (error) {
+        logger.error('Failed to rotate credential master key:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Remove the user's key for a provider; the environment key is used again
+router.delete('/api-keys/:provider', async (req, res) => {
+    try {
+        const { provider } = req.params;
+        if (!credentialVault.isKnownProvider(provider)) {
+            return res.status(400).json({ success: false, message: `Unknown API provider: ${provider}` });
+        }
+
+        const deleted = await credentialVault.deleteCredential(req.user._id, provider);
+        if (!deleted) {
+            return res.status(404).json({ success: false, message: `No stored ${provider} API key` });
+        }
+
+        res.json({
+            success: true,
+            message: `${provider} API key removed`,
+            data: {
+                vaultConfigured: credentialVault.isConfigured(),
+                keys: await credentialVault.listCredentials(req.user._id)
+            }
+        });
+    } catch (error) {
+        logger.error('Failed to delete API key:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Get LLM provider selection per task
+router.get('/llm', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: { ...llmProviders.getLLMConfig(), prices: usageTracker.getPriceTable() }
+        });
+    } catch (error) {
+        logger.error('Failed to get LLM configuration:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Route tasks to providers, e.g. { "tasks": { "companyMatching": { "provider": "local", "model": "llama3.1" } } }
+// Sending an empty object for a task resets it to the environment defaults.
+// Model prices (USD per million tokens) are set with { "prices": { "gpt-4o": { "input": 2.5, "output": 10 } } }
+router.put('/llm', requireAdmin, async (req, res) => {
+    try {
+        const { tasks = {}, prices = {} } = req.body;
+
+        for (const [task, config] of Object.entries(tasks)) {
+            if (!llmProviders.LLM_TASKS.includes(task)) {
+                return res.status(400).json({ success: false, message: `Unknown LLM task: ${task}` });
+            }
+            if (config?.provider && !llmProviders.PROVIDERS.includes(config.provider)) {
+                return res.status(400).json({ success: false, message: `Unknown LLM provider: ${config.provider}` });
+            }
+        }
+
+        try {
+            usageTracker.validateModelPrices(prices);
+        } catch (priceError) {
+            return res.status(400).json({ success: false, message: priceError.message });
+        }
+
+        await usageTracker.setModelPrices(prices);
+        for (const [task, config] of Object.entries(tasks)) {
+            await llmProviders.setTaskConfig(task, config || {});
+        }
+
+        res.json({
+            success: true,
+            message: 'LLM configuration updated',
+            data: { ...llmProviders.getLLMConfig(), prices: usageTracker.getPriceTable() }
+        });
+    } catch (error) {
+        logger.error('Failed to update LLM configuration:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+// Real LLM spend from the usage ledger. Filter with ?jobId=, ?companyName=,
+// ?purpose= (search, rescore, email, profile) and ?days= to limit to recent calls.
+router.get('/llm/usage', async (req, res) => {
+    try {
+        const { jobId, companyName, purpose, days } = req.query;
+
+        const filter = {};
+        if (jobId) filter.jobId = jobId;
+        if (companyName) filter.companyName = companyName;
+        if (purpose) filter.purpose = purpose;
+
+        const since = parseInt(days) > 0 ?
+            new Date(Date.now() - parseInt(days) * 24 * 60 * 60 * 1000) :
+            undefined;
+
+        res.json({ success: true, data: await usageTracker.summarizeUsage(filter, since) });
+    } catch (error) {
+        logger.error('Failed to summarize LLM usage:', error);
+        res.status(500).json({ success: false, message: error.message });
     }
 });
 
-// Test API connections
+// Test API connections. Without an apiKey the user's saved key is tested.
 router.post('/test-connection', async (req, res) => {
     try {
-        const { apiName, apiKey } = req.body;
+        const { apiName } = req.body;
+        const apiKey = req.body.apiKey || credentialVault.getApiKey(apiName);
 
         let testResult = { success: false, message: '' };
 
@@ -0,0 +1,305 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const Company = require('../models/Company');
+const contactVerification = require('../services/contactVerification');
+const logger = require('../utils/logger');
+
+// HR contacts of one company, mounted at /api/companies/:id/contacts.
+// Contacts added here have source 'manual'; an email address can only be
+// listed once per company.
+
+const CONTACT_FIELDS = ['name', 'email', 'title', 'confidence'];
+
+// Validates a contact from the request body. Returns { contact } with only
+// the fields that were sent, or { error }. partial allows leaving out email.
+function parseContact(body = {}, { partial = false } = {}) {
+    const contact = {};
+
+    for (const field of CONTACT_FIELDS) {
+        if (body[field] === undefined) continue;
+
+        if (field === 'confidence') {
+            const confidence = body.confidence === null || body.confidence === '' ? null : Number(body.confidence);
+            if (confidence !== null && (!Number.isFinite(confidence) || confidence < 0 || confidence > 100)) {
+                return { error: 'Confidence must be between 0 and 100' };
+            }
+            contact.confidence = confidence;
+        } else if (typeof body[field] !== 'string') {
+            return { error: `${field} must be a string` };
+        } else {
+            contact[field] = body[field].trim();
+        }
+    }
+
+    if (contact.email !== undefined || !partial) {
+        const { domain, reason } = contactVerification.checkSyntax(contact.email);
+        if (!domain) {
+            return { error: reason };
+        }
+        contact.email = contact.email.toLowerCase();
+    }
+
+    return { contact };
+}
+
+function findCompany(req) {
+    return Company.findOne({ _id: req.params.id, owner: req.user._id });
+}
+
+const companyNotFound = (res) => res.status(404).json({
+    success: false,
+    message: 'Company not found'
+});
+
+const contactNotFound = (res) => res.status(404).json({
+    success: false,
+    message: 'Contact not found'
+});
+
+const duplicateContact = (res, existing) => res.status(409).json({
+    success: false,
+    message: `${existing.email} is already a contact${existing.name ? ` (${existing.name})` : ''}`,
+    data: { duplicateOf: existing._id }
+});
+
+// List the company's contacts, primary first
+router.get('/', async (req, res) => {
+    try {
+        const company = await Company.findOne({ _id: req.params.id, owner: req.user._id })
+            .select('name hrContacts')
+            .lean();
+        if (!company) return companyNotFound(res);
+
+        res.json({
+            success: true,
+            data: company.hrContacts || []
+        });
+
+    } catch (error) {
+        logger.error('Failed to list company contacts:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to list company contacts',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+// Add a contact. Body: { name, email, title, confidence, isPrimary }
+router.post('/', async (req, res) => {
+    try {
+        const { contact, error } = parseContact(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const company = await findCompany(req);
+        if (!company) return companyNotFound(res);
+
+        const existing = company.findContactByEmail(contact.email);
+        if (existing) return duplicateContact(res, existing);
+
+        company.hrContacts.push({
+            ...contact,
+            confidence: contact.confidence ?? 100,
+            source: 'manual'
+        });
+        const added = company.hrContacts[company.hrContacts.length - 1];
+        if (req.body.isPrimary) {
+            company.setPrimaryContact(added._id);
+        }
+        await company.save();
+
+        logger.info('Contact added to company:', {
+            companyId: req.params.id,
+            companyName: company.name,
+            contactId: added._id.toString()
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Contact added',
+            data: {
+                contact: company.hrContacts.id(added._id),
+                hrContacts: company.hrContacts
+            }
+        });
+
+    } catch (error) {
+        logger.error('Failed to add company contact:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add company contact',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+// Verify the company's HR contact emails (syntax, MX records, catch-all
+// domain, then Hunter's email verifier). Body: { contactIds, force,
+// useHunter }, all optional; useHunter defaults to true and spends one Hunter
+// verification per address.
+router.post('/verify', async (req, res) => {
+    try {
+        const { contactIds, force = false, useHunter = true } = req.body || {};
+
+        const company = await Company.findOne({ _id: req.params.id, owner: req.user._id });
+        if (!company) {
+            return res.status(404).json({
+                success: false,
+                message: 'Company not found'
+            });
+        }
+
+        const results = await contactVerification.verifyCompanyContacts(company, {
+            contactIds,
+            force: !!force,
+            useHunter: useHunter !== false
+        });
+        const checked = results.filter(result => !result.skipped);
+
+        logger.info('Company contacts verified:', {
+            companyId: req.params.id,
+            companyName: company.name,
+            checked: checked.length,
+            valid: checked.filter(result => result.status === 'valid').length,
+            invalid: checked.filter(result => result.status === 'invalid').length
+        });
+
+        res.json({
+            success: true,
+            message: `Checked ${checked.length} contacts${results.length > checked.length ? `, ${results.length - checked.length} checked recently and skipped` : ''}`,
+            data: {
+                results,
+                hrContacts: (await Company.findById(company._id).select('hrContacts').lean()).hrContacts
+            }
+        });
+
+    } catch (error) {
+        logger.error('Failed to verify company contacts:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to verify company contacts',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+// Make a contact the primary one, used for outreach and shown first
+router.put('/:contactId/primary', async (req, res) => {
+    try {
+        const company = await findCompany(req);
+        if (!company) return companyNotFound(res);
+
+        const contact = company.setPrimaryContact(req.params.contactId);
+        if (!contact) return contactNotFound(res);
+        await company.save();
+
+        res.json({
+            success: true,
+            message: `${contact.name || contact.email} is now the primary contact`,
+            data: {
+                contact,
+                hrContacts: company.hrContacts
+            }
+        });
+
+    } catch (error) {
+        logger.error('Failed to set primary contact:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to set primary contact',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+// Edit a contact. Body: any of { name, email, title, confidence, isPrimary }.
+// A changed email address has to be verified again.
+router.put('/:contactId', async (req, res) => {
+    try {
+        const { contact: updates, error } = parseContact(req.body, { partial: true });
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const company = await findCompany(req);
+        if (!company) return companyNotFound(res);
+
+        const contact = company.hrContacts.id(req.params.contactId);
+        if (!contact) return contactNotFound(res);
+
+        if (updates.email !== undefined && updates.email !== contact.email) {
+            const existing = company.findContactByEmail(updates.email, contact._id);
+            if (existing) return duplicateContact(res, existing);
+
+            Object.assign(contact, {
+                verified: false,
+                verificationStatus: 'unverified',
+                verificationReason: undefined,
+                verificationCheckedAt: undefined
+            });
+        }
+
+        Object.assign(contact, updates);
+        if (req.body.isPrimary === true) {
+            company.setPrimaryContact(contact._id);
+        } else if (req.body.isPrimary === false) {
+            contact.isPrimary = false;
+        }
+        await company.save();
+
+        res.json({
+            success: true,
+            message: 'Contact updated',
+            data: {
+                contact: company.hrContacts.id(contact._id),
+                hrContacts: company.hrContacts
+            }
+        });
+
+    } catch (error) {
+        logger.error('Failed to update company contact:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update company contact',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+// Remove a contact
+router.delete('/:contactId', async (req, res) => {
+    try {
+        const company = await findCompany(req);
+        if (!company) return companyNotFound(res);
+
+        const contact = company.hrContacts.id(req.params.contactId);
+        if (!contact) return contactNotFound(res);
+
+        contact.deleteOne();
+        await company.save();
+
+        logger.info('Contact removed from company:', {
+            companyId: req.params.id,
+            companyName: company.name,
+            contactId: req.params.contactId
+        });
+
+        res.json({
+            success: true,
+            message: 'Contact removed',
+            data: { hrContacts: company.hrContacts }
+        });
+
+    } catch (error) {
+        logger.error('Failed to remove company contact:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove company contact',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+module.exports = router;
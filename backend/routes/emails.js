@@ -1,8 +1,35 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Company = require('../models/Company');
 const UserProfile = require('../models/UserProfile');
 const logger = require('../utils/logger');
+const {
+    generateAIEmailWithUsage,
+    generateTemplateEmail,
+    getDefaultEmailTemplates,
+    findTemplate,
+    renderTemplateDraft,
+    pickRecipient
+} = require('../services/emailDrafts');
+const emailSender = require('../services/emailSender');
+const followUps = require('../services/followUps');
+const replyPoller = require('../services/replyPoller');
+const OutboxEmail = require('../models/OutboxEmail');
+const { checkSyntax } = require('../services/contactVerification');
+const { buildTemplateContext, renderTemplate, lintTemplate, describeTemplateVariables } = require('../utils/emailTemplate');
+
+// The saved or default template a generation request picked with
+// templateId, null when it didn't pick one and undefined when there is no
+// such template
+async function findRequestedTemplate(req) {
+    const { templateId } = req.body;
+    if (templateId === undefined || templateId === null) return null;
+    if (typeof templateId !== 'string') return undefined;
+
+    const savedProfile = await UserProfile.findOne({ userId: req.user.id }).select('emailTemplates').lean();
+    return findTemplate(savedProfile, templateId) || undefined;
+}
 
 // Debug middleware to log all requests to this router
 router.use((req, res, next) => {
@@ -21,14 +48,22 @@ router.get('/test', (req, res) => {
             'POST /api/emails/bulk-generate',
             'GET /api/emails/templates',
             'POST /api/emails/templates',
+            'GET /api/emails/templates/variables',
+            'POST /api/emails/templates/:id/preview/:companyId',
             'GET /api/emails/history',
             'PUT /api/emails/history/:companyId/:emailIndex/sent',
+            'POST /api/emails/send/:companyId',
+            'GET /api/emails/outbox',
+            'POST /api/emails/outbox/:id/retry',
+            'POST /api/emails/outbox/:id/cancel',
             'GET /api/emails/stats'
         ]
     });
 });
 
-// Generate personalized email for a company (UPDATED)
+// Generate personalized email for a company (UPDATED). Body: { profile,
+// templateId? }; with a templateId the email is rendered from that template
+// instead of written by the AI.
 router.post('/generate/:companyId', async (req, res) => {
     try {
         const { companyId } = req.params;
@@ -43,7 +78,7 @@ router.post('/generate/:companyId', async (req, res) => {
         }
 
         // Get company details with HR contacts
-        const company = await Company.findById(companyId).lean();
+        const company = await Company.findOne({ _id: companyId, owner: req.user._id }).lean();
         if (!company) {
             return res.status(404).json({
                 success: false,
@@ -59,26 +94,38 @@ router.post('/generate/:companyId', async (req, res) => {
             });
         }
 
+        const template = await findRequestedTemplate(req);
+        if (template === undefined) {
+            return res.status(404).json({
+                success: false,
+                message: 'Template not found'
+            });
+        }
+
         // Find the best HR contact
         const hrContact = company.hrContacts?.find(c => c.verified) ||
             company.hrContacts?.[0] ||
             null;
 
         // Log the email generation attempt
-        logger.info('Generating AI email', {
+        logger.info(template ? 'Rendering email template' : 'Generating AI email', {
             companyName: company.name,
             hasHRContact: !!hrContact,
+            templateId: template?._id.toString(),
             userId: profile.personalInfo.email
         });
 
-        // Generate email using AI service with fallback
+        // Render the picked template, or generate with the AI service with fallback
         let emailTemplate;
-        try {
-            const openaiService = require('../services/openaiService');
-            emailTemplate = await openaiService.generateAIEmail(profile, company, hrContact);
-        } catch (error) {
-            logger.warn('OpenAI email generation failed, using template:', error.message);
-            emailTemplate = generateTemplateEmail(profile, company, hrContact);
+        if (template) {
+            emailTemplate = renderTemplateDraft(profile, company, hrContact, template);
+        } else {
+            try {
+                emailTemplate = await generateAIEmailWithUsage(profile, company, hrContact);
+            } catch (error) {
+                logger.warn('OpenAI email generation failed, using template:', error.message);
+                emailTemplate = generateTemplateEmail(profile, company, hrContact);
+            }
         }
 
         // Validate the generated email
@@ -88,27 +135,28 @@ router.post('/generate/:companyId', async (req, res) => {
 
         // Record email generation in company history
         const emailHistoryEntry = {
+            _id: new mongoose.Types.ObjectId(),
             generatedAt: new Date(),
             recipientEmail: emailTemplate.recipientEmail,
             subject: emailTemplate.subject,
             sent: false,
+            aiUsage: emailTemplate.aiUsage,
+            templateId: emailTemplate.templateId,
             metadata: {
-                hasAI: true,
+                hasAI: !template,
                 templateVersion: '2.0',
                 recipientName: emailTemplate.recipientName,
                 matchScore: company.aiMatchScore
             }
         };
 
-        await Company.findByIdAndUpdate(companyId, {
+        await Company.updateOne({ _id: companyId, owner: req.user._id }, {
             $push: { emailHistory: emailHistoryEntry }
         });
 
         // Track in user profile
         try {
-            const userProfile = await UserProfile.findOne({
-                'personalInfo.email': profile.personalInfo.email
-            });
+            const userProfile = await UserProfile.findOne({ userId: req.user.id });
 
             if (userProfile) {
                 await userProfile.addCompanyInteraction(
@@ -135,6 +183,7 @@ router.post('/generate/:companyId', async (req, res) => {
                 ...emailTemplate,
                 companyId: company._id,
                 companyName: company.name,
+                emailHistoryId: emailHistoryEntry._id,
                 generatedAt: new Date()
             },
             message: 'Email generated successfully'
@@ -171,7 +220,7 @@ router.post('/regenerate/:companyId', async (req, res) => {
             });
         }
 
-        const company = await Company.findById(companyId).lean();
+        const company = await Company.findOne({ _id: companyId, owner: req.user._id }).lean();
         if (!company) {
             return res.status(404).json({
                 success: false,
@@ -193,8 +242,7 @@ router.post('/regenerate/:companyId', async (req, res) => {
         // Generate email with specific tone
         let emailTemplate;
         try {
-            const openaiService = require('../services/openaiService');
-            emailTemplate = await openaiService.generateAIEmail(profile, company, hrContact, { tone });
+            emailTemplate = await generateAIEmailWithUsage(profile, company, hrContact, { tone });
         } catch (error) {
             logger.warn('OpenAI regeneration failed, using template:', error.message);
             emailTemplate = generateTemplateEmail(profile, company, hrContact);
@@ -221,7 +269,8 @@ router.post('/regenerate/:companyId', async (req, res) => {
     }
 });
 
-// NEW: Bulk email generation endpoint
+// NEW: Bulk email generation endpoint. Body: { companyIds, profile,
+// templateId? } as for /generate.
 router.post('/bulk-generate', async (req, res) => {
     try {
         const { companyIds, profile } = req.body;
@@ -240,12 +289,20 @@ router.post('/bulk-generate', async (req, res) => {
             });
         }
 
+        const template = await findRequestedTemplate(req);
+        if (template === undefined) {
+            return res.status(404).json({
+                success: false,
+                message: 'Template not found'
+            });
+        }
+
         const results = [];
         const errors = [];
 
         for (const companyId of companyIds) {
             try {
-                const company = await Company.findById(companyId).lean();
+                const company = await Company.findOne({ _id: companyId, owner: req.user._id }).lean();
                 if (!company) {
                     errors.push({ companyId, error: 'Company not found' });
                     continue;
@@ -255,10 +312,18 @@ router.post('/bulk-generate', async (req, res) => {
                     company.hrContacts?.[0] ||
                     null;
 
+                if (template) {
+                    results.push({
+                        companyId,
+                        companyName: company.name,
+                        email: renderTemplateDraft(profile, company, hrContact, template)
+                    });
+                    continue;
+                }
+
                 let emailTemplate;
                 try {
-                    const openaiService = require('../services/openaiService');
-                    emailTemplate = await openaiService.generateAIEmail(profile, company, hrContact);
+                    emailTemplate = await generateAIEmailWithUsage(profile, company, hrContact);
                 } catch (error) {
                     logger.warn(`AI generation failed for ${company.name}, using template`);
                     emailTemplate = generateTemplateEmail(profile, company, hrContact);
@@ -355,97 +420,10 @@ ${profile.personalInfo.linkedinUrl ? `LinkedIn: ${profile.personalInfo.linkedinU
     };
 }
 
-// Generate template-based email
-function generateTemplateEmail(profile, company, hrContact) {
-    const recipientName = hrContact?.name || 'Hiring Manager';
-    const recipientEmail = hrContact?.email || `hr@${company.domain}`;
-
-    const subject = `Informational Interview Request - ${profile.personalInfo.firstName} ${profile.personalInfo.lastName}`;
-
-    const content = `Dear ${recipientName},
-
-I hope this email finds you well. My name is ${profile.personalInfo.firstName} ${profile.personalInfo.lastName}, and I'm a ${profile.currentTitle} interested in learning more about opportunities at ${company.name}.
-
-Your company's work in ${company.industry} particularly caught my attention, and I believe my background would be a strong fit for your team.
-
-About me:
-• ${profile.currentTitle} with ${profile.experience} level experience
-• Strong background in technology and problem-solving
-• Passionate about innovation and continuous learning
-
-I would appreciate the opportunity to have a brief informational interview to learn more about ${company.name} and discuss how I might contribute to your team.
-
-Thank you for your time and consideration.
-
-Best regards,
-${profile.personalInfo.firstName} ${profile.personalInfo.lastName}
-${profile.personalInfo.email}
-${profile.personalInfo.phone || ''}`;
-
-    return {
-        recipientName,
-        recipientEmail,
-        subject,
-        content,
-        keyPoints: [
-            `Professional introduction to ${company.name}`,
-            `Highlights relevant experience`,
-            `Requests informational interview`,
-            `Includes complete contact information`
-        ]
-    };
-}
-
-// Helper function for default templates
-function getDefaultEmailTemplates() {
-    return [
-        {
-            name: 'Professional Informational Interview',
-            subject: 'Informational Interview Request - {senderName}',
-            body: `Dear {recipientName},
-
-I hope this email finds you well. My name is {senderName}, and I'm a {currentTitle} with a keen interest in {companyName}'s work in the {industry} sector.
-
-I've been following {companyName}'s journey and am particularly impressed by your innovative approach. I would greatly appreciate the opportunity to learn more about your company culture and current initiatives.
-
-Would you be available for a brief 15-20 minute informational interview in the coming weeks? I'm happy to work around your schedule.
-
-Thank you for considering my request.
-
-Best regards,
-{senderName}
-{email}
-{phone}`,
-            variables: ['recipientName', 'senderName', 'currentTitle', 'companyName', 'industry', 'email', 'phone'],
-            isDefault: true,
-            createdAt: new Date(),
-            useCount: 0
-        },
-        {
-            name: 'Casual Networking Request',
-            subject: 'Coffee Chat Request - Fellow {industry} Professional',
-            body: `Hi {recipientName},
-
-I'm {senderName}, a {currentTitle} based in {location}. I came across {companyName} and was really intrigued by what you're building.
-
-I'd love to grab a virtual coffee and hear about your experience at {companyName}. I'm particularly interested in learning about your team's approach to {industry} challenges.
-
-Would you have 20 minutes for a quick chat sometime next week?
-
-Thanks!
-{senderName}`,
-            variables: ['recipientName', 'senderName', 'currentTitle', 'location', 'companyName', 'industry'],
-            isDefault: false,
-            createdAt: new Date(),
-            useCount: 0
-        }
-    ];
-}
-
 // Get email templates (UPDATED)
 router.get('/templates', async (req, res) => {
     try {
-        const profile = await UserProfile.findOne({ userId: 'default' });
+        const profile = await UserProfile.findOne({ userId: req.user.id });
 
         let templates = profile?.emailTemplates || [];
 
@@ -478,7 +456,7 @@ router.get('/templates', async (req, res) => {
 // Save custom email template (UPDATED)
 router.post('/templates', async (req, res) => {
     try {
-        const { name, subject, body, variables, isDefault } = req.body;
+        const { name, subject, body, isDefault } = req.body;
 
         if (!name || !subject || !body) {
             return res.status(400).json({
@@ -487,8 +465,18 @@ router.post('/templates', async (req, res) => {
             });
         }
 
+        const lint = lintTemplate({ subject, body });
+        if (lint.errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Template has ${lint.errors.length} error${lint.errors.length === 1 ? '' : 's'}: ${lint.errors[0].message}`,
+                errors: lint.errors,
+                warnings: lint.warnings
+            });
+        }
+
         // Get user profile
-        const profile = await UserProfile.findOne({ userId: 'default' });
+        const profile = await UserProfile.findOne({ userId: req.user.id });
         if (!profile) {
             return res.status(404).json({
                 success: false,
@@ -508,26 +496,15 @@ router.post('/templates', async (req, res) => {
             });
         }
 
-        // Add new template
-        const newTemplate = {
+        // Add new template; the variables it uses are read from the text
+        profile.emailTemplates.push({
             name,
             subject,
             body,
-            variables: variables || [
-                'recipientName',
-                'companyName',
-                'industry',
-                'senderName',
-                'currentTitle',
-                'location'
-            ],
+            variables: lint.variables,
             isDefault: isDefault || false,
-            createdAt: new Date(),
-            lastUsed: null,
-            useCount: 0
-        };
-
-        profile.emailTemplates.push(newTemplate);
+            createdAt: new Date()
+        });
         await profile.save();
 
         logger.info('Email template saved:', { name, isDefault });
@@ -535,7 +512,8 @@ router.post('/templates', async (req, res) => {
         res.json({
             success: true,
             message: 'Email template saved successfully',
-            data: newTemplate
+            data: profile.emailTemplates[profile.emailTemplates.length - 1],
+            warnings: lint.warnings
         });
 
     } catch (error) {
@@ -547,6 +525,71 @@ router.post('/templates', async (req, res) => {
     }
 });
 
+// Variables templates can use, by group
+router.get('/templates/variables', (req, res) => {
+    res.json({
+        success: true,
+        data: describeTemplateVariables()
+    });
+});
+
+// Render a template for one company, with its primary HR contact unless
+// body.contactId picks another
+router.post('/templates/:id/preview/:companyId', async (req, res) => {
+    try {
+        const { id, companyId } = req.params;
+        if (!mongoose.isValidObjectId(companyId)) {
+            return res.status(400).json({ success: false, message: 'Invalid company id' });
+        }
+
+        const [profile, company] = await Promise.all([
+            UserProfile.findOne({ userId: req.user.id }).lean(),
+            Company.findOne({ _id: companyId, owner: req.user._id }).lean()
+        ]);
+        if (!company) {
+            return res.status(404).json({ success: false, message: 'Company not found' });
+        }
+
+        const template = findTemplate(profile, id);
+        if (!template) {
+            return res.status(404).json({ success: false, message: 'Template not found' });
+        }
+
+        const contactId = req.body?.contactId;
+        const hrContact = contactId ?
+            company.hrContacts?.find(contact => contact._id.toString() === contactId) :
+            pickRecipient(company);
+        if (contactId && !hrContact) {
+            return res.status(404).json({ success: false, message: 'Contact not found' });
+        }
+
+        const context = buildTemplateContext(profile, company, hrContact);
+        const subject = renderTemplate(template.subject, context);
+        const body = renderTemplate(template.body, context);
+
+        res.json({
+            success: true,
+            data: {
+                templateId: template._id,
+                companyId: company._id,
+                recipientName: hrContact?.name || null,
+                recipientEmail: hrContact?.email || null,
+                subject: subject.text.trim(),
+                body: body.text.trim(),
+                // Variables that rendered empty with no fallback
+                missing: [...new Set([...subject.missing, ...body.missing])],
+                warnings: lintTemplate(template).warnings
+            }
+        });
+    } catch (error) {
+        logger.error('Failed to preview email template:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to preview email template'
+        });
+    }
+});
+
 // Get email generation history
 router.get('/history', async (req, res) => {
     try {
@@ -556,6 +599,7 @@ router.get('/history', async (req, res) => {
 
         // Get companies with email history
         const companies = await Company.find({
+            owner: req.user._id,
             'emailHistory.0': { $exists: true }
         })
             .select('name emailHistory')
@@ -573,7 +617,14 @@ router.get('/history', async (req, res) => {
                     recipientEmail: email.recipientEmail,
                     subject: email.subject,
                     sent: email.sent,
+                    deliveryStatus: email.deliveryStatus,
+                    messageId: email.messageId,
+                    sentAt: email.sentAt,
+                    deliveryError: email.deliveryError,
+                    repliedAt: email.repliedAt,
+                    replies: email.replies,
                     generatedAt: email.generatedAt,
+                    aiUsage: email.aiUsage,
                     metadata: email.metadata
                 });
             });
@@ -583,6 +634,7 @@ router.get('/history', async (req, res) => {
         emailHistory.sort((a, b) => b.generatedAt - a.generatedAt);
 
         const total = await Company.countDocuments({
+            owner: req.user._id,
             'emailHistory.0': { $exists: true }
         });
 
@@ -611,7 +663,7 @@ router.put('/history/:companyId/:emailIndex/sent', async (req, res) => {
     try {
         const { companyId, emailIndex } = req.params;
 
-        const company = await Company.findById(companyId);
+        const company = await Company.findOne({ _id: companyId, owner: req.user._id });
 
         if (!company) {
             return res.status(404).json({
@@ -628,12 +680,29 @@ router.put('/history/:companyId/:emailIndex/sent', async (req, res) => {
             });
         }
 
-        company.emailHistory[index].sent = true;
+        const email = company.emailHistory[index];
+        if (email.sent) {
+            return res.json({
+                success: true,
+                message: 'Email was already marked as sent'
+            });
+        }
+
+        email.sent = true;
+        email.sentAt = email.sentAt || new Date();
         await company.save();
 
+        // Sent from the user's own mail client, so nothing to thread on
+        followUps.scheduleInBackground(req.user._id, company, {
+            emailHistoryId: email._id,
+            to: email.recipientEmail,
+            subject: email.subject,
+            sentAt: email.sentAt
+        });
+
         // Update user interaction
         try {
-            const userProfile = await UserProfile.findOne({ userId: 'default' });
+            const userProfile = await UserProfile.findOne({ userId: req.user.id });
             if (userProfile) {
                 await userProfile.addCompanyInteraction(
                     companyId,
@@ -665,40 +734,335 @@ router.put('/history/:companyId/:emailIndex/sent', async (req, res) => {
     }
 });
 
+// Send an email over SMTP. Body: { to, subject, body, emailHistoryId? }.
+// emailHistoryId is the entry returned by /generate; without it a new
+// history entry is recorded. Waits for the first delivery attempt; a
+// temporary failure stays queued and is retried by the outbox worker.
+router.post('/send/:companyId', async (req, res) => {
+    try {
+        const { companyId } = req.params;
+        const { to, subject, body, emailHistoryId } = req.body;
+
+        if (!mongoose.isValidObjectId(companyId)) {
+            return res.status(400).json({ success: false, message: 'Invalid company id' });
+        }
+
+        if (!emailSender.isConfigured()) {
+            return res.status(503).json({
+                success: false,
+                message: 'Email sending is not configured on the server (set SMTP_HOST)'
+            });
+        }
+
+        if (!to || !subject || !body) {
+            return res.status(400).json({
+                success: false,
+                message: 'Recipient, subject and body are required'
+            });
+        }
+
+        if (!checkSyntax(to).domain) {
+            return res.status(400).json({
+                success: false,
+                message: `${to} is not a valid email address`
+            });
+        }
+
+        const company = await Company.findOne({ _id: companyId, owner: req.user._id });
+        if (!company) {
+            return res.status(404).json({
+                success: false,
+                message: 'Company not found'
+            });
+        }
+
+        let historyEntry = null;
+        if (emailHistoryId) {
+            historyEntry = mongoose.isValidObjectId(emailHistoryId) ? company.emailHistory.id(emailHistoryId) : null;
+            if (!historyEntry) {
+                return res.status(404).json({ success: false, message: 'Email not found in the company history' });
+            }
+
+            // Claim the entry before sending, so two requests for the same
+            // email can't both send it
+            const claimed = await Company.updateOne({
+                _id: company._id,
+                owner: req.user._id,
+                emailHistory: { $elemMatch: { _id: historyEntry._id, deliveryStatus: { $nin: ['queued', 'sent'] } } }
+            }, {
+                $set: { 'emailHistory.$.deliveryStatus': 'queued' }
+            });
+            if (claimed.modifiedCount === 0) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'This email was already sent or is queued'
+                });
+            }
+        }
+
+        let outbox;
+        try {
+            const sender = await emailSender.getSenderIdentity(req.user);
+
+            outbox = await emailSender.sendEmail({
+                owner: req.user._id,
+                company,
+                emailHistoryId: historyEntry?._id,
+                to,
+                subject,
+                body,
+                ...sender
+            });
+        } catch (error) {
+            // Release the claim unless an outbox email took it over
+            if (historyEntry) {
+                await Company.updateOne({
+                    _id: company._id,
+                    emailHistory: {
+                        $elemMatch: { _id: historyEntry._id, deliveryStatus: 'queued', outboxId: historyEntry.outboxId || null }
+                    }
+                }, {
+                    $set: { 'emailHistory.$.deliveryStatus': historyEntry.deliveryStatus }
+                }).catch(() => {});
+            }
+            throw error;
+        }
+
+        const messages = {
+            sent: `Email sent to ${to}`,
+            queued: `Sending to ${to} failed temporarily; it will be retried`,
+            failed: `Sending to ${to} failed`
+        };
+
+        res.status(outbox.status === 'failed' ? 502 : 200).json({
+            success: outbox.status !== 'failed',
+            message: messages[outbox.status] || `Email ${outbox.status}`,
+            data: formatOutboxEmail(outbox)
+        });
+
+    } catch (error) {
+        logger.error('Failed to send email:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send email',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+// List the user's outbox, newest first. Query: status, companyId, page, limit
+router.get('/outbox', async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const skip = (page - 1) * limit;
+
+        const filter = { owner: req.user._id };
+        if (req.query.status) filter.status = req.query.status;
+        if (req.query.companyId) filter.company = req.query.companyId;
+
+        const [emails, total] = await Promise.all([
+            OutboxEmail.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+            OutboxEmail.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            data: emails.map(formatOutboxEmail),
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            },
+            smtpConfigured: emailSender.isConfigured()
+        });
+
+    } catch (error) {
+        logger.error('Failed to get outbox:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get outbox'
+        });
+    }
+});
+
+// Try a failed email again now
+router.post('/outbox/:id/retry', async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid outbox id'
+            });
+        }
+
+        const outbox = await emailSender.retryEmail(req.user._id, req.params.id);
+        if (!outbox) {
+            return res.status(404).json({
+                success: false,
+                message: 'No failed email with that id'
+            });
+        }
+
+        res.json({
+            success: outbox.status !== 'failed',
+            message: outbox.status === 'sent' ? `Email sent to ${outbox.to}` : `Email ${outbox.status}`,
+            data: formatOutboxEmail(outbox)
+        });
+
+    } catch (error) {
+        logger.error('Failed to retry email:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retry email'
+        });
+    }
+});
+
+// Stop a queued email from being retried
+router.post('/outbox/:id/cancel', async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid outbox id'
+            });
+        }
+
+        const outbox = await OutboxEmail.findOneAndUpdate(
+            { _id: req.params.id, owner: req.user._id, status: 'queued' },
+            { $set: { status: 'cancelled' } },
+            { new: true }
+        );
+        if (!outbox) {
+            return res.status(404).json({
+                success: false,
+                message: 'No queued email with that id'
+            });
+        }
+
+        await Company.updateOne(
+            { _id: outbox.company, owner: req.user._id, 'emailHistory._id': outbox.emailHistoryId },
+            { $set: { 'emailHistory.$.deliveryStatus': 'draft' } }
+        );
+
+        res.json({
+            success: true,
+            message: 'Email cancelled',
+            data: formatOutboxEmail(outbox)
+        });
+
+    } catch (error) {
+        logger.error('Failed to cancel email:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to cancel email'
+        });
+    }
+});
+
+function formatOutboxEmail(outbox) {
+    return {
+        _id: outbox._id,
+        companyId: outbox.company,
+        companyName: outbox.companyName,
+        emailHistoryId: outbox.emailHistoryId,
+        to: outbox.to,
+        subject: outbox.subject,
+        status: outbox.status,
+        attempts: outbox.attempts,
+        nextAttemptAt: outbox.status === 'queued' ? outbox.nextAttemptAt : null,
+        lastError: outbox.lastError,
+        messageId: outbox.messageId,
+        sentAt: outbox.sentAt,
+        createdAt: outbox.createdAt
+    };
+}
+
 // Get email statistics
 router.get('/stats', async (req, res) => {
     try {
+        // Per company first, so a company that answered a follow-up counts
+        // once and time to reply runs from the first email sent
         const stats = await Company.aggregate([
             {
                 $match: {
+                    owner: req.user._id,
                     'emailHistory.0': { $exists: true }
                 }
             },
             {
-                $unwind: '$emailHistory'
+                $project: {
+                    totalEmails: { $size: '$emailHistory' },
+                    emailsSent: {
+                        $size: { $filter: { input: '$emailHistory', as: 'email', cond: '$$email.sent' } }
+                    },
+                    repliesReceived: {
+                        $sum: { $map: { input: '$emailHistory', as: 'email', in: { $size: { $ifNull: ['$$email.replies', []] } } } }
+                    },
+                    firstSentAt: {
+                        $min: {
+                            $map: {
+                                input: { $filter: { input: '$emailHistory', as: 'email', cond: '$$email.sent' } },
+                                as: 'email',
+                                in: { $ifNull: ['$$email.sentAt', '$$email.generatedAt'] }
+                            }
+                        }
+                    },
+                    firstReplyAt: { $min: '$emailHistory.repliedAt' }
+                }
+            },
+            {
+                $addFields: {
+                    replyMs: {
+                        $cond: [
+                            { $and: ['$firstSentAt', '$firstReplyAt'] },
+                            { $max: [0, { $subtract: ['$firstReplyAt', '$firstSentAt'] }] },
+                            null
+                        ]
+                    }
+                }
             },
             {
                 $group: {
                     _id: null,
-                    totalEmails: { $sum: 1 },
-                    emailsSent: {
-                        $sum: { $cond: ['$emailHistory.sent', 1, 0] }
-                    },
-                    emailsGenerated: {
-                        $sum: { $cond: [{ $not: '$emailHistory.sent' }, 1, 0] }
-                    }
+                    totalEmails: { $sum: '$totalEmails' },
+                    emailsSent: { $sum: '$emailsSent' },
+                    repliesReceived: { $sum: '$repliesReceived' },
+                    companiesContacted: { $sum: { $cond: [{ $gt: ['$emailsSent', 0] }, 1, 0] } },
+                    companiesReplied: { $sum: { $cond: ['$firstReplyAt', 1, 0] } },
+                    averageReplyMs: { $avg: '$replyMs' }
                 }
             }
         ]);
 
-        const result = stats[0] || {
+        const totals = stats[0] || {
             totalEmails: 0,
             emailsSent: 0,
-            emailsGenerated: 0
+            repliesReceived: 0,
+            companiesContacted: 0,
+            companiesReplied: 0,
+            averageReplyMs: null
         };
 
-        // Calculate response rate (placeholder)
-        result.responseRate = result.emailsSent > 0 ? Math.round((result.emailsSent * 0.15) / result.emailsSent * 100) : 0;
+        const result = {
+            totalEmails: totals.totalEmails,
+            emailsSent: totals.emailsSent,
+            emailsGenerated: totals.totalEmails - totals.emailsSent,
+            repliesReceived: totals.repliesReceived,
+            companiesContacted: totals.companiesContacted,
+            companiesReplied: totals.companiesReplied,
+            // Share of contacted companies that replied, in percent
+            responseRate: totals.companiesContacted > 0 ?
+                Math.round(totals.companiesReplied / totals.companiesContacted * 100) :
+                0,
+            // From the first email sent to a company to its first reply
+            averageHoursToReply: totals.averageReplyMs !== null ?
+                Math.round(totals.averageReplyMs / (60 * 60 * 1000) * 10) / 10 :
+                null,
+            replyDetection: replyPoller.isConfigured()
+        };
 
         res.json({
             success: true,
@@ -0,0 +1,218 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const FollowUp = require('../models/FollowUp');
+const emailSender = require('../services/emailSender');
+const followUps = require('../services/followUps');
+const logger = require('../utils/logger');
+
+// Statuses listed when no status filter is given
+const OPEN_STATUSES = ['scheduled', 'draft', 'queued', 'failed'];
+
+const FOLLOW_UP_STATUSES = FollowUp.schema.path('status').enumValues;
+
+// List the user's follow-ups, soonest first.
+// Query: status (comma-separated, or 'all'), companyId
+router.get('/', async (req, res) => {
+    try {
+        const { status, companyId } = req.query;
+        const filter = { owner: req.user._id };
+
+        if (status && status !== 'all') {
+            const statuses = status.split(',').map(s => s.trim());
+            if (!statuses.every(s => FOLLOW_UP_STATUSES.includes(s))) {
+                return res.status(400).json({
+                    success: false,
+                    message: `status must be 'all' or any of: ${FOLLOW_UP_STATUSES.join(', ')}`
+                });
+            }
+            filter.status = { $in: statuses };
+        } else if (!status) {
+            filter.status = { $in: OPEN_STATUSES };
+        }
+
+        if (companyId) {
+            if (!mongoose.isValidObjectId(companyId)) {
+                return res.status(400).json({ success: false, message: 'Invalid company id' });
+            }
+            filter.company = companyId;
+        }
+
+        const items = await FollowUp.find(filter).sort({ dueAt: 1 }).limit(500).lean();
+
+        res.json({
+            success: true,
+            data: items,
+            smtpConfigured: emailSender.isConfigured()
+        });
+    } catch (error) {
+        logger.error('Failed to get follow-ups:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get follow-ups',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+// Edit a draft before sending it. Body: { subject, body }
+router.put('/:id', async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid follow-up id' });
+        }
+
+        const { subject, body } = req.body;
+        if ((subject !== undefined && !String(subject).trim()) || (body !== undefined && !String(body).trim())) {
+            return res.status(400).json({ success: false, message: 'Subject and body cannot be empty' });
+        }
+
+        const followUp = await FollowUp.findOneAndUpdate(
+            { _id: req.params.id, owner: req.user._id, status: { $in: ['draft', 'failed'] } },
+            {
+                $set: {
+                    ...(subject !== undefined && { subject: String(subject).trim() }),
+                    ...(body !== undefined && { body: String(body) })
+                }
+            },
+            { new: true }
+        );
+        if (!followUp) {
+            return res.status(409).json({ success: false, message: 'No draft follow-up with that id' });
+        }
+
+        res.json({ success: true, message: 'Follow-up updated', data: followUp });
+    } catch (error) {
+        logger.error('Failed to update follow-up:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update follow-up',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+// Approve a draft and send it as a reply to the original email.
+// Body (optional): { subject, body } to send an edited version
+router.post('/:id/send', async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid follow-up id' });
+        }
+        if (!emailSender.isConfigured()) {
+            return res.status(503).json({
+                success: false,
+                message: 'Email sending is not configured on the server (SMTP_HOST)'
+            });
+        }
+
+        const { subject, body } = req.body || {};
+        const result = await followUps.sendFollowUp(req.user, req.params.id, { subject, body });
+        if (result.error) {
+            return res.status(result.status).json({ success: false, message: result.error });
+        }
+
+        const { followUp } = result;
+        const messages = {
+            sent: `Follow-up sent to ${followUp.to}`,
+            queued: `Follow-up to ${followUp.to} will be retried: ${followUp.error}`,
+            failed: `Follow-up to ${followUp.to} failed: ${followUp.error}`
+        };
+
+        res.status(followUp.status === 'failed' ? 502 : 200).json({
+            success: followUp.status !== 'failed',
+            message: messages[followUp.status],
+            data: followUp
+        });
+    } catch (error) {
+        logger.error('Failed to send follow-up:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send follow-up',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+// Drop one follow-up; later steps of the sequence stay scheduled
+router.post('/:id/skip', async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid follow-up id' });
+        }
+
+        const followUp = await FollowUp.findOneAndUpdate(
+            { _id: req.params.id, owner: req.user._id, status: { $in: ['scheduled', 'draft', 'failed'] } },
+            { $set: { status: 'skipped' } },
+            { new: true }
+        );
+        if (!followUp) {
+            return res.status(409).json({ success: false, message: 'No open follow-up with that id' });
+        }
+
+        res.json({ success: true, message: 'Follow-up skipped', data: followUp });
+    } catch (error) {
+        logger.error('Failed to skip follow-up:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to skip follow-up',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+// Write the draft again
+router.post('/:id/redraft', async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid follow-up id' });
+        }
+
+        const followUp = await followUps.redraftFollowUp(req.user._id, req.params.id);
+        if (!followUp) {
+            return res.status(409).json({ success: false, message: 'No draft follow-up with that id' });
+        }
+        if (followUp.status !== 'draft') {
+            return res.status(followUp.status === 'failed' ? 502 : 409).json({
+                success: false,
+                message: followUp.error || followUp.stoppedReason || `This follow-up is ${followUp.status}`,
+                data: followUp
+            });
+        }
+
+        res.json({ success: true, message: 'Follow-up redrafted', data: followUp });
+    } catch (error) {
+        logger.error('Failed to redraft follow-up:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to redraft follow-up',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+// Stop every open follow-up to a company
+router.post('/company/:companyId/stop', async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.companyId)) {
+            return res.status(400).json({ success: false, message: 'Invalid company id' });
+        }
+
+        const stopped = await followUps.stopFollowUps(req.user._id, req.params.companyId, 'Stopped by user');
+
+        res.json({
+            success: true,
+            message: `Stopped ${stopped} follow-up${stopped === 1 ? '' : 's'}`,
+            data: { stopped }
+        });
+    } catch (error) {
+        logger.error('Failed to stop follow-ups:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to stop follow-ups',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        });
+    }
+});
+
+module.exports = router;
@@ -2,16 +2,21 @@ const express = require('express');
 const router = express.Router();
 const UserProfile = require('../models/UserProfile');
 const logger = require('../utils/logger');
+const usageTracker = require('../services/usageTracker');
+const llmProviders = require('../services/llmProviders');
+const { DEFAULT_REGIONS, normalizeRegions } = require('../utils/regions');
+const { normalizeRankingWeights, resolveRankingWeights } = require('../utils/ranking');
+const { normalizeFollowUpSequence, resolveFollowUpSequence } = require('../utils/followUpSequence');
 
 // Get user profile
 router.get('/', async (req, res) => {
     try {
-        let profile = await UserProfile.findOne({ userId: 'default' });
+        let profile = await UserProfile.findOne({ userId: req.user.id });
 
         if (!profile) {
             // Create default profile if it doesn't exist
             profile = new UserProfile({
-                userId: 'default',
+                userId: req.user.id,
                 personalInfo: {
                     firstName: '',
                     lastName: '',
@@ -58,7 +63,8 @@ router.get('/', async (req, res) => {
                         stockOptions: false,
                         professionalDevelopment: true
                     },
-                    location: 'boston-providence',
+                    location: 'target-regions',
+                    regions: DEFAULT_REGIONS,
                     roleTypes: ['full-time']
                 }
             });
@@ -115,11 +121,23 @@ router.post('/', async (req, res) => {
             });
         }
 
+        if (profileData.preferences.regions !== undefined) {
+            const { regions, error } = normalizeRegions(profileData.preferences.regions);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+            profileData.preferences.regions = regions;
+        }
+
         // Update or create profile
         let profile = await UserProfile.findOneAndUpdate(
-            { userId: 'default' },
+            { userId: req.user.id },
             {
                 ...profileData,
+                userId: req.user.id,
                 lastActiveAt: new Date()
             },
             {
@@ -173,20 +191,29 @@ router.post('/analyze', async (req, res) => {
             });
         }
 
+        if (!llmProviders.isAvailable('profileAnalysis')) {
+            return res.status(400).json({
+                success: false,
+                message: 'An LLM provider (OpenAI key, local model or Anthropic key) is required for profile analysis'
+            });
+        }
+
         // Import OpenAI service
         const openaiService = require('../services/openaiService');
 
         // Analyze profile
-        const analysis = await openaiService.analyzeUserProfile(resume, personalStatement);
+        const analysis = await usageTracker.withUsageContext(
+            { purpose: 'profile' },
+            () => openaiService.analyzeUserProfile(resume, personalStatement)
+        );
 
         // Update profile with analysis
         await UserProfile.findOneAndUpdate(
-            { userId: 'default' },
+            { userId: req.user.id },
             {
                 aiAnalysis: {
                     ...analysis,
-                    generatedAt: new Date(),
-                    model: 'gpt-3.5-turbo'
+                    generatedAt: new Date()
                 }
             },
             { upsert: true }
@@ -212,7 +239,7 @@ router.post('/analyze', async (req, res) => {
 // Get profile statistics
 router.get('/stats', async (req, res) => {
     try {
-        const profile = await UserProfile.findOne({ userId: 'default' });
+        const profile = await UserProfile.findOne({ userId: req.user.id });
 
         if (!profile) {
             return res.status(404).json({
@@ -299,7 +326,7 @@ router.post('/interactions', async (req, res) => {
             });
         }
 
-        const profile = await UserProfile.findOne({ userId: 'default' });
+        const profile = await UserProfile.findOne({ userId: req.user.id });
 
         if (!profile) {
             return res.status(404).json({
@@ -335,7 +362,7 @@ router.get('/interactions/recent', async (req, res) => {
     try {
         const limit = parseInt(req.query.limit) || 10;
 
-        const profile = await UserProfile.findOne({ userId: 'default' });
+        const profile = await UserProfile.findOne({ userId: req.user.id });
 
         if (!profile) {
             return res.status(404).json({
@@ -367,10 +394,35 @@ router.put('/settings', async (req, res) => {
     try {
         const settings = req.body;
 
+        if (settings.rankingWeights !== undefined) {
+            const { weights, error } = normalizeRankingWeights(settings.rankingWeights);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+            settings.rankingWeights = weights;
+        }
+
+        if (settings.followUpSequence !== undefined) {
+            const { sequence, error } = normalizeFollowUpSequence(settings.followUpSequence);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error
+                });
+            }
+            settings.followUpSequence = sequence;
+        }
+
+        // Only the settings sent are replaced, so saving one doesn't reset the others
+        const updates = Object.fromEntries(Object.entries(settings).map(([key, value]) => [`settings.${key}`, value]));
+
         const profile = await UserProfile.findOneAndUpdate(
-            { userId: 'default' },
+            { userId: req.user.id },
             {
-                settings: settings,
+                ...updates,
                 lastActiveAt: new Date()
             },
             { new: true }
@@ -400,4 +452,42 @@ router.put('/settings', async (req, res) => {
     }
 });
 
+// Get the weights used to rank companies, with the defaults filled in
+router.get('/ranking-weights', async (req, res) => {
+    try {
+        const profile = await UserProfile.findOne({ userId: req.user.id }).select('settings.rankingWeights').lean();
+
+        res.json({
+            success: true,
+            rankingWeights: resolveRankingWeights(profile?.settings?.rankingWeights)
+        });
+
+    } catch (error) {
+        logger.error('Failed to get ranking weights:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get ranking weights'
+        });
+    }
+});
+
+// Get the follow-up sequence, or the default when none is saved
+router.get('/follow-up-sequence', async (req, res) => {
+    try {
+        const profile = await UserProfile.findOne({ userId: req.user.id }).select('settings.followUpSequence').lean();
+
+        res.json({
+            success: true,
+            followUpSequence: resolveFollowUpSequence(profile?.settings?.followUpSequence)
+        });
+
+    } catch (error) {
+        logger.error('Failed to get follow-up sequence:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get follow-up sequence'
+        });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -59,12 +59,30 @@ app.use(limiter);
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
-// Request logging middleware
+// Requests whose whole body is secret: passwords, and API keys keyed by
+// provider name
+const REDACTED_BODY_PATHS = ['/api/auth', '/api/config/api-keys', '/api/config/test-connection'];
+
+// Fields left out of any other logged body, at any depth
+const SENSITIVE_FIELDS = /^(password|currentPassword|newPassword|token|refreshToken|apiKey|apiKeys|secret|authorization|pass)$/i;
+
+function redactBody(body) {
+    if (Array.isArray(body)) return body.map(redactBody);
+    if (!body || typeof body !== 'object') return body;
+    return Object.fromEntries(Object.entries(body).map(([key, value]) => [
+        key,
+        SENSITIVE_FIELDS.test(key) ? '[redacted]' : redactBody(value)
+    ]));
+}
+
+// Request logging middleware. SSE requests carry the session token as
+// ?token=, so it is left out; the Authorization header is never logged.
 app.use((req, res, next) => {
+    const { token, ...query } = req.query || {};
     logger.info(`${req.method} ${req.path}`, {
-        body: req.body,
+        body: REDACTED_BODY_PATHS.some(path => req.path.startsWith(path)) ? '[redacted]' : redactBody(req.body),
         params: req.params,
-        query: req.query
+        query: token === undefined ? query : { ...query, token: '[redacted]' }
     });
     next();
 });
@@ -73,6 +91,10 @@ logger.info(`🔧 Middleware configured (${Date.now() - startTime}ms)`);
 
 // Initialize models to check for any schema issues
 try {
+    logger.info(`📄 Loading User model... (${Date.now() - startTime}ms)`);
+    require('./models/User');
+    logger.info(`✅ User model loaded (${Date.now() - startTime}ms)`);
+
     logger.info(`📄 Loading UserProfile model... (${Date.now() - startTime}ms)`);
     require('./models/UserProfile');
     logger.info(`✅ UserProfile model loaded (${Date.now() - startTime}ms)`);
@@ -85,6 +107,10 @@ try {
     require('./models/SearchJob');
     logger.info(`✅ SearchJob model loaded (${Date.now() - startTime}ms)`);
 
+    logger.info(`📄 Loading UsageRecord model... (${Date.now() - startTime}ms)`);
+    require('./models/UsageRecord');
+    logger.info(`✅ UsageRecord model loaded (${Date.now() - startTime}ms)`);
+
     logger.info(`📄 All models loaded successfully (${Date.now() - startTime}ms)`);
 } catch (modelError) {
     logger.error(`❌ Failed to load models at ${Date.now() - startTime}ms:`, {
@@ -136,6 +162,11 @@ try {
 try {
     logger.info(`📁 Loading routes... (${Date.now() - startTime}ms)`);
 
+    const { requireAuth } = require('./middleware/auth');
+
+    const authRoutes = require('./routes/auth');
+    logger.info(`✅ Auth routes loaded (${Date.now() - startTime}ms)`);
+
     const profileRoutes = require('./routes/profile');
     logger.info(`✅ Profile routes loaded (${Date.now() - startTime}ms)`);
 
@@ -151,13 +182,23 @@ try {
     const configRoutes = require('./routes/config');
     logger.info(`✅ Config routes loaded (${Date.now() - startTime}ms)`);
 
-    // Mount routes - preserving your existing paths
-    app.use('/api/profile', profileRoutes);
-    app.use('/api/companies', companiesRoutes);
-    app.use('/api/emails', emailRoutes);  // Your existing email routes path
-    app.use('/api/search', searchRoutes);
-    app.use('/api/ai-search', searchRoutes); // Alternative path
-    app.use('/api/config', configRoutes);
+    const campaignRoutes = require('./routes/campaigns');
+    logger.info(`✅ Campaign routes loaded (${Date.now() - startTime}ms)`);
+
+    const followUpRoutes = require('./routes/followUps');
+    logger.info(`✅ Follow-up routes loaded (${Date.now() - startTime}ms)`);
+
+    // Mount routes - preserving your existing paths. Everything except
+    // login/registration needs a logged-in user.
+    app.use('/api/auth', authRoutes);
+    app.use('/api/profile', requireAuth, profileRoutes);
+    app.use('/api/companies', requireAuth, companiesRoutes);
+    app.use('/api/emails', requireAuth, emailRoutes);  // Your existing email routes path
+    app.use('/api/search', requireAuth, searchRoutes);
+    app.use('/api/ai-search', requireAuth, searchRoutes); // Alternative path
+    app.use('/api/config', requireAuth, configRoutes);
+    app.use('/api/campaigns', requireAuth, campaignRoutes);
+    app.use('/api/follow-ups', requireAuth, followUpRoutes);
 
     logger.info(`📁 All routes registered successfully (${Date.now() - startTime}ms)`);
 
@@ -194,6 +235,7 @@ app.get('/api/health', (req, res) => {
         port: PORT,
         environment: process.env.NODE_ENV || 'development',
         routes: {
+            auth: '/api/auth',
             profile: '/api/profile',
             companies: '/api/companies',
             emails: '/api/emails',
@@ -229,6 +271,7 @@ app.get('/', (req, res) => {
         status: 'running',
         endpoints: {
             health: '/health',
+            auth: '/api/auth',
             profile: '/api/profile',
             companies: '/api/companies',
             emails: '/api/emails',
@@ -251,11 +294,11 @@ app.get('/api/status', (req, res) => {
 // 404 handler for API routes
 app.use((req, res, next) => {
     if (req.path.startsWith('/api/')) {
-        logger.warn(`404 - Route not found: ${req.originalUrl}`);
+        logger.warn(`404 - Route not found: ${req.method} ${req.path}`);
         res.status(404).json({
             success: false,
             message: 'API endpoint not found',
-            path: req.originalUrl
+            path: req.path
         });
     } else {
         next();
@@ -289,6 +332,43 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ai-compan
     })
     .then(() => {
         logger.info(`📊 MongoDB ping successful (${Date.now() - startTime}ms)`);
+
+        // Company names were unique across all users before companies had owners
+        return require('./models/Company').dropLegacyIndexes().catch(error => {
+            logger.warn('⚠️  Could not drop legacy company name index:', error.message);
+            return false;
+        });
+    })
+    .then((dropped) => {
+        if (dropped) logger.info('🗑️  Dropped legacy unique company name index');
+
+        // Backfill duplicate-detection keys on companies saved before they existed
+        return require('./services/companyDedup').prepareCompanyIdentity();
+    })
+    .then(() => {
+        // Task routing and model prices saved through /api/config/llm
+        return Promise.all([
+            require('./services/llmProviders').loadTaskOverrides(),
+            require('./services/usageTracker').loadModelPrices()
+        ]);
+    })
+    .then(() => {
+        // Resume or fail searches left running by a previous process
+        return require('./services/searchRecovery').recoverInterruptedSearches();
+    })
+    .then(() => {
+        // Send queued emails and retry temporary SMTP failures
+        require('./services/emailSender').startOutboxWorker();
+
+        // Write interrupted campaign drafts and send scheduled campaign emails
+        return require('./services/campaignScheduler').startCampaignScheduler();
+    })
+    .then(() => {
+        // Draft follow-ups for emails that got no reply
+        require('./services/followUps').startFollowUpScheduler();
+
+        // Match replies in the IMAP mailbox to sent emails
+        require('./services/replyPoller').startReplyPoller();
     })
     .catch(err => {
         logger.error(`❌ MongoDB connection failed at ${Date.now() - startTime}ms:`, {
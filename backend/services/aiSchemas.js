@@ -0,0 +1,81 @@
+const Joi = require('joi');
+const { MATCH_FACTORS } = require('../utils/matchBreakdown');
+
+// Expected shapes of the JSON each AI task returns. Unknown keys are allowed
+// so richer answers still pass; numbers given as strings are converted.
+
+const stringList = Joi.array().items(Joi.string().trim().min(1));
+
+const profileAnalysisSchema = Joi.object({
+    strengths: stringList.min(1).required(),
+    interests: stringList.min(1).required(),
+    careerGoals: stringList.min(1).required(),
+    idealCompanyProfile: Joi.string().allow(''),
+    marketPositioning: Joi.string().allow(''),
+    improvementAreas: stringList
+}).unknown(true);
+
+const companySchema = Joi.object({
+    name: Joi.string().trim().min(1).required(),
+    location: Joi.string().allow('').required(),
+    industry: Joi.string().allow(''),
+    // Anything outside Company.size is normalized to 'unknown'
+    size: Joi.string().lowercase().valid('startup', 'small', 'medium', 'large', 'unknown')
+        .failover('unknown'),
+    employeeCount: Joi.number().integer().min(0).allow(null),
+    description: Joi.string().allow(''),
+    website: Joi.string().allow(''),
+    domain: Joi.string().allow(''),
+    reasons: stringList
+}).unknown(true);
+
+// JSON mode only returns objects, so the list comes back as { companies: [...] };
+// a bare array is still accepted from providers without JSON mode
+const companyListSchema = Joi.alternatives().try(
+    Joi.object({
+        companies: Joi.array().items(companySchema).min(1).required()
+    }).unknown(true),
+    Joi.array().items(companySchema).min(1)
+);
+
+const wlbEvaluationSchema = Joi.object({
+    score: Joi.number().min(1).max(10).required(),
+    analysis: Joi.string().allow('').required(),
+    sources: stringList,
+    positives: stringList,
+    concerns: stringList
+}).unknown(true);
+
+const factorScoreSchema = Joi.object({
+    score: Joi.number().min(0).max(100).required(),
+    reason: Joi.string().allow('')
+}).unknown(true);
+
+// Work-life balance is usually taken from its own evaluation, so the model
+// may leave it out. The overall matchScore is computed from the breakdown.
+const matchBreakdownSchema = Joi.object(Object.fromEntries(MATCH_FACTORS.map(({ factor }) => [
+    factor,
+    factor === 'workLifeBalance' ? factorScoreSchema : factorScoreSchema.required()
+]))).unknown(true);
+
+const matchEvaluationSchema = Joi.object({
+    breakdown: matchBreakdownSchema.required(),
+    matchScore: Joi.number().min(0).max(100),
+    analysis: Joi.string().allow('').required(),
+    matchFactors: stringList,
+    highlights: stringList,
+    concerns: stringList
+}).unknown(true);
+
+const emailSchema = Joi.object({
+    subject: Joi.string().trim().min(1).max(120).required(),
+    content: Joi.string().trim().min(50).required()
+}).unknown(true);
+
+module.exports = {
+    profileAnalysisSchema,
+    companyListSchema,
+    wlbEvaluationSchema,
+    matchEvaluationSchema,
+    emailSchema
+};
@@ -1,16 +1,18 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
+const credentialVault = require('./credentialVault');
+const { getRateLimiter } = require('../utils/rateLimiter');
 
 class APIService {
     constructor(name, baseURL, apiKey) {
         this.name = name;
         this.baseURL = baseURL;
         this.apiKey = apiKey;
-        this.rateLimiter = new Map();
+        this.rateLimiter = getRateLimiter(name);
     }
 
     async makeRequest(endpoint, params = {}, method = 'GET') {
-        await this.checkRateLimit();
+        await this.rateLimiter.acquire();
 
         try {
             const config = {
@@ -48,25 +50,14 @@ class APIService {
             throw error;
         }
     }
-
-    async checkRateLimit() {
-        const now = Date.now();
-        const lastCall = this.rateLimiter.get(this.name) || 0;
-        const minInterval = 1000; // 1 second between calls
-
-        if (now - lastCall < minInterval) {
-            await new Promise(resolve => setTimeout(resolve, minInterval - (now - lastCall)));
-        }
-
-        this.rateLimiter.set(this.name, Date.now());
-    }
 }
 
 // Apollo.io API for company data and contacts
 const searchApollo = async (params) => {
     try {
         // Return demo data if in demo mode
-        if (params.demoMode || !process.env.APOLLO_API_KEY) {
+        const apiKey = credentialVault.getApiKey('apollo');
+        if (params.demoMode || !apiKey) {
             logger.info('Apollo.io using demo data mode');
             return generateMockApolloData(params);
         }
@@ -74,7 +65,7 @@ const searchApollo = async (params) => {
         const apolloAPI = new APIService(
             'Apollo',
             'https://api.apollo.io',
-            process.env.APOLLO_API_KEY
+            apiKey
         );
 
         // For company name search, try to find the specific company
@@ -166,7 +157,8 @@ const searchApollo = async (params) => {
 const searchHunter = async (params) => {
     try {
         // Return demo data if in demo mode
-        if (params.demoMode || !process.env.HUNTER_API_KEY) {
+        const apiKey = credentialVault.getApiKey('hunter');
+        if (params.demoMode || !apiKey) {
             logger.info('Hunter.io using demo data mode');
             return generateMockHunterData(params);
         }
@@ -174,7 +166,7 @@ const searchHunter = async (params) => {
         const hunterAPI = new APIService(
             'Hunter',
             'https://api.hunter.io',
-            process.env.HUNTER_API_KEY
+            apiKey
         );
 
         if (params.domain) {
@@ -212,6 +204,23 @@ const searchHunter = async (params) => {
     }
 };
 
+// Hunter.io email verifier. Returns Hunter's { status, result, score,
+// accept_all, ... } for the address, or null when no Hunter key is configured.
+// Errors are thrown so the caller can tell a failed check from a bad address.
+const verifyHunterEmail = async (email) => {
+    const apiKey = credentialVault.getApiKey('hunter');
+    if (!apiKey) return null;
+
+    const hunterAPI = new APIService(
+        'Hunter',
+        'https://api.hunter.io',
+        apiKey
+    );
+
+    const data = await hunterAPI.makeRequest('/v2/email-verifier', { email });
+    return data.data || null;
+};
+
 // Generate enhanced mock Apollo data for development and demo
 function generateMockApolloData(params) {
     if (!params.name) return [];
@@ -353,5 +362,6 @@ const mergeCompanyData = (existing, newData) => {
 module.exports = {
     searchApollo,
     searchHunter,
+    verifyHunterEmail,
     mergeCompanyData
 };
\ No newline at end of file
@@ -0,0 +1,328 @@
+const Campaign = require('../models/Campaign');
+const Company = require('../models/Company');
+const OutboxEmail = require('../models/OutboxEmail');
+const User = require('../models/User');
+const UserProfile = require('../models/UserProfile');
+const emailSender = require('./emailSender');
+const credentialVault = require('./credentialVault');
+const { generateDraft, findTemplate, pickRecipient } = require('./emailDrafts');
+const logger = require('../utils/logger');
+
+// Writes campaign drafts in the background and sends approved ones on a
+// schedule. Every tick each running campaign may hand one email to the
+// outbox (services/emailSender), if:
+//   - the campaign's start time has passed
+//   - it has sent fewer than dailyCap emails today (campaign timezone)
+//   - it is within the send window in the recipient's timezone
+//   - nothing went to the recipient's domain in the last domainSpacingMinutes
+// One email per tick spreads a day's sends over the window instead of
+// bursting them at opening time.
+
+const TICK_MS = parseInt(process.env.CAMPAIGN_TICK_MS) || 60 * 1000;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Outbox status -> campaign item status
+const ITEM_STATUS_BY_OUTBOX = {
+    queued: 'queued',
+    sending: 'queued',
+    sent: 'sent',
+    failed: 'failed',
+    cancelled: 'failed'
+};
+
+let tickTimer = null;
+
+function isValidTimezone(timezone) {
+    if (!timezone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// { day: 'YYYY-MM-DD', hour: 0-23, weekday: 0-6 } of date in timezone
+function getLocalTime(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        hourCycle: 'h23',
+        weekday: 'short'
+    }).formatToParts(date);
+    const part = (type) => parts.find(p => p.type === type)?.value;
+
+    return {
+        day: `${part('year')}-${part('month')}-${part('day')}`,
+        hour: parseInt(part('hour')),
+        weekday: WEEKDAYS.indexOf(part('weekday'))
+    };
+}
+
+function isInSendWindow(date, timezone, sendWindow) {
+    const local = getLocalTime(date, timezone);
+    return sendWindow.days.includes(local.weekday) &&
+        local.hour >= sendWindow.startHour &&
+        local.hour < sendWindow.endHour;
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whether owner emailed anyone at domain in the last spacingMinutes,
+// from any campaign or by hand
+async function emailedDomainRecently(owner, domain, spacingMinutes) {
+    if (!spacingMinutes) return false;
+
+    const found = await OutboxEmail.exists({
+        owner,
+        to: { $regex: `@${escapeRegex(domain)}$` },
+        createdAt: { $gt: new Date(Date.now() - spacingMinutes * 60 * 1000) }
+    });
+    return !!found;
+}
+
+// Sets fields on one item, only if it is still in one of fromStatuses.
+// Returns whether it was updated.
+async function updateItem(campaignId, itemId, fromStatuses, fields) {
+    const set = Object.fromEntries(
+        Object.entries(fields).map(([key, value]) => [`items.$.${key}`, value])
+    );
+    const result = await Campaign.updateOne(
+        { _id: campaignId, items: { $elemMatch: { _id: itemId, status: { $in: fromStatuses } } } },
+        { $set: set }
+    );
+    return result.modifiedCount > 0;
+}
+
+// Writes a draft for every pending item, from the campaign's email template
+// when it has one. profile defaults to the owner's saved profile, which is
+// what a restarted server resumes with.
+async function generateDrafts(campaignId, profile) {
+    const campaign = await Campaign.findById(campaignId);
+    if (!campaign || campaign.status !== 'generating') return;
+
+    const savedProfile = (!profile || campaign.templateId) ?
+        await UserProfile.findOne({ userId: campaign.owner.toString() }).lean() :
+        null;
+    if (!profile) profile = savedProfile;
+    const template = campaign.templateId ? findTemplate(savedProfile, campaign.templateId) : null;
+
+    let written = 0;
+    for (const item of campaign.items.filter(entry => entry.status === 'pending')) {
+        // Stop if the campaign was cancelled or deleted meanwhile
+        const current = await Campaign.findById(campaignId).select('status').lean();
+        if (current?.status !== 'generating') return;
+
+        const company = await Company.findOne({ _id: item.company, owner: campaign.owner }).lean();
+        if (!company) {
+            await updateItem(campaignId, item._id, ['pending'], { status: 'skipped', error: 'Company was deleted' });
+            continue;
+        }
+
+        if (!profile?.personalInfo?.firstName || !profile?.personalInfo?.email) {
+            await updateItem(campaignId, item._id, ['pending'], { status: 'failed', error: 'Complete your profile to write drafts' });
+            continue;
+        }
+        if (campaign.templateId && !template) {
+            await updateItem(campaignId, item._id, ['pending'], { status: 'failed', error: 'The email template was deleted' });
+            continue;
+        }
+
+        const hrContact = pickRecipient(company);
+        const draft = await generateDraft(profile, company, hrContact, { template });
+
+        // Only real contacts are emailed automatically, never a guessed hr@ address
+        await updateItem(campaignId, item._id, ['pending'], {
+            status: 'draft',
+            to: hrContact?.email || '',
+            recipientName: draft.recipientName,
+            subject: draft.subject,
+            body: draft.content,
+            aiUsage: draft.aiUsage || { tokensUsed: 0, cost: 0 },
+            error: hrContact?.email ? null : 'No HR contact email; add a recipient before approving'
+        });
+        written++;
+    }
+
+    await Campaign.updateOne({ _id: campaignId, status: 'generating' }, { $set: { status: 'review' } });
+    logger.info(`✍️ Wrote ${written} drafts for campaign ${campaign.name}`, { campaignId: campaignId.toString() });
+}
+
+// Runs generateDrafts without holding up the caller, with the owner's API keys
+function startDraftGeneration(campaign, profile) {
+    credentialVault.withCredentials(campaign.owner, () => generateDrafts(campaign._id, profile))
+        .catch(async error => {
+            logger.error(`Draft generation failed for campaign ${campaign.name}:`, error);
+            await Campaign.updateOne({ _id: campaign._id, status: 'generating' }, { $set: { status: 'review' } })
+                .catch(() => {});
+        });
+}
+
+// Hands one approved item to the outbox
+async function sendItem(campaign, item) {
+    const claimed = await updateItem(campaign._id, item._id, ['approved'], { status: 'sending', queuedAt: new Date() });
+    if (!claimed) return;
+
+    try {
+        const company = await Company.findOne({ _id: item.company, owner: campaign.owner });
+        if (!company) {
+            await updateItem(campaign._id, item._id, ['sending'], { status: 'skipped', error: 'Company was deleted' });
+            return;
+        }
+
+        const user = await User.findById(campaign.owner).select('email');
+        const sender = await emailSender.getSenderIdentity(user);
+
+        const outbox = await emailSender.sendEmail({
+            owner: campaign.owner,
+            company,
+            to: item.to,
+            subject: item.subject,
+            body: item.body,
+            ...sender
+        });
+
+        await updateItem(campaign._id, item._id, ['sending'], {
+            status: ITEM_STATUS_BY_OUTBOX[outbox.status],
+            outboxId: outbox._id,
+            sentAt: outbox.sentAt,
+            error: outbox.lastError || null
+        });
+    } catch (error) {
+        logger.error(`Campaign send to ${item.to} failed:`, error);
+        await updateItem(campaign._id, item._id, ['sending'], { status: 'failed', error: error.message });
+    }
+}
+
+// Picks up the result of emails the outbox is still retrying
+async function syncQueuedItems(campaign) {
+    const queued = campaign.items.filter(item => item.status === 'queued' && item.outboxId);
+    if (queued.length === 0) return;
+
+    const outboxEmails = await OutboxEmail.find({ _id: { $in: queued.map(item => item.outboxId) } })
+        .select('status sentAt lastError')
+        .lean();
+    const byId = new Map(outboxEmails.map(outbox => [outbox._id.toString(), outbox]));
+
+    for (const item of queued) {
+        const outbox = byId.get(item.outboxId.toString());
+        const status = outbox ? ITEM_STATUS_BY_OUTBOX[outbox.status] : 'failed';
+        if (status === 'queued') continue;
+
+        await updateItem(campaign._id, item._id, ['queued'], {
+            status,
+            sentAt: outbox?.sentAt,
+            error: outbox ? (outbox.status === 'cancelled' ? 'Cancelled in the outbox' : outbox.lastError || null) : 'Outbox email is gone'
+        });
+    }
+}
+
+// One tick for one running campaign
+async function runCampaign(campaign) {
+    const { settings } = campaign;
+    const now = new Date();
+
+    const remaining = campaign.items.filter(item => ['approved', 'sending', 'queued', 'pending'].includes(item.status));
+    if (remaining.length === 0) {
+        await Campaign.updateOne(
+            { _id: campaign._id, status: 'running' },
+            { $set: { status: 'completed', completedAt: now } }
+        );
+        logger.info(`🏁 Campaign ${campaign.name} completed`, { counts: campaign.getItemCounts() });
+        return;
+    }
+
+    if (settings.startAt && settings.startAt > now) return;
+
+    const timezone = isValidTimezone(settings.timezone) ? settings.timezone : 'UTC';
+    const today = getLocalTime(now, timezone).day;
+    const sentToday = campaign.items.filter(item =>
+        item.queuedAt && getLocalTime(item.queuedAt, timezone).day === today
+    ).length;
+    if (sentToday >= settings.dailyCap) return;
+
+    for (const item of campaign.items.filter(entry => entry.status === 'approved')) {
+        const recipientTimezone = isValidTimezone(item.timezone) ? item.timezone : timezone;
+        if (!isInSendWindow(now, recipientTimezone, settings.sendWindow)) continue;
+
+        // Fails this one item rather than every tick of the campaign
+        const domain = (item.to || '').split('@')[1]?.toLowerCase();
+        if (!domain) {
+            await updateItem(campaign._id, item._id, ['approved'], { status: 'failed', error: 'Invalid recipient email' });
+            continue;
+        }
+        if (await emailedDomainRecently(campaign.owner, domain, settings.domainSpacingMinutes)) continue;
+
+        await sendItem(campaign, item);
+        return;
+    }
+}
+
+async function processCampaigns() {
+    const campaigns = await Campaign.find({
+        $or: [{ status: 'running' }, { 'items.status': 'queued' }]
+    });
+
+    for (const campaign of campaigns) {
+        try {
+            await syncQueuedItems(campaign);
+            if (campaign.status === 'running' && emailSender.isConfigured()) {
+                // Reload so the sync above counts as done
+                await runCampaign(await Campaign.findById(campaign._id));
+            }
+        } catch (error) {
+            logger.error(`Campaign ${campaign.name} tick failed:`, error);
+        }
+    }
+}
+
+// Resumes work interrupted by a restart, then ticks every TICK_MS
+async function startCampaignScheduler() {
+    if (tickTimer) return;
+
+    try {
+        // A send cut off mid-way may or may not have reached the outbox
+        await Campaign.updateMany(
+            { 'items.status': 'sending' },
+            { $set: { 'items.$[item].status': 'failed', 'items.$[item].error': 'Interrupted while sending; check the outbox before approving again' } },
+            { arrayFilters: [{ 'item.status': 'sending' }] }
+        );
+
+        const generating = await Campaign.find({ status: 'generating' }).select('owner name');
+        generating.forEach(campaign => startDraftGeneration(campaign));
+        if (generating.length > 0) {
+            logger.info(`✍️ Resuming draft generation for ${generating.length} campaigns`);
+        }
+    } catch (error) {
+        logger.warn('⚠️ Could not recover campaigns:', error.message);
+    }
+
+    let running = false;
+    tickTimer = setInterval(() => {
+        if (running) return;
+        running = true;
+        processCampaigns()
+            .catch(error => logger.error('Campaign processing failed:', error))
+            .finally(() => {
+                running = false;
+            });
+    }, TICK_MS);
+    tickTimer.unref();
+
+    logger.info(`📅 Campaign scheduler started (every ${TICK_MS / 1000}s)`);
+}
+
+module.exports = {
+    isValidTimezone,
+    getLocalTime,
+    isInSendWindow,
+    startDraftGeneration,
+    processCampaigns,
+    startCampaignScheduler,
+    // For tests
+    runCampaign
+};
@@ -0,0 +1,249 @@
+const mongoose = require('mongoose');
+const Company = require('../models/Company');
+const UsageRecord = require('../models/UsageRecord');
+const FollowUp = require('../models/FollowUp');
+const OutboxEmail = require('../models/OutboxEmail');
+const Campaign = require('../models/Campaign');
+const { getIdentityKeys } = require('../utils/companyIdentity');
+const logger = require('../utils/logger');
+
+// Finding and merging records of the same company. Two records are
+// duplicates when their normalized names or domains match
+// (utils/companyIdentity), so "Acme", "Acme Inc." and "acme.com" end up in
+// one group even when no single key links all three.
+
+// Outreach statuses from least to most progressed; a merge keeps the furthest
+const STATUS_ORDER = ['not-contacted', 'contacted', 'responded', 'interview', 'rejected', 'hired'];
+
+// Fields copied from a duplicate when the surviving record has none
+const FILL_FIELDS = ['domain', 'website', 'location', 'industry', 'description', 'employeeCount', 'region', 'timezone'];
+
+const REPORT_FIELDS = 'name domain website location industry status aiMatchScore evaluationStatus hrContacts.email notes emailHistory createdAt';
+
+// Union-find over company ids
+function groupByKeys(companies) {
+    const parent = new Map(companies.map(company => [company._id.toString(), company._id.toString()]));
+    const find = (id) => {
+        while (parent.get(id) !== id) {
+            parent.set(id, parent.get(parent.get(id)));
+            id = parent.get(id);
+        }
+        return id;
+    };
+
+    const firstWithKey = new Map();
+    const matchedOn = new Map();
+
+    companies.forEach(company => {
+        const id = company._id.toString();
+        const { nameKey, domainKey } = getIdentityKeys(company);
+
+        [['name', nameKey], ['domain', domainKey]].forEach(([kind, key]) => {
+            if (!key) return;
+
+            const mapKey = `${kind}:${key}`;
+            const other = firstWithKey.get(mapKey);
+            if (!other) {
+                firstWithKey.set(mapKey, id);
+                return;
+            }
+
+            parent.set(find(id), find(other));
+            [id, other].forEach(memberId => {
+                const reasons = matchedOn.get(memberId) || new Set();
+                reasons.add(kind);
+                matchedOn.set(memberId, reasons);
+            });
+        });
+    });
+
+    const groups = new Map();
+    companies.forEach(company => {
+        const root = find(company._id.toString());
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(company);
+    });
+
+    return { groups: [...groups.values()].filter(group => group.length > 1), matchedOn };
+}
+
+// Record that loses the least if the others are merged into it: contacted
+// companies first, then scored ones, then the one with the most data
+function suggestSurvivor(group) {
+    const rank = (company) => [
+        STATUS_ORDER.indexOf(company.status || 'not-contacted'),
+        company.evaluationStatus === 'scored' ? 1 : 0,
+        (company.hrContacts?.length || 0) + (company.notes?.length || 0) + (company.emailHistory?.length || 0),
+        -new Date(company.createdAt).getTime()
+    ];
+
+    return [...group].sort((a, b) => {
+        const rankA = rank(a);
+        const rankB = rank(b);
+        const index = rankA.findIndex((value, i) => value !== rankB[i]);
+        return index === -1 ? 0 : rankB[index] - rankA[index];
+    })[0];
+}
+
+// Groups of owner's companies that look like the same company
+async function findDuplicateGroups(owner) {
+    const companies = await Company.find({ owner }).select(REPORT_FIELDS).lean();
+    const { groups, matchedOn } = groupByKeys(companies);
+
+    return groups.map(group => {
+        const survivor = suggestSurvivor(group);
+        return {
+            suggestedSurvivorId: survivor._id,
+            companies: group.map(company => ({
+                _id: company._id,
+                name: company.name,
+                domain: company.domain,
+                website: company.website,
+                location: company.location,
+                industry: company.industry,
+                status: company.status,
+                aiMatchScore: company.aiMatchScore,
+                evaluationStatus: company.evaluationStatus,
+                contactCount: company.hrContacts?.length || 0,
+                noteCount: company.notes?.length || 0,
+                emailCount: company.emailHistory?.length || 0,
+                createdAt: company.createdAt,
+                matchedOn: [...(matchedOn.get(company._id.toString()) || [])]
+            }))
+        };
+    });
+}
+
+const byDate = (field) => (a, b) => new Date(a[field] || 0) - new Date(b[field] || 0);
+
+// Moves everything from duplicates onto survivor (both Company documents).
+// Contacts already on the survivor (same email) are skipped and the
+// survivor's primary contact stays primary. Entries keep their _id, which
+// outbox emails and follow-ups refer to. Does not save.
+function combineInto(survivor, duplicates) {
+    duplicates.forEach(duplicate => {
+        duplicate.hrContacts.forEach(contact => {
+            const sameEmail = contact.email && survivor.findContactByEmail(contact.email);
+            const sameNameNoEmail = !contact.email && survivor.hrContacts.some(existing =>
+                !existing.email && existing.name && existing.name === contact.name
+            );
+            if (sameEmail || sameNameNoEmail) return;
+
+            survivor.hrContacts.push({ ...contact.toObject(), isPrimary: false });
+        });
+
+        survivor.notes.push(...duplicate.notes.map(entry => entry.toObject()));
+        survivor.emailHistory.push(...duplicate.emailHistory.map(entry => entry.toObject()));
+        survivor.apiSources.push(...duplicate.apiSources.map(entry => entry.toObject()));
+        survivor.scoreHistory.push(...duplicate.scoreHistory.map(entry => entry.toObject()));
+
+        FILL_FIELDS.forEach(field => {
+            if (!survivor[field] && duplicate[field]) survivor[field] = duplicate[field];
+        });
+
+        if (STATUS_ORDER.indexOf(duplicate.status) > STATUS_ORDER.indexOf(survivor.status)) {
+            survivor.status = duplicate.status;
+        }
+
+        survivor.aiUsage.tokensUsed += duplicate.aiUsage?.tokensUsed || 0;
+        survivor.aiUsage.cost += duplicate.aiUsage?.cost || 0;
+    });
+
+    survivor.notes.sort(byDate('createdAt'));
+    survivor.emailHistory.sort(byDate('generatedAt'));
+    survivor.apiSources.sort(byDate('fetchedAt'));
+    survivor.scoreHistory.sort(byDate('scoredAt'));
+}
+
+// Merges duplicateIds into survivorId for owner and deletes the duplicates.
+// Returns { company, mergedIds } or { error, status } for a bad request.
+async function mergeCompanies(owner, survivorId, duplicateIds) {
+    const ids = [...new Set((duplicateIds || []).map(String))].filter(id => id !== String(survivorId));
+    if (!mongoose.isValidObjectId(survivorId) || ids.length === 0 || !ids.every(id => mongoose.isValidObjectId(id))) {
+        return { status: 400, error: 'survivorId and at least one other valid company id in duplicateIds are required' };
+    }
+
+    const [survivor, duplicates] = await Promise.all([
+        Company.findOne({ _id: survivorId, owner }),
+        Company.find({ _id: { $in: ids }, owner })
+    ]);
+    if (!survivor || duplicates.length !== ids.length) {
+        return { status: 404, error: 'One or more companies were not found' };
+    }
+
+    combineInto(survivor, duplicates);
+
+    // Saved before the duplicates are deleted so a failure can't lose data
+    await survivor.save();
+    await Company.deleteMany({ _id: { $in: ids }, owner });
+
+    // Keep the merged record's AI spend complete in the usage ledger
+    await UsageRecord.updateMany(
+        { companyId: { $in: ids } },
+        { $set: { companyId: survivor._id.toString(), companyName: survivor.name } }
+    );
+
+    // Outbox emails, campaign items and follow-ups move with the emailHistory
+    // entries they refer to, so deliveries, campaign sends and sequences
+    // still find their company
+    const moved = { company: survivor._id, companyName: survivor.name };
+    const mergedObjectIds = duplicates.map(duplicate => duplicate._id);
+    await Promise.all([
+        OutboxEmail.updateMany({ owner, company: { $in: mergedObjectIds } }, { $set: moved }),
+        FollowUp.updateMany({ owner, company: { $in: mergedObjectIds } }, { $set: moved }),
+        Campaign.updateMany(
+            { owner, 'items.company': { $in: mergedObjectIds } },
+            { $set: { 'items.$[item].company': survivor._id, 'items.$[item].companyName': survivor.name } },
+            { arrayFilters: [{ 'item.company': { $in: mergedObjectIds } }] }
+        )
+    ]);
+
+    // Only the latest email to a company is followed up on
+    const latestSent = survivor.emailHistory
+        .filter(email => email.sent)
+        .sort(byDate('sentAt'))
+        .pop();
+    if (latestSent) {
+        await FollowUp.updateMany(
+            { owner, company: survivor._id, status: { $in: ['scheduled', 'draft'] }, emailHistoryId: { $ne: latestSent._id } },
+            { $set: { status: 'stopped', stoppedReason: 'A newer email was sent' } }
+        );
+    }
+
+    logger.info(`🔗 Merged ${ids.length} duplicate companies into ${survivor.name}`, {
+        survivorId: survivor._id.toString(),
+        mergedIds: ids
+    });
+
+    return { company: survivor, mergedIds: ids };
+}
+
+// Stores the identity keys on records saved before they existed. Safe to
+// run on every start.
+async function prepareCompanyIdentity() {
+    try {
+        const missing = await Company.find({ normalizedName: { $exists: false } })
+            .select('name domain website')
+            .lean();
+        if (missing.length === 0) return;
+
+        await Company.bulkWrite(missing.map(company => {
+            const { nameKey, domainKey } = getIdentityKeys(company);
+            return {
+                updateOne: {
+                    filter: { _id: company._id },
+                    update: { $set: { normalizedName: nameKey, ...(domainKey && { normalizedDomain: domainKey }) } }
+                }
+            };
+        }));
+        logger.info(`🔑 Stored identity keys for ${missing.length} companies`);
+    } catch (error) {
+        logger.warn('⚠️  Could not prepare company identity keys:', error.message);
+    }
+}
+
+module.exports = {
+    findDuplicateGroups,
+    mergeCompanies,
+    prepareCompanyIdentity
+};
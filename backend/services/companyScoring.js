@@ -0,0 +1,261 @@
+const Company = require('../models/Company');
+const UserProfile = require('../models/UserProfile');
+const openaiService = require('./openaiService');
+const llmProviders = require('./llmProviders');
+const usageTracker = require('./usageTracker');
+const logger = require('../utils/logger');
+
+// Scoring companies outside a search: re-scoring against the current profile
+// and retrying failed evaluations. Each scoring is kept in
+// company.scoreHistory and the change from the previous one in
+// company.lastScoreChange.
+
+// Changes at least this large are flagged as significant
+const SIGNIFICANT_MATCH_CHANGE = 15;
+const SIGNIFICANT_WLB_CHANGE = 2;
+
+const MAX_SCORE_HISTORY = 20;
+
+// Companies evaluated in parallel outside a search; LLM calls are still
+// paced by the provider rate limiter
+const RESCORE_CONCURRENCY = 3;
+
+function canRescore() {
+    return llmProviders.isAvailable('companyMatch') && llmProviders.isAvailable('workLifeBalance');
+}
+
+// Runs both evaluations. Either one failing throws, leaving the company's
+// scores as they were.
+async function evaluateScores(profile, companyData) {
+    const wlbEvaluation = await openaiService.evaluateWorkLifeBalance(companyData, false);
+    const matchEvaluation = await openaiService.evaluateCompanyMatch(profile, companyData, false, {
+        wlbScore: wlbEvaluation.score
+    });
+    return { wlbEvaluation, matchEvaluation };
+}
+
+// Sets new evaluations on a company document (not saved), marks it scored
+// and records the scores in its history. Returns the change from the
+// previous scores, which is zero for a company that had none.
+function applyScores(company, { wlbEvaluation, matchEvaluation }, { source = 'rescore', searchJobId } = {}) {
+    const now = new Date();
+    const previous = {
+        matchScore: company.aiMatchScore,
+        wlbScore: company.workLifeBalance?.score
+    };
+
+    // Companies scored before history was kept start it with their current scores
+    if (company.scoreHistory.length === 0 && typeof previous.matchScore === 'number') {
+        company.scoreHistory.push({
+            ...previous,
+            source: 'search',
+            searchJobId: company.searchJobId,
+            scoredAt: company.workLifeBalance?.lastUpdated || company.createdAt
+        });
+    }
+
+    company.aiMatchScore = matchEvaluation.matchScore;
+    company.aiAnalysis = matchEvaluation.analysis;
+    company.matchFactors = matchEvaluation.matchFactors;
+    company.highlights = matchEvaluation.highlights;
+    company.concerns = matchEvaluation.concerns;
+    company.matchBreakdown = matchEvaluation.breakdown || [];
+    company.scoreProvenance = matchEvaluation.provenance;
+    company.workLifeBalance = { ...wlbEvaluation, lastUpdated: now };
+    company.evaluationStatus = 'scored';
+    company.evaluationError = undefined;
+    company.lastScoredAt = now;
+
+    company.scoreHistory.push({
+        matchScore: matchEvaluation.matchScore,
+        wlbScore: wlbEvaluation.score,
+        source,
+        searchJobId,
+        scoredAt: now
+    });
+    if (company.scoreHistory.length > MAX_SCORE_HISTORY) {
+        company.scoreHistory.splice(0, company.scoreHistory.length - MAX_SCORE_HISTORY);
+    }
+
+    const matchDelta = matchEvaluation.matchScore - (previous.matchScore ?? matchEvaluation.matchScore);
+    const wlbDelta = wlbEvaluation.score - (previous.wlbScore ?? wlbEvaluation.score);
+    const change = {
+        matchDelta,
+        wlbDelta,
+        significant: Math.abs(matchDelta) >= SIGNIFICANT_MATCH_CHANGE || Math.abs(wlbDelta) >= SIGNIFICANT_WLB_CHANGE,
+        changedAt: now
+    };
+
+    if (typeof previous.matchScore === 'number') {
+        company.lastScoreChange = change;
+    }
+
+    return {
+        previousMatchScore: previous.matchScore,
+        previousWLBScore: previous.wlbScore,
+        matchScore: matchEvaluation.matchScore,
+        wlbScore: wlbEvaluation.score,
+        ...change
+    };
+}
+
+// "62% → 85% (+23)"
+function formatScoreChange(previous, current, delta, suffix = '') {
+    const sign = delta > 0 ? '+' : '';
+    return `${previous ?? '?'}${suffix} → ${current}${suffix} (${sign}${delta})`;
+}
+
+// The user's latest profile with its stored AI analysis, as evaluateCompanyMatch expects it
+async function loadCurrentProfile(user) {
+    const profile = await UserProfile.findOne({ userId: user._id.toString() });
+    return profile ? profile.toObject() : null;
+}
+
+// filter: { companyIds, industry, location, status, minMatchScore,
+// maxMatchScore, staleOnly }, within the user's companies. staleOnly picks
+// companies last scored before the profile was last updated.
+function buildRescoreFilter(user, filter = {}, profile) {
+    const query = { owner: user._id };
+
+    if (Array.isArray(filter.companyIds) && filter.companyIds.length > 0) {
+        query._id = { $in: filter.companyIds };
+    }
+    if (filter.industry) {
+        query.industry = { $regex: filter.industry, $options: 'i' };
+    }
+    if (filter.location) {
+        query.location = { $regex: filter.location, $options: 'i' };
+    }
+    if (filter.status) {
+        query.status = filter.status;
+    }
+    if (filter.minMatchScore !== undefined || filter.maxMatchScore !== undefined) {
+        query.aiMatchScore = {};
+        if (filter.minMatchScore !== undefined) query.aiMatchScore.$gte = Number(filter.minMatchScore);
+        if (filter.maxMatchScore !== undefined) query.aiMatchScore.$lte = Number(filter.maxMatchScore);
+    }
+    if (filter.staleOnly && profile?.updatedAt) {
+        query.$or = [
+            { lastScoredAt: { $lt: profile.updatedAt } },
+            { lastScoredAt: { $exists: false } }
+        ];
+    }
+
+    return query;
+}
+
+// Evaluates companies against profile a few at a time and saves them.
+// Companies that fail keep their scores; unscored ones record the error.
+async function scoreCompanies(companies, profile, source) {
+    const rescored = [];
+    const failed = [];
+    let nextIndex = 0;
+
+    const scoreNext = async () => {
+        while (nextIndex < companies.length) {
+            const company = companies[nextIndex++];
+            const wasScored = company.evaluationStatus === 'scored';
+            const usage = { calls: 0, tokensUsed: 0, cost: 0 };
+
+            try {
+                const evaluations = await usageTracker.withUsageContext({
+                    companyId: company._id.toString(),
+                    companyName: company.name,
+                    purpose: 'rescore',
+                    onUsage: entry => usageTracker.addToTally(usage, entry)
+                }, () => evaluateScores(profile, company.toObject()));
+
+                const change = applyScores(company, evaluations, { source });
+                company.aiUsage.tokensUsed = (company.aiUsage.tokensUsed || 0) + usage.tokensUsed;
+                company.aiUsage.cost = (company.aiUsage.cost || 0) + usage.cost;
+                await company.save();
+
+                rescored.push({ id: company._id, name: company.name, ...change, cost: usage.cost });
+            } catch (error) {
+                logger.warn(`⚠️ Scoring failed for ${company.name}:`, error.message);
+                failed.push({ id: company._id, name: company.name, error: error.message });
+
+                if (!wasScored) {
+                    await Company.updateOne(
+                        { _id: company._id },
+                        { $set: { evaluationStatus: 'failed', evaluationError: error.message } }
+                    ).catch(() => {});
+                }
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(RESCORE_CONCURRENCY, companies.length) }, scoreNext));
+
+    rescored.sort((a, b) => Math.abs(b.matchDelta) - Math.abs(a.matchDelta));
+
+    return {
+        rescored,
+        failed,
+        significantChanges: rescored.filter(change => change.significant).length,
+        totalCost: rescored.reduce((sum, change) => sum + change.cost, 0)
+    };
+}
+
+async function requireCurrentProfile(user) {
+    const profile = await loadCurrentProfile(user);
+    if (!profile) {
+        throw new Error('No profile found to score companies against');
+    }
+    return profile;
+}
+
+// Re-scores up to limit of the user's companies matching filter against
+// their current profile. Returns the changes, largest match score change
+// first, and the failures.
+async function rescoreCompanies(user, filter = {}, limit = 25) {
+    const profile = await requireCurrentProfile(user);
+
+    const companies = await Company.find(buildRescoreFilter(user, filter, profile))
+        .sort({ lastScoredAt: 1, createdAt: 1 })
+        .limit(limit);
+
+    const result = await scoreCompanies(companies, profile, 'rescore');
+
+    logger.info('🔄 Companies rescored', {
+        matched: companies.length,
+        rescored: result.rescored.length,
+        significant: result.significantChanges,
+        failed: result.failed.length
+    });
+
+    return result;
+}
+
+// Evaluates up to limit of the user's companies saved without scores
+// ('failed' or 'pending'), optionally only those in companyIds
+async function retryFailedEvaluations(user, companyIds, limit = 25) {
+    const profile = await requireCurrentProfile(user);
+
+    const query = { owner: user._id, evaluationStatus: { $in: ['failed', 'pending'] } };
+    if (Array.isArray(companyIds) && companyIds.length > 0) {
+        query._id = { $in: companyIds };
+    }
+
+    const companies = await Company.find(query).sort({ createdAt: 1 }).limit(limit);
+    const result = await scoreCompanies(companies, profile, 'retry');
+
+    logger.info('🔁 Retried failed evaluations', {
+        matched: companies.length,
+        scored: result.rescored.length,
+        failed: result.failed.length
+    });
+
+    return result;
+}
+
+module.exports = {
+    SIGNIFICANT_MATCH_CHANGE,
+    SIGNIFICANT_WLB_CHANGE,
+    canRescore,
+    evaluateScores,
+    applyScores,
+    formatScoreChange,
+    rescoreCompanies,
+    retryFailedEvaluations
+};
@@ -0,0 +1,231 @@
+const dns = require('dns');
+const Company = require('../models/Company');
+const apiServices = require('./apiServices');
+const logger = require('../utils/logger');
+
+// Checks HR contact emails in stages, stopping at the first that settles it:
+//   1. syntax
+//   2. MX records for the domain
+//   3. catch-all domain (accepts every address, so no mailbox can be confirmed)
+//   4. Hunter's email verifier
+// The DNS checks are free and run in the background after a search saves a
+// company. Hunter checks spend credits, so they only run when asked for
+// through POST /api/companies/:id/contacts/verify.
+
+const EMAIL_PATTERN = /^[^\s@"(),:;<>[\]\\]+@((?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63})$/i;
+const MAX_EMAIL_LENGTH = 254;
+const MAX_LOCAL_PART_LENGTH = 64;
+
+// MX and catch-all results for a domain are reused for this long
+const DOMAIN_CACHE_TTL_MS = 6 * 60 * 60 * 1000;
+
+// Contacts checked more recently than this are skipped unless forced
+const RECHECK_AFTER_MS = 7 * 24 * 60 * 60 * 1000;
+
+// DNS errors that mean the domain has no mail servers, as opposed to the
+// lookup itself failing
+const NO_MX_ERROR_CODES = ['ENOTFOUND', 'ENODATA', 'NXDOMAIN'];
+
+let resolver = dns.promises;
+const domainCache = new Map();
+
+// Swaps the DNS resolver (anything with resolveMx(domain)), e.g. for a stub
+// when testing offline. Called without arguments it restores the system one.
+function setResolver(customResolver) {
+    resolver = customResolver || dns.promises;
+    domainCache.clear();
+}
+
+// { domain } for a well-formed address, otherwise { reason }
+function checkSyntax(email) {
+    if (!email || typeof email !== 'string') {
+        return { reason: 'No email address' };
+    }
+
+    const match = email.trim().match(EMAIL_PATTERN);
+    if (!match || email.length > MAX_EMAIL_LENGTH || email.indexOf('@') > MAX_LOCAL_PART_LENGTH) {
+        return { reason: 'Email address is malformed' };
+    }
+
+    return { domain: match[1].toLowerCase() };
+}
+
+// { hasMx, catchAll, error } for a domain, cached. catchAll stays null until
+// Hunter has told us either way.
+async function getDomainInfo(domain) {
+    const cached = domainCache.get(domain);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached;
+    }
+
+    let info;
+    try {
+        const records = await resolver.resolveMx(domain);
+        // A "null MX" (RFC 7505) explicitly says the domain takes no email
+        const exchanges = (records || []).filter(record => record.exchange && record.exchange !== '.');
+        info = { hasMx: exchanges.length > 0, catchAll: null };
+    } catch (error) {
+        if (!NO_MX_ERROR_CODES.includes(error.code)) {
+            // Timeouts and server failures say nothing about the domain; don't cache them
+            return { hasMx: null, catchAll: null, error: error.code || error.message };
+        }
+        info = { hasMx: false, catchAll: null };
+    }
+
+    info.expiresAt = Date.now() + DOMAIN_CACHE_TTL_MS;
+    domainCache.set(domain, info);
+    return info;
+}
+
+function markCatchAll(domain) {
+    const cached = domainCache.get(domain);
+    if (cached) cached.catchAll = true;
+}
+
+// Hunter's verifier response as { status, reason }
+function fromHunterResult(data, domain) {
+    if (data.accept_all || data.status === 'accept_all') {
+        markCatchAll(domain);
+        return { status: 'catch-all', reason: 'Domain accepts every address (Hunter)' };
+    }
+
+    switch (data.status) {
+        case 'valid':
+            return { status: 'valid', reason: `Mailbox confirmed by Hunter (score ${data.score ?? 'n/a'})` };
+        case 'invalid':
+            return { status: 'invalid', reason: 'Mailbox does not exist (Hunter)' };
+        case 'disposable':
+            return { status: 'invalid', reason: 'Disposable email address' };
+        case 'webmail':
+            return { status: 'risky', reason: 'Personal webmail address, not a company mailbox' };
+        default:
+            break;
+    }
+
+    switch (data.result) {
+        case 'deliverable':
+            return { status: 'valid', reason: 'Deliverable (Hunter)' };
+        case 'undeliverable':
+            return { status: 'invalid', reason: 'Undeliverable (Hunter)' };
+        case 'risky':
+            return { status: 'risky', reason: 'Hunter could not confirm the mailbox' };
+        default:
+            return { status: 'unknown', reason: 'Hunter returned no result' };
+    }
+}
+
+// Verifies one address. Returns { status, reason } where status is one of
+// the Company hrContacts verificationStatus values.
+async function verifyEmail(email, { useHunter = false } = {}) {
+    const { domain, reason } = checkSyntax(email);
+    if (!domain) {
+        return { status: 'invalid', reason };
+    }
+
+    const domainInfo = await getDomainInfo(domain);
+    if (domainInfo.hasMx === false) {
+        return { status: 'invalid', reason: `${domain} has no mail servers` };
+    }
+    if (domainInfo.hasMx === null) {
+        return { status: 'unknown', reason: `DNS lookup for ${domain} failed (${domainInfo.error})` };
+    }
+    if (domainInfo.catchAll) {
+        return { status: 'catch-all', reason: `${domain} accepts every address` };
+    }
+
+    if (!useHunter) {
+        return { status: 'unknown', reason: 'Domain accepts email; mailbox not checked' };
+    }
+
+    try {
+        const hunterResult = await apiServices.verifyHunterEmail(email);
+        if (!hunterResult) {
+            return { status: 'unknown', reason: 'Domain accepts email; no Hunter key to check the mailbox' };
+        }
+        return fromHunterResult(hunterResult, domain);
+    } catch (error) {
+        logger.warn(`Hunter email verification failed for ${domain}:`, error.message);
+        return { status: 'unknown', reason: `Hunter check failed: ${error.response?.data?.errors?.[0]?.details || error.message}` };
+    }
+}
+
+// Verifies a company's contacts and saves the result on each one. Only a
+// confirmed mailbox sets verified, and only an invalid one clears it; the
+// other statuses leave what Apollo/Hunter reported alone.
+// Options: useHunter, contactIds (only these contacts), force (recheck
+// contacts checked in the last week).
+async function verifyCompanyContacts(company, { useHunter = false, contactIds, force = false } = {}) {
+    const wanted = Array.isArray(contactIds) && contactIds.length > 0 ?
+        new Set(contactIds.map(String)) :
+        null;
+
+    // The same address can be listed by both Apollo and Hunter
+    const byEmail = new Map();
+    const results = [];
+
+    for (const contact of company.hrContacts || []) {
+        if (wanted && !wanted.has(contact._id.toString())) continue;
+
+        const recentlyChecked = contact.verificationCheckedAt &&
+            Date.now() - new Date(contact.verificationCheckedAt).getTime() < RECHECK_AFTER_MS;
+        if (recentlyChecked && !force) {
+            results.push({
+                contactId: contact._id,
+                email: contact.email,
+                status: contact.verificationStatus,
+                reason: contact.verificationReason,
+                checkedAt: contact.verificationCheckedAt,
+                skipped: true
+            });
+            continue;
+        }
+
+        const email = (contact.email || '').toLowerCase();
+        if (!byEmail.has(email)) {
+            byEmail.set(email, await verifyEmail(email, { useHunter }));
+        }
+        const { status, reason } = byEmail.get(email);
+        const checkedAt = new Date();
+
+        // Positional update so a search or edit saving the company at the
+        // same time doesn't lose the result (or have it overwrite theirs)
+        await Company.updateOne(
+            { _id: company._id, 'hrContacts._id': contact._id },
+            {
+                $set: {
+                    'hrContacts.$.verificationStatus': status,
+                    'hrContacts.$.verificationReason': reason,
+                    'hrContacts.$.verificationCheckedAt': checkedAt,
+                    ...(status === 'valid' && { 'hrContacts.$.verified': true }),
+                    ...(status === 'invalid' && { 'hrContacts.$.verified': false })
+                }
+            }
+        );
+
+        results.push({ contactId: contact._id, email: contact.email, status, reason, checkedAt, skipped: false });
+    }
+
+    return results;
+}
+
+// DNS-only verification that doesn't hold up the caller
+function verifyInBackground(company) {
+    if (!company.hrContacts?.length) return;
+
+    verifyCompanyContacts(company)
+        .then(results => {
+            const invalid = results.filter(result => result.status === 'invalid').length;
+            logger.debug(`📬 Checked ${results.length} contacts for ${company.name}`, { invalid });
+        })
+        .catch(error => {
+            logger.warn(`Background contact verification failed for ${company.name}:`, error.message);
+        });
+}
+
+module.exports = {
+    setResolver,
+    checkSyntax,
+    verifyEmail,
+    verifyCompanyContacts,
+    verifyInBackground
+};
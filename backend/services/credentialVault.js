@@ -0,0 +1,256 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const Credential = require('../models/Credential');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+// Per-user API keys, encrypted at rest with AES-256-GCM under a master key
+// from CREDENTIAL_MASTER_KEY. Requests and search jobs run inside
+// withCredentials(owner) and services look keys up with getApiKey() at call
+// time: the user's own key first, then the instance-wide environment variable.
+// Environment keys are paid for by whoever runs the instance, so only admins
+// fall back to them unless ALLOW_SHARED_API_KEYS=true shares them with all.
+//
+// To rotate the master key, move the old value to CREDENTIAL_MASTER_KEY_PREVIOUS
+// (comma-separated if there are several), set a new CREDENTIAL_MASTER_KEY and
+// call POST /api/config/api-keys/rotate to re-encrypt everything under it.
+
+// Provider -> environment variable used when the user has no key of their own
+const CREDENTIAL_PROVIDERS = {
+    openai: 'OPENAI_API_KEY',
+    anthropic: 'ANTHROPIC_API_KEY',
+    apollo: 'APOLLO_API_KEY',
+    hunter: 'HUNTER_API_KEY',
+    linkedin: 'LINKEDIN_API_KEY',
+    crunchbase: 'CRUNCHBASE_API_KEY'
+};
+
+const MAX_KEY_LENGTH = 500;
+
+// Decrypted keys are cached briefly so every request doesn't hit the
+// database; other processes (the worker) pick up changes within this window
+const CACHE_TTL_MS = 60 * 1000;
+
+const ALGORITHM = 'aes-256-gcm';
+
+const contextStorage = new AsyncLocalStorage();
+const cache = new Map();
+
+// Any string works as a master key; it is hashed to the 32 bytes AES-256 needs
+function toMasterKey(secret) {
+    const key = crypto.createHash('sha256').update(secret).digest();
+    return {
+        id: crypto.createHash('sha256').update(key).digest('hex').slice(0, 12),
+        key
+    };
+}
+
+const currentKey = process.env.CREDENTIAL_MASTER_KEY ?
+    toMasterKey(process.env.CREDENTIAL_MASTER_KEY) :
+    null;
+
+const keyring = new Map([
+    ...(process.env.CREDENTIAL_MASTER_KEY_PREVIOUS || '')
+        .split(',')
+        .map(secret => secret.trim())
+        .filter(Boolean)
+        .map(secret => toMasterKey(secret)),
+    ...(currentKey ? [currentKey] : [])
+].map(({ id, key }) => [id, key]));
+
+if (!currentKey) {
+    logger.warn('⚠️  CREDENTIAL_MASTER_KEY is not set - users cannot save API keys, only environment keys are used');
+}
+
+function isConfigured() {
+    return !!currentKey;
+}
+
+function isKnownProvider(provider) {
+    return Object.prototype.hasOwnProperty.call(CREDENTIAL_PROVIDERS, provider);
+}
+
+// The owner and provider are authenticated with the ciphertext so a record
+// copied to another user or provider fails to decrypt
+const additionalData = (owner, provider) => Buffer.from(`${owner}:${provider}`);
+
+function encrypt(owner, provider, value) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, currentKey.key, iv);
+    cipher.setAAD(additionalData(owner, provider));
+    const ciphertext = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+
+    return {
+        ciphertext: ciphertext.toString('base64'),
+        iv: iv.toString('base64'),
+        authTag: cipher.getAuthTag().toString('base64'),
+        keyId: currentKey.id
+    };
+}
+
+function decrypt(credential) {
+    const key = keyring.get(credential.keyId);
+    if (!key) {
+        throw new Error(`master key ${credential.keyId} is not available`);
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(credential.iv, 'base64'));
+    decipher.setAAD(additionalData(credential.owner, credential.provider));
+    decipher.setAuthTag(Buffer.from(credential.authTag, 'base64'));
+
+    return Buffer.concat([
+        decipher.update(Buffer.from(credential.ciphertext, 'base64')),
+        decipher.final()
+    ]).toString('utf8');
+}
+
+// Whether owner's work may use the environment keys. Work without an owner
+// (data from before accounts) is the operator's own.
+async function canUseEnvironmentKeys(owner) {
+    if (!owner || process.env.ALLOW_SHARED_API_KEYS === 'true') return true;
+    return !!(await User.exists({ _id: owner, role: 'admin' }));
+}
+
+// { keys: { provider: key }, environmentKeys } for owner: every stored key
+// that can be decrypted, and whether the environment keys may be used
+async function loadCredentials(owner) {
+    if (!owner) return { keys: {}, environmentKeys: true };
+
+    const cacheKey = owner.toString();
+    const cached = cache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached;
+    }
+
+    const keys = {};
+    const [credentials, environmentKeys] = await Promise.all([
+        keyring.size > 0 ? Credential.find({ owner }).lean() : [],
+        canUseEnvironmentKeys(owner)
+    ]);
+    credentials.forEach(credential => {
+        try {
+            keys[credential.provider] = decrypt(credential);
+        } catch (error) {
+            logger.warn(`Could not decrypt ${credential.provider} API key:`, error.message);
+        }
+    });
+
+    const loaded = { keys, environmentKeys, expiresAt: Date.now() + CACHE_TTL_MS };
+    cache.set(cacheKey, loaded);
+    return loaded;
+}
+
+// Runs fn with owner's keys available to getApiKey(). Without an owner only
+// environment keys are used.
+async function withCredentials(owner, fn) {
+    const { keys, environmentKeys } = await loadCredentials(owner);
+    return contextStorage.run({ owner, keys, environmentKeys }, fn);
+}
+
+// The key to use for provider right now, or undefined if there is none
+function getApiKey(provider) {
+    const { keys = {}, environmentKeys = true } = contextStorage.getStore() || {};
+    return keys[provider] || (environmentKeys && process.env[CREDENTIAL_PROVIDERS[provider]]) || undefined;
+}
+
+// Every provider with where its key comes from. Stored keys are masked;
+// environment keys are shared so none of them is shown, and they are only
+// listed for users allowed to use them.
+async function listCredentials(owner) {
+    const [credentials, environmentKeys] = await Promise.all([
+        Credential.find({ owner }).lean(),
+        canUseEnvironmentKeys(owner)
+    ]);
+    const byProvider = new Map(credentials.map(credential => [credential.provider, credential]));
+
+    return Object.entries(CREDENTIAL_PROVIDERS).map(([provider, envKey]) => {
+        const credential = byProvider.get(provider);
+        if (credential) {
+            return {
+                provider,
+                configured: true,
+                source: 'vault',
+                masked: `••••${credential.last4 || ''}`,
+                updatedAt: credential.updatedAt,
+                rotatedAt: credential.rotatedAt || null,
+                readable: keyring.has(credential.keyId)
+            };
+        }
+
+        const fromEnvironment = environmentKeys && !!process.env[envKey];
+        return {
+            provider,
+            configured: fromEnvironment,
+            source: fromEnvironment ? 'environment' : null,
+            masked: null
+        };
+    });
+}
+
+// Stores (or replaces) owner's key for provider
+async function saveCredential(owner, provider, value) {
+    if (!currentKey) {
+        throw new Error('CREDENTIAL_MASTER_KEY is not set, API keys cannot be stored');
+    }
+
+    const existing = await Credential.exists({ owner, provider });
+    await Credential.findOneAndUpdate(
+        { owner, provider },
+        {
+            ...encrypt(owner, provider, value),
+            last4: value.slice(-4),
+            ...(existing && { rotatedAt: new Date() })
+        },
+        { upsert: true, runValidators: true }
+    );
+
+    cache.delete(owner.toString());
+    logger.info(`🔐 ${provider} API key ${existing ? 'rotated' : 'stored'}`, { owner: owner.toString() });
+}
+
+async function deleteCredential(owner, provider) {
+    const result = await Credential.deleteOne({ owner, provider });
+    cache.delete(owner.toString());
+    return result.deletedCount > 0;
+}
+
+// Re-encrypts every key that isn't under the current master key. Keys whose
+// master key is no longer in the keyring are reported and left as they are.
+async function rotateMasterKey() {
+    if (!currentKey) {
+        throw new Error('CREDENTIAL_MASTER_KEY is not set');
+    }
+
+    const stale = await Credential.find({ keyId: { $ne: currentKey.id } });
+    let rotated = 0;
+    let failed = 0;
+
+    for (const credential of stale) {
+        try {
+            const value = decrypt(credential);
+            Object.assign(credential, encrypt(credential.owner, credential.provider, value));
+            await credential.save();
+            rotated += 1;
+        } catch (error) {
+            failed += 1;
+            logger.warn(`Could not re-encrypt ${credential.provider} API key ${credential._id}:`, error.message);
+        }
+    }
+
+    cache.clear();
+    logger.info('🔐 Credential master key rotation finished', { rotated, failed, keyId: currentKey.id });
+    return { rotated, failed, keyId: currentKey.id };
+}
+
+module.exports = {
+    CREDENTIAL_PROVIDERS,
+    MAX_KEY_LENGTH,
+    isConfigured,
+    isKnownProvider,
+    withCredentials,
+    getApiKey,
+    listCredentials,
+    saveCredential,
+    deleteCredential,
+    rotateMasterKey
+};
@@ -0,0 +1,182 @@
+const usageTracker = require('./usageTracker');
+const logger = require('../utils/logger');
+const { buildTemplateContext, renderTemplate, lintTemplate } = require('../utils/emailTemplate');
+
+// Email drafts for a company: rendered from one of the user's templates when
+// one is picked, otherwise AI-written when a provider is available and
+// filled in from a fixed template when not. Used by the email routes and by
+// campaigns.
+
+// Generate an email with the AI service, recording the tokens and cost it
+// took in the usage ledger and on the returned template
+async function generateAIEmailWithUsage(profile, company, hrContact, options) {
+    const openaiService = require('./openaiService');
+    const usage = { calls: 0, tokensUsed: 0, cost: 0 };
+
+    const emailTemplate = await usageTracker.withUsageContext({
+        companyId: company._id?.toString(),
+        companyName: company.name,
+        purpose: 'email',
+        onUsage: entry => usageTracker.addToTally(usage, entry)
+    }, () => openaiService.generateAIEmail(profile, company, hrContact, options));
+
+    return {
+        ...emailTemplate,
+        aiUsage: { tokensUsed: usage.tokensUsed, cost: usage.cost }
+    };
+}
+
+// Generate template-based email
+function generateTemplateEmail(profile, company, hrContact) {
+    const recipientName = hrContact?.name || 'Hiring Manager';
+    const recipientEmail = hrContact?.email || `hr@${company.domain}`;
+
+    const subject = `Informational Interview Request - ${profile.personalInfo.firstName} ${profile.personalInfo.lastName}`;
+
+    const content = `Dear ${recipientName},
+
+I hope this email finds you well. My name is ${profile.personalInfo.firstName} ${profile.personalInfo.lastName}, and I'm a ${profile.currentTitle} interested in learning more about opportunities at ${company.name}.
+
+Your company's work in ${company.industry} particularly caught my attention, and I believe my background would be a strong fit for your team.
+
+About me:
+• ${profile.currentTitle} with ${profile.experience} level experience
+• Strong background in technology and problem-solving
+• Passionate about innovation and continuous learning
+
+I would appreciate the opportunity to have a brief informational interview to learn more about ${company.name} and discuss how I might contribute to your team.
+
+Thank you for your time and consideration.
+
+Best regards,
+${profile.personalInfo.firstName} ${profile.personalInfo.lastName}
+${profile.personalInfo.email}
+${profile.personalInfo.phone || ''}`;
+
+    return {
+        recipientName,
+        recipientEmail,
+        subject,
+        content,
+        keyPoints: [
+            `Professional introduction to ${company.name}`,
+            `Highlights relevant experience`,
+            `Requests informational interview`,
+            `Includes complete contact information`
+        ]
+    };
+}
+
+// Helper function for default templates. They have fixed ids so they can be
+// previewed before the user saves templates of their own.
+function getDefaultEmailTemplates() {
+    const templates = [
+        {
+            _id: 'default-informational-interview',
+            name: 'Professional Informational Interview',
+            subject: 'Informational Interview Request - {{profile.fullName}}',
+            body: `Dear {{contact.name | "Hiring Manager"}},
+
+I hope this email finds you well. My name is {{profile.fullName}}, and I'm a {{profile.currentTitle}} with a keen interest in {{company.name}}'s work in the {{company.industry | "technology"}} sector.
+
+I've been following {{company.name}}'s journey and am particularly impressed by {{company.highlight | "your innovative approach"}}. I would greatly appreciate the opportunity to learn more about your company culture and current initiatives.
+
+Would you be available for a brief 15-20 minute informational interview in the coming weeks? I'm happy to work around your schedule.
+
+Thank you for considering my request.
+
+Best regards,
+{{profile.fullName}}
+{{profile.email}}{{#if profile.phone}}
+{{profile.phone}}{{/if}}`,
+            isDefault: true,
+            createdAt: new Date(),
+            useCount: 0
+        },
+        {
+            _id: 'default-casual-networking',
+            name: 'Casual Networking Request',
+            subject: 'Coffee Chat Request - Fellow {{company.industry | "Tech"}} Professional',
+            body: `Hi {{contact.firstName | "there"}},
+
+I'm {{profile.fullName}}, a {{profile.currentTitle}}{{#if profile.location}} based in {{profile.location}}{{/if}}. I came across {{company.name}} and was really intrigued by what you're building.
+
+I'd love to grab a virtual coffee and hear about {{#if contact}}your experience at {{company.name}}{{else}}life at {{company.name}}{{/if}}. I'm particularly interested in learning about your team's approach to {{company.industry | "engineering"}} challenges.
+
+Would you have 20 minutes for a quick chat sometime next week?
+
+Thanks!
+{{profile.firstName}}`,
+            isDefault: false,
+            createdAt: new Date(),
+            useCount: 0
+        }
+    ];
+    return templates.map(template => ({ ...template, variables: lintTemplate(template).variables }));
+}
+
+// The user's template with this id, or a default one when they have none
+function findTemplate(profile, templateId) {
+    const saved = profile?.emailTemplates || [];
+    if (saved.length > 0) {
+        return saved.find(template => template._id?.toString() === templateId) || null;
+    }
+    return getDefaultEmailTemplates().find(template => template._id === templateId) || null;
+}
+
+// Draft rendered from a saved or default template. missing lists the
+// variables that rendered empty.
+function renderTemplateDraft(profile, company, hrContact, template) {
+    const context = buildTemplateContext(profile, company, hrContact);
+    const subject = renderTemplate(template.subject, context);
+    const body = renderTemplate(template.body, context);
+
+    return {
+        recipientName: hrContact?.name || 'Hiring Manager',
+        recipientEmail: hrContact?.email || `hr@${company.domain}`,
+        subject: subject.text.trim(),
+        content: body.text.trim(),
+        templateId: template._id.toString(),
+        missing: [...new Set([...subject.missing, ...body.missing])]
+    };
+}
+
+// Best contact to write to: the one marked primary, then a verified one,
+// then the first. Works on lean objects, which lack the primaryHRContact
+// virtual.
+function pickRecipient(company) {
+    const contacts = company.hrContacts || [];
+    return contacts.find(c => c.isPrimary) ||
+        contacts.find(c => c.verified) ||
+        contacts[0] ||
+        null;
+}
+
+// AI draft, falling back to the template when generation fails.
+// options.template renders that template instead of asking the AI;
+// options.followUp makes it a follow-up (see openaiService.generateAIEmail).
+async function generateDraft(profile, company, hrContact, options) {
+    if (options?.template) {
+        return renderTemplateDraft(profile, company, hrContact, options.template);
+    }
+
+    try {
+        return await generateAIEmailWithUsage(profile, company, hrContact, options);
+    } catch (error) {
+        logger.warn(`AI generation failed for ${company.name}, using template:`, error.message);
+        if (options?.followUp) {
+            return require('./openaiService').generateFollowUpTemplateEmail(profile, company, hrContact, options.followUp);
+        }
+        return generateTemplateEmail(profile, company, hrContact);
+    }
+}
+
+module.exports = {
+    generateAIEmailWithUsage,
+    generateTemplateEmail,
+    getDefaultEmailTemplates,
+    findTemplate,
+    renderTemplateDraft,
+    pickRecipient,
+    generateDraft
+};
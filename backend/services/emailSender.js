@@ -0,0 +1,332 @@
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const Company = require('../models/Company');
+const OutboxEmail = require('../models/OutboxEmail');
+const UserProfile = require('../models/UserProfile');
+const replyPoller = require('./replyPoller');
+const logger = require('../utils/logger');
+
+// Sends outreach emails over SMTP through an outbox: every email is saved as
+// an OutboxEmail first, then sent; temporary failures are retried with
+// backoff by the outbox worker started in server.js.
+//
+// SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE=true for implicit TLS
+// (port 465), SMTP_USER/SMTP_PASS for auth and SMTP_FROM for the sender
+// address. For a local fake SMTP server (MailHog, smtp4dev...) set
+// SMTP_HOST=localhost SMTP_PORT=1025 and SMTP_IGNORE_TLS=true.
+
+const MAX_ATTEMPTS = parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || 4;
+
+// Wait before attempt 2, 3, 4...; the last delay repeats
+const RETRY_DELAYS_MS = [60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000];
+
+const POLL_INTERVAL_MS = parseInt(process.env.OUTBOX_POLL_INTERVAL_MS) || 30 * 1000;
+
+// An email left 'sending' this long was interrupted (e.g. by a restart)
+const STALE_SENDING_MS = 10 * 60 * 1000;
+
+// Connection problems worth trying again; SMTP 4xx replies are retried too
+const TRANSIENT_ERROR_CODES = ['ECONNECTION', 'ETIMEDOUT', 'ESOCKET', 'EDNS', 'ECONNRESET', 'ECONNREFUSED'];
+
+let transport = null;
+let pollTimer = null;
+
+function isConfigured() {
+    return !!process.env.SMTP_HOST;
+}
+
+function getSenderAddress() {
+    return process.env.SMTP_FROM || process.env.SMTP_USER;
+}
+
+function getTransport() {
+    if (!transport) {
+        const port = parseInt(process.env.SMTP_PORT) || 587;
+        transport = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port,
+            secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+            ignoreTLS: process.env.SMTP_IGNORE_TLS === 'true',
+            auth: process.env.SMTP_USER ? {
+                user: process.env.SMTP_USER,
+                pass: process.env.SMTP_PASS
+            } : undefined,
+            tls: {
+                rejectUnauthorized: process.env.SMTP_TLS_REJECT_UNAUTHORIZED !== 'false'
+            },
+            connectionTimeout: 15000,
+            greetingTimeout: 15000,
+            socketTimeout: 30000
+        });
+    }
+    return transport;
+}
+
+// Checks the SMTP connection and login. Returns { success, message }.
+async function verifyConnection() {
+    if (!isConfigured()) {
+        return { success: false, message: 'SMTP_HOST is not set' };
+    }
+
+    try {
+        await getTransport().verify();
+        return { success: true, message: `Connected to ${process.env.SMTP_HOST}` };
+    } catch (error) {
+        return { success: false, message: `SMTP connection failed: ${error.message}` };
+    }
+}
+
+function isTransientError(error) {
+    if (error.responseCode) {
+        return error.responseCode >= 400 && error.responseCode < 500;
+    }
+    return TRANSIENT_ERROR_CODES.includes(error.code);
+}
+
+// Message-ID under the sender's domain, e.g. <8f3e...@example.com>
+function createMessageId() {
+    const domain = (getSenderAddress() || '').split('@')[1]?.replace(/>.*$/, '') || 'localhost';
+    return `<${crypto.randomUUID()}@${domain}>`;
+}
+
+// Mirrors the outbox state onto the company's emailHistory entry
+async function updateHistoryEntry(outbox, fields) {
+    if (!outbox.emailHistoryId) return;
+
+    const set = Object.fromEntries(
+        Object.entries(fields).map(([key, value]) => [`emailHistory.$.${key}`, value])
+    );
+    await Company.updateOne(
+        { _id: outbox.company, owner: outbox.owner, 'emailHistory._id': outbox.emailHistoryId },
+        { $set: set }
+    );
+}
+
+async function recordSent(outbox) {
+    await updateHistoryEntry(outbox, {
+        sent: true,
+        deliveryStatus: 'sent',
+        messageId: outbox.messageId,
+        sentAt: outbox.sentAt,
+        deliveryError: null
+    });
+
+    // Same bookkeeping as marking an email sent by hand
+    await Company.updateOne(
+        { _id: outbox.company, owner: outbox.owner, status: 'not-contacted' },
+        { $set: { status: 'contacted' } }
+    );
+
+    try {
+        const profile = await UserProfile.findOne({ userId: outbox.owner.toString() });
+        if (profile) {
+            await profile.addCompanyInteraction(
+                outbox.company,
+                outbox.companyName,
+                'contacted',
+                `Sent email to ${outbox.to}`
+            );
+        }
+    } catch (interactionError) {
+        logger.warn('Failed to record company interaction:', interactionError);
+    }
+
+    // Follow-ups never start a sequence of their own
+    if (!outbox.followUpId) {
+        const company = await Company.findById(outbox.company).select('name status').lean();
+        if (company) {
+            require('./followUps').scheduleInBackground(outbox.owner, company, {
+                emailHistoryId: outbox.emailHistoryId,
+                to: outbox.to,
+                subject: outbox.subject,
+                messageId: outbox.messageId,
+                sentAt: outbox.sentAt
+            });
+        }
+    }
+}
+
+// One delivery attempt for an outbox email that has been claimed ('sending').
+// Returns the updated OutboxEmail.
+async function attemptDelivery(outbox) {
+    if (!isConfigured()) {
+        outbox.status = 'failed';
+        outbox.lastError = 'SMTP is not configured on the server';
+        await outbox.save();
+        await updateHistoryEntry(outbox, { deliveryStatus: 'failed', deliveryError: outbox.lastError });
+        return outbox;
+    }
+
+    try {
+        const info = await getTransport().sendMail({
+            from: outbox.fromName ?
+                { name: outbox.fromName, address: getSenderAddress() } :
+                getSenderAddress(),
+            to: outbox.to,
+            replyTo: outbox.replyTo,
+            subject: outbox.subject,
+            text: outbox.body,
+            messageId: outbox.messageId,
+            ...(outbox.inReplyTo && { inReplyTo: outbox.inReplyTo, references: outbox.inReplyTo })
+        });
+
+        outbox.status = 'sent';
+        outbox.sentAt = new Date();
+        outbox.smtpResponse = info.response;
+        outbox.lastError = undefined;
+        await outbox.save();
+        await recordSent(outbox);
+
+        logger.info(`📤 Email sent to ${outbox.to}`, {
+            company: outbox.companyName,
+            messageId: outbox.messageId,
+            attempt: outbox.attempts
+        });
+    } catch (error) {
+        const retry = isTransientError(error) && outbox.attempts < MAX_ATTEMPTS;
+
+        outbox.lastError = error.response || error.message;
+        if (retry) {
+            const delay = RETRY_DELAYS_MS[Math.min(outbox.attempts - 1, RETRY_DELAYS_MS.length - 1)];
+            outbox.status = 'queued';
+            outbox.nextAttemptAt = new Date(Date.now() + delay);
+        } else {
+            outbox.status = 'failed';
+        }
+        await outbox.save();
+        await updateHistoryEntry(outbox, {
+            deliveryStatus: retry ? 'queued' : 'failed',
+            deliveryError: outbox.lastError
+        });
+
+        logger.warn(`⚠️ Email to ${outbox.to} ${retry ? 'will be retried' : 'failed'}:`, outbox.lastError);
+    }
+
+    return outbox;
+}
+
+// Atomically takes a due email (or the given one) off the queue so two
+// processes never send the same email
+function claim(filter) {
+    return OutboxEmail.findOneAndUpdate(
+        { ...filter, status: 'queued', nextAttemptAt: { $lte: new Date() } },
+        { $set: { status: 'sending' }, $inc: { attempts: 1 } },
+        { new: true, sort: { nextAttemptAt: 1 } }
+    );
+}
+
+// Saves an email to the outbox and makes the first delivery attempt.
+// email: { owner, company (document), emailHistoryId, to, replyTo, fromName,
+// subject, body, inReplyTo, followUpId }. Without emailHistoryId a new
+// history entry is recorded on the company. Returns the OutboxEmail after
+// the attempt.
+async function sendEmail({ owner, company, emailHistoryId, to, replyTo, fromName, subject, body, inReplyTo, followUpId }) {
+    if (!emailHistoryId) {
+        const historyEntry = company.emailHistory.create({ generatedAt: new Date(), recipientEmail: to, subject });
+        await Company.updateOne({ _id: company._id, owner }, {
+            $push: { emailHistory: historyEntry }
+        });
+        emailHistoryId = historyEntry._id;
+    }
+
+    const outbox = await OutboxEmail.create({
+        owner,
+        company: company._id,
+        companyName: company.name,
+        emailHistoryId,
+        to,
+        replyTo,
+        fromName,
+        subject,
+        body,
+        messageId: createMessageId(),
+        inReplyTo,
+        followUpId
+    });
+
+    await updateHistoryEntry(outbox, {
+        deliveryStatus: 'queued',
+        outboxId: outbox._id,
+        messageId: outbox.messageId,
+        recipientEmail: to,
+        subject
+    });
+
+    const claimed = await claim({ _id: outbox._id });
+    return claimed ? attemptDelivery(claimed) : outbox;
+}
+
+// Display name and reply-to address for user's emails. Replies go to the
+// mailbox the reply poller reads when IMAP is configured, so they can be
+// detected; otherwise to the user's own address from their profile.
+async function getSenderIdentity(user) {
+    const profile = await UserProfile.findOne({ userId: user._id.toString() }).select('personalInfo').lean();
+    const personalInfo = profile?.personalInfo;
+
+    return {
+        replyTo: replyPoller.getReplyAddress(user._id) || personalInfo?.email || user.email,
+        fromName: personalInfo ? `${personalInfo.firstName} ${personalInfo.lastName}`.trim() : undefined
+    };
+}
+
+// Puts a failed email back on the queue for an immediate attempt
+async function retryEmail(owner, outboxId) {
+    const outbox = await OutboxEmail.findOneAndUpdate(
+        { _id: outboxId, owner, status: 'failed' },
+        { $set: { status: 'queued', nextAttemptAt: new Date(), attempts: 0, lastError: null } },
+        { new: true }
+    );
+    if (!outbox) return null;
+
+    await updateHistoryEntry(outbox, { deliveryStatus: 'queued', deliveryError: null });
+
+    const claimed = await claim({ _id: outbox._id });
+    return claimed ? attemptDelivery(claimed) : outbox;
+}
+
+// Sends every email whose retry is due, one at a time
+async function processDueEmails() {
+    // Requeue emails whose process died mid-send
+    await OutboxEmail.updateMany(
+        { status: 'sending', updatedAt: { $lt: new Date(Date.now() - STALE_SENDING_MS) } },
+        { $set: { status: 'queued', nextAttemptAt: new Date() } }
+    );
+
+    let outbox;
+    let processed = 0;
+    while ((outbox = await claim({}))) {
+        await attemptDelivery(outbox);
+        processed++;
+    }
+    return processed;
+}
+
+function startOutboxWorker() {
+    if (pollTimer) return;
+
+    let running = false;
+    pollTimer = setInterval(() => {
+        if (running) return;
+        running = true;
+        processDueEmails()
+            .catch(error => logger.error('Outbox processing failed:', error))
+            .finally(() => {
+                running = false;
+            });
+    }, POLL_INTERVAL_MS);
+    pollTimer.unref();
+
+    logger.info(`📮 Outbox worker started (every ${POLL_INTERVAL_MS / 1000}s, SMTP ${isConfigured() ? 'configured' : 'not configured'})`);
+}
+
+module.exports = {
+    isConfigured,
+    verifyConnection,
+    getSenderIdentity,
+    sendEmail,
+    retryEmail,
+    processDueEmails,
+    startOutboxWorker,
+    // For tests
+    attemptDelivery
+};
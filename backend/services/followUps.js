@@ -0,0 +1,318 @@
+const Company = require('../models/Company');
+const FollowUp = require('../models/FollowUp');
+const OutboxEmail = require('../models/OutboxEmail');
+const UserProfile = require('../models/UserProfile');
+const emailSender = require('./emailSender');
+const credentialVault = require('./credentialVault');
+const { generateDraft } = require('./emailDrafts');
+const { resolveFollowUpSequence } = require('../utils/followUpSequence');
+const logger = require('../utils/logger');
+
+// Follow-up sequences for outreach that gets no reply. When an email is sent
+// (through the outbox or marked sent by hand) one FollowUp per step of the
+// user's sequence is scheduled. When a step is due its draft is written and
+// waits for the user's approval; approving sends it as a reply in the same
+// thread. Nothing more is drafted or sent once the company has responded.
+
+// Company statuses that end a sequence
+const STOP_STATUSES = ['responded', 'interview', 'rejected', 'hired'];
+
+const TICK_MS = parseInt(process.env.FOLLOW_UP_TICK_MS) || 5 * 60 * 1000;
+
+// Drafts written per tick, so a backlog doesn't spend the AI budget at once
+const DRAFTS_PER_TICK = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let tickTimer = null;
+
+async function loadSequence(owner) {
+    const profile = await UserProfile.findOne({ userId: owner.toString() }).select('settings.followUpSequence').lean();
+    return resolveFollowUpSequence(profile?.settings?.followUpSequence);
+}
+
+// Stops the open follow-ups of one company or an array of them, except those
+// for keepEmailHistoryId if given. Returns how many were stopped.
+async function stopFollowUps(owner, companyIds, reason, keepEmailHistoryId) {
+    const result = await FollowUp.updateMany(
+        {
+            owner,
+            company: Array.isArray(companyIds) ? { $in: companyIds } : companyIds,
+            status: { $in: ['scheduled', 'draft'] },
+            ...(keepEmailHistoryId && { emailHistoryId: { $ne: keepEmailHistoryId } })
+        },
+        { $set: { status: 'stopped', stoppedReason: reason } }
+    );
+    if (result.modifiedCount > 0) {
+        logger.info(`⏹️ Stopped ${result.modifiedCount} follow-ups`, { reason });
+    }
+    return result.modifiedCount;
+}
+
+// Called by every route that sets company status (one id or an array)
+async function handleStatusChange(owner, companyIds, status) {
+    if (STOP_STATUSES.includes(status)) {
+        await stopFollowUps(owner, companyIds, `Company marked ${status}`);
+    }
+}
+
+// Schedules the owner's sequence for an email just sent to a company.
+// email: { emailHistoryId, to, subject, messageId, sentAt }
+async function scheduleFollowUps(owner, company, email) {
+    if (!email.to || STOP_STATUSES.includes(company.status)) return [];
+
+    const sequence = await loadSequence(owner);
+    if (!sequence.enabled || sequence.steps.length === 0) return [];
+
+    // Already scheduled for this email (e.g. marked sent twice)
+    if (email.emailHistoryId && await FollowUp.exists({ owner, emailHistoryId: email.emailHistoryId })) return [];
+
+    // Only the latest email to a company is followed up on
+    await stopFollowUps(owner, company._id, 'A newer email was sent', email.emailHistoryId);
+
+    const sentAt = email.sentAt ? new Date(email.sentAt) : new Date();
+    const followUps = sequence.steps.map((step, index) => ({
+        owner,
+        company: company._id,
+        companyName: company.name,
+        emailHistoryId: email.emailHistoryId,
+        originalSubject: email.subject,
+        originalMessageId: email.messageId,
+        originalSentAt: sentAt,
+        to: email.to,
+        step: index + 1,
+        totalSteps: sequence.steps.length,
+        label: step.label,
+        dueAt: new Date(sentAt.getTime() + step.delayDays * DAY_MS)
+    }));
+
+    try {
+        const created = await FollowUp.insertMany(followUps, { ordered: false });
+        logger.info(`🔁 Scheduled ${created.length} follow-ups for ${company.name}`);
+        return created;
+    } catch (error) {
+        // Scheduled at the same time by another request
+        if (error.code === 11000 || error.writeErrors?.every(writeError => writeError.code === 11000)) {
+            return [];
+        }
+        throw error;
+    }
+}
+
+// Same, without holding up the caller
+function scheduleInBackground(owner, company, email) {
+    scheduleFollowUps(owner, company, email).catch(error => {
+        logger.warn(`Could not schedule follow-ups for ${company.name}:`, error.message);
+    });
+}
+
+const normalizeSubject = (subject) => {
+    const original = subject || '';
+    return /^re:/i.test(original) ? original : `Re: ${original}`;
+};
+
+// Writes the draft for a due follow-up
+async function writeDraft(followUp) {
+    const company = await Company.findOne({ _id: followUp.company, owner: followUp.owner }).lean();
+    if (!company) {
+        await FollowUp.updateOne({ _id: followUp._id, status: 'scheduled' }, { $set: { status: 'stopped', stoppedReason: 'Company was deleted' } });
+        return;
+    }
+    if (STOP_STATUSES.includes(company.status)) {
+        await stopFollowUps(followUp.owner, company._id, `Company marked ${company.status}`);
+        return;
+    }
+
+    const profile = await UserProfile.findOne({ userId: followUp.owner.toString() }).lean();
+    if (!profile?.personalInfo?.firstName) {
+        await FollowUp.updateOne({ _id: followUp._id, status: 'scheduled' }, { $set: { status: 'failed', error: 'Complete your profile to write follow-ups' } });
+        return;
+    }
+
+    const [original, previous] = await Promise.all([
+        OutboxEmail.findOne({ emailHistoryId: followUp.emailHistoryId }).select('body').lean(),
+        FollowUp.find({ emailHistoryId: followUp.emailHistoryId, status: 'sent', step: { $lt: followUp.step } })
+            .sort({ step: 1 })
+            .select('subject body sentAt')
+            .lean()
+    ]);
+
+    const hrContact = company.hrContacts?.find(contact => contact.email?.toLowerCase() === followUp.to.toLowerCase()) ||
+        { email: followUp.to };
+
+    const draft = await credentialVault.withCredentials(followUp.owner, () => generateDraft(profile, company, hrContact, {
+        followUp: {
+            step: followUp.step,
+            totalSteps: followUp.totalSteps,
+            isFinal: followUp.step === followUp.totalSteps,
+            originalSubject: followUp.originalSubject,
+            originalBody: original?.body,
+            originalSentAt: followUp.originalSentAt,
+            previousFollowUps: previous
+        }
+    }));
+
+    await FollowUp.updateOne({ _id: followUp._id, status: 'scheduled' }, {
+        $set: {
+            status: 'draft',
+            // A reply in the original thread keeps the original subject
+            subject: normalizeSubject(followUp.originalSubject || draft.subject),
+            body: draft.content,
+            generatedAt: new Date(),
+            aiUsage: draft.aiUsage || { tokensUsed: 0, cost: 0 }
+        }
+    });
+}
+
+// Sends an approved follow-up (optionally edited first). Returns
+// { followUp } or { status, error } for a bad request.
+async function sendFollowUp(user, followUpId, changes = {}) {
+    const followUp = await FollowUp.findOne({ _id: followUpId, owner: user._id });
+    if (!followUp) {
+        return { status: 404, error: 'Follow-up not found' };
+    }
+    if (!['draft', 'failed'].includes(followUp.status) || !followUp.body) {
+        return { status: 409, error: `This follow-up is ${followUp.status} and can't be sent` };
+    }
+
+    const company = await Company.findOne({ _id: followUp.company, owner: user._id });
+    if (!company) {
+        return { status: 404, error: 'Company not found' };
+    }
+    if (STOP_STATUSES.includes(company.status)) {
+        await stopFollowUps(user._id, company._id, `Company marked ${company.status}`);
+        return { status: 409, error: `${company.name} is marked ${company.status}; its follow-ups were stopped` };
+    }
+
+    // Claim it so a double click can't send it twice
+    const claimed = await FollowUp.findOneAndUpdate(
+        { _id: followUp._id, status: { $in: ['draft', 'failed'] } },
+        {
+            $set: {
+                status: 'queued',
+                ...(changes.subject !== undefined && { subject: changes.subject }),
+                ...(changes.body !== undefined && { body: changes.body })
+            }
+        },
+        { new: true }
+    );
+    if (!claimed) {
+        return { status: 409, error: 'This follow-up is already being sent' };
+    }
+
+    let update;
+    try {
+        const sender = await emailSender.getSenderIdentity(user);
+        const outbox = await emailSender.sendEmail({
+            owner: user._id,
+            company,
+            to: claimed.to,
+            subject: claimed.subject,
+            body: claimed.body,
+            inReplyTo: claimed.originalMessageId,
+            followUpId: claimed._id,
+            ...sender
+        });
+
+        update = {
+            outboxId: outbox._id,
+            status: outbox.status === 'sent' ? 'sent' : outbox.status === 'failed' ? 'failed' : 'queued',
+            sentAt: outbox.sentAt,
+            error: outbox.lastError || null
+        };
+    } catch (error) {
+        logger.error(`Follow-up to ${claimed.to} failed:`, error);
+        update = { status: 'failed', error: error.message };
+    }
+
+    return { followUp: await FollowUp.findByIdAndUpdate(claimed._id, { $set: update }, { new: true }) };
+}
+
+// Writes a new draft for a follow-up, now
+async function redraftFollowUp(owner, followUpId) {
+    const followUp = await FollowUp.findOneAndUpdate(
+        { _id: followUpId, owner, status: { $in: ['draft', 'failed'] } },
+        { $set: { status: 'scheduled', dueAt: new Date(), error: null } },
+        { new: true }
+    );
+    if (!followUp) return null;
+
+    await writeDraft(followUp);
+    return FollowUp.findById(followUp._id);
+}
+
+// Picks up the result of follow-ups the outbox is still retrying
+async function syncQueuedFollowUps() {
+    const queued = await FollowUp.find({ status: 'queued' }).select('outboxId').lean();
+    if (queued.length === 0) return;
+
+    const outboxEmails = await OutboxEmail.find({ _id: { $in: queued.map(followUp => followUp.outboxId) } })
+        .select('status sentAt lastError')
+        .lean();
+    const byId = new Map(outboxEmails.map(outbox => [outbox._id.toString(), outbox]));
+
+    for (const followUp of queued) {
+        const outbox = byId.get(followUp.outboxId?.toString());
+        if (outbox && ['queued', 'sending'].includes(outbox.status)) continue;
+
+        await FollowUp.updateOne({ _id: followUp._id, status: 'queued' }, {
+            $set: outbox?.status === 'sent' ?
+                { status: 'sent', sentAt: outbox.sentAt, error: null } :
+                { status: 'failed', error: outbox?.lastError || 'Outbox email was cancelled' }
+        });
+    }
+}
+
+async function processDueFollowUps() {
+    await syncQueuedFollowUps();
+
+    const due = await FollowUp.find({ status: 'scheduled', dueAt: { $lte: new Date() } })
+        .sort({ dueAt: 1 })
+        .limit(DRAFTS_PER_TICK);
+
+    for (const followUp of due) {
+        try {
+            await writeDraft(followUp);
+        } catch (error) {
+            logger.error(`Follow-up draft for ${followUp.companyName} failed:`, error);
+            await FollowUp.updateOne({ _id: followUp._id, status: 'scheduled' }, { $set: { status: 'failed', error: error.message } });
+        }
+    }
+
+    if (due.length > 0) {
+        logger.info(`✍️ Wrote ${due.length} follow-up drafts`);
+    }
+}
+
+function startFollowUpScheduler() {
+    if (tickTimer) return;
+
+    let running = false;
+    const tick = () => {
+        if (running) return;
+        running = true;
+        processDueFollowUps()
+            .catch(error => logger.error('Follow-up processing failed:', error))
+            .finally(() => {
+                running = false;
+            });
+    };
+
+    tickTimer = setInterval(tick, TICK_MS);
+    tickTimer.unref();
+    tick();
+
+    logger.info(`🔁 Follow-up scheduler started (every ${TICK_MS / 1000}s)`);
+}
+
+module.exports = {
+    STOP_STATUSES,
+    handleStatusChange,
+    stopFollowUps,
+    scheduleFollowUps,
+    scheduleInBackground,
+    sendFollowUp,
+    redraftFollowUp,
+    processDueFollowUps,
+    startFollowUpScheduler
+};
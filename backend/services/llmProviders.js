@@ -0,0 +1,281 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+const usageTracker = require('./usageTracker');
+const credentialVault = require('./credentialVault');
+const { getRateLimiter } = require('../utils/rateLimiter');
+const LlmTaskOverride = require('../models/LlmTaskOverride');
+
+// LLM provider layer used by openaiService. Requests and responses use the
+// OpenAI chat completions shape ({ messages, max_tokens, temperature } in,
+// { choices: [{ message }], usage } out) whichever provider serves the task.
+
+let OpenAI;
+try {
+    OpenAI = require('openai');
+} catch (error) {
+    logger.warn('OpenAI library not available, OpenAI-compatible providers disabled:', error.message);
+}
+
+// Tasks that can be routed to different providers and models
+const LLM_TASKS = ['profileAnalysis', 'companyMatching', 'workLifeBalance', 'companyMatch', 'email'];
+
+const PROVIDERS = ['openai', 'local', 'anthropic'];
+
+const DEFAULT_MODELS = {
+    openai: 'gpt-4o-mini',
+    local: 'llama3.1',
+    anthropic: 'claude-3-5-haiku-latest'
+};
+
+// Per-task overrides set through /api/config/llm. Saved as LlmTaskOverride
+// documents and loaded by loadTaskOverrides in the API and the worker.
+const taskOverrides = {};
+
+// OpenAI SDK clients, keyed by base URL + key so updated keys take effect
+const clients = new Map();
+
+class OpenAICompatibleProvider {
+    constructor(name, { apiKey, baseURL } = {}) {
+        this.name = name;
+        this.apiKey = apiKey;
+        this.baseURL = baseURL;
+    }
+
+    isAvailable() {
+        return !!OpenAI && !!this.apiKey;
+    }
+
+    getClient() {
+        const cacheKey = `${this.baseURL || 'openai'}:${this.apiKey}`;
+        if (!clients.has(cacheKey)) {
+            clients.set(cacheKey, new OpenAI({
+                apiKey: this.apiKey,
+                ...(this.baseURL && { baseURL: this.baseURL })
+            }));
+        }
+        return clients.get(cacheKey);
+    }
+
+    async createChatCompletion(request) {
+        return this.getClient().chat.completions.create(request);
+    }
+}
+
+class AnthropicProvider {
+    constructor({ apiKey, baseURL } = {}) {
+        this.name = 'anthropic';
+        this.apiKey = apiKey;
+        this.baseURL = baseURL || 'https://api.anthropic.com';
+    }
+
+    isAvailable() {
+        return !!this.apiKey;
+    }
+
+    async createChatCompletion(request) {
+        // Anthropic takes the system prompt separately and has no
+        // presence/frequency penalties, so those are dropped
+        const system = request.messages
+            .filter(message => message.role === 'system')
+            .map(message => message.content)
+            .join('\n\n');
+
+        const response = await axios.post(`${this.baseURL}/v1/messages`, {
+            model: request.model,
+            max_tokens: request.max_tokens || 1024,
+            temperature: request.temperature,
+            ...(system && { system }),
+            messages: request.messages.filter(message => message.role !== 'system')
+        }, {
+            headers: {
+                'x-api-key': this.apiKey,
+                'anthropic-version': '2023-06-01',
+                'Content-Type': 'application/json'
+            },
+            timeout: 120000
+        });
+
+        const data = response.data;
+        const content = (data.content || [])
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+
+        return {
+            id: data.id,
+            model: data.model,
+            choices: [{
+                index: 0,
+                message: { role: 'assistant', content },
+                finish_reason: data.stop_reason
+            }],
+            usage: {
+                prompt_tokens: data.usage?.input_tokens || 0,
+                completion_tokens: data.usage?.output_tokens || 0,
+                total_tokens: (data.usage?.input_tokens || 0) + (data.usage?.output_tokens || 0)
+            }
+        };
+    }
+}
+
+// Keys are looked up per call so each user's own keys from the vault are used
+function createProvider(name) {
+    switch (name) {
+        case 'openai':
+            return new OpenAICompatibleProvider('openai', {
+                apiKey: credentialVault.getApiKey('openai')
+            });
+        case 'local':
+            // Ollama, llama.cpp server, LM Studio, vLLM... anything that speaks
+            // the OpenAI API. Most ignore the key but the SDK requires one.
+            return new OpenAICompatibleProvider('local', {
+                apiKey: process.env.LOCAL_LLM_API_KEY || 'local',
+                baseURL: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1'
+            });
+        case 'anthropic':
+            return new AnthropicProvider({
+                apiKey: credentialVault.getApiKey('anthropic'),
+                baseURL: process.env.ANTHROPIC_BASE_URL
+            });
+        default:
+            throw new Error(`Unknown LLM provider: ${name}`);
+    }
+}
+
+// profileAnalysis -> PROFILE_ANALYSIS
+function toEnvKey(task) {
+    return task.replace(/([A-Z])/g, '_$1').toUpperCase();
+}
+
+function getModelFromEnv(provider) {
+    switch (provider) {
+        case 'openai': return process.env.OPENAI_MODEL;
+        case 'local': return process.env.LOCAL_LLM_MODEL;
+        case 'anthropic': return process.env.ANTHROPIC_MODEL;
+        default: return undefined;
+    }
+}
+
+// Resolution order: saved override, LLM_<TASK>_PROVIDER/MODEL env vars,
+// LLM_PROVIDER plus the provider's *_MODEL env var, then built-in defaults
+function getTaskConfig(task) {
+    const override = taskOverrides[task] || {};
+    const envKey = toEnvKey(task);
+
+    const provider = override.provider ||
+        process.env[`LLM_${envKey}_PROVIDER`] ||
+        process.env.LLM_PROVIDER ||
+        'openai';
+
+    const model = override.model ||
+        process.env[`LLM_${envKey}_MODEL`] ||
+        getModelFromEnv(provider) ||
+        DEFAULT_MODELS[provider];
+
+    return { task, provider, model };
+}
+
+// Replaces the in-memory overrides with the saved ones. Keeps the current
+// ones if the database can't be read.
+async function loadTaskOverrides() {
+    try {
+        const saved = await LlmTaskOverride.find({ task: { $in: LLM_TASKS } }).lean();
+        Object.keys(taskOverrides).forEach(task => delete taskOverrides[task]);
+        saved.forEach(({ task, provider, model }) => {
+            taskOverrides[task] = {
+                ...(provider && { provider }),
+                ...(model && { model })
+            };
+        });
+    } catch (error) {
+        logger.warn('Could not load LLM task configuration:', error.message);
+    }
+    return { ...taskOverrides };
+}
+
+async function setTaskConfig(task, { provider, model } = {}) {
+    if (!LLM_TASKS.includes(task)) {
+        throw new Error(`Unknown LLM task: ${task}`);
+    }
+    if (provider && !PROVIDERS.includes(provider)) {
+        throw new Error(`Unknown LLM provider: ${provider}`);
+    }
+
+    if (!provider && !model) {
+        await LlmTaskOverride.deleteOne({ task });
+        delete taskOverrides[task];
+    } else {
+        await LlmTaskOverride.updateOne(
+            { task },
+            { $set: { provider: provider || null, model: model || null } },
+            { upsert: true }
+        );
+        taskOverrides[task] = {
+            ...(provider && { provider }),
+            ...(model && { model })
+        };
+    }
+
+    logger.info('LLM task configuration updated', getTaskConfig(task));
+    return getTaskConfig(task);
+}
+
+function isAvailable(task) {
+    try {
+        return createProvider(getTaskConfig(task).provider).isAvailable();
+    } catch (error) {
+        return false;
+    }
+}
+
+function getLLMConfig() {
+    return {
+        providers: PROVIDERS.map(name => ({
+            name,
+            available: createProvider(name).isAvailable(),
+            defaultModel: getModelFromEnv(name) || DEFAULT_MODELS[name]
+        })),
+        tasks: LLM_TASKS.map(task => ({
+            ...getTaskConfig(task),
+            available: isAvailable(task)
+        }))
+    };
+}
+
+// Run a chat completion for a task on whichever provider it is configured for
+async function complete(task, request) {
+    const { provider: providerName, model } = getTaskConfig(task);
+    const provider = createProvider(providerName);
+
+    if (!provider.isAvailable()) {
+        throw new Error(`LLM provider '${providerName}' is not configured for ${task}`);
+    }
+
+    await getRateLimiter(providerName).acquire();
+    const response = await provider.createChatCompletion({ ...request, model });
+
+    const usage = usageTracker.recordUsage({
+        task,
+        provider: providerName,
+        model: response.model || model,
+        usage: response.usage
+    });
+
+    return {
+        ...response,
+        provider: providerName,
+        model: response.model || model,
+        cost: usage.cost
+    };
+}
+
+module.exports = {
+    complete,
+    isAvailable,
+    getTaskConfig,
+    setTaskConfig,
+    loadTaskOverrides,
+    getLLMConfig,
+    LLM_TASKS,
+    PROVIDERS
+};
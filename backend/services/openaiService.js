@@ -1,29 +1,44 @@
 const logger = require('../utils/logger');
-
-// OpenAI Service with fallback for development
-let OpenAI;
-let openaiClient;
-
-try {
-    OpenAI = require('openai');
-
-    if (process.env.OPENAI_API_KEY) {
-        openaiClient = new OpenAI({
-            apiKey: process.env.OPENAI_API_KEY,
-        });
-        logger.info('OpenAI client initialized successfully');
-    } else {
-        logger.warn('OpenAI API key not found, using mock responses');
-    }
-} catch (error) {
-    logger.warn('OpenAI library not available, using mock responses:', error.message);
+const llmProviders = require('./llmProviders');
+const { normalizeCompanyName, getCompanyDomain } = require('../utils/companyIdentity');
+const { DEFAULT_REGIONS, describeRegion, findRegionForLocation } = require('../utils/regions');
+const { completeJSON, AIValidationError } = require('./structuredOutput');
+const {
+    profileAnalysisSchema,
+    companyListSchema,
+    wlbEvaluationSchema,
+    matchEvaluationSchema,
+    emailSchema
+} = require('./aiSchemas');
+const { MATCH_FACTORS, buildBreakdown, calculateMatchScore } = require('../utils/matchBreakdown');
+const { buildTemplateContext, renderTemplate } = require('../utils/emailTemplate');
+
+// Companies requested per prompt - a batch has to fit in max_tokens
+const COMPANY_BATCH_SIZE = parseInt(process.env.COMPANY_BATCH_SIZE) || 25;
+
+// Stop generating after this many batches in a row add under MIN_BATCH_YIELD new companies
+const MIN_BATCH_YIELD = 0.2;
+const MAX_LOW_YIELD_BATCHES = 2;
+
+// Names passed back as exclusions are capped to keep prompts bounded
+const MAX_EXCLUDED_NAMES = 300;
+
+// Each function below is a task in llmProviders, so it can run against
+// OpenAI, a local OpenAI-compatible server or Anthropic. Mock responses are
+// only returned in demo mode; outside it a task whose provider isn't
+// configured fails, so made-up results are never saved as real ones.
+if (!llmProviders.isAvailable('profileAnalysis')) {
+    logger.warn('No LLM provider configured, only demo searches will work');
 }
 
 // Analyze user profile with AI
 async function analyzeUserProfile(resume, personalStatement, demoMode = false) {
     try {
-        if (demoMode || !openaiClient) {
-            // Return mock analysis for demo/development
+        if (!demoMode && !llmProviders.isAvailable('profileAnalysis')) {
+            throw new Error('No LLM provider is configured for profileAnalysis');
+        }
+        if (demoMode) {
+            // Return mock analysis for demo
             return {
                 strengths: [
                     'Strong technical skills',
@@ -77,8 +92,7 @@ async function analyzeUserProfile(resume, personalStatement, demoMode = false) {
     Keep responses professional and concise.
     `;
 
-        const response = await openaiClient.chat.completions.create({
-            model: 'gpt-4o-mini',
+        const { data: analysis, response } = await completeJSON('profileAnalysis', {
             messages: [
                 {
                     role: 'system',
@@ -91,59 +105,44 @@ async function analyzeUserProfile(resume, personalStatement, demoMode = false) {
             ],
             max_tokens: 1000,
             temperature: 0.7,
-        });
+        }, profileAnalysisSchema);
 
-        const analysis = JSON.parse(response.choices[0].message.content);
         logger.info('Profile analysis completed successfully');
-        return analysis;
+        // Saved with the analysis, so it shows what actually wrote it
+        return { ...analysis, provider: response.provider, model: response.model };
 
     } catch (error) {
         logger.error('OpenAI profile analysis failed:', error);
 
-        // Return fallback analysis
-        return {
-            strengths: [
-                'Technical expertise',
-                'Problem-solving skills',
-                'Professional communication',
-                'Adaptability',
-                'Team collaboration'
-            ],
-            interests: [
-                'Software development',
-                'Technology innovation',
-                'Continuous learning',
-                'Problem solving'
-            ],
-            careerGoals: [
-                'Career advancement',
-                'Technical growth',
-                'Work-life balance',
-                'Professional development'
-            ],
-            idealCompanyProfile: 'Technology company with growth opportunities and good work culture',
-            marketPositioning: 'Skilled professional with strong technical background',
-            improvementAreas: [
-                'Industry knowledge',
-                'Leadership skills',
-                'Networking'
-            ]
-        };
+        // Made-up analysis would look like the user's own, so failures are
+        // reported to the caller rather than replaced
+        throw error;
     }
 }
 
 // Generate company matches based on profile
-async function findCompanyMatches(profile, maxResults = 1000, nationwide = false, demoMode = false) {
+// region is a target region (see utils/regions.js), or null for nationwide.
+// exclude lists company names already suggested so the model skips them
+async function findCompanyMatches(profile, maxResults = 1000, region = null, demoMode = false, exclude = []) {
     try {
-        if (demoMode || !openaiClient) {
-            // Return expanded mock companies for demo/development
-            return generateMockCompanies(maxResults, nationwide, demoMode);
+        if (!demoMode && !llmProviders.isAvailable('companyMatching')) {
+            throw new Error('No LLM provider is configured for companyMatching');
+        }
+        if (demoMode) {
+            // Return expanded mock companies for demo
+            return generateMockCompanies(maxResults, region, demoMode);
         }
 
-        const location = nationwide ? 'nationwide' : 'Boston, MA and Providence, RI area';
+        const location = region ? describeRegion(region) : 'nationwide';
         const companySizes = profile.preferences?.companySizes || ['small', 'medium'];
         const industries = profile.preferences?.industries || ['technology'];
 
+        // Keep the most recent names; anything older is caught by dedupe
+        const exclusions = exclude.slice(-MAX_EXCLUDED_NAMES);
+        const exclusionText = exclusions.length > 0 ?
+            `\n    Do NOT suggest any of these companies (already suggested): ${exclusions.join('; ')}\n` :
+            '';
+
         const prompt = `
     Based on this professional profile, suggest ${maxResults} companies in ${location} that would be good matches:
     
@@ -161,8 +160,9 @@ async function findCompanyMatches(profile, maxResults = 1000, nationwide = false
     - Interests: ${profile.aiAnalysis?.interests?.join(', ') || 'Technology'}
     - Career Goals: ${profile.aiAnalysis?.careerGoals?.join(', ') || 'Growth'}
     
-    Please provide a JSON array of companies with this structure:
-    [
+    Please provide a JSON object with a "companies" array using this structure:
+    {
+      "companies": [
       {
         "name": "Company Name",
         "location": "City, State",
@@ -173,14 +173,14 @@ async function findCompanyMatches(profile, maxResults = 1000, nationwide = false
         "website": "https://company.com",
         "reasons": ["reason1", "reason2", "reason3"]
       }
-    ]
+      ]
+    }
     
     Focus on real companies that exist and match the criteria. Include a mix of well-known and emerging companies.
     Prioritize companies that are actively hiring and have good reputations.
-    `;
+    ${exclusionText}`;
 
-        const response = await openaiClient.chat.completions.create({
-            model: 'gpt-4o-mini',
+        const { data } = await completeJSON('companyMatching', {
             messages: [
                 {
                     role: 'system',
@@ -193,25 +193,118 @@ async function findCompanyMatches(profile, maxResults = 1000, nationwide = false
             ],
             max_tokens: 4000, // Increased for more companies
             temperature: 0.8,
-        });
+        }, companyListSchema);
 
-        const companies = JSON.parse(response.choices[0].message.content);
+        const companies = Array.isArray(data) ? data : data.companies;
         logger.info(`Generated ${companies.length} company matches`);
         return companies;
 
     } catch (error) {
         logger.error('OpenAI company matching failed:', error);
         if (demoMode) {
-            return generateMockCompanies(maxResults, nationwide, demoMode);
+            return generateMockCompanies(maxResults, region, demoMode);
         }
         throw error;
     }
 }
 
-// Evaluate work-life balance for a company
+// Generate a large candidate list in batches. Each batch excludes names
+// suggested so far, results are deduped by normalized name and domain, and
+// generation stops at the target or once batches stop producing new companies.
+// options: { exclude: [names], onBatch({ batchNumber, added, total }), onValidationFailure(error),
+//            beforeBatch() - resolve false to stop early (e.g. budget exhausted) }
+async function generateCompanyCandidates(profile, target, region = null, demoMode = false, options = {}) {
+    const seenNames = new Set();
+    const seenDomains = new Set();
+    const exclude = [...(options.exclude || [])];
+    const candidates = [];
+
+    exclude.forEach(name => seenNames.add(normalizeCompanyName(name)));
+
+    // Adds unseen companies to the candidate list, returns how many were new
+    const addUnique = (companies) => {
+        let added = 0;
+        for (const company of companies || []) {
+            if (candidates.length >= target) break;
+
+            const nameKey = normalizeCompanyName(company.name);
+            const domainKey = getCompanyDomain(company);
+            if (!nameKey || seenNames.has(nameKey) || (domainKey && seenDomains.has(domainKey))) continue;
+
+            seenNames.add(nameKey);
+            if (domainKey) seenDomains.add(domainKey);
+            candidates.push(company);
+            exclude.push(company.name);
+            added++;
+        }
+        return added;
+    };
+
+    if (!demoMode && !llmProviders.isAvailable('companyMatching')) {
+        throw new Error('No LLM provider is configured for companyMatching');
+    }
+
+    // Mock data has no token limit, so it comes back in one go
+    if (demoMode) {
+        const added = addUnique(await findCompanyMatches(profile, target, region, true));
+        if (options.onBatch) await options.onBatch({ batchNumber: 1, added, total: candidates.length });
+        return candidates;
+    }
+
+    const maxBatches = Math.ceil(target / COMPANY_BATCH_SIZE) * 2;
+    let lowYieldBatches = 0;
+
+    for (let batchNumber = 1; batchNumber <= maxBatches && candidates.length < target; batchNumber++) {
+        if (options.beforeBatch && !(await options.beforeBatch())) {
+            logger.info(`Company generation stopped before batch ${batchNumber}`, { total: candidates.length });
+            break;
+        }
+
+        const batchSize = Math.min(COMPANY_BATCH_SIZE, target - candidates.length);
+        let added = 0;
+
+        try {
+            const companies = await findCompanyMatches(profile, batchSize, region, false, exclude);
+            added = addUnique(companies);
+        } catch (error) {
+            if (error instanceof AIValidationError && options.onValidationFailure) {
+                options.onValidationFailure(error);
+            } else if (candidates.length === 0) {
+                throw error;
+            } else {
+                // Keep what we have rather than lose earlier batches
+                logger.warn(`Company generation stopped after batch ${batchNumber - 1}:`, error.message);
+                break;
+            }
+        }
+
+        logger.info(`Company batch ${batchNumber}: ${added} new, ${candidates.length}/${target} total`, {
+            region: region?.name || 'nationwide'
+        });
+        if (options.onBatch) await options.onBatch({ batchNumber, added, total: candidates.length });
+
+        // Diminishing returns: the model keeps repeating itself or running dry
+        lowYieldBatches = added < batchSize * MIN_BATCH_YIELD ? lowYieldBatches + 1 : 0;
+        if (lowYieldBatches >= MAX_LOW_YIELD_BATCHES) {
+            logger.info(`Stopping company generation after ${batchNumber} batches: diminishing returns`, {
+                total: candidates.length,
+                target
+            });
+            break;
+        }
+    }
+
+    return candidates;
+}
+
+// Evaluate work-life balance for a company. Outside demo mode failures are
+// thrown - callers store the company as unscored rather than guess a score.
 async function evaluateWorkLifeBalance(companyData, demoMode = false) {
     try {
-        if (demoMode || !openaiClient) {
+        if (!demoMode && !llmProviders.isAvailable('workLifeBalance')) {
+            throw new Error('No LLM provider is configured for workLifeBalance');
+        }
+        if (demoMode) {
             // Return mock evaluation
             return {
                 score: Math.floor(Math.random() * 4) + 6, // 6-10 score
@@ -244,8 +337,7 @@ async function evaluateWorkLifeBalance(companyData, demoMode = false) {
     Base your evaluation on known industry standards and company reputation.
     `;
 
-        const response = await openaiClient.chat.completions.create({
-            model: 'gpt-4o-mini',
+        const { data: evaluation } = await completeJSON('workLifeBalance', {
             messages: [
                 {
                     role: 'system',
@@ -258,33 +350,46 @@ async function evaluateWorkLifeBalance(companyData, demoMode = false) {
             ],
             max_tokens: 500,
             temperature: 0.6,
-        });
+        }, wlbEvaluationSchema);
 
-        const evaluation = JSON.parse(response.choices[0].message.content);
         logger.info(`Work-life balance evaluated for ${companyData.name}: ${evaluation.score}/10`);
         return evaluation;
 
     } catch (error) {
         logger.error('Work-life balance evaluation failed:', error);
-
-        // Return fallback evaluation
-        return {
-            score: Math.floor(Math.random() * 4) + 6,
-            analysis: `Work-life balance evaluation for ${companyData.name} based on industry standards.`,
-            sources: ['Industry analysis', 'Company information'],
-            positives: ['Professional environment', 'Growth opportunities'],
-            concerns: ['Limited information available']
-        };
+        throw error;
     }
 }
 
-// Evaluate company-profile match
-async function evaluateCompanyMatch(profile, companyData, demoMode = false) {
+// Evaluate company-profile match. Failures are thrown like in evaluateWorkLifeBalance.
+// Returns the model's per-factor breakdown (utils/matchBreakdown.js) with
+// matchScore as its weighted average, and which model produced it.
+// options.wlbScore (1-10) fills the work-life balance factor from an
+// evaluation that has already run instead of asking the model again.
+async function evaluateCompanyMatch(profile, companyData, demoMode = false, options = {}) {
+    const scoredElsewhere = options.wlbScore ? {
+        workLifeBalance: {
+            score: options.wlbScore * 10,
+            reason: `From the work-life balance evaluation (${options.wlbScore}/10)`,
+            source: 'wlb-evaluation'
+        }
+    } : {};
+
     try {
-        if (demoMode || !openaiClient) {
+        if (!demoMode && !llmProviders.isAvailable('companyMatch')) {
+            throw new Error('No LLM provider is configured for companyMatch');
+        }
+        if (demoMode) {
             // Return mock match evaluation
+            const breakdown = buildBreakdown(Object.fromEntries(MATCH_FACTORS.map(({ factor }) => [factor, {
+                score: Math.floor(Math.random() * 35) + 65, // 65-100 score
+                reason: 'Demo data'
+            }])), scoredElsewhere);
+
             return {
-                matchScore: Math.floor(Math.random() * 30) + 70, // 70-100 score
+                matchScore: calculateMatchScore(breakdown),
+                breakdown,
+                provenance: { provider: 'demo', model: 'demo', evaluatedAt: new Date() },
                 analysis: `${companyData.name} appears to be a good match based on your profile and preferences.`,
                 matchFactors: [
                     'Industry alignment',
@@ -307,6 +412,8 @@ async function evaluateCompanyMatch(profile, companyData, demoMode = false) {
             };
         }
 
+        const factorsToRate = MATCH_FACTORS.filter(({ factor }) => !scoredElsewhere[factor]);
+
         const prompt = `
     Evaluate how well this company matches the candidate profile:
     
@@ -316,18 +423,27 @@ async function evaluateCompanyMatch(profile, companyData, demoMode = false) {
     - Experience: ${profile.experience}
     - Strengths: ${profile.aiAnalysis?.strengths?.join(', ') || 'Technical skills'}
     - Interests: ${profile.aiAnalysis?.interests?.join(', ') || 'Technology'}
+    - Experience level: ${profile.experienceLevel || 'not specified'}
     - Preferences: ${profile.preferences?.companySizes?.join(', ')} companies in ${profile.preferences?.industries?.join(', ')}
+    - Remote-friendly required: ${profile.preferences?.remoteFriendly ? 'yes' : 'no'}
+    - Target regions: ${(profile.preferences?.regions || []).map(region => region.name || region.city).join(', ') || 'not specified'}
     
     Company:
     - Name: ${companyData.name}
     - Industry: ${companyData.industry}
     - Size: ${companyData.size}
     - Location: ${companyData.location}
+    - Remote policy: ${companyData.remotePolicy || 'not specified'}
     - Description: ${companyData.description}
     
+    Rate each factor from 0 to 100 with a one-sentence reason:
+${factorsToRate.map(({ factor, label }) => `    - ${factor}: ${label}`).join('\n')}
+    
     Please provide a JSON response with:
     {
-      "matchScore": 1-100,
+      "breakdown": {
+${factorsToRate.map(({ factor }) => `        "${factor}": { "score": 0-100, "reason": "why" }`).join(',\n')}
+      },
       "analysis": "brief match analysis",
       "matchFactors": ["key matching factors"],
       "highlights": ["positive aspects for this candidate"],
@@ -335,8 +451,7 @@ async function evaluateCompanyMatch(profile, companyData, demoMode = false) {
     }
     `;
 
-        const response = await openaiClient.chat.completions.create({
-            model: 'gpt-4o-mini',
+        const { data: evaluation, response, repaired } = await completeJSON('companyMatch', {
             messages: [
                 {
                     role: 'system',
@@ -347,43 +462,47 @@ async function evaluateCompanyMatch(profile, companyData, demoMode = false) {
                     content: prompt
                 }
             ],
-            max_tokens: 600,
+            max_tokens: 1000,
             temperature: 0.7,
-        });
+        }, matchEvaluationSchema);
+
+        evaluation.breakdown = buildBreakdown(evaluation.breakdown, scoredElsewhere);
+        evaluation.matchScore = calculateMatchScore(evaluation.breakdown);
+        evaluation.provenance = {
+            provider: response.provider,
+            model: response.model,
+            evaluatedAt: new Date(),
+            repaired
+        };
 
-        const evaluation = JSON.parse(response.choices[0].message.content);
         logger.info(`Company match evaluated for ${companyData.name}: ${evaluation.matchScore}%`);
         return evaluation;
 
     } catch (error) {
         logger.error('Company match evaluation failed:', error);
-
-        // Return fallback evaluation
-        return {
-            matchScore: Math.floor(Math.random() * 30) + 70,
-            analysis: `Match evaluation for ${companyData.name} based on profile compatibility.`,
-            matchFactors: ['Industry alignment', 'Size preference', 'Location match'],
-            highlights: ['Good cultural fit', 'Growth potential', 'Skill alignment'],
-            concerns: ['Competitive environment', 'Limited information']
-        };
+        throw error;
     }
 }
 
 // Generate AI-powered email for informational interviews
 // In openaiService.js, update the generateAIEmail function:
 
-async function generateAIEmail(profile, company, hrContact) {
+async function generateAIEmail(profile, company, hrContact, options = {}) {
+    if (options.followUp) {
+        return generateAIFollowUpEmail(profile, company, hrContact, options.followUp);
+    }
+
     try {
         logger.info('🤖 Starting AI email generation', {
             company: company.name,
-            hasOpenAI: !!openaiClient,
-            model: 'gpt-4o-mini'
+            ...llmProviders.getTaskConfig('email'),
+            available: llmProviders.isAvailable('email')
         });
 
-        // Check if we have OpenAI client
-        if (!openaiClient) {
-            logger.warn('OpenAI client not available, using template fallback');
-            return generateTemplateEmail(profile, company, hrContact);
+        // Check if the email provider is configured
+        if (!llmProviders.isAvailable('email')) {
+            logger.warn('LLM provider not available, using template fallback');
+            return generateEnhancedTemplateEmail(profile, company, hrContact);
         }
 
         const recipientName = hrContact?.name || 'Hiring Manager';
@@ -424,12 +543,20 @@ REQUIREMENTS:
 7. DO NOT use these overused phrases: "I hope this email finds you well", "I'm reaching out", "I came across"
 
 Generate a fresh, engaging email that stands out from typical networking emails.
+
+Also write a unique, engaging subject line specific to ${company.name} and their work in ${company.industry}.
+Keep it under 60 characters and avoid generic phrases like "Informational Interview Request".
+
+Respond with a JSON object:
+{
+  "subject": "the subject line",
+  "content": "the full email body"
+}
 `;
 
-        logger.info('📝 Calling OpenAI API for email generation');
+        logger.info('📝 Calling LLM provider for email generation');
 
-        const response = await openaiClient.chat.completions.create({
-            model: 'gpt-4o-mini',
+        const { data: email, response } = await completeJSON('email', {
             messages: [
                 {
                     role: 'system',
@@ -440,41 +567,20 @@ Generate a fresh, engaging email that stands out from typical networking emails.
                     content: prompt
                 }
             ],
-            max_tokens: 500,
+            max_tokens: 600,
             temperature: 0.8,  // Increased for more variety
             presence_penalty: 0.6,  // Encourage uniqueness
             frequency_penalty: 0.6  // Avoid repetition
-        });
+        }, emailSchema);
 
-        const emailContent = response.choices[0].message.content.trim();
+        const emailContent = email.content.trim();
+        const subject = email.subject.trim().replace(/["']/g, '');
 
         logger.info('✅ AI email generated successfully', {
             company: company.name,
             contentLength: emailContent.length
         });
 
-        // Generate unique subject line
-        const subjectPrompt = `
-Generate a unique, engaging subject line for an informational interview request email to ${company.name}.
-Make it specific to ${company.name} and their work in ${company.industry}.
-Keep it under 60 characters and avoid generic phrases like "Informational Interview Request".
-Examples: "Curious about ${company.name}'s approach to [specific thing]", "Following ${company.name}'s journey in [industry]"
-`;
-
-        const subjectResponse = await openaiClient.chat.completions.create({
-            model: 'gpt-4o-mini',
-            messages: [
-                {
-                    role: 'user',
-                    content: subjectPrompt
-                }
-            ],
-            max_tokens: 30,
-            temperature: 0.8,
-        });
-
-        const subject = subjectResponse.choices[0].message.content.trim().replace(/["']/g, '');
-
         return {
             recipientName,
             recipientEmail,
@@ -484,7 +590,7 @@ Examples: "Curious about ${company.name}'s approach to [specific thing]", "Follo
                 `Personalized for ${recipientName} at ${company.name}`,
                 `Unique content tailored to ${company.industry}`,
                 `Match score: ${company.aiMatchScore}%`,
-                `Generated with GPT-4o-mini`,
+                `Generated with ${response.model}`,
                 `Fresh approach avoiding template language`
             ],
             senderInfo: {
@@ -517,38 +623,171 @@ Examples: "Curious about ${company.name}'s approach to [specific thing]", "Follo
     }
 }
 
-// Enhanced template generator as fallback
-function generateEnhancedTemplateEmail(profile, company, hrContact) {
+// Follow-up to an email that got no reply, written with the original (and
+// any earlier follow-ups) in view. followUp: { step, totalSteps, isFinal,
+// originalSubject, originalBody, originalSentAt, previousFollowUps }
+async function generateAIFollowUpEmail(profile, company, hrContact, followUp) {
+    try {
+        if (!llmProviders.isAvailable('email')) {
+            logger.warn('LLM provider not available, using follow-up template');
+            return generateFollowUpTemplateEmail(profile, company, hrContact, followUp);
+        }
+
+        const recipientName = hrContact?.name || 'Hiring Manager';
+        const senderName = `${profile.personalInfo?.firstName} ${profile.personalInfo?.lastName}`;
+        const daysSince = Math.max(1, Math.round((Date.now() - new Date(followUp.originalSentAt).getTime()) / (24 * 60 * 60 * 1000)));
+
+        const earlier = (followUp.previousFollowUps || [])
+            .map((previous, index) => `Follow-up ${index + 1}:\n${previous.body}`)
+            .join('\n\n');
+
+        const prompt = `
+Write follow-up ${followUp.step} of ${followUp.totalSteps} to a networking email that has had no reply.
+
+ORIGINAL EMAIL (sent ${daysSince} days ago):
+Subject: ${followUp.originalSubject}
+${followUp.originalBody || '(The body of the original email was not saved; it asked for a 15-20 minute informational interview.)'}
+${earlier ? `\nEARLIER FOLLOW-UPS, ALSO UNANSWERED:\n${earlier}\n` : ''}
+SENDER: ${senderName}, ${profile.currentTitle}
+RECIPIENT: ${recipientName}, ${hrContact?.title || 'HR Professional'} at ${company.name}
+COMPANY: ${company.name} (${company.industry}); highlights: ${company.highlights?.slice(0, 3).join(', ') || 'n/a'}
+
+REQUIREMENTS:
+1. Refer back to the original email briefly; do not repeat it
+2. Add one new, specific reason for the interest in ${company.name} not used before
+3. Keep it short (50-120 words)
+4. ${followUp.isFinal ?
+        'This is the last follow-up: thank them, make it easy to say no, and leave the door open' :
+        'Keep it a light, friendly nudge with the same 15-20 minute ask'}
+5. DO NOT use guilt or pressure phrases such as "just bumping this", "did you see my email", "circling back"
+6. Sign off with the sender's name
+
+Respond with a JSON object:
+{
+  "subject": "a short subject line",
+  "content": "the full email body"
+}
+`;
+
+        const { data: email, response } = await completeJSON('email', {
+            messages: [
+                {
+                    role: 'system',
+                    content: 'You write brief, polite follow-up emails that add something new instead of repeating the first message.'
+                },
+                {
+                    role: 'user',
+                    content: prompt
+                }
+            ],
+            max_tokens: 400,
+            temperature: 0.7
+        }, emailSchema);
+
+        logger.info('✅ AI follow-up generated', {
+            company: company.name,
+            step: followUp.step
+        });
+
+        return {
+            recipientName,
+            recipientEmail: hrContact?.email,
+            subject: email.subject.trim().replace(/["']/g, ''),
+            content: email.content.trim(),
+            keyPoints: [
+                `Follow-up ${followUp.step} of ${followUp.totalSteps}`,
+                `References the email sent ${daysSince} days ago`,
+                `Generated with ${response.model}`
+            ],
+            generatedAt: new Date().toISOString()
+        };
+
+    } catch (error) {
+        logger.error('AI follow-up generation failed:', error);
+        return generateFollowUpTemplateEmail(profile, company, hrContact, followUp);
+    }
+}
+
+function generateFollowUpTemplateEmail(profile, company, hrContact, followUp) {
     const recipientName = hrContact?.name || 'Hiring Manager';
-    const recipientEmail = hrContact?.email || `hr@${company.domain}`;
     const senderName = `${profile.personalInfo?.firstName} ${profile.personalInfo?.lastName}`;
 
-    // Create personalized elements based on company data
-    const industryIntro = getIndustrySpecificIntro(company.industry);
-    const companySizeAppeal = getCompanySizeAppeal(company.size);
-    const locationNote = company.location?.includes(profile.personalInfo?.location?.city)
-        ? "As a local professional, I'm particularly excited about companies in our community."
-        : "";
+    const content = followUp.isFinal ?
+        `Dear ${recipientName},
+
+I wanted to follow up one last time on my note about ${company.name}. I know inboxes are busy, so if now isn't a good time, no problem at all.
 
-    const subject = `Informational Interview Request - ${senderName}, ${profile.currentTitle}`;
+If a short conversation about your team's work in ${company.industry} ever becomes possible, I'd be glad to hear from you.
+
+Thank you again,
+${senderName}
+${profile.personalInfo?.email}` :
+        `Dear ${recipientName},
+
+I'm following up on my email about ${company.name}. I'm still very interested in learning about your team's work in ${company.industry}, particularly ${company.highlights?.[0] || 'your approach'}.
+
+Would you have 15-20 minutes in the next couple of weeks for a brief conversation?
+
+Best regards,
+${senderName}
+${profile.personalInfo?.email}`;
+
+    return {
+        recipientName,
+        recipientEmail: hrContact?.email,
+        subject: followUp.originalSubject,
+        content,
+        keyPoints: [
+            `Follow-up ${followUp.step} of ${followUp.totalSteps}`,
+            followUp.isFinal ? 'Polite final note' : 'Brief reminder of the original request'
+        ]
+    };
+}
 
-    const content = `Dear ${recipientName},
+// Fallback email written when no AI provider is available. pitch.* holds
+// the sentences picked for the company's industry and size.
+const ENHANCED_TEMPLATE = {
+    subject: 'Informational Interview Request - {{profile.fullName}}, {{profile.currentTitle}}',
+    body: `Dear {{contact.name | "Hiring Manager"}},
 
-I hope this email finds you well. My name is ${senderName}, and I'm a ${profile.currentTitle} with a strong interest in ${company.name}'s work in the ${company.industry} space.
+I hope this email finds you well. My name is {{profile.fullName}}, and I'm a {{profile.currentTitle}} with a strong interest in {{company.name}}'s work in the {{company.industry}} space.
 
-${industryIntro} I've been particularly impressed by ${company.name}'s ${company.highlights?.[0] || 'innovative approach'} and ${company.highlights?.[1] || 'company culture'}. ${companySizeAppeal}
+{{pitch.industryIntro}} I've been particularly impressed by {{company.name}}'s {{company.highlight | "innovative approach"}} and {{pitch.secondHighlight | "company culture"}}. {{pitch.sizeAppeal}}
 
-With my background in ${profile.aiAnalysis?.strengths?.[0] || profile.skills?.technical?.[0] || 'technology'} and passion for ${profile.aiAnalysis?.interests?.[0] || 'continuous learning'}, I believe I could contribute meaningfully to your team. ${locationNote}
+With my background in {{profile.topSkill | "technology"}} and passion for {{pitch.interest | "continuous learning"}}, I believe I could contribute meaningfully to your team.{{#if pitch.localNote}} {{pitch.localNote}}{{/if}}
 
-I would greatly appreciate the opportunity to learn more about ${company.name}'s culture, current initiatives, and future direction. Would you be available for a brief 15-20 minute informational interview in the coming weeks?
+I would greatly appreciate the opportunity to learn more about {{company.name}}'s culture, current initiatives, and future direction. Would you be available for a brief 15-20 minute informational interview in the coming weeks?
 
 Thank you for considering my request. I look forward to the possibility of connecting with you.
 
 Best regards,
-${senderName}
-${profile.personalInfo?.email}
-${profile.personalInfo?.phone || ''}
-${profile.personalInfo?.linkedinUrl ? `LinkedIn: ${profile.personalInfo?.linkedinUrl}` : ''}`;
+{{profile.fullName}}
+{{profile.email}}{{#if profile.phone}}
+{{profile.phone}}{{/if}}{{#if profile.linkedinUrl}}
+LinkedIn: {{profile.linkedinUrl}}{{/if}}`
+};
+
+// Enhanced template generator as fallback
+function generateEnhancedTemplateEmail(profile, company, hrContact) {
+    const recipientName = hrContact?.name || 'Hiring Manager';
+    const recipientEmail = hrContact?.email || `hr@${company.domain}`;
+    const senderName = `${profile.personalInfo?.firstName} ${profile.personalInfo?.lastName}`;
+
+    const context = {
+        ...buildTemplateContext(profile, company, hrContact),
+        pitch: {
+            industryIntro: getIndustrySpecificIntro(company.industry),
+            sizeAppeal: getCompanySizeAppeal(company.size),
+            secondHighlight: company.highlights?.[1],
+            interest: profile.aiAnalysis?.interests?.[0],
+            localNote: company.location?.includes(profile.personalInfo?.location?.city) ?
+                "As a local professional, I'm particularly excited about companies in our community." :
+                ''
+        }
+    };
+
+    const subject = renderTemplate(ENHANCED_TEMPLATE.subject, context).text;
+    const content = renderTemplate(ENHANCED_TEMPLATE.body, context).text;
 
     return {
         recipientName,
@@ -602,7 +841,7 @@ function getCompanySizeAppeal(size) {
 }
 
 // Generate comprehensive mock companies for development and demo
-function generateMockCompanies(maxResults, nationwide, demoMode = false) {
+function generateMockCompanies(maxResults, region = null, demoMode = false) {
     // Expanded company lists for better demo experience
     const bostonCompanies = [
         { name: 'HubSpot', location: 'Cambridge, MA', industry: 'technology', size: 'large' },
@@ -702,10 +941,22 @@ function generateMockCompanies(maxResults, nationwide, demoMode = false) {
         { name: 'Affirm', location: 'San Francisco, CA', industry: 'fintech', size: 'medium' }
     ];
 
-    let companies = [...bostonCompanies, ...providenceCompanies];
+    const sampleCompanies = [...bostonCompanies, ...providenceCompanies, ...nationwideCompanies];
+    let companies;
 
-    if (nationwide) {
-        companies = [...companies, ...nationwideCompanies];
+    if (!region) {
+        // Nationwide includes every sample
+        companies = sampleCompanies;
+    } else {
+        companies = sampleCompanies.filter(company => findRegionForLocation(company.location, [region]));
+
+        // No samples in a custom region - move the default region's samples there
+        if (companies.length === 0) {
+            const places = region.metros?.length > 0 ? region.metros : [region.city];
+            companies = sampleCompanies
+                .filter(company => findRegionForLocation(company.location, DEFAULT_REGIONS))
+                .map((company, index) => ({ ...company, location: places[index % places.length] }));
+        }
     }
 
     // Shuffle and limit results
@@ -733,8 +984,10 @@ function generateMockCompanies(maxResults, nationwide, demoMode = false) {
 module.exports = {
     analyzeUserProfile,
     findCompanyMatches,
+    generateCompanyCandidates,
     evaluateWorkLifeBalance,
     evaluateCompanyMatch,
     generateAIEmail,
-    generateEnhancedTemplateEmail
+    generateEnhancedTemplateEmail,
+    generateFollowUpTemplateEmail
 };
\ No newline at end of file
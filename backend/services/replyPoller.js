@@ -0,0 +1,417 @@
+const { ImapFlow } = require('imapflow');
+const { simpleParser } = require('mailparser');
+const Company = require('../models/Company');
+const UserProfile = require('../models/UserProfile');
+const logger = require('../utils/logger');
+
+// Finds replies to outreach emails in an IMAP mailbox. A reply is matched to
+// the email it answers by its In-Reply-To/References headers (the Message-ID
+// emailSender gave the email), or failing that by the sender's domain. The
+// reply is recorded on the company's emailHistory entry, the company moves to
+// 'responded' and its follow-ups stop.
+//
+// IMAP_HOST, IMAP_PORT (default 993), IMAP_SECURE=false for a plain or
+// STARTTLS connection, IMAP_USER/IMAP_PASS and IMAP_MAILBOX (default INBOX).
+// This is the mailbox replies arrive in: while it is configured, sent emails
+// get it as Reply-To (see getReplyAddress). For a local IMAP server (GreenMail, Dovecot in Docker...) set
+// IMAP_HOST=localhost IMAP_PORT=3143 IMAP_SECURE=false.
+
+const POLL_INTERVAL_MS = parseInt(process.env.IMAP_POLL_INTERVAL_MS) || 2 * 60 * 1000;
+
+// How far back the first poll after a start looks
+const LOOKBACK_DAYS = parseInt(process.env.IMAP_LOOKBACK_DAYS) || 7;
+
+// A reply matched only by domain must come this soon after the email
+const DOMAIN_MATCH_WINDOW_DAYS = parseInt(process.env.REPLY_DOMAIN_MATCH_DAYS) || 60;
+
+// Larger messages are matched but not downloaded for a snippet
+const MAX_SOURCE_BYTES = 1024 * 1024;
+
+const SNIPPET_LENGTH = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Anyone can write from these, so their domain says nothing about the company
+const FREE_MAIL_DOMAINS = new Set([
+    'gmail.com', 'googlemail.com', 'outlook.com', 'hotmail.com', 'live.com', 'msn.com',
+    'yahoo.com', 'ymail.com', 'icloud.com', 'me.com', 'mac.com', 'aol.com',
+    'proton.me', 'protonmail.com', 'gmx.com', 'gmx.net', 'gmx.de', 'mail.com',
+    'yandex.com', 'yandex.ru', 'zoho.com', 'fastmail.com', 'web.de'
+]);
+
+// Bounces are delivery reports, not replies
+const BOUNCE_SENDERS = /^(mailer-daemon|postmaster)@/i;
+
+let pollTimer = null;
+let lastPolledAt = null;
+
+function isConfigured() {
+    return !!process.env.IMAP_HOST;
+}
+
+// The address outreach is sent from; its own copies aren't replies
+function ownAddress() {
+    const sender = process.env.SMTP_FROM || process.env.SMTP_USER || '';
+    return (sender.match(/<([^>]+)>/)?.[1] || sender).trim().toLowerCase();
+}
+
+// Reply-To for outreach while replies are polled: IMAP_REPLY_ADDRESS, or
+// IMAP_USER when it is an address. The trade-off is that replies land in this
+// shared mailbox instead of the user's own inbox; they are recorded with a
+// snippet, but users only see them in their mail client if the mailbox
+// forwards them. With IMAP_PLUS_ADDRESSING=true the owner's id is added as a
+// +tag (replies+<id>@example.com), which ties domain-matched replies to them.
+function getReplyAddress(owner) {
+    if (!isConfigured()) return null;
+
+    const address = (process.env.IMAP_REPLY_ADDRESS || process.env.IMAP_USER || '').trim().toLowerCase();
+    if (!/^[^@\s]+@[^@\s]+$/.test(address)) return null;
+    if (!owner || process.env.IMAP_PLUS_ADDRESSING !== 'true') return address;
+
+    const [local, domain] = address.split('@');
+    return `${local}+${owner}@${domain}`;
+}
+
+// Owner id from the +tag of an address the reply was sent to, if any
+function ownerFromRecipients(recipients) {
+    for (const recipient of recipients) {
+        const tag = (recipient?.address || '').match(/\+([a-f0-9]{24})@/i);
+        if (tag) return tag[1].toLowerCase();
+    }
+    return null;
+}
+
+function createClient() {
+    const port = parseInt(process.env.IMAP_PORT) || 993;
+    const client = new ImapFlow({
+        host: process.env.IMAP_HOST,
+        port,
+        secure: process.env.IMAP_SECURE ? process.env.IMAP_SECURE === 'true' : port === 993,
+        auth: {
+            user: process.env.IMAP_USER,
+            pass: process.env.IMAP_PASS
+        },
+        tls: {
+            rejectUnauthorized: process.env.IMAP_TLS_REJECT_UNAUTHORIZED !== 'false'
+        },
+        logger: false,
+        disableAutoIdle: true,
+        connectionTimeout: 15000,
+        greetingTimeout: 15000,
+        socketTimeout: 60000
+    });
+
+    // An unhandled 'error' event would take the process down
+    client.on('error', error => logger.warn('IMAP connection error:', error.message));
+    return client;
+}
+
+// Checks the IMAP connection, login and mailbox. Returns { success, message }.
+async function verifyConnection() {
+    if (!isConfigured()) {
+        return { success: false, message: 'IMAP_HOST is not set' };
+    }
+
+    const client = createClient();
+    try {
+        await client.connect();
+        const status = await client.status(process.env.IMAP_MAILBOX || 'INBOX', { messages: true });
+        await client.logout();
+        return { success: true, message: `Connected to ${process.env.IMAP_HOST} (${status.messages} messages)` };
+    } catch (error) {
+        client.close();
+        return { success: false, message: `IMAP connection failed: ${error.message}` };
+    }
+}
+
+// Header name -> value from the raw header block imapflow returns
+function parseHeaders(buffer) {
+    const headers = {};
+    if (!buffer) return headers;
+
+    buffer.toString('utf8')
+        .replace(/\r?\n[ \t]+/g, ' ')
+        .split(/\r?\n/)
+        .forEach(line => {
+            const separator = line.indexOf(':');
+            if (separator > 0) {
+                headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+            }
+        });
+    return headers;
+}
+
+const extractMessageIds = (value) => (value || '').match(/<[^<>\s]+>/g) || [];
+
+// Auto-replies (out of office, vacation) don't count as a response
+function isAutoReply(headers) {
+    return (headers['auto-submitted'] && headers['auto-submitted'].toLowerCase() !== 'no') ||
+        !!headers['x-autoreply'] ||
+        !!headers['x-autorespond'] ||
+        /^(auto_reply|bulk|junk|list)$/i.test(headers.precedence || '');
+}
+
+// Domains the sender could be writing for, e.g. mail.acme.com -> mail.acme.com, acme.com
+function senderDomains(address) {
+    const domain = address.split('@')[1]?.toLowerCase();
+    if (!domain || FREE_MAIL_DOMAINS.has(domain)) return [];
+
+    const labels = domain.split('.');
+    const domains = [];
+    for (let i = 0; i <= labels.length - 2; i++) {
+        domains.push(labels.slice(i).join('.'));
+    }
+    return domains;
+}
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// The sent emailHistory entry a reply answers: { company, entry, matchedBy } or null
+async function findRepliedEmail(reply) {
+    if (reply.referencedIds.length > 0) {
+        const company = await Company.findOne({ 'emailHistory.messageId': { $in: reply.referencedIds } })
+            .select('owner name status emailHistory');
+        if (company) {
+            // The most recent one the reply references
+            const entry = company.emailHistory
+                .filter(email => reply.referencedIds.includes(email.messageId))
+                .sort((a, b) => (b.sentAt || 0) - (a.sentAt || 0))[0];
+            return { company, entry, matchedBy: 'message-id' };
+        }
+    }
+
+    const domains = senderDomains(reply.from);
+    if (domains.length === 0) return null;
+
+    const recipientPattern = new RegExp(`@(${domains.map(escapeRegex).join('|')})$`, 'i');
+    const earliest = new Date(reply.receivedAt.getTime() - DOMAIN_MATCH_WINDOW_DAYS * DAY_MS);
+    const companies = await Company.find({
+        ...(reply.owner && { owner: reply.owner }),
+        emailHistory: {
+            $elemMatch: {
+                sent: true,
+                recipientEmail: recipientPattern,
+                sentAt: { $gte: earliest, $lte: reply.receivedAt }
+            }
+        }
+    }).select('owner name status emailHistory');
+
+    // Without the owner from the address it was sent to, a domain several
+    // users have emailed can't say whose reply this is
+    if (!reply.owner && new Set(companies.map(company => company.owner.toString())).size > 1) {
+        logger.info(`Reply from ${reply.from} matches emails from several users by domain, not recorded`);
+        return null;
+    }
+
+    // The latest email sent to the domain before the reply
+    let best = null;
+    companies.forEach(company => {
+        company.emailHistory.forEach(entry => {
+            if (!entry.sent || !entry.sentAt || !recipientPattern.test(entry.recipientEmail || '')) return;
+            if (entry.sentAt < earliest || entry.sentAt > reply.receivedAt) return;
+            if (!best || entry.sentAt > best.entry.sentAt) {
+                best = { company, entry, matchedBy: 'domain' };
+            }
+        });
+    });
+    return best;
+}
+
+// Text of the reply without the quoted original
+function toSnippet(text) {
+    const lines = [];
+    for (const line of (text || '').split(/\r?\n/)) {
+        if (/^On .+wrote:\s*$/.test(line) || /^-{2,}\s*Original Message\s*-{2,}/i.test(line) || /^From: /.test(line)) break;
+        if (!line.startsWith('>')) lines.push(line);
+    }
+    return lines.join(' ').replace(/\s+/g, ' ').trim().slice(0, SNIPPET_LENGTH);
+}
+
+// Records a reply on the email it answers. reply: { messageId, from, subject,
+// receivedAt, referencedIds, text, owner }, where owner (from a +tag, may be
+// null) limits the domain match; match is looked up unless given.
+// Returns the match or null.
+async function recordReply(reply, match) {
+    match = match || await findRepliedEmail(reply);
+    if (!match) return null;
+
+    const { company, entry, matchedBy } = match;
+    await Company.updateOne(
+        { _id: company._id, 'emailHistory._id': entry._id },
+        {
+            $push: {
+                'emailHistory.$.replies': {
+                    messageId: reply.messageId,
+                    from: reply.from,
+                    subject: reply.subject,
+                    snippet: toSnippet(reply.text),
+                    receivedAt: reply.receivedAt,
+                    matchedBy
+                }
+            },
+            $min: { 'emailHistory.$.repliedAt': reply.receivedAt }
+        }
+    );
+
+    const statusUpdate = await Company.updateOne(
+        { _id: company._id, status: { $in: ['not-contacted', 'contacted'] } },
+        { $set: { status: 'responded' } }
+    );
+
+    // Nothing more goes out once they have answered
+    await require('./followUps').stopFollowUps(company.owner, company._id, 'Reply received');
+
+    if (statusUpdate.modifiedCount > 0) {
+        try {
+            const profile = await UserProfile.findOne({ userId: company.owner.toString() });
+            if (profile) {
+                await profile.addCompanyInteraction(company._id, company.name, 'responded', `Reply from ${reply.from}`);
+            }
+        } catch (interactionError) {
+            logger.warn('Failed to record company interaction:', interactionError);
+        }
+    }
+
+    logger.info(`📬 Reply from ${reply.from} matched to ${company.name} by ${matchedBy}`, {
+        companyId: company._id.toString()
+    });
+    return match;
+}
+
+// Checks one fetched message. Returns whether it was recorded as a reply.
+async function handleMessage(client, message) {
+    const envelope = message.envelope || {};
+    const from = envelope.from?.[0]?.address?.toLowerCase();
+    if (!from || BOUNCE_SENDERS.test(from) || from === ownAddress()) return false;
+
+    const headers = parseHeaders(message.headers);
+    if (isAutoReply(headers)) return false;
+
+    const receivedAt = envelope.date || message.internalDate || new Date();
+    const messageId = envelope.messageId || `<${from}.${new Date(receivedAt).getTime()}@imap>`;
+
+    // Already recorded by an earlier poll
+    if (await Company.exists({ 'emailHistory.replies.messageId': messageId })) return false;
+
+    const referencedIds = [...new Set([
+        ...extractMessageIds(envelope.inReplyTo),
+        ...extractMessageIds(headers.references)
+    ])];
+
+    const reply = {
+        messageId,
+        from,
+        subject: envelope.subject || '',
+        receivedAt: new Date(receivedAt),
+        referencedIds,
+        owner: ownerFromRecipients([...(envelope.to || []), ...(envelope.cc || [])]),
+        text: ''
+    };
+
+    // Download the body only once the message is known to match something
+    const match = await findRepliedEmail(reply);
+    if (!match) return false;
+
+    if (!message.size || message.size <= MAX_SOURCE_BYTES) {
+        try {
+            const full = await client.fetchOne(message.uid, { source: true }, { uid: true });
+            const parsed = await simpleParser(full.source);
+            reply.text = parsed.text || '';
+        } catch (error) {
+            logger.warn(`Could not read reply ${messageId}:`, error.message);
+        }
+    }
+
+    return !!(await recordReply(reply, match));
+}
+
+// Looks through messages received since the last poll. Returns { checked, matched }.
+async function pollReplies() {
+    if (!isConfigured()) return { checked: 0, matched: 0 };
+
+    const startedAt = new Date();
+    // SEARCH SINCE only compares dates, so look one day further back and
+    // rely on the recorded Message-IDs to skip what was already seen
+    const since = new Date((lastPolledAt ? lastPolledAt.getTime() : startedAt.getTime() - LOOKBACK_DAYS * DAY_MS) - DAY_MS);
+
+    const client = createClient();
+    await client.connect();
+
+    let checked = 0;
+    let matched = 0;
+    try {
+        const lock = await client.getMailboxLock(process.env.IMAP_MAILBOX || 'INBOX');
+        try {
+            // Collected first: other commands can't run while a fetch is open
+            const messages = [];
+            for await (const message of client.fetch({ since }, {
+                uid: true,
+                envelope: true,
+                internalDate: true,
+                size: true,
+                headers: ['references', 'auto-submitted', 'x-autoreply', 'x-autorespond', 'precedence']
+            }, { uid: true })) {
+                messages.push(message);
+            }
+
+            for (const message of messages) {
+                checked++;
+                try {
+                    if (await handleMessage(client, message)) matched++;
+                } catch (error) {
+                    logger.error(`Failed to check message ${message.uid} for replies:`, error);
+                }
+            }
+        } finally {
+            lock.release();
+        }
+        await client.logout();
+    } catch (error) {
+        client.close();
+        throw error;
+    }
+
+    lastPolledAt = startedAt;
+    if (matched > 0) {
+        logger.info(`📬 Found ${matched} replies in ${checked} messages`);
+    }
+    return { checked, matched };
+}
+
+function startReplyPoller() {
+    if (pollTimer) return;
+    if (!isConfigured()) {
+        logger.info('📭 Reply detection off (IMAP_HOST is not set)');
+        return;
+    }
+
+    let running = false;
+    const tick = () => {
+        if (running) return;
+        running = true;
+        pollReplies()
+            .catch(error => logger.error('Reply polling failed:', error.message))
+            .finally(() => {
+                running = false;
+            });
+    };
+
+    pollTimer = setInterval(tick, POLL_INTERVAL_MS);
+    pollTimer.unref();
+    tick();
+
+    logger.info(`📬 Reply poller started (every ${POLL_INTERVAL_MS / 1000}s, mailbox ${process.env.IMAP_MAILBOX || 'INBOX'} on ${process.env.IMAP_HOST})`);
+}
+
+module.exports = {
+    isConfigured,
+    verifyConnection,
+    getReplyAddress,
+    recordReply,
+    pollReplies,
+    startReplyPoller,
+    // For tests
+    parseHeaders,
+    isAutoReply,
+    handleMessage
+};
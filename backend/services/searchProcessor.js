@@ -0,0 +1,963 @@
+const UserProfile = require('../models/UserProfile');
+const Company = require('../models/Company');
+const SearchJob = require('../models/SearchJob');
+const openaiService = require('./openaiService');
+const apiServices = require('./apiServices');
+const { AIValidationError } = require('./structuredOutput');
+const usageTracker = require('./usageTracker');
+const companyScoring = require('./companyScoring');
+const credentialVault = require('./credentialVault');
+const contactVerification = require('./contactVerification');
+const { BUDGET_LIMITS, getBudgetStatus, isBudgetExhausted } = require('../utils/searchBudget');
+const { resolveRegions, formatRegionNames, getCompanyRegion } = require('../utils/regions');
+const logger = require('../utils/logger');
+
+// How often a paused job checks whether it has been resumed or cancelled
+const PAUSE_POLL_INTERVAL = 2000;
+
+// Companies processed in parallel. External calls are paced separately by the
+// per-provider limits in utils/rateLimiter.js.
+const SEARCH_CONCURRENCY = parseInt(process.env.SEARCH_CONCURRENCY) || 5;
+
+// AI Search Processing Function (works with or without queue)
+// regions are the target regions to search first (utils/regions.js); the
+// profile's regions or the defaults are used when none are given.
+// rescoreExisting re-evaluates companies that were found before instead of
+// skipping them (not in demo mode, whose scores are random).
+// options.attempt is the 1-based try number when run by the worker and
+// options.shouldRetry(error) decides whether a failure is left for Bull to retry.
+// The search runs with the API keys of the user who started it.
+async function processAISearch(data, options = {}) {
+    const job = await SearchJob.findOne({ jobId: data.jobId }).select('owner').lean();
+    return credentialVault.withCredentials(job?.owner, () => runAISearch(data, options));
+}
+
+async function runAISearch({ jobId, profile, regions, maxResults, demoMode, rescoreExisting }, options = {}) {
+    const attempt = options.attempt || 1;
+    const searchRegions = resolveRegions(regions || profile?.preferences?.regions);
+
+    try {
+        const searchJob = await SearchJob.findOne({ jobId });
+        if (!searchJob) {
+            logger.error('Search job not found:', jobId);
+            return;
+        }
+
+        // A stalled job can be redelivered after it already finished
+        if (['completed', 'cancelled'].includes(searchJob.status)) {
+            logger.warn('Skipping search job that already finished', { jobId, status: searchJob.status });
+            return;
+        }
+
+        // Companies and the profile analysis are saved for the user who started the search
+        const owner = searchJob.owner;
+        if (!owner) {
+            throw new Error('Search job has no owner - it was started before user accounts existed');
+        }
+
+        if (attempt > 1) {
+            searchJob.addActivity('milestone', `🔁 Retrying search (attempt ${attempt})`);
+        }
+
+        // The job may have been paused or cancelled while it was still queued
+        if (!(await waitForJobControl(searchJob))) {
+            await markJobCancelled(searchJob);
+            return;
+        }
+
+        // Resume from the checkpoint when this job was interrupted after its
+        // companies were generated (server restart, worker crash or retry)
+        const checkpoint = searchJob.checkpoint || {};
+        let aiAnalysis = checkpoint.aiAnalysis;
+        let allCompanies = checkpoint.candidates || [];
+        let expandedNationwide = checkpoint.expandedNationwide || false;
+        const resuming = allCompanies.length > 0;
+
+        if (resuming) {
+            searchJob.status = 'running';
+            searchJob.checkpoint.resumeCount = (checkpoint.resumeCount || 0) + 1;
+            searchJob.progress.currentStep = `Resuming from company ${(checkpoint.cursor || 0) + 1} of ${allCompanies.length}...`;
+            searchJob.progress.phase = 'company-processing';
+            searchJob.addActivity('milestone',
+                `♻️ Resuming interrupted search at company ${(checkpoint.cursor || 0) + 1} of ${allCompanies.length}`,
+                null, {
+                    cursor: checkpoint.cursor || 0,
+                    resumeCount: searchJob.checkpoint.resumeCount
+                });
+            await saveJob(searchJob);
+
+            logger.info('♻️  Resuming search from checkpoint', {
+                jobId,
+                cursor: checkpoint.cursor || 0,
+                total: allCompanies.length
+            });
+        } else {
+            searchJob.status = 'running';
+            searchJob.progress.currentStep = demoMode ? 'Preparing demo data...' : 'Analyzing your profile with AI...';
+            searchJob.progress.percentage = 5;
+            searchJob.progress.phase = 'profile-analysis';
+            searchJob.performance.startTime = new Date();
+
+            // Add initial activity
+            searchJob.addActivity('milestone', demoMode ? 'Starting demo search' : 'Starting AI profile analysis', null, {
+                companySizes: profile.preferences.companySizes,
+                industries: profile.preferences.industries,
+                demoMode
+            });
+
+            await saveJob(searchJob);
+
+            logger.info('🤖 Starting profile analysis', { jobId, demoMode });
+
+            // Step 1: Analyze user profile with AI (skip in demo mode)
+            if (demoMode) {
+                // Use mock AI analysis for demo
+                aiAnalysis = {
+                    strengths: ['Technical expertise', 'Problem-solving', 'Communication', 'Team collaboration'],
+                    interests: ['Software development', 'Technology innovation', 'Continuous learning'],
+                    careerGoals: ['Senior role', 'Technical leadership', 'Work-life balance'],
+                    experienceLevel: profile.experienceLevel || 'mid'
+                };
+
+                searchJob.addActivity('milestone', 'Using demo AI analysis data');
+            } else {
+                if (!(await ensureBudget(searchJob, 'openai'))) {
+                    await markJobCancelled(searchJob);
+                    return;
+                }
+
+                try {
+                    aiAnalysis = await withJobUsage(searchJob, {}, () => openaiService.analyzeUserProfile(
+                        profile.resume,
+                        profile.personalStatement,
+                        false // Not demo mode
+                    ));
+
+                    searchJob.addActivity('milestone', `AI identified ${aiAnalysis.strengths.length} key strengths and ${aiAnalysis.interests.length} interests`);
+                } catch (apiError) {
+                    logger.error('OpenAI API error during profile analysis:', apiError);
+
+                    // Don't build a search on made-up analysis: the job fails, or is
+                    // retried when the error is temporary
+                    if (apiError instanceof AIValidationError) {
+                        searchJob.recordValidationFailure(apiError);
+                    } else {
+                        searchJob.incrementStat('apiErrors');
+                    }
+                    await saveJob(searchJob);
+                    throw apiError;
+                }
+            }
+
+            // Save AI analysis to user profile
+            await UserProfile.findOneAndUpdate(
+                { userId: owner.toString() },
+                { ...profile, userId: owner.toString(), aiAnalysis: { ...aiAnalysis, generatedAt: new Date() } },
+                { upsert: true }
+            );
+
+            searchJob.progress.currentStep = demoMode ?
+                'Generating demo companies...' :
+                `AI generating company matches in ${formatRegionNames(searchRegions)}...`;
+            searchJob.progress.percentage = 15;
+            searchJob.progress.phase = 'company-generation';
+            searchJob.aiAnalysis = `Found ${aiAnalysis.strengths.length} key strengths and ${aiAnalysis.interests.length} interests`;
+            await saveJob(searchJob);
+
+            if (!(await waitForJobControl(searchJob))) {
+                await markJobCancelled(searchJob);
+                return;
+            }
+
+            logger.info('🔍 Starting company search', { jobId, demoMode });
+
+            // Step 2: Get AI-suggested companies from each target region, in priority order
+            const regionalTarget = Math.min(maxResults, demoMode ? 200 : 500);
+            const regionalCompanies = [];
+            // Last API error that cost a region or the nationwide step its companies
+            let generationError = null;
+            searchJob.liveStats.regionCompanies = searchRegions.map(region => ({ name: region.name, count: 0 }));
+
+            for (const [regionIndex, region] of searchRegions.entries()) {
+                // Split what is left of the regional target across the remaining regions
+                const quota = Math.ceil((regionalTarget - regionalCompanies.length) / (searchRegions.length - regionIndex));
+                if (quota <= 0) break;
+
+                searchJob.progress.currentStep = demoMode ?
+                    `Generating demo companies in ${region.name}...` :
+                    `AI generating ${region.name} company matches...`;
+                await saveJob(searchJob);
+
+                let companies;
+                if (demoMode) {
+                    companies = await openaiService.findCompanyMatches(
+                        { ...profile, aiAnalysis },
+                        quota,
+                        region,
+                        true // Demo mode
+                    );
+                } else {
+                    try {
+                        // Generated in batches; invalid batches are recorded and skipped
+                        companies = await withJobUsage(searchJob, {}, () => openaiService.generateCompanyCandidates(
+                            { ...profile, aiAnalysis },
+                            quota,
+                            region,
+                            false, // Not demo mode
+                            {
+                                exclude: regionalCompanies.map(company => company.name),
+                                beforeBatch: () => ensureBudget(searchJob, 'openai'),
+                                onBatch: trackGenerationBatch(searchJob, region.name, regionalCompanies.length),
+                                onValidationFailure: error => searchJob.recordValidationFailure(error)
+                            }
+                        ));
+                    } catch (apiError) {
+                        logger.error(`OpenAI API error during ${region.name} company generation:`, apiError);
+                        if (apiError instanceof AIValidationError) {
+                            // Record it and carry on - other regions and nationwide expansion get another try
+                            searchJob.recordValidationFailure(apiError);
+                            companies = [];
+                        } else {
+                            // Skip the region rather than save made-up companies
+                            generationError = apiError;
+                            searchJob.incrementStat('apiErrors');
+                            searchJob.results.errors.push(`${region.name} skipped: ${apiError.message}`);
+                            searchJob.addActivity('error', `⚠️ Skipped ${region.name} after an AI API error: ${apiError.message}`);
+                            companies = [];
+                        }
+                    }
+                }
+
+                // Generation stops early if the search is cancelled while paused for budget
+                if (!(await waitForJobControl(searchJob))) {
+                    await markJobCancelled(searchJob);
+                    return;
+                }
+
+                // Tag each company with the region it was generated for
+                companies.forEach(company => regionalCompanies.push({ ...company, region: region.name }));
+                setRegionCount(searchJob, region.name, companies.length);
+                searchJob.liveStats.companiesGenerated = regionalCompanies.length;
+
+                searchJob.addActivity('milestone', `Generated ${companies.length} ${region.name} companies`, null, {
+                    region: region.name,
+                    demoMode
+                });
+
+                searchJob.progress.currentStep = `Found ${companies.length} ${region.name} companies...`;
+                searchJob.progress.percentage = 15 + Math.round(((regionIndex + 1) / searchRegions.length) * 20);
+                await saveJob(searchJob);
+            }
+
+            // Step 3: Check if we need to expand nationwide
+            allCompanies = regionalCompanies;
+
+            // Expand nationwide if we have fewer than target companies
+            const targetForNationwide = demoMode ? 100 : 300;
+            if (regionalCompanies.length < targetForNationwide) {
+                logger.info('🌎 Expanding to nationwide search', {
+                    jobId,
+                    currentCount: regionalCompanies.length,
+                    demoMode
+                });
+
+                searchJob.progress.currentStep = 'Expanding to nationwide search for more matches...';
+                searchJob.progress.percentage = 45;
+                searchJob.results.expandedNationwide = true;
+                searchJob.addActivity('milestone', `Expanding to nationwide search (found ${regionalCompanies.length} regional companies)`);
+                await saveJob(searchJob);
+
+                let nationwideCompanies;
+                const nationwideTarget = Math.min(maxResults - regionalCompanies.length, demoMode ? 100 : 700);
+
+                if (demoMode) {
+                    nationwideCompanies = await openaiService.findCompanyMatches(
+                        { ...profile, aiAnalysis },
+                        nationwideTarget,
+                        null, // Nationwide search
+                        true // Demo mode
+                    );
+                } else {
+                    try {
+                        // Regional companies are excluded so nationwide batches only add new ones
+                        nationwideCompanies = await withJobUsage(searchJob, {}, () => openaiService.generateCompanyCandidates(
+                            { ...profile, aiAnalysis },
+                            nationwideTarget,
+                            null, // Nationwide search
+                            false, // Not demo mode
+                            {
+                                exclude: regionalCompanies.map(company => company.name),
+                                beforeBatch: () => ensureBudget(searchJob, 'openai'),
+                                onBatch: trackGenerationBatch(searchJob, 'nationwide', regionalCompanies.length),
+                                onValidationFailure: error => searchJob.recordValidationFailure(error)
+                            }
+                        ));
+                    } catch (apiError) {
+                        logger.error('OpenAI API error during nationwide search:', apiError);
+                        if (apiError instanceof AIValidationError) {
+                            searchJob.recordValidationFailure(apiError);
+                            nationwideCompanies = [];
+                        } else {
+                            generationError = apiError;
+                            searchJob.incrementStat('apiErrors');
+                            searchJob.results.errors.push(`Nationwide search skipped: ${apiError.message}`);
+                            searchJob.addActivity('error', `⚠️ Skipped nationwide search after an AI API error: ${apiError.message}`);
+                            nationwideCompanies = [];
+                        }
+                    }
+                }
+
+                if (!(await waitForJobControl(searchJob))) {
+                    await markJobCancelled(searchJob);
+                    return;
+                }
+
+                searchJob.liveStats.nationwideCompanies = nationwideCompanies.length;
+                searchJob.liveStats.companiesGenerated = regionalCompanies.length + nationwideCompanies.length;
+
+                // Combine results, target regions first
+                allCompanies = [...regionalCompanies, ...nationwideCompanies];
+                expandedNationwide = true;
+
+                searchJob.addActivity('milestone', `Added ${nationwideCompanies.length} nationwide companies`, null, {
+                    total: allCompanies.length,
+                    demoMode
+                });
+
+                searchJob.progress.currentStep = `Total ${allCompanies.length} companies found (including nationwide)`;
+                searchJob.progress.percentage = 55;
+                await saveJob(searchJob);
+            }
+
+            // With nothing generated, an API error is the reason, and decides
+            // whether the job is retried
+            if (allCompanies.length === 0) {
+                throw generationError || new Error('AI company generation returned no valid companies');
+            }
+
+            // Checkpoint the candidate list so an interrupted search can resume from here
+            allCompanies = allCompanies.slice(0, maxResults);
+            searchJob.checkpoint = {
+                aiAnalysis,
+                candidates: allCompanies,
+                expandedNationwide,
+                cursor: 0,
+                savedAt: new Date()
+            };
+
+            searchJob.progress.currentStep = 'Processing companies and finding HR contacts...';
+            searchJob.progress.percentage = 60;
+            searchJob.progress.phase = 'company-processing';
+            await saveJob(searchJob);
+        }
+
+        if (!(await waitForJobControl(searchJob))) {
+            await markJobCancelled(searchJob);
+            return;
+        }
+
+        // Step 4: Process each company with real-time updates
+        let processedCount = searchJob.progress.current || 0;
+        const totalCompanies = allCompanies.length;
+
+        // Companies are handed out to a pool of workers. The checkpoint cursor
+        // only moves past companies that are finished, so a resumed search
+        // redoes at most the ones that were in flight.
+        const concurrency = Math.max(1, Math.min(SEARCH_CONCURRENCY, totalCompanies));
+        searchJob.checkpoint.cursor = searchJob.checkpoint.cursor || 0;
+        let nextIndex = searchJob.checkpoint.cursor;
+        const finishedIndexes = new Set();
+        let stopped = false;
+        let workerError = null;
+
+        logger.info('📊 Processing companies', {
+            jobId,
+            totalCompanies,
+            concurrency,
+            expandedNationwide,
+            demoMode
+        });
+
+        // Workers share these checks so a pause is announced and polled once
+        const checkJobControl = shareInFlight(() => waitForJobControl(searchJob));
+        const budgetChecks = {};
+        const checkBudget = (service) => {
+            budgetChecks[service] = budgetChecks[service] || shareInFlight(() => ensureBudget(searchJob, service));
+            return budgetChecks[service]();
+        };
+
+        const markFinished = (index) => {
+            finishedIndexes.add(index);
+            while (finishedIndexes.has(searchJob.checkpoint.cursor)) {
+                finishedIndexes.delete(searchJob.checkpoint.cursor);
+                searchJob.checkpoint.cursor += 1;
+            }
+            searchJob.checkpoint.savedAt = new Date();
+        };
+
+        // Returns false if the search was cancelled while paused for budget
+        const processCompany = async (index) => {
+            const companyData = { ...allCompanies[index] };
+
+            try {
+                const companyStartTime = Date.now();
+
+                searchJob.progress.currentStep = `Analyzing ${companyData.name}...`;
+                searchJob.progress.percentage = 60 + (processedCount / totalCompanies) * 35;
+                searchJob.liveStats.currentCompany = companyData.name;
+                await saveJob(searchJob);
+
+                searchJob.addActivity('company-found', `Analyzing ${companyData.name}`, companyData.name, {
+                    location: companyData.location,
+                    industry: companyData.industry,
+                    size: companyData.size,
+                    demoMode
+                });
+
+                // Check if company already exists, under this or a variant of its name
+                let existingCompany = await Company.findOne(Company.identityQuery(owner, companyData));
+
+                if (existingCompany && rescoreExisting && !demoMode) {
+                    if (!(await checkBudget('openai'))) return false;
+
+                    logger.info(`🔄 Re-scoring ${existingCompany.name} against the current profile`);
+                    const companyUsage = { calls: 0, tokensUsed: 0, cost: 0 };
+                    const evaluations = await withJobUsage(searchJob, { companyName: existingCompany.name, tally: companyUsage }, () =>
+                        companyScoring.evaluateScores({ ...profile, aiAnalysis }, existingCompany.toObject())
+                    );
+
+                    const change = companyScoring.applyScores(existingCompany, evaluations, { source: 'rescore', searchJobId: jobId });
+                    existingCompany.aiUsage.tokensUsed = (existingCompany.aiUsage.tokensUsed || 0) + companyUsage.tokensUsed;
+                    existingCompany.aiUsage.cost = (existingCompany.aiUsage.cost || 0) + companyUsage.cost;
+                    await existingCompany.save();
+
+                    recordScoreStats(searchJob, change.matchScore, change.wlbScore);
+                    searchJob.incrementStat('companiesRescored');
+                    if (change.significant) searchJob.incrementStat('significantScoreChanges');
+
+                    searchJob.addActivity('company-processed',
+                        `${change.significant ? '⚡' : '🔄'} Re-scored ${existingCompany.name} - match ${companyScoring.formatScoreChange(change.previousMatchScore, change.matchScore, change.matchDelta, '%')}, WLB ${companyScoring.formatScoreChange(change.previousWLBScore, change.wlbScore, change.wlbDelta, '/10')}`,
+                        existingCompany.name, { ...change, rescored: true });
+                } else if (existingCompany) {
+                    searchJob.incrementStat('companiesSkipped');
+                    searchJob.addActivity('company-processed', `Skipped ${companyData.name} (already exists)`, companyData.name);
+                } else {
+                    // Research company using APIs if available (skip in demo mode)
+                    let enrichedData = companyData;
+                    enrichedData.region = getCompanyRegion(companyData, searchRegions);
+                    enrichedData.isLocalPriority = !!enrichedData.region;
+
+                    let hrContactsFound = 0;
+
+                    // Skip API calls in demo mode
+                    if (!demoMode) {
+                        // Try Apollo.io for additional data and contacts
+                        if (credentialVault.getApiKey('apollo')) {
+                            if (!(await checkBudget('apollo'))) return false;
+
+                            try {
+                                logger.info(`🔍 Searching Apollo.io for ${companyData.name}`);
+                                searchJob.apiUsage.apollo.calls += 1;
+                                searchJob.apiUsage.apollo.creditsUsed += 1;
+                                const apolloData = await apiServices.searchApollo({
+                                    name: companyData.name,
+                                    location: companyData.location,
+                                    demoMode: false
+                                });
+
+                                if (apolloData && apolloData.length > 0) {
+                                    enrichedData = { ...enrichedData, ...apolloData[0] };
+                                    hrContactsFound += apolloData[0].hrContacts?.length || 0;
+                                    searchJob.incrementStat('apolloContacts', apolloData[0].hrContacts?.length || 0);
+                                    searchJob.apiUsage.apollo.companiesFound += 1;
+
+                                    logger.info(`✅ Apollo.io found ${apolloData[0].hrContacts?.length || 0} contacts for ${companyData.name}`);
+                                }
+                            } catch (apiError) {
+                                searchJob.incrementStat('apiErrors');
+                                logger.warn(`⚠️ Apollo.io failed for ${companyData.name}:`, apiError.message);
+                            }
+                        }
+
+                        // Try Hunter.io for additional HR contacts
+                        if (enrichedData.domain && credentialVault.getApiKey('hunter')) {
+                            if (!(await checkBudget('hunter'))) return false;
+
+                            try {
+                                logger.info(`📧 Searching Hunter.io for ${enrichedData.domain}`);
+                                searchJob.apiUsage.hunter.calls += 1;
+                                searchJob.apiUsage.hunter.searchesUsed += 1;
+                                const hunterContacts = await apiServices.searchHunter({
+                                    domain: enrichedData.domain,
+                                    demoMode: false
+                                });
+
+                                if (hunterContacts && hunterContacts.length > 0) {
+                                    const newContacts = hunterContacts[0]?.hrContacts || [];
+                                    enrichedData.hrContacts = [
+                                        ...(enrichedData.hrContacts || []),
+                                        ...newContacts
+                                    ];
+
+                                    hrContactsFound += newContacts.length;
+                                    searchJob.incrementStat('hunterContacts', newContacts.length);
+                                    searchJob.apiUsage.hunter.emailsFound += newContacts.length;
+
+                                    logger.info(`✅ Hunter.io found ${newContacts.length} contacts for ${enrichedData.domain}`);
+                                }
+                            } catch (hunterError) {
+                                searchJob.incrementStat('apiErrors');
+                                logger.warn(`⚠️ Hunter.io failed for ${enrichedData.domain}:`, hunterError.message);
+                            }
+                        }
+                    } else {
+                        // In demo mode, add mock HR contacts
+                        enrichedData.hrContacts = [
+                            {
+                                name: 'Sarah Johnson',
+                                email: `sarah.johnson@${companyData.name.toLowerCase().replace(/\s+/g, '')}.com`,
+                                title: 'HR Director',
+                                confidence: 90,
+                                verified: true,
+                                source: 'demo'
+                            }
+                        ];
+                        hrContactsFound = 1;
+                        searchJob.incrementStat('totalHRContacts', 1);
+                    }
+
+                    // AI evaluations. A company whose evaluation fails is saved
+                    // without scores as 'failed' so it can be retried later.
+                    let evaluations = null;
+                    let evaluationStatus = 'scored';
+                    let evaluationError;
+                    let cancelledBeforeEvaluation = false;
+                    const companyUsage = { calls: 0, tokensUsed: 0, cost: 0 };
+
+                    if (demoMode) {
+                        // Use mock evaluations for demo
+                        const wlbEvaluation = {
+                            score: Math.floor(Math.random() * 4) + 6, // 6-10 score
+                            analysis: `${companyData.name} appears to have a balanced approach to work-life balance.`,
+                            sources: ['Demo data'],
+                            positives: ['Flexible work arrangements', 'Good company culture'],
+                            concerns: ['Fast-paced environment']
+                        };
+                        evaluations = {
+                            wlbEvaluation,
+                            matchEvaluation: await openaiService.evaluateCompanyMatch(profile, companyData, true, {
+                                wlbScore: wlbEvaluation.score
+                            })
+                        };
+                    } else if (!(await checkBudget('openai'))) {
+                        // Cancelled while paused for budget. Keep what the enrichment
+                        // calls already paid for; it can be scored later.
+                        cancelledBeforeEvaluation = true;
+                        evaluationStatus = 'pending';
+                        evaluationError = 'Search was cancelled before this company was evaluated';
+                    } else {
+                        try {
+                            logger.info(`🤖 Evaluating ${companyData.name}`);
+                            evaluations = await withJobUsage(searchJob, { companyName: companyData.name, tally: companyUsage }, () =>
+                                companyScoring.evaluateScores({ ...profile, aiAnalysis }, enrichedData)
+                            );
+                        } catch (evaluationFailure) {
+                            logger.warn(`⚠️ AI evaluation failed for ${companyData.name}:`, evaluationFailure.message);
+                            evaluationStatus = 'failed';
+                            evaluationError = evaluationFailure.message;
+
+                            if (evaluationFailure instanceof AIValidationError) {
+                                searchJob.recordValidationFailure(evaluationFailure, companyData.name);
+                            } else {
+                                searchJob.incrementStat('apiErrors');
+                            }
+                        }
+                    }
+
+                    // Create company record
+                    existingCompany = new Company({
+                        ...enrichedData,
+                        owner,
+                        evaluationStatus,
+                        evaluationError,
+                        aiUsage: {
+                            tokensUsed: companyUsage.tokensUsed,
+                            cost: companyUsage.cost
+                        }
+                    });
+                    if (evaluations) {
+                        companyScoring.applyScores(existingCompany, evaluations, { source: 'search', searchJobId: jobId });
+                    }
+
+                    await existingCompany.save();
+
+                    // Free DNS checks of the new contacts; Hunter verification is left
+                    // for the user to ask for so it doesn't spend the search's budget
+                    if (!demoMode) {
+                        contactVerification.verifyInBackground(existingCompany);
+                    }
+
+                    if (cancelledBeforeEvaluation) return false;
+
+                    // Update stats
+                    if (evaluations) {
+                        recordScoreStats(searchJob, evaluations.matchEvaluation.matchScore, evaluations.wlbEvaluation.score);
+                    } else {
+                        searchJob.incrementStat('evaluationsFailed');
+                    }
+                    searchJob.incrementStat('companiesSaved');
+                    searchJob.incrementStat('totalHRContacts', hrContactsFound);
+
+                    const processingTime = Date.now() - companyStartTime;
+                    searchJob.performance.averageCompanyProcessingTime =
+                        ((searchJob.performance.averageCompanyProcessingTime || 0) * processedCount + processingTime) / (processedCount + 1);
+
+                    searchJob.results.companiesFound = (searchJob.results.companiesFound || 0) + 1;
+                    searchJob.results.contactsFound += hrContactsFound;
+
+                    const matchScore = evaluations?.matchEvaluation.matchScore;
+                    const wlbScore = evaluations?.wlbEvaluation.score;
+
+                    searchJob.addActivity('company-processed',
+                        evaluations ?
+                            `✅ ${companyData.name} - ${matchScore}% match, ${wlbScore}/10 WLB, ${hrContactsFound} contacts` :
+                            `⚠️ ${companyData.name} - saved without scores (evaluation failed), ${hrContactsFound} contacts`,
+                        companyData.name, {
+                            matchScore,
+                            wlbScore,
+                            evaluationStatus,
+                            contacts: hrContactsFound,
+                            processingTime: `${(processingTime/1000).toFixed(1)}s`,
+                            demoMode
+                        });
+
+                    logger.info('✅ Company processed', {
+                        name: companyData.name,
+                        matchScore,
+                        wlbScore,
+                        evaluationStatus,
+                        hrContacts: hrContactsFound,
+                        processingTime: `${(processingTime/1000).toFixed(1)}s`,
+                        demoMode
+                    });
+                }
+
+                processedCount++;
+                searchJob.progress.current = processedCount;
+                searchJob.incrementStat('companiesProcessed');
+
+                // Advance the checkpoint cursor once the company is fully handled
+                markFinished(index);
+                await saveJob(searchJob);
+
+                // Real API calls are paced by the rate limiters; the demo is
+                // slowed down so its progress can be followed
+                if (demoMode) {
+                    await new Promise(resolve => setTimeout(resolve, 100));
+                }
+
+            } catch (error) {
+                searchJob.incrementStat('processingErrors');
+                logger.error(`Failed to process company ${companyData.name}:`, error);
+                searchJob.results.errors.push(`Failed to process ${companyData.name}: ${error.message}`);
+                if (error instanceof AIValidationError) {
+                    searchJob.recordValidationFailure(error, companyData.name);
+                } else {
+                    searchJob.addActivity('error', `❌ Failed to process ${companyData.name}: ${error.message}`, companyData.name);
+                }
+                markFinished(index);
+                await saveJob(searchJob);
+            }
+
+            return true;
+        };
+
+        const runWorker = async () => {
+            while (!stopped && nextIndex < allCompanies.length) {
+                // Pause and cancel requests are honored between companies
+                if (!(await checkJobControl())) {
+                    stopped = true;
+                    return;
+                }
+                if (stopped || nextIndex >= allCompanies.length) return;
+
+                try {
+                    if (!(await processCompany(nextIndex++))) stopped = true;
+                } catch (error) {
+                    // Anything a company's own error handling didn't catch fails the search
+                    workerError = workerError || error;
+                    stopped = true;
+                }
+            }
+        };
+
+        await Promise.all(Array.from({ length: concurrency }, runWorker));
+
+        if (workerError) throw workerError;
+
+        if (!(await waitForJobControl(searchJob))) {
+            await markJobCancelled(searchJob);
+            return;
+        }
+
+        // Final completion
+        searchJob.status = 'completed';
+        searchJob.progress.currentStep = demoMode ?
+            'Demo search completed! All sample data processed.' :
+            (expandedNationwide ?
+                'Search completed! Expanded nationwide for more matches.' :
+                `Search completed! Found matches in ${formatRegionNames(searchRegions)}.`);
+        searchJob.progress.percentage = 100;
+        searchJob.progress.phase = 'completed';
+        searchJob.performance.endTime = new Date();
+        searchJob.performance.duration = searchJob.performance.startTime - searchJob.performance.endTime;
+
+        searchJob.addActivity('milestone',
+            `🎉 Search completed! ${searchJob.liveStats.companiesSaved} companies saved`,
+            null, {
+                totalDuration: formatDuration(searchJob.performance.duration / 1000),
+                avgProcessingTime: `${(searchJob.performance.averageCompanyProcessingTime/1000).toFixed(1)}s`,
+                demoMode
+            });
+
+        await saveJob(searchJob);
+
+        logger.info('🎉 AI search completed successfully', {
+            jobId,
+            companiesFound: searchJob.results.companiesFound,
+            contactsFound: searchJob.results.contactsFound,
+            expandedNationwide,
+            demoMode,
+            duration: formatDuration(searchJob.performance.duration / 1000)
+        });
+
+    } catch (error) {
+        logger.error(`❌ AI search job ${jobId} failed:`, error);
+
+        const willRetry = options.shouldRetry ? options.shouldRetry(error) : false;
+
+        const searchJob = await SearchJob.findOne({ jobId });
+        if (searchJob) {
+            if (willRetry) {
+                searchJob.status = 'pending';
+                searchJob.progress.currentStep = 'Temporary error, retrying shortly...';
+                searchJob.addActivity('error', `⚠️ Attempt ${attempt} failed, will retry: ${error.message}`);
+            } else {
+                searchJob.status = 'failed';
+                searchJob.results.errors = [error.message];
+                searchJob.addActivity('error', `❌ Search failed: ${error.message}`);
+            }
+            await saveJob(searchJob);
+        }
+
+        throw error;
+    }
+}
+
+async function getJobStatus(jobId) {
+    const job = await SearchJob.findOne({ jobId }).select('status').lean();
+    return job?.status;
+}
+
+// Called between units of work. Blocks while the job is paused and
+// returns false once it has been cancelled so the caller can stop.
+async function waitForJobControl(searchJob) {
+    let status = await getJobStatus(searchJob.jobId);
+
+    // Budget pauses are announced by ensureBudget, other workers just wait
+    if (status === 'paused' && searchJob.budgetExhausted) {
+        while (status === 'paused') {
+            await new Promise(resolve => setTimeout(resolve, PAUSE_POLL_INTERVAL));
+            status = await getJobStatus(searchJob.jobId);
+        }
+        return status !== 'cancelled';
+    }
+
+    if (status === 'paused') {
+        searchJob.progress.currentStep = 'Search paused by user';
+        searchJob.addActivity('milestone', '⏸️ Search paused by user', null, {
+            processed: searchJob.progress.current
+        });
+        await saveJob(searchJob);
+        logger.info('⏸️  Search paused', { jobId: searchJob.jobId, processed: searchJob.progress.current });
+
+        while (status === 'paused') {
+            await new Promise(resolve => setTimeout(resolve, PAUSE_POLL_INTERVAL));
+            status = await getJobStatus(searchJob.jobId);
+        }
+
+        if (status === 'running') {
+            searchJob.progress.currentStep = 'Resuming search...';
+            searchJob.addActivity('milestone', '▶️ Search resumed by user', null, {
+                processed: searchJob.progress.current
+            });
+            await saveJob(searchJob);
+            logger.info('▶️  Search resumed', { jobId: searchJob.jobId, processed: searchJob.progress.current });
+        }
+    }
+
+    return status !== 'cancelled';
+}
+
+// Called before each paid external call. When the search has used up its
+// budget for service the job is paused until it is resumed with a higher
+// limit. Returns false if it is cancelled instead.
+async function ensureBudget(searchJob, service) {
+    if (!isBudgetExhausted(searchJob.parameters?.budget, searchJob.apiUsage, service)) return true;
+
+    const { label, unit, used, limit } = getBudgetStatus(searchJob.parameters.budget, searchJob.apiUsage)[service];
+
+    searchJob.status = 'paused';
+    searchJob.budgetExhausted = service;
+    searchJob.progress.currentStep = `Paused: ${label} budget exhausted`;
+    searchJob.addActivity('budget-exhausted',
+        `💸 ${label} budget exhausted (${formatBudgetAmount(used, unit)} of ${formatBudgetAmount(limit, unit)}) - search paused`,
+        null, { service, used, limit });
+    await saveJob(searchJob);
+    logger.warn('💸 Search paused: budget exhausted', { jobId: searchJob.jobId, service, used, limit });
+
+    // Resuming goes through /resume/:jobId, which requires a higher limit
+    let job;
+    do {
+        await new Promise(resolve => setTimeout(resolve, PAUSE_POLL_INTERVAL));
+        job = await SearchJob.findOne({ jobId: searchJob.jobId }).select('status parameters.budget').lean();
+    } while (job?.status === 'paused');
+
+    if (!job || job.status === 'cancelled') return false;
+
+    searchJob.status = job.status;
+    searchJob.budgetExhausted = undefined;
+    searchJob.parameters.budget = job.parameters?.budget;
+    searchJob.progress.currentStep = 'Resuming search...';
+    searchJob.addActivity('milestone', `▶️ Search resumed with a new ${label} budget`, null, {
+        service,
+        limit: searchJob.parameters.budget?.[BUDGET_LIMITS[service].limit]
+    });
+    await saveJob(searchJob);
+    logger.info('▶️  Search resumed after budget increase', { jobId: searchJob.jobId, service });
+
+    // The new limit may still be too low
+    return ensureBudget(searchJob, service);
+}
+
+function formatBudgetAmount(value, unit) {
+    return unit === 'USD' ? `$${value.toFixed(2)}` : `${value} ${unit}`;
+}
+
+async function markJobCancelled(searchJob) {
+    searchJob.status = 'cancelled';
+    searchJob.progress.currentStep = 'Search cancelled by user';
+    searchJob.liveStats.currentCompany = null;
+    searchJob.performance.endTime = new Date();
+    if (searchJob.performance.startTime) {
+        searchJob.performance.duration = searchJob.performance.endTime - searchJob.performance.startTime;
+    }
+
+    searchJob.addActivity('milestone',
+        `🛑 Search cancelled by user after ${searchJob.liveStats.companiesProcessed} companies`,
+        null, {
+            companiesSaved: searchJob.liveStats.companiesSaved
+        });
+
+    await saveJob(searchJob);
+
+    logger.info('🛑 AI search cancelled', {
+        jobId: searchJob.jobId,
+        companiesProcessed: searchJob.liveStats.companiesProcessed
+    });
+}
+
+// Mongoose rejects parallel save() calls on one document, so saves of a job
+// are chained. Changes made while a save is in flight go out with the next.
+const pendingSaves = new WeakMap();
+
+function saveJob(searchJob) {
+    const previous = pendingSaves.get(searchJob) || Promise.resolve();
+    const next = previous.catch(() => {}).then(() => searchJob.save());
+    pendingSaves.set(searchJob, next);
+    return next;
+}
+
+// Lets concurrent callers share one in-flight call of fn instead of each
+// starting their own
+function shareInFlight(fn) {
+    let pending = null;
+    return () => {
+        if (!pending) {
+            pending = fn().finally(() => {
+                pending = null;
+            });
+        }
+        return pending;
+    };
+}
+
+// Runs AI calls attributed to this search (and optionally a company), adding
+// their real token usage and cost to searchJob.apiUsage.openai and to tally
+function withJobUsage(searchJob, { companyName, tally } = {}, fn) {
+    return usageTracker.withUsageContext({
+        jobId: searchJob.jobId,
+        companyName,
+        purpose: 'search',
+        onUsage: entry => {
+            usageTracker.addToTally(searchJob.apiUsage.openai, entry);
+            if (tally) usageTracker.addToTally(tally, entry);
+        }
+    }, fn);
+}
+
+// Reflects each company generation batch in the live stats as it arrives.
+// offset is the number of companies generated before this phase started.
+function trackGenerationBatch(searchJob, label, offset = 0) {
+    return async ({ batchNumber, added, total }) => {
+        searchJob.liveStats.companiesGenerated = offset + total;
+        searchJob.progress.currentStep = `Generating ${label} companies... ${total} so far`;
+        searchJob.addActivity('milestone', `Batch ${batchNumber}: ${added} new ${label} companies`, null, {
+            total: offset + total
+        });
+        await saveJob(searchJob);
+    };
+}
+
+// Counts a scored company in the match quality and WLB stats
+function recordScoreStats(searchJob, matchScore, wlbScore) {
+    if (matchScore >= 80) {
+        searchJob.incrementStat('highMatches');
+    } else if (matchScore >= 60) {
+        searchJob.incrementStat('mediumMatches');
+    } else {
+        searchJob.incrementStat('lowMatches');
+    }
+
+    if (wlbScore >= 8) {
+        searchJob.incrementStat('excellentWLB');
+    } else if (wlbScore >= 6) {
+        searchJob.incrementStat('goodWLB');
+    } else if (wlbScore >= 4) {
+        searchJob.incrementStat('averageWLB');
+    } else {
+        searchJob.incrementStat('poorWLB');
+    }
+}
+
+// Sets the generated-company count for one region in liveStats.regionCompanies
+function setRegionCount(searchJob, regionName, count) {
+    const entry = searchJob.liveStats.regionCompanies.find(region => region.name === regionName);
+    if (entry) {
+        entry.count = count;
+    } else {
+        searchJob.liveStats.regionCompanies.push({ name: regionName, count });
+    }
+}
+
+function formatDuration(seconds) {
+    if (seconds < 60) return `${Math.round(seconds)}s`;
+    const minutes = Math.floor(seconds / 60);
+    const remainingSeconds = Math.round(seconds % 60);
+    return `${minutes}m ${remainingSeconds}s`;
+}
+
+module.exports = {
+    processAISearch,
+    formatDuration
+};
@@ -0,0 +1,55 @@
+const logger = require('../utils/logger');
+
+// Shared by the API (adds jobs) and worker.js (processes them)
+const SEARCH_QUEUE_NAME = 'ai company search';
+const SEARCH_JOB_NAME = 'ai-search';
+
+// Transient failures are retried with exponential backoff (30s, 60s, ...).
+// Finished jobs are trimmed so Redis doesn't grow forever.
+const SEARCH_JOB_OPTIONS = {
+    attempts: parseInt(process.env.SEARCH_JOB_ATTEMPTS) || 3,
+    backoff: {
+        type: 'exponential',
+        delay: parseInt(process.env.SEARCH_JOB_BACKOFF_MS) || 30000
+    },
+    removeOnComplete: 100,
+    removeOnFail: 100
+};
+
+// Import Bull and Redis with fallback
+let searchQueue = null;
+try {
+    const Queue = require('bull');
+    searchQueue = new Queue(SEARCH_QUEUE_NAME, {
+        redis: {
+            port: process.env.REDIS_PORT || 6379,
+            host: process.env.REDIS_HOST || 'localhost',
+            retryDelayOnFailover: 100,
+            enableOfflineQueue: false,
+            maxRetriesPerRequest: 3,
+        },
+        settings: {
+            // A worker that dies mid-search loses its lock; the job is then
+            // picked up again by the next worker instead of being dropped.
+            lockDuration: 60000,
+            maxStalledCount: 3
+        }
+    });
+} catch (error) {
+    logger.warn('Bull queue not available, jobs will run synchronously:', error.message);
+    searchQueue = null;
+}
+
+// Bull job ids mirror SearchJob.jobId so the same search is never queued twice
+async function enqueueSearch(data) {
+    return searchQueue.add(SEARCH_JOB_NAME, data, {
+        ...SEARCH_JOB_OPTIONS,
+        jobId: data.jobId
+    });
+}
+
+module.exports = {
+    searchQueue,
+    enqueueSearch,
+    SEARCH_JOB_NAME
+};
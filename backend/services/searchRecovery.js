@@ -0,0 +1,115 @@
+const SearchJob = require('../models/SearchJob');
+const { searchQueue } = require('./searchQueue');
+const { processAISearch } = require('./searchProcessor');
+const logger = require('../utils/logger');
+
+// A job that keeps crashing the process should not be resumed forever
+const MAX_RESUMES = parseInt(process.env.SEARCH_MAX_RESUMES) || 3;
+
+// How long to wait for Redis before assuming the queue is unavailable
+const QUEUE_READY_TIMEOUT = 5000;
+
+async function isQueueAvailable() {
+    if (!searchQueue) return false;
+
+    try {
+        await Promise.race([
+            searchQueue.isReady(),
+            new Promise((resolve, reject) => setTimeout(() => reject(new Error('Redis not ready')), QUEUE_READY_TIMEOUT))
+        ]);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Jobs still held by Bull are redelivered to worker.js after a crash, so the
+// server only recovers searches it was running itself (no Redis).
+async function isOwnedByQueue(jobId, queueAvailable) {
+    if (!queueAvailable) return false;
+
+    try {
+        return !!(await searchQueue.getJob(jobId));
+    } catch (error) {
+        logger.warn('Failed to look up search job in queue:', error.message);
+        return false;
+    }
+}
+
+async function markInterrupted(searchJob, reason) {
+    searchJob.status = 'failed';
+    searchJob.failureReason = reason;
+    searchJob.results.errors.push(reason);
+    searchJob.progress.currentStep = reason;
+    searchJob.liveStats.currentCompany = null;
+    searchJob.performance.endTime = new Date();
+    searchJob.addActivity('error', `❌ ${reason}`);
+    await searchJob.save();
+
+    logger.warn('⚠️  Marked interrupted search as failed', { jobId: searchJob.jobId, reason });
+}
+
+// Called once MongoDB is connected. Searches left 'running' or 'paused' by a
+// previous process resume from their checkpoint or are failed with a reason.
+async function recoverInterruptedSearches() {
+    try {
+        const orphans = await SearchJob.find({ status: { $in: ['pending', 'running', 'paused'] } });
+
+        if (orphans.length === 0) return;
+
+        const queueAvailable = await isQueueAvailable();
+
+        let resumed = 0, failed = 0;
+        for (const searchJob of orphans) {
+            if (await isOwnedByQueue(searchJob.jobId, queueAvailable)) continue;
+
+            const { checkpoint, parameters } = searchJob;
+            const hasCheckpoint = checkpoint?.candidates?.length > 0;
+
+            if (!parameters?.profile) {
+                await markInterrupted(searchJob, 'Search was interrupted by a server restart and its parameters were not saved');
+                failed++;
+                continue;
+            }
+
+            if (searchJob.status !== 'pending' && !hasCheckpoint) {
+                await markInterrupted(searchJob, 'Search was interrupted by a server restart before any companies were generated');
+                failed++;
+                continue;
+            }
+
+            if ((checkpoint?.resumeCount || 0) >= MAX_RESUMES) {
+                await markInterrupted(searchJob, `Search was interrupted ${checkpoint.resumeCount} times and will not be resumed again`);
+                failed++;
+                continue;
+            }
+
+            logger.info('♻️  Recovering interrupted search', {
+                jobId: searchJob.jobId,
+                status: searchJob.status,
+                cursor: checkpoint?.cursor || 0
+            });
+
+            // Paused searches wait inside processAISearch until resumed
+            setImmediate(() => {
+                processAISearch({
+                    jobId: searchJob.jobId,
+                    profile: parameters.profile,
+                    regions: parameters.regions,
+                    maxResults: parameters.maxResults || 1000,
+                    demoMode: parameters.demoMode || false,
+                    rescoreExisting: parameters.rescoreExisting || false
+                }).catch(() => {});
+            });
+            resumed++;
+        }
+
+        logger.info(`♻️  Search recovery finished: ${resumed} resumed, ${failed} marked failed`);
+    } catch (error) {
+        logger.error('Failed to recover interrupted searches:', error);
+    }
+}
+
+module.exports = {
+    recoverInterruptedSearches
+};
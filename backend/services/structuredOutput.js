@@ -0,0 +1,101 @@
+const llmProviders = require('./llmProviders');
+const logger = require('../utils/logger');
+
+// How much of a bad response to keep for debugging
+const MAX_RAW_RESPONSE_LENGTH = 2000;
+
+class AIValidationError extends Error {
+    constructor(task, errors, rawResponse, attempts) {
+        super(`AI response for ${task} failed validation: ${errors.join('; ')}`);
+        this.name = 'AIValidationError';
+        this.task = task;
+        this.errors = errors;
+        this.rawResponse = (rawResponse || '').slice(0, MAX_RAW_RESPONSE_LENGTH);
+        this.attempts = attempts;
+    }
+}
+
+// Models often wrap JSON in ```json fences or add a sentence around it
+function stripCodeFences(text) {
+    const trimmed = (text || '').trim();
+
+    const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)\s*```/i);
+    if (fenced) return fenced[1].trim();
+
+    // Fall back to the outermost JSON object or array in the text
+    const start = trimmed.search(/[[{]/);
+    const end = Math.max(trimmed.lastIndexOf('}'), trimmed.lastIndexOf(']'));
+    if (start >= 0 && end > start) {
+        return trimmed.slice(start, end + 1);
+    }
+
+    return trimmed;
+}
+
+function parseAndValidate(content, schema) {
+    let parsed;
+    try {
+        parsed = JSON.parse(stripCodeFences(content));
+    } catch (error) {
+        return { errors: [`Response is not valid JSON: ${error.message}`] };
+    }
+
+    const { value, error } = schema.validate(parsed, { abortEarly: false, convert: true });
+    if (error) {
+        return { errors: error.details.map(detail => detail.message) };
+    }
+
+    return { value };
+}
+
+// Chat completion that must return JSON matching a Joi schema. Uses JSON mode
+// where the provider supports it; on a parse or validation failure the model
+// is shown its answer and the errors and asked to correct it.
+async function completeJSON(task, request, schema, options = {}) {
+    const repairAttempts = options.repairAttempts ?? 1;
+    const jsonRequest = { ...request, response_format: { type: 'json_object' } };
+
+    let response = await llmProviders.complete(task, jsonRequest);
+    let content = response.choices[0].message.content;
+    let result = parseAndValidate(content, schema);
+
+    let attempt = 0;
+    while (result.errors && attempt < repairAttempts) {
+        attempt++;
+        logger.warn(`⚠️ Invalid ${task} response, asking model to repair it`, {
+            attempt,
+            errors: result.errors.slice(0, 5)
+        });
+
+        response = await llmProviders.complete(task, {
+            ...jsonRequest,
+            messages: [
+                ...request.messages,
+                { role: 'assistant', content },
+                {
+                    role: 'user',
+                    content: `Your previous response could not be used:\n- ${result.errors.slice(0, 10).join('\n- ')}\n\n` +
+                        'Reply again with only the corrected JSON in the requested structure, with no other text.'
+                }
+            ]
+        });
+        content = response.choices[0].message.content;
+        result = parseAndValidate(content, schema);
+    }
+
+    if (result.errors) {
+        throw new AIValidationError(task, result.errors, content, attempt + 1);
+    }
+
+    return {
+        data: result.value,
+        response,
+        repaired: attempt > 0
+    };
+}
+
+module.exports = {
+    completeJSON,
+    stripCodeFences,
+    AIValidationError
+};
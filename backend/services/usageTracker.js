@@ -0,0 +1,260 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const mongoose = require('mongoose');
+const UsageRecord = require('../models/UsageRecord');
+const LlmModelPrice = require('../models/LlmModelPrice');
+const logger = require('../utils/logger');
+
+// Token accounting for LLM calls. llmProviders reports every completion here;
+// callers attribute calls to a search, company or email by running them
+// inside withUsageContext().
+
+// USD per million tokens. Models are matched by longest prefix so dated
+// snapshots like gpt-4o-mini-2024-07-18 use their family's price.
+const DEFAULT_PRICES = {
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'gpt-4-turbo': { input: 10, output: 30 },
+    'gpt-4': { input: 30, output: 60 },
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+    'claude-3-5-haiku': { input: 0.8, output: 4 },
+    'claude-3-5-sonnet': { input: 3, output: 15 },
+    'claude-3-haiku': { input: 0.25, output: 1.25 },
+    'claude-3-opus': { input: 15, output: 75 }
+};
+
+// Self-hosted models cost nothing per token unless a price is configured
+const FREE_PROVIDERS = ['local'];
+
+// Built-in and LLM_PRICES prices, before any set through /api/config/llm
+const basePrices = { ...DEFAULT_PRICES, ...loadPricesFromEnv() };
+
+const prices = { ...basePrices };
+
+// Models we have already warned about, so the log isn't flooded
+const unpricedModels = new Set();
+
+const contextStorage = new AsyncLocalStorage();
+
+// LLM_PRICES='{"my-model": {"input": 1, "output": 2}}'
+function loadPricesFromEnv() {
+    if (!process.env.LLM_PRICES) return {};
+
+    try {
+        return JSON.parse(process.env.LLM_PRICES);
+    } catch (error) {
+        logger.warn('Ignoring invalid LLM_PRICES, expected JSON:', error.message);
+        return {};
+    }
+}
+
+function getModelPrice(model) {
+    if (!model) return null;
+    if (prices[model]) return prices[model];
+
+    const match = Object.keys(prices)
+        .filter(prefix => model.startsWith(prefix))
+        .sort((a, b) => b.length - a.length)[0];
+
+    return match ? prices[match] : null;
+}
+
+function calculateCost(provider, model, usage = {}) {
+    const price = getModelPrice(model);
+
+    if (!price) {
+        if (!FREE_PROVIDERS.includes(provider) && !unpricedModels.has(model)) {
+            unpricedModels.add(model);
+            logger.warn(`No price configured for model ${model}, its cost is recorded as 0`);
+        }
+        return 0;
+    }
+
+    return ((usage.prompt_tokens || 0) * price.input + (usage.completion_tokens || 0) * price.output) / 1e6;
+}
+
+function getPriceTable() {
+    return { ...prices };
+}
+
+// [[model, { input, output } or null]] for a price update; throws on an
+// invalid entry
+function validateModelPrices(updates = {}) {
+    return Object.entries(updates).map(([model, price]) => {
+        if (price === null) return [model, null];
+
+        const input = Number(price?.input);
+        const output = Number(price?.output);
+        if (!Number.isFinite(input) || !Number.isFinite(output) || input < 0 || output < 0) {
+            throw new Error(`Invalid price for ${model}: input and output must be non-negative numbers`);
+        }
+        return [model, { input, output }];
+    });
+}
+
+// Replaces the price table with the base prices plus the saved changes.
+// Keeps the current table if the database can't be read.
+async function loadModelPrices() {
+    try {
+        const saved = await LlmModelPrice.find().lean();
+        Object.keys(prices).forEach(model => delete prices[model]);
+        Object.assign(prices, basePrices);
+        saved.forEach(({ model, input, output, removed }) => {
+            if (removed) delete prices[model];
+            else prices[model] = { input, output };
+        });
+    } catch (error) {
+        logger.warn('Could not load LLM model prices:', error.message);
+    }
+    return getPriceTable();
+}
+
+// { model: { input, output } } in USD per million tokens; null removes a model
+async function setModelPrices(updates = {}) {
+    // Validate everything first so a bad entry doesn't leave a partial update
+    const parsed = validateModelPrices(updates);
+
+    if (parsed.length > 0) {
+        await LlmModelPrice.bulkWrite(parsed.map(([model, price]) => {
+            if (!price && !basePrices[model]) {
+                return { deleteOne: { filter: { model } } };
+            }
+            return {
+                updateOne: {
+                    filter: { model },
+                    update: { $set: price ? { ...price, removed: false } : { input: null, output: null, removed: true } },
+                    upsert: true
+                }
+            };
+        }));
+    }
+
+    parsed.forEach(([model, price]) => {
+        if (price) {
+            prices[model] = price;
+            unpricedModels.delete(model);
+        } else {
+            delete prices[model];
+        }
+    });
+
+    if (parsed.length > 0) {
+        logger.info('LLM price table updated', { models: parsed.map(([model]) => model) });
+    }
+
+    return getPriceTable();
+}
+
+// Runs fn with usage attributed to context ({ jobId, companyId, companyName,
+// purpose }). Nested contexts inherit from the outer one; onUsage(entry) is
+// called for every completion made inside, at every level.
+function withUsageContext(context, fn) {
+    const parent = contextStorage.getStore() || {};
+    const { onUsage, ...attributes } = context;
+
+    return contextStorage.run({
+        ...parent,
+        ...attributes,
+        listeners: [...(parent.listeners || []), ...(onUsage ? [onUsage] : [])]
+    }, fn);
+}
+
+// Called by llmProviders after every completion
+function recordUsage({ task, provider, model, usage }) {
+    const { listeners = [], ...context } = contextStorage.getStore() || {};
+
+    const entry = {
+        task,
+        provider,
+        model,
+        promptTokens: usage?.prompt_tokens || 0,
+        completionTokens: usage?.completion_tokens || 0,
+        totalTokens: usage?.total_tokens || (usage?.prompt_tokens || 0) + (usage?.completion_tokens || 0),
+        cost: calculateCost(provider, model, usage),
+        jobId: context.jobId,
+        companyId: context.companyId,
+        companyName: context.companyName,
+        purpose: context.purpose
+    };
+
+    listeners.forEach(listener => {
+        try {
+            listener(entry);
+        } catch (error) {
+            logger.warn('Usage listener failed:', error.message);
+        }
+    });
+
+    // Ledger writes never hold up or fail the AI call
+    if (mongoose.connection.readyState === 1) {
+        UsageRecord.create(entry).catch(error => {
+            logger.warn('Failed to write usage record:', error.message);
+        });
+    }
+
+    return entry;
+}
+
+// Adds entry's tokens and cost to a { calls, tokensUsed, cost } tally
+function addToTally(tally, entry) {
+    tally.calls = (tally.calls || 0) + 1;
+    tally.tokensUsed = (tally.tokensUsed || 0) + entry.totalTokens;
+    tally.cost = (tally.cost || 0) + entry.cost;
+    return tally;
+}
+
+// Spend from the ledger, optionally filtered (e.g. { jobId }), broken down
+// by task, model and company
+async function summarizeUsage(filter = {}, since) {
+    const match = { ...filter };
+    if (since) match.createdAt = { $gte: since };
+
+    const totalsStage = {
+        calls: { $sum: 1 },
+        promptTokens: { $sum: '$promptTokens' },
+        completionTokens: { $sum: '$completionTokens' },
+        tokensUsed: { $sum: '$totalTokens' },
+        cost: { $sum: '$cost' }
+    };
+
+    const [result] = await UsageRecord.aggregate([
+        { $match: match },
+        {
+            $facet: {
+                totals: [{ $group: { _id: null, ...totalsStage } }],
+                byTask: [{ $group: { _id: '$task', ...totalsStage } }, { $sort: { cost: -1 } }],
+                byModel: [{ $group: { _id: { provider: '$provider', model: '$model' }, ...totalsStage } }, { $sort: { cost: -1 } }],
+                byCompany: [
+                    { $match: { companyName: { $exists: true, $ne: null } } },
+                    { $group: { _id: '$companyName', ...totalsStage } },
+                    { $sort: { cost: -1 } },
+                    { $limit: 50 }
+                ]
+            }
+        }
+    ]);
+
+    const emptyTotals = { calls: 0, promptTokens: 0, completionTokens: 0, tokensUsed: 0, cost: 0 };
+    const strip = ({ _id, ...totals }) => totals;
+
+    return {
+        totals: result.totals[0] ? strip(result.totals[0]) : emptyTotals,
+        byTask: result.byTask.map(row => ({ task: row._id, ...strip(row) })),
+        byModel: result.byModel.map(row => ({ ...row._id, ...strip(row) })),
+        byCompany: result.byCompany.map(row => ({ companyName: row._id, ...strip(row) }))
+    };
+}
+
+module.exports = {
+    withUsageContext,
+    recordUsage,
+    addToTally,
+    calculateCost,
+    getPriceTable,
+    validateModelPrices,
+    setModelPrices,
+    loadModelPrices,
+    summarizeUsage
+};
@@ -0,0 +1,136 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Campaign = require('../models/Campaign');
+const Company = require('../models/Company');
+const OutboxEmail = require('../models/OutboxEmail');
+const User = require('../models/User');
+const emailSender = require('../services/emailSender');
+const campaignScheduler = require('../services/campaignScheduler');
+
+const MINUTE_MS = 60 * 1000;
+const WEEKDAYS = [1, 2, 3, 4, 5];
+const ALWAYS = { startHour: 0, endHour: 24, days: [0, 1, 2, 3, 4, 5, 6] };
+
+let sent;
+let recentDomainChecks;
+// Domains the stub outbox has emailed within any spacing
+let recentDomains;
+
+function campaign(settings, items) {
+    return {
+        _id: 'campaign-1',
+        owner: 'owner-1',
+        name: 'Fintech',
+        settings: { dailyCap: 20, sendWindow: ALWAYS, domainSpacingMinutes: 0, timezone: 'UTC', ...settings },
+        items,
+        getItemCounts: () => ({})
+    };
+}
+
+function approvedItem(to = 'hr@acme.com', timezone) {
+    return { _id: `item-${to}`, company: 'company-1', to, subject: 'Hello', body: 'Hi', status: 'approved', timezone };
+}
+
+// Makes now the current time for runCampaign
+function setNow(iso) {
+    mock.timers.enable({ apis: ['Date'], now: new Date(iso) });
+}
+
+beforeEach(() => {
+    sent = [];
+    recentDomainChecks = [];
+    recentDomains = [];
+
+    Campaign.updateOne = async () => ({ modifiedCount: 1 });
+    Company.findOne = async () => ({ _id: 'company-1', name: 'Acme' });
+    User.findById = () => ({ select: async () => ({ _id: 'owner-1', email: 'me@example.com' }) });
+    OutboxEmail.exists = async (query) => {
+        recentDomainChecks.push(query);
+        const emailed = recentDomains.some(domain => new RegExp(query.to.$regex).test(`hr@${domain}`));
+        return emailed ? { _id: 'outbox-1' } : null;
+    };
+    emailSender.getSenderIdentity = async () => ({});
+    emailSender.sendEmail = async (email) => {
+        sent.push(email.to);
+        return { _id: 'outbox-2', status: 'sent', sentAt: new Date() };
+    };
+});
+
+afterEach(() => {
+    mock.timers.reset();
+});
+
+test('the send window is checked in the recipient timezone', () => {
+    const window = { startHour: 9, endHour: 17, days: WEEKDAYS };
+    // Monday 14:00 UTC: 10:00 in New York, 23:00 in Tokyo
+    const now = new Date('2026-10-19T14:00:00Z');
+
+    assert.equal(campaignScheduler.isInSendWindow(now, 'America/New_York', window), true);
+    assert.equal(campaignScheduler.isInSendWindow(now, 'Asia/Tokyo', window), false);
+    // The end hour is exclusive
+    assert.equal(campaignScheduler.isInSendWindow(new Date('2026-10-19T21:00:00Z'), 'America/New_York', window), false);
+});
+
+test('only the chosen weekdays are sent on, as seen by the recipient', () => {
+    // Tuesday 02:00 UTC is still Monday evening in New York
+    const now = new Date('2026-10-20T02:00:00Z');
+
+    assert.deepEqual(campaignScheduler.getLocalTime(now, 'America/New_York'), { day: '2026-10-19', hour: 22, weekday: 1 });
+    assert.equal(campaignScheduler.isInSendWindow(now, 'America/New_York', { ...ALWAYS, days: [1] }), true);
+    assert.equal(campaignScheduler.isInSendWindow(now, 'UTC', { ...ALWAYS, days: [1] }), false);
+
+    // Saturday 11:00 in New York
+    const saturday = new Date('2026-10-24T15:00:00Z');
+    assert.equal(campaignScheduler.isInSendWindow(saturday, 'America/New_York', { ...ALWAYS, days: WEEKDAYS }), false);
+    assert.equal(campaignScheduler.isInSendWindow(saturday, 'America/New_York', { ...ALWAYS, days: [6] }), true);
+});
+
+test('approved items outside their send window wait for the next one in it', async () => {
+    setNow('2026-10-19T14:00:00Z');
+
+    await campaignScheduler.runCampaign(campaign({ sendWindow: { startHour: 9, endHour: 17, days: WEEKDAYS } }, [
+        approvedItem('hr@tokyo.jp', 'Asia/Tokyo'),
+        approvedItem('hr@nyc.com', 'America/New_York')
+    ]));
+
+    assert.deepEqual(sent, ['hr@nyc.com']);
+});
+
+test('the daily cap counts emails queued today in the campaign timezone', async () => {
+    // Monday 22:00 in Los Angeles, already Tuesday in UTC
+    setNow('2026-10-20T05:00:00Z');
+    const items = () => [
+        { _id: 'item-0', status: 'sent', queuedAt: new Date('2026-10-19T20:00:00Z') },
+        approvedItem()
+    ];
+
+    await campaignScheduler.runCampaign(campaign({ dailyCap: 1, timezone: 'America/Los_Angeles' }, items()));
+    assert.deepEqual(sent, []);
+
+    // In UTC the earlier email went out yesterday
+    await campaignScheduler.runCampaign(campaign({ dailyCap: 1, timezone: 'UTC' }, items()));
+    assert.deepEqual(sent, ['hr@acme.com']);
+});
+
+test('a domain emailed within the spacing is skipped for another recipient', async () => {
+    setNow('2026-10-19T14:00:00Z');
+    recentDomains = ['acme.com'];
+
+    await campaignScheduler.runCampaign(campaign({ domainSpacingMinutes: 60 }, [
+        approvedItem('jane@Acme.com'),
+        approvedItem('hr@other.com')
+    ]));
+
+    assert.deepEqual(sent, ['hr@other.com']);
+    assert.deepEqual(recentDomainChecks[0].to, { $regex: '@acme\\.com$' });
+    assert.equal(recentDomainChecks[0].createdAt.$gt.getTime(), Date.now() - 60 * MINUTE_MS);
+});
+
+test('without domain spacing the outbox is not checked', async () => {
+    setNow('2026-10-19T14:00:00Z');
+
+    await campaignScheduler.runCampaign(campaign({ domainSpacingMinutes: 0 }, [approvedItem()]));
+
+    assert.deepEqual(sent, ['hr@acme.com']);
+    assert.deepEqual(recentDomainChecks, []);
+});
@@ -0,0 +1,147 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Company = require('../models/Company');
+const apiServices = require('../services/apiServices');
+const contactVerification = require('../services/contactVerification');
+
+// Stub DNS: domain -> MX records, or an error code to throw
+const MX_RECORDS = {
+    'acme.com': [{ exchange: 'mx.acme.com', priority: 10 }],
+    'catchall.com': [{ exchange: 'mx.catchall.com', priority: 10 }],
+    'nullmx.com': [{ exchange: '.', priority: 0 }],
+    'gone.com': 'ENOTFOUND',
+    'flaky.com': 'ETIMEOUT'
+};
+
+let lookups;
+let hunterResult;
+let updates;
+
+beforeEach(() => {
+    lookups = [];
+    hunterResult = null;
+    updates = [];
+
+    contactVerification.setResolver({
+        resolveMx: async (domain) => {
+            lookups.push(domain);
+            const records = MX_RECORDS[domain];
+            if (typeof records === 'string') {
+                throw Object.assign(new Error(`queryMx ${records} ${domain}`), { code: records });
+            }
+            return records || [];
+        }
+    });
+
+    apiServices.verifyHunterEmail = async () => {
+        if (hunterResult instanceof Error) throw hunterResult;
+        return hunterResult;
+    };
+    Company.updateOne = async (filter, update) => {
+        updates.push({ filter, update });
+        return { modifiedCount: 1 };
+    };
+});
+
+test('malformed addresses are invalid without a DNS lookup', async () => {
+    for (const email of ['', 'no-at-sign', 'two@@acme.com', 'a b@acme.com', 'jane@acme']) {
+        const result = await contactVerification.verifyEmail(email);
+        assert.equal(result.status, 'invalid', email);
+    }
+    assert.deepEqual(lookups, []);
+});
+
+test('a domain without mail servers is invalid', async () => {
+    assert.equal((await contactVerification.verifyEmail('hr@gone.com')).status, 'invalid');
+    assert.equal((await contactVerification.verifyEmail('hr@nullmx.com')).status, 'invalid');
+});
+
+test('a failed DNS lookup is unknown and not cached', async () => {
+    const result = await contactVerification.verifyEmail('hr@flaky.com');
+    assert.equal(result.status, 'unknown');
+    assert.match(result.reason, /ETIMEOUT/);
+
+    await contactVerification.verifyEmail('jobs@flaky.com');
+    assert.deepEqual(lookups, ['flaky.com', 'flaky.com']);
+});
+
+test('a domain with MX records is unknown until the mailbox is checked, and cached', async () => {
+    const first = await contactVerification.verifyEmail('hr@acme.com');
+    const second = await contactVerification.verifyEmail('jobs@ACME.com');
+
+    assert.equal(first.status, 'unknown');
+    assert.equal(second.status, 'unknown');
+    assert.deepEqual(lookups, ['acme.com']);
+});
+
+test('Hunter settles the mailbox when asked for', async () => {
+    hunterResult = { status: 'valid', score: 96 };
+    assert.equal((await contactVerification.verifyEmail('hr@acme.com', { useHunter: true })).status, 'valid');
+
+    hunterResult = { status: 'invalid' };
+    assert.equal((await contactVerification.verifyEmail('hr@acme.com', { useHunter: true })).status, 'invalid');
+
+    hunterResult = { result: 'risky' };
+    assert.equal((await contactVerification.verifyEmail('hr@acme.com', { useHunter: true })).status, 'risky');
+
+    hunterResult = null;
+    assert.equal((await contactVerification.verifyEmail('hr@acme.com', { useHunter: true })).status, 'unknown');
+
+    hunterResult = new Error('Request failed with status code 429');
+    const failed = await contactVerification.verifyEmail('hr@acme.com', { useHunter: true });
+    assert.equal(failed.status, 'unknown');
+    assert.match(failed.reason, /429/);
+});
+
+test('a catch-all answer from Hunter is remembered for the domain', async () => {
+    hunterResult = { status: 'accept_all' };
+    assert.equal((await contactVerification.verifyEmail('hr@catchall.com', { useHunter: true })).status, 'catch-all');
+
+    hunterResult = { status: 'valid' };
+    assert.equal((await contactVerification.verifyEmail('ceo@catchall.com', { useHunter: true })).status, 'catch-all');
+});
+
+test('company contacts are checked once per address and saved on each contact', async () => {
+    const recently = new Date(Date.now() - 60 * 60 * 1000);
+    const company = {
+        _id: 'company-1',
+        name: 'Acme',
+        hrContacts: [
+            { _id: 'c1', email: 'hr@acme.com' },
+            { _id: 'c2', email: 'HR@acme.com' },
+            { _id: 'c3', email: 'jobs@gone.com' },
+            { _id: 'c4', email: 'old@acme.com', verificationStatus: 'valid', verificationCheckedAt: recently }
+        ]
+    };
+
+    hunterResult = { status: 'valid' };
+    const results = await contactVerification.verifyCompanyContacts(company, { useHunter: true });
+
+    assert.deepEqual(results.map(result => [result.contactId, result.status, result.skipped]), [
+        ['c1', 'valid', false],
+        ['c2', 'valid', false],
+        ['c3', 'invalid', false],
+        ['c4', 'valid', true]
+    ]);
+    assert.deepEqual(lookups, ['acme.com', 'gone.com']);
+
+    // Only a confirmed mailbox sets verified and only an invalid one clears it
+    assert.equal(updates.length, 3);
+    assert.equal(updates[0].update.$set['hrContacts.$.verified'], true);
+    assert.equal(updates[2].update.$set['hrContacts.$.verified'], false);
+    assert.deepEqual(updates[2].filter, { _id: 'company-1', 'hrContacts._id': 'c3' });
+});
+
+test('recently checked contacts are checked again when forced', async () => {
+    const company = {
+        _id: 'company-2',
+        hrContacts: [{ _id: 'c1', email: 'hr@acme.com', verificationStatus: 'unknown', verificationCheckedAt: new Date() }]
+    };
+
+    const [skipped] = await contactVerification.verifyCompanyContacts(company);
+    assert.equal(skipped.skipped, true);
+
+    const [checked] = await contactVerification.verifyCompanyContacts(company, { force: true });
+    assert.equal(checked.skipped, false);
+    assert.equal(updates.length, 1);
+});
@@ -0,0 +1,132 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const nodemailer = require('nodemailer');
+const Company = require('../models/Company');
+const UserProfile = require('../models/UserProfile');
+const emailSender = require('../services/emailSender');
+
+const MINUTE_MS = 60 * 1000;
+
+// What the stub transport does with the next email: an error to throw, or
+// undefined to accept it
+let smtpOutcome;
+let sentMail;
+let companyUpdates;
+
+nodemailer.createTransport = () => ({
+    sendMail: async (mail) => {
+        if (smtpOutcome) throw smtpOutcome;
+        sentMail.push(mail);
+        return { response: '250 2.0.0 OK queued' };
+    }
+});
+
+function smtpError(responseCode, response) {
+    return Object.assign(new Error(response), { responseCode, response });
+}
+
+function connectionError(code) {
+    return Object.assign(new Error(`connect ${code}`), { code });
+}
+
+// A claimed outbox email; attempts counts the one being made
+function outboxEmail(attempts = 1) {
+    return {
+        _id: 'outbox-1',
+        owner: 'owner-1',
+        company: 'company-1',
+        companyName: 'Acme',
+        followUpId: 'follow-up-1',
+        to: 'hr@acme.com',
+        subject: 'Hello',
+        body: 'Hi there',
+        messageId: '<id@example.com>',
+        status: 'sending',
+        attempts,
+        saves: 0,
+        async save() {
+            this.saves += 1;
+        }
+    };
+}
+
+beforeEach(() => {
+    process.env.SMTP_HOST = 'smtp.example.com';
+    process.env.SMTP_FROM = 'outreach@example.com';
+    smtpOutcome = undefined;
+    sentMail = [];
+    companyUpdates = [];
+
+    Company.updateOne = async (filter, update) => {
+        companyUpdates.push({ filter, update });
+        return { modifiedCount: 1 };
+    };
+    UserProfile.findOne = async () => null;
+});
+
+test('a delivered email is marked sent', async () => {
+    const outbox = await emailSender.attemptDelivery(outboxEmail());
+
+    assert.equal(outbox.status, 'sent');
+    assert.ok(outbox.sentAt instanceof Date);
+    assert.equal(outbox.smtpResponse, '250 2.0.0 OK queued');
+    assert.equal(outbox.lastError, undefined);
+    assert.equal(sentMail[0].messageId, '<id@example.com>');
+    assert.deepEqual(companyUpdates[0].update, { $set: { status: 'contacted' } });
+});
+
+test('SMTP 4xx replies are retried with backoff', async () => {
+    smtpOutcome = smtpError(421, '421 4.7.0 Try again later');
+    const before = Date.now();
+    const outbox = await emailSender.attemptDelivery(outboxEmail(1));
+
+    assert.equal(outbox.status, 'queued');
+    assert.equal(outbox.lastError, '421 4.7.0 Try again later');
+    assert.ok(outbox.nextAttemptAt.getTime() >= before + MINUTE_MS);
+    assert.ok(outbox.nextAttemptAt.getTime() < before + 2 * MINUTE_MS);
+});
+
+test('connection failures are retried, later attempts wait longer', async () => {
+    smtpOutcome = connectionError('ECONNREFUSED');
+    const before = Date.now();
+    const outbox = await emailSender.attemptDelivery(outboxEmail(2));
+
+    assert.equal(outbox.status, 'queued');
+    assert.ok(outbox.nextAttemptAt.getTime() >= before + 5 * MINUTE_MS);
+
+    const third = await emailSender.attemptDelivery(outboxEmail(3));
+    assert.ok(third.nextAttemptAt.getTime() >= before + 30 * MINUTE_MS);
+});
+
+test('SMTP 5xx replies fail at once', async () => {
+    smtpOutcome = smtpError(550, '550 5.1.1 User unknown');
+    const outbox = await emailSender.attemptDelivery(outboxEmail(1));
+
+    assert.equal(outbox.status, 'failed');
+    assert.equal(outbox.lastError, '550 5.1.1 User unknown');
+    assert.equal(outbox.nextAttemptAt, undefined);
+});
+
+test('errors that are not about the connection fail at once', async () => {
+    smtpOutcome = Object.assign(new Error('Invalid login'), { code: 'EAUTH' });
+    const outbox = await emailSender.attemptDelivery(outboxEmail(1));
+
+    assert.equal(outbox.status, 'failed');
+    assert.equal(outbox.lastError, 'Invalid login');
+});
+
+test('temporary failures stop being retried after the last attempt', async () => {
+    smtpOutcome = smtpError(451, '451 4.3.0 Mail server temporarily rejected message');
+    const outbox = await emailSender.attemptDelivery(outboxEmail(4));
+
+    assert.equal(outbox.status, 'failed');
+});
+
+test('nothing is sent when SMTP is not configured', async () => {
+    delete process.env.SMTP_HOST;
+    const outbox = await emailSender.attemptDelivery(outboxEmail());
+
+    assert.equal(outbox.status, 'failed');
+    assert.match(outbox.lastError, /not configured/);
+    assert.equal(sentMail.length, 0);
+});
@@ -0,0 +1,116 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parse, renderTemplate, lintTemplate, buildTemplateContext } = require('../utils/emailTemplate');
+
+const profile = {
+    personalInfo: { firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com', location: { city: 'London' } },
+    currentTitle: 'Engineer',
+    skills: { technical: ['Node.js', 'MongoDB'] }
+};
+const company = { name: 'Acme', industry: 'fintech', domain: 'acme.com', highlights: ['fast growth'] };
+const contact = { name: 'Grace Hopper', email: 'grace@acme.com' };
+
+const render = (source, hrContact = contact) => renderTemplate(source, buildTemplateContext(profile, company, hrContact));
+
+test('blocks nest, with {{else}} branches kept apart', () => {
+    const { nodes, errors } = parse('{{#if contact}}Hi {{#unless contact.title}}there{{/unless}}{{else}}Hello{{/if}}');
+
+    assert.deepEqual(errors, []);
+    assert.equal(nodes.length, 1);
+    const [block] = nodes;
+    assert.equal(block.helper, 'if');
+    assert.deepEqual(block.children.map(node => node.type), ['text', 'block']);
+    assert.equal(block.children[1].helper, 'unless');
+    assert.deepEqual(block.elseChildren, [{ type: 'text', value: 'Hello' }]);
+});
+
+test('unclosed, mismatched and stray tags are reported with their line', () => {
+    assert.deepEqual(parse('Hi\n{{#if contact}}there').errors, [
+        { line: 2, message: '{{#if contact}} is never closed with {{/if}}' }
+    ]);
+    assert.deepEqual(parse('{{#if contact}}\n{{/unless}}').errors, [
+        { line: 2, message: '{{/unless}} closes {{#if}} from line 1' }
+    ]);
+    assert.deepEqual(parse('{{/if}}').errors, [
+        { line: 1, message: '{{/if}} has no matching opening block' }
+    ]);
+    assert.deepEqual(parse('{{else}}').errors, [
+        { line: 1, message: '{{else}} must be inside an {{#if}} or {{#unless}} block' }
+    ]);
+    assert.deepEqual(parse('{{#if contact}}a{{else}}b{{else}}c{{/if}}').errors, [
+        { line: 1, message: '{{else}} must be inside an {{#if}} or {{#unless}} block' }
+    ]);
+});
+
+test('unknown blocks and unreadable variables are syntax errors', () => {
+    assert.match(parse('{{#each company.highlights}}{{/each}}').errors[0].message, /Unknown block \{\{#each\}\}/);
+    assert.match(parse('{{#if}}{{/if}}').errors[0].message, /needs one variable/);
+    assert.match(parse('{{company.name | "there}}').errors[0].message, /Can't read/);
+});
+
+test('variables render with the first present fallback', () => {
+    assert.equal(render('Hi {{contact.firstName | "there"}}').text, 'Hi Grace');
+    assert.equal(render('Hi {{contact.firstName | "there"}}', null).text, 'Hi there');
+    assert.equal(render("{{contact.title | company.name | 'team'}}").text, 'Acme');
+    assert.equal(render('{{profile.skills}}').text, 'Node.js, MongoDB');
+});
+
+test('blocks pick their branch by whether the value is present', () => {
+    const source = '{{#if contact}}Dear {{contact.name}}{{else}}Hello{{/if}}{{#unless profile.phone}}, no phone{{/unless}}';
+
+    assert.equal(render(source).text, 'Dear Grace Hopper, no phone');
+    assert.equal(render(source, null).text, 'Hello, no phone');
+    assert.equal(render('{{#if company.techStack}}Stack{{else}}None{{/if}}').text, 'None');
+});
+
+test('variables with no value or fallback render empty and are listed as missing', () => {
+    const { text, missing } = render('{{profile.phone}}|{{contact.title | profile.phone}}|{{profile.phone}}');
+
+    assert.equal(text, '||');
+    assert.deepEqual(missing, ['profile.phone', 'contact.title']);
+});
+
+test('known legacy placeholders render, unknown ones are left alone', () => {
+    assert.equal(render('Dear {recipientName}, I am {senderName} ({unknown})').text, 'Dear Grace Hopper, I am Ada Lovelace ({unknown})');
+    assert.equal(render('Dear {recipientName}', null).text, 'Dear Hiring Manager');
+});
+
+test('lint lists the variables used and warns about legacy placeholders', () => {
+    const { errors, warnings, variables } = lintTemplate({
+        subject: 'Hello from {senderName}',
+        body: '{{#if contact}}Hi {{contact.firstName}}{{/if}} at {{company.name}}'
+    });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(variables.sort(), ['company.name', 'contact.firstName', 'profile.fullName']);
+    assert.deepEqual(warnings, [
+        { field: 'subject', message: '{senderName} is the old placeholder style; use {{profile.fullName}}' }
+    ]);
+});
+
+test('lint suggests known variables for typos and fields in the wrong group', () => {
+    const { errors } = lintTemplate({ body: '{{compnay.name}}\n{{contact.phone}}\n{{profile.nickname}}' });
+
+    assert.deepEqual(errors.map(error => [error.line, error.message]), [
+        [1, 'Unknown variable compnay.name; did you mean company.name?'],
+        [2, 'Unknown variable contact.phone; did you mean profile.phone?'],
+        [3, 'Unknown variable profile.nickname']
+    ]);
+});
+
+test('lint rejects a bare group outside a block and reports syntax errors per field', () => {
+    const { errors } = lintTemplate({ subject: '{{#if contact}}x', body: '{{contact}}' });
+
+    assert.deepEqual(errors.map(error => error.field), ['subject', 'body']);
+    assert.match(errors[1].message, /\{\{contact\}\} is a group/);
+});
+
+test('lint warns about contact fields that may render empty', () => {
+    const lint = (body) => lintTemplate({ body }).warnings.map(warning => warning.message);
+
+    assert.equal(lint('Hi {{contact.firstName}}').length, 1);
+    assert.deepEqual(lint('Hi {{contact.firstName | "there"}}'), []);
+    assert.deepEqual(lint('{{#if contact}}Hi {{contact.firstName}}{{/if}}'), []);
+    assert.deepEqual(lint('{{#unless contact}}Hello{{else}}Hi {{contact.firstName}}{{/unless}}'), []);
+    assert.equal(lint('{{#if contact}}Hello{{else}}Hi {{contact.firstName}}{{/if}}').length, 1);
+});
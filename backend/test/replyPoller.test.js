@@ -0,0 +1,186 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Company = require('../models/Company');
+const UserProfile = require('../models/UserProfile');
+const followUps = require('../services/followUps');
+const replyPoller = require('../services/replyPoller');
+
+const OWNER_A = 'aaaaaaaaaaaaaaaaaaaaaaaa';
+const OWNER_B = 'bbbbbbbbbbbbbbbbbbbbbbbb';
+const SENT_MESSAGE_ID = '<4f1c7a@outreach.example.com>';
+
+let companies;
+let lookups;
+let updates;
+let stopped;
+
+function company(owner, name, recipientEmail, messageId) {
+    return {
+        _id: `${name}-id`,
+        owner: { toString: () => owner },
+        name,
+        status: 'contacted',
+        emailHistory: [{
+            _id: `${name}-email`,
+            sent: true,
+            sentAt: new Date(Date.now() - 24 * 60 * 60 * 1000),
+            recipientEmail,
+            messageId
+        }]
+    };
+}
+
+// A message as imapflow fetches it: envelope plus the raw header block
+function message({ from = 'jane@acme.com', to = 'replies@example.com', inReplyTo, headers = '', body = 'Thanks, let us talk.' } = {}) {
+    return {
+        uid: 7,
+        size: 400,
+        envelope: {
+            from: [{ address: from }],
+            to: [{ address: to }],
+            subject: 'Re: Hello',
+            date: new Date(),
+            messageId: '<reply-1@acme.com>',
+            inReplyTo
+        },
+        headers: Buffer.from(headers),
+        source: `From: ${from}\r\nTo: ${to}\r\nSubject: Re: Hello\r\n\r\n${body}\r\n`
+    };
+}
+
+// Fetches the full source of the message being handled
+function client(msg) {
+    return { fetchOne: async () => ({ source: Buffer.from(msg.source) }) };
+}
+
+async function handle(msg) {
+    return replyPoller.handleMessage(client(msg), msg);
+}
+
+beforeEach(() => {
+    process.env.SMTP_FROM = 'Outreach <outreach@example.com>';
+    companies = [];
+    lookups = [];
+    updates = [];
+    stopped = [];
+
+    Company.exists = async () => null;
+    Company.findOne = (filter) => ({
+        select: async () => {
+            lookups.push(filter);
+            const ids = filter['emailHistory.messageId'].$in;
+            return companies.find(entry => entry.emailHistory.some(email => ids.includes(email.messageId))) || null;
+        }
+    });
+    Company.find = (filter) => ({
+        select: async () => {
+            lookups.push(filter);
+            return companies.filter(entry => !filter.owner || entry.owner.toString() === filter.owner);
+        }
+    });
+    Company.updateOne = async (filter, update) => {
+        updates.push({ filter, update });
+        return { modifiedCount: 1 };
+    };
+    UserProfile.findOne = async () => null;
+    followUps.stopFollowUps = async (owner, companyId, reason) => {
+        stopped.push({ companyId, reason });
+        return 1;
+    };
+});
+
+test('header blocks are parsed with folded lines joined', () => {
+    const headers = replyPoller.parseHeaders(Buffer.from(
+        'References: <a@x.com>\r\n <b@x.com>\r\nAuto-Submitted: auto-replied\r\n\r\n'
+    ));
+
+    assert.deepEqual(headers, {
+        references: '<a@x.com> <b@x.com>',
+        'auto-submitted': 'auto-replied'
+    });
+});
+
+test('auto-replies are recognised by their headers', () => {
+    assert.ok(replyPoller.isAutoReply({ 'auto-submitted': 'auto-replied' }));
+    assert.ok(replyPoller.isAutoReply({ 'x-autoreply': 'yes' }));
+    assert.ok(replyPoller.isAutoReply({ 'x-autorespond': 'Out of office' }));
+    assert.ok(replyPoller.isAutoReply({ precedence: 'bulk' }));
+    assert.ok(!replyPoller.isAutoReply({ 'auto-submitted': 'no' }));
+    assert.ok(!replyPoller.isAutoReply({ precedence: 'first-class' }));
+    assert.ok(!replyPoller.isAutoReply({}));
+});
+
+test('a reply is matched by In-Reply-To and recorded with its snippet', async () => {
+    companies = [company(OWNER_A, 'Acme', 'hr@acme.com', SENT_MESSAGE_ID)];
+
+    const recorded = await handle(message({
+        inReplyTo: SENT_MESSAGE_ID,
+        body: 'Happy to chat next week.\r\n\r\nOn Mon, Outreach wrote:\r\n> Hello'
+    }));
+
+    assert.equal(recorded, true);
+    const reply = updates[0].update.$push['emailHistory.$.replies'];
+    assert.equal(reply.matchedBy, 'message-id');
+    assert.equal(reply.from, 'jane@acme.com');
+    assert.equal(reply.snippet, 'Happy to chat next week.');
+    assert.deepEqual(updates[0].filter, { _id: 'Acme-id', 'emailHistory._id': 'Acme-email' });
+    assert.deepEqual(updates[1].update, { $set: { status: 'responded' } });
+    assert.deepEqual(stopped, [{ companyId: 'Acme-id', reason: 'Reply received' }]);
+});
+
+test('a reply is matched by the References header', async () => {
+    companies = [company(OWNER_A, 'Acme', 'hr@acme.com', SENT_MESSAGE_ID)];
+
+    const recorded = await handle(message({ headers: `References: <older@acme.com>\r\n ${SENT_MESSAGE_ID}\r\n` }));
+
+    assert.equal(recorded, true);
+    assert.deepEqual(lookups[0]['emailHistory.messageId'].$in, ['<older@acme.com>', SENT_MESSAGE_ID]);
+});
+
+test('auto-replies, bounces and our own copies are not recorded', async () => {
+    companies = [company(OWNER_A, 'Acme', 'hr@acme.com', SENT_MESSAGE_ID)];
+
+    assert.equal(await handle(message({ inReplyTo: SENT_MESSAGE_ID, headers: 'Auto-Submitted: auto-replied\r\n' })), false);
+    assert.equal(await handle(message({ inReplyTo: SENT_MESSAGE_ID, headers: 'Precedence: junk\r\n' })), false);
+    assert.equal(await handle(message({ inReplyTo: SENT_MESSAGE_ID, from: 'MAILER-DAEMON@acme.com' })), false);
+    assert.equal(await handle(message({ inReplyTo: SENT_MESSAGE_ID, from: 'outreach@example.com' })), false);
+
+    assert.deepEqual(lookups, []);
+    assert.deepEqual(updates, []);
+});
+
+test('a reply already recorded by an earlier poll is skipped', async () => {
+    companies = [company(OWNER_A, 'Acme', 'hr@acme.com', SENT_MESSAGE_ID)];
+    Company.exists = async () => ({ _id: 'Acme-id' });
+
+    assert.equal(await handle(message({ inReplyTo: SENT_MESSAGE_ID })), false);
+    assert.deepEqual(updates, []);
+});
+
+test('without message ids a reply is matched by the sender domain', async () => {
+    companies = [company(OWNER_A, 'Acme', 'hr@acme.com', SENT_MESSAGE_ID)];
+
+    assert.equal(await handle(message({ from: 'jane@mail.acme.com' })), true);
+    assert.equal(updates[0].update.$push['emailHistory.$.replies'].matchedBy, 'domain');
+});
+
+test('replies from free mail domains are not matched by domain', async () => {
+    companies = [company(OWNER_A, 'Acme', 'someone@gmail.com', SENT_MESSAGE_ID)];
+
+    assert.equal(await handle(message({ from: 'jane@gmail.com' })), false);
+    assert.deepEqual(lookups, []);
+});
+
+test('a domain match across several users is dropped unless the reply address names one', async () => {
+    companies = [
+        company(OWNER_A, 'Acme', 'hr@acme.com', '<a@outreach.example.com>'),
+        company(OWNER_B, 'Acme Corp', 'jobs@acme.com', '<b@outreach.example.com>')
+    ];
+
+    assert.equal(await handle(message()), false);
+    assert.deepEqual(updates, []);
+
+    assert.equal(await handle(message({ to: `replies+${OWNER_B}@example.com` })), true);
+    assert.equal(lookups[1].owner, OWNER_B);
+    assert.deepEqual(updates[0].filter, { _id: 'Acme Corp-id', 'emailHistory._id': 'Acme Corp-email' });
+});
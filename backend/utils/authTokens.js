@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+
+// Signed bearer tokens (HS256 JWTs) for logged-in users. Set JWT_SECRET so
+// tokens survive restarts and are accepted by every server process.
+
+const TOKEN_TTL_HOURS = parseInt(process.env.AUTH_TOKEN_TTL_HOURS) || 24 * 7;
+
+let secret = process.env.JWT_SECRET;
+if (!secret) {
+    secret = crypto.randomBytes(32).toString('hex');
+    logger.warn('⚠️  JWT_SECRET is not set - using a random secret, logins will not survive a restart');
+}
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+function sign(input) {
+    return crypto.createHmac('sha256', secret).update(input).digest('base64url');
+}
+
+// Token for a User document; tokenVersion lets a user revoke old tokens
+function issueToken(user) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({
+        sub: user._id.toString(),
+        ver: user.tokenVersion || 0,
+        iat: now,
+        exp: now + TOKEN_TTL_HOURS * 3600
+    }));
+
+    return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+}
+
+// Returns the token's claims, or null when it is malformed, tampered with or expired
+function verifyToken(token) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) return null;
+
+    const [header, payload, signature] = parts;
+    const expected = sign(`${header}.${payload}`);
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        return null;
+    }
+
+    try {
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+        if (!claims.sub || !claims.exp || claims.exp * 1000 < Date.now()) return null;
+        return claims;
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    TOKEN_TTL_HOURS,
+    issueToken,
+    verifyToken
+};
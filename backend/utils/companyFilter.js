@@ -0,0 +1,59 @@
+// Builds the MongoDB filter for a company list query. Shared by
+// GET /api/companies and campaigns created from a filter, so both pick the
+// same companies for the same options.
+const buildCompanyFilter = (owner, query = {}) => {
+    const filter = { owner };
+    if (query.location) {
+        filter.location = { $regex: query.location, $options: 'i' };
+    }
+    if (query.industry) {
+        filter.industry = { $regex: query.industry, $options: 'i' };
+    }
+    if (query.size) {
+        filter.size = query.size;
+    }
+    if (query.minMatchScore) {
+        filter.aiMatchScore = { $gte: parseInt(query.minMatchScore) };
+    }
+    if (query.minWLBScore) {
+        filter['workLifeBalance.score'] = { $gte: parseInt(query.minWLBScore) };
+    }
+
+    // Enhanced filtering for the new table
+    if (query.status && query.status !== 'all') {
+        filter.status = query.status;
+    }
+    if (query.hasContacts) {
+        if (query.hasContacts === 'yes') {
+            filter['hrContacts.0'] = { $exists: true };
+        } else if (query.hasContacts === 'no') {
+            filter['hrContacts.0'] = { $exists: false };
+        }
+    }
+    if (query.isLocal === 'true' || query.isLocal === true) {
+        filter.isLocalPriority = true;
+    }
+    // 'scored', 'pending' or 'failed'; needs-scoring matches both unscored states
+    if (query.evaluationStatus === 'needs-scoring') {
+        filter.evaluationStatus = { $in: ['failed', 'pending'] };
+    } else if (query.evaluationStatus) {
+        filter.evaluationStatus = query.evaluationStatus;
+    }
+
+    // Text search across multiple fields
+    if (query.search) {
+        const searchRegex = { $regex: query.search, $options: 'i' };
+        filter.$or = [
+            { name: searchRegex },
+            { location: searchRegex },
+            { industry: searchRegex },
+            { description: searchRegex }
+        ];
+    }
+
+    return filter;
+};
+
+module.exports = {
+    buildCompanyFilter
+};
@@ -0,0 +1,64 @@
+// Helpers for deciding whether two company records describe the same company
+
+// Legal suffixes that don't distinguish one company from another
+const COMPANY_SUFFIXES = [
+    'incorporated', 'inc', 'llc', 'ltd', 'limited', 'corp', 'corporation',
+    'co', 'company', 'plc', 'gmbh', 'holdings', 'group'
+];
+
+// "HubSpot, Inc." and "hubspot" both become "hubspot"
+const normalizeCompanyName = (name) => {
+    if (!name) return '';
+
+    const words = name
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean);
+
+    // Only strip trailing suffixes so "The Company Store" keeps its name
+    while (words.length > 1 && COMPANY_SUFFIXES.includes(words[words.length - 1])) {
+        words.pop();
+    }
+
+    return words.join(' ');
+};
+
+// "https://www.HubSpot.com/careers" becomes "hubspot.com"
+const normalizeDomain = (value) => {
+    if (!value) return '';
+
+    return value
+        .toLowerCase()
+        .trim()
+        .replace(/^[a-z]+:\/\//, '')
+        .replace(/^www\./, '')
+        .split(/[/?#]/)[0]
+        .replace(/:\d+$/, '');
+};
+
+const getCompanyDomain = (company) => normalizeDomain(company?.domain || company?.website);
+
+// Names like "acme.com" or "www.Acme.io" that are really a domain
+const DOMAIN_LIKE_NAME = /^(?:[a-z]+:\/\/)?(?:www\.)?[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}\/?$/i;
+
+// Keys two records of the same company share: { nameKey, domainKey }.
+// "Acme", "Acme Inc." and "acme.com" all get the name key "acme", and a
+// domain-like name doubles as the domain when the record has none.
+const getIdentityKeys = (company) => {
+    const name = (company?.name || '').trim();
+    const nameDomain = DOMAIN_LIKE_NAME.test(name) ? normalizeDomain(name) : '';
+
+    return {
+        nameKey: nameDomain ? normalizeCompanyName(nameDomain.split('.')[0]) : normalizeCompanyName(name),
+        domainKey: getCompanyDomain(company) || nameDomain
+    };
+};
+
+module.exports = {
+    normalizeCompanyName,
+    normalizeDomain,
+    getCompanyDomain,
+    getIdentityKeys
+};
@@ -0,0 +1,337 @@
+// Email templates: {{company.name}} variables, fallbacks after a pipe
+// ({{contact.firstName | "there"}}, or another variable:
+// {{contact.firstName | contact.name | "there"}}) and conditional blocks
+// ({{#if contact}}...{{else}}...{{/if}}, {{#unless profile.phone}}...{{/unless}}).
+// Templates saved before this used {companyName}-style placeholders; the
+// known ones still render (see LEGACY_PLACEHOLDERS).
+
+const first = (values) => values?.find(Boolean);
+
+// Variables a saved template can use, with how each is read. Descriptions
+// are shown by GET /api/emails/templates/variables.
+const TEMPLATE_VARIABLES = {
+    company: {
+        name: { description: 'Company name', get: company => company.name },
+        industry: { description: 'Industry, e.g. fintech', get: company => company.industry },
+        size: { description: 'startup, small, medium or large', get: company => company.size },
+        location: { description: 'Company location', get: company => company.location },
+        website: { description: 'Website URL', get: company => company.website },
+        domain: { description: 'Email domain', get: company => company.domain },
+        description: { description: 'Short description', get: company => company.description },
+        highlight: { description: 'What stood out in the match analysis', get: company => first(company.highlights) },
+        highlights: { description: 'All highlights, comma-separated', get: company => company.highlights },
+        techStack: { description: 'Technologies they use, comma-separated', get: company => company.techStack }
+    },
+    contact: {
+        name: { description: 'Full name of the HR contact', get: contact => contact.name },
+        firstName: { description: 'First name of the HR contact', get: contact => contact.name?.trim().split(/\s+/)[0] },
+        lastName: {
+            description: 'Last name of the HR contact',
+            get: contact => {
+                const parts = contact.name?.trim().split(/\s+/) || [];
+                return parts.length > 1 ? parts[parts.length - 1] : undefined;
+            }
+        },
+        title: { description: 'Job title of the HR contact', get: contact => contact.title },
+        email: { description: 'Email of the HR contact', get: contact => contact.email }
+    },
+    profile: {
+        firstName: { description: 'Your first name', get: profile => profile.personalInfo?.firstName },
+        lastName: { description: 'Your last name', get: profile => profile.personalInfo?.lastName },
+        fullName: {
+            description: 'Your full name',
+            get: profile => [profile.personalInfo?.firstName, profile.personalInfo?.lastName].filter(Boolean).join(' ')
+        },
+        email: { description: 'Your email', get: profile => profile.personalInfo?.email },
+        phone: { description: 'Your phone number', get: profile => profile.personalInfo?.phone },
+        currentTitle: { description: 'Your current job title', get: profile => profile.currentTitle },
+        experience: { description: 'Experience level, e.g. senior', get: profile => profile.experience },
+        city: { description: 'Your city', get: profile => profile.personalInfo?.location?.city },
+        location: {
+            description: 'Your city and state',
+            get: profile => [profile.personalInfo?.location?.city, profile.personalInfo?.location?.state].filter(Boolean).join(', ')
+        },
+        linkedinUrl: { description: 'Your LinkedIn URL', get: profile => profile.personalInfo?.linkedinUrl },
+        portfolioUrl: { description: 'Your portfolio URL', get: profile => profile.personalInfo?.portfolioUrl },
+        githubUrl: { description: 'Your GitHub URL', get: profile => profile.personalInfo?.githubUrl },
+        topSkill: {
+            description: 'Your main strength or technical skill',
+            get: profile => first(profile.aiAnalysis?.strengths) || first(profile.skills?.technical)
+        },
+        skills: { description: 'Your technical skills, comma-separated', get: profile => profile.skills?.technical }
+    }
+};
+
+// Old single-brace placeholder -> what it renders as now
+const LEGACY_PLACEHOLDERS = {
+    recipientName: 'contact.name | "Hiring Manager"',
+    senderName: 'profile.fullName',
+    currentTitle: 'profile.currentTitle',
+    companyName: 'company.name',
+    industry: 'company.industry',
+    email: 'profile.email',
+    phone: 'profile.phone',
+    location: 'profile.location'
+};
+
+const BLOCK_HELPERS = ['if', 'unless'];
+
+const TAG_PATTERN = /\{\{\s*([#/]?)\s*([^{}]*?)\s*\}\}/g;
+const PATH_PATTERN = /^[a-zA-Z]+(\.[a-zA-Z]+)?$/;
+const STRING_PATTERN = /^"([^"]*)"$|^'([^']*)'$/;
+
+// Values of every variable for one company, contact and profile. contact is
+// null when there's no HR contact, so {{#if contact}} is false.
+function buildTemplateContext(profile, company, hrContact) {
+    const read = (group, source) => Object.fromEntries(
+        Object.entries(TEMPLATE_VARIABLES[group]).map(([name, variable]) => [name, variable.get(source)])
+    );
+
+    return {
+        company: read('company', company || {}),
+        contact: hrContact && (hrContact.name || hrContact.email) ? read('contact', hrContact) : null,
+        profile: read('profile', profile || {})
+    };
+}
+
+// {companyName} -> {{company.name}}, for the placeholders this knows
+function upgradeLegacyPlaceholders(source) {
+    return source.replace(/(^|[^{])\{(\w+)\}(?!\})/g, (match, before, name) => (
+        LEGACY_PLACEHOLDERS[name] ? `${before}{{${LEGACY_PLACEHOLDERS[name]}}}` : match
+    ));
+}
+
+const lineAt = (source, index) => source.slice(0, index).split('\n').length;
+
+// Parses a template into a tree of text, variable and block nodes. Returns
+// { nodes, errors }; errors carry the line they were found on.
+function parse(source) {
+    const errors = [];
+    const root = { children: [] };
+    const stack = [root];
+    let lastIndex = 0;
+
+    const current = () => stack[stack.length - 1];
+    const append = (node) => {
+        const block = current();
+        (block.inElse ? block.elseChildren : block.children).push(node);
+    };
+
+    for (const match of source.matchAll(TAG_PATTERN)) {
+        const [tag, marker, content] = match;
+        const line = lineAt(source, match.index);
+        if (match.index > lastIndex) append({ type: 'text', value: source.slice(lastIndex, match.index) });
+        lastIndex = match.index + tag.length;
+
+        if (marker === '#') {
+            const [helper, ...args] = content.split(/\s+/);
+            if (!BLOCK_HELPERS.includes(helper)) {
+                errors.push({ line, message: `Unknown block {{#${helper}}}; use {{#if ...}} or {{#unless ...}}` });
+                continue;
+            }
+            if (args.length !== 1 || !PATH_PATTERN.test(args[0])) {
+                errors.push({ line, message: `{{#${helper}}} needs one variable, e.g. {{#${helper} contact}}` });
+                continue;
+            }
+            const block = { type: 'block', helper, path: args[0], line, children: [], elseChildren: [], inElse: false };
+            append(block);
+            stack.push(block);
+        } else if (marker === '/') {
+            const block = current();
+            if (block === root) {
+                errors.push({ line, message: `{{/${content}}} has no matching opening block` });
+            } else if (block.helper !== content) {
+                errors.push({ line, message: `{{/${content}}} closes {{#${block.helper}}} from line ${block.line}` });
+                stack.pop();
+            } else {
+                stack.pop();
+            }
+        } else if (content === 'else') {
+            const block = current();
+            if (block === root || block.inElse) {
+                errors.push({ line, message: '{{else}} must be inside an {{#if}} or {{#unless}} block' });
+            } else {
+                block.inElse = true;
+            }
+        } else {
+            const options = content.split('|').map(option => option.trim());
+            const parsed = options.map(option => {
+                const string = option.match(STRING_PATTERN);
+                if (string) return { type: 'string', value: string[1] ?? string[2] };
+                if (PATH_PATTERN.test(option)) return { type: 'path', path: option };
+                return null;
+            });
+            if (!content || parsed.includes(null)) {
+                errors.push({ line, message: `Can't read {{${content}}}; expected a variable like {{company.name}} with optional fallbacks` });
+                continue;
+            }
+            append({ type: 'variable', options: parsed, line });
+        }
+    }
+
+    if (lastIndex < source.length) append({ type: 'text', value: source.slice(lastIndex) });
+
+    stack.slice(1).forEach(block => {
+        errors.push({ line: block.line, message: `{{#${block.helper} ${block.path}}} is never closed with {{/${block.helper}}}` });
+    });
+
+    return { nodes: root.children, errors };
+}
+
+function lookup(context, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), context);
+}
+
+function isPresent(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    return value !== undefined && value !== null && value !== '' && value !== false;
+}
+
+const toText = (value) => (Array.isArray(value) ? value.join(', ') : String(value));
+
+// Renders a template against a context from buildTemplateContext (extra
+// groups may be added). Returns { text, missing } where missing lists the
+// variables that rendered empty for lack of a value and a fallback.
+function renderTemplate(source, context) {
+    const { nodes } = parse(upgradeLegacyPlaceholders(source || ''));
+    const missing = new Set();
+
+    const render = (list) => list.map(node => {
+        if (node.type === 'text') return node.value;
+
+        if (node.type === 'block') {
+            const truthy = isPresent(lookup(context, node.path));
+            const show = node.helper === 'if' ? truthy : !truthy;
+            return render(show ? node.children : node.elseChildren);
+        }
+
+        for (const option of node.options) {
+            if (option.type === 'string') return option.value;
+            const value = lookup(context, option.path);
+            if (isPresent(value)) return toText(value);
+        }
+        missing.add(node.options.find(option => option.type === 'path').path);
+        return '';
+    }).join('');
+
+    return { text: render(nodes), missing: [...missing] };
+}
+
+function levenshtein(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let previous = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const current = row[j];
+            row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+            previous = current;
+        }
+    }
+    return row[b.length];
+}
+
+const KNOWN_PATHS = Object.entries(TEMPLATE_VARIABLES)
+    .flatMap(([group, variables]) => Object.keys(variables).map(name => `${group}.${name}`));
+
+// A close known variable for a typo (compnay.name) or a field asked for in
+// the wrong group or by part of its name (contact.phone, profile.title)
+function suggestPath(path) {
+    const [group] = path.split('.');
+    const name = path.split('.').pop().toLowerCase();
+    const candidates = KNOWN_PATHS
+        .map(known => {
+            const knownName = known.split('.')[1].toLowerCase();
+            return {
+                known,
+                distance: levenshtein(path.toLowerCase(), known.toLowerCase()),
+                sameGroup: known.startsWith(`${group}.`),
+                related: knownName === name || (name.length >= 4 && knownName.includes(name))
+            };
+        })
+        .filter(({ distance, related }) => distance <= 2 || related)
+        .sort((a, b) => a.distance - b.distance || b.sameGroup - a.sameGroup);
+    return candidates[0]?.known;
+}
+
+// Checks a template before it's saved. Returns { errors, warnings,
+// variables }: errors (syntax, unknown variables) should block saving,
+// warnings point at things that may render badly.
+function lintTemplate({ subject = '', body = '' }) {
+    const errors = [];
+    const warnings = [];
+    const variables = new Set();
+
+    Object.entries({ subject, body }).forEach(([field, original]) => {
+        const legacy = [...original.matchAll(/(^|[^{])\{(\w+)\}(?!\})/g)].map(match => match[2]);
+        legacy.filter(name => LEGACY_PLACEHOLDERS[name]).forEach(name => {
+            warnings.push({ field, message: `{${name}} is the old placeholder style; use {{${LEGACY_PLACEHOLDERS[name].split(' |')[0]}}}` });
+        });
+
+        const { nodes, errors: syntaxErrors } = parse(upgradeLegacyPlaceholders(original));
+        syntaxErrors.forEach(error => errors.push({ field, ...error }));
+
+        const checkPath = (path, line, { allowGroup }) => {
+            if (TEMPLATE_VARIABLES[path]) {
+                if (!allowGroup) {
+                    errors.push({ field, line, message: `{{${path}}} is a group; use one of its fields, e.g. {{${path}.name}}` });
+                }
+                return;
+            }
+            if (KNOWN_PATHS.includes(path)) {
+                variables.add(path);
+                return;
+            }
+            const suggestion = suggestPath(path);
+            errors.push({
+                field,
+                line,
+                message: `Unknown variable ${path}${suggestion ? `; did you mean ${suggestion}?` : ''}`
+            });
+        };
+
+        // Walks the tree knowing which contact checks enclose each node
+        const walk = (list, insideContactCheck) => list.forEach(node => {
+            if (node.type === 'block') {
+                checkPath(node.path, node.line, { allowGroup: true });
+                const guardsContact = node.path === 'contact' || node.path.startsWith('contact.');
+                walk(node.children, insideContactCheck || (guardsContact && node.helper === 'if'));
+                walk(node.elseChildren, insideContactCheck || (guardsContact && node.helper === 'unless'));
+            } else if (node.type === 'variable') {
+                node.options.filter(option => option.type === 'path').forEach(option => {
+                    checkPath(option.path, node.line, { allowGroup: false });
+                });
+
+                const [head] = node.options;
+                const hasFallback = node.options.length > 1;
+                if (head.type === 'path' && head.path.startsWith('contact.') && !hasFallback && !insideContactCheck) {
+                    warnings.push({
+                        field,
+                        line: node.line,
+                        message: `{{${head.path}}} is empty for companies without a contact; add a fallback ({{${head.path} | "there"}}) or wrap it in {{#if contact}}`
+                    });
+                }
+            }
+        });
+        walk(nodes, false);
+    });
+
+    return { errors, warnings, variables: [...variables] };
+}
+
+// Variable catalog without the readers, for the API
+function describeTemplateVariables() {
+    return Object.fromEntries(Object.entries(TEMPLATE_VARIABLES).map(([group, variables]) => [
+        group,
+        Object.entries(variables).map(([name, variable]) => ({ name: `${group}.${name}`, description: variable.description }))
+    ]));
+}
+
+module.exports = {
+    buildTemplateContext,
+    renderTemplate,
+    lintTemplate,
+    describeTemplateVariables,
+    // For tests
+    parse
+};
@@ -0,0 +1,62 @@
+// Follow-up sequence settings: after how many days without a reply each
+// follow-up is drafted (see services/followUps.js)
+
+const DEFAULT_FOLLOW_UP_SEQUENCE = {
+    enabled: true,
+    steps: [
+        { delayDays: 4, label: 'Nudge' },
+        { delayDays: 10, label: 'Final follow-up' }
+    ]
+};
+
+const MAX_STEPS = 5;
+const MAX_DELAY_DAYS = 90;
+
+// Validates a sequence from the request. Steps are sorted by delay.
+// Returns { sequence } or { error }.
+function normalizeFollowUpSequence(input) {
+    if (!input || typeof input !== 'object') {
+        return { error: 'followUpSequence must be an object' };
+    }
+
+    const steps = input.steps ?? [];
+    if (!Array.isArray(steps) || steps.length > MAX_STEPS) {
+        return { error: `A follow-up sequence has at most ${MAX_STEPS} steps` };
+    }
+
+    const normalized = [];
+    for (const step of steps) {
+        const delayDays = Number(step?.delayDays);
+        if (!Number.isInteger(delayDays) || delayDays < 1 || delayDays > MAX_DELAY_DAYS) {
+            return { error: `Each follow-up needs a whole number of days from 1 to ${MAX_DELAY_DAYS}` };
+        }
+        normalized.push({ delayDays, label: String(step.label || '').trim().slice(0, 40) || `Day ${delayDays}` });
+    }
+
+    normalized.sort((a, b) => a.delayDays - b.delayDays);
+    if (new Set(normalized.map(step => step.delayDays)).size !== normalized.length) {
+        return { error: 'Two follow-ups can\'t be due on the same day' };
+    }
+
+    const enabled = input.enabled !== false;
+    if (enabled && normalized.length === 0) {
+        return { error: 'Add at least one follow-up or turn follow-ups off' };
+    }
+
+    return { sequence: { enabled, steps: normalized } };
+}
+
+// The saved sequence, or the default when none is saved
+function resolveFollowUpSequence(input) {
+    if (!input || input.enabled === undefined || input.enabled === null) {
+        return DEFAULT_FOLLOW_UP_SEQUENCE;
+    }
+    const { sequence, error } = normalizeFollowUpSequence(input);
+    return error ? DEFAULT_FOLLOW_UP_SEQUENCE : sequence;
+}
+
+module.exports = {
+    DEFAULT_FOLLOW_UP_SEQUENCE,
+    normalizeFollowUpSequence,
+    resolveFollowUpSequence
+};
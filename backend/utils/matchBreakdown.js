@@ -0,0 +1,49 @@
+// Factors that make up a company's match score. The model rates each one
+// 0-100 with a reason and the match score is their weighted average, so two
+// companies can be compared factor by factor.
+const MATCH_FACTORS = [
+    { factor: 'skills', label: 'Skills fit', weight: 0.25 },
+    { factor: 'seniority', label: 'Seniority', weight: 0.15 },
+    { factor: 'industry', label: 'Industry', weight: 0.15 },
+    { factor: 'companySize', label: 'Size preference', weight: 0.1 },
+    { factor: 'remotePolicy', label: 'Remote policy', weight: 0.1 },
+    { factor: 'location', label: 'Location', weight: 0.1 },
+    { factor: 'workLifeBalance', label: 'Work-life balance', weight: 0.15 }
+];
+
+// { skills: { score, reason }, ... } from the model, plus factors scored
+// elsewhere (e.g. workLifeBalance from its own evaluation), as an ordered
+// list of { factor, label, weight, score, reason, source }. Factors missing
+// from both are left out.
+function buildBreakdown(factorScores = {}, scoredElsewhere = {}) {
+    return MATCH_FACTORS
+        .map(({ factor, label, weight }) => {
+            const external = scoredElsewhere[factor];
+            const rated = external || factorScores[factor];
+            if (!rated || typeof rated.score !== 'number') return null;
+
+            return {
+                factor,
+                label,
+                weight,
+                score: Math.round(Math.min(Math.max(rated.score, 0), 100)),
+                reason: rated.reason || '',
+                source: external ? external.source : 'model'
+            };
+        })
+        .filter(Boolean);
+}
+
+// Weighted average of the breakdown, renormalized over the factors present
+function calculateMatchScore(breakdown) {
+    const totalWeight = breakdown.reduce((sum, entry) => sum + entry.weight, 0);
+    if (totalWeight === 0) return null;
+
+    return Math.round(breakdown.reduce((sum, entry) => sum + entry.weight * entry.score, 0) / totalWeight);
+}
+
+module.exports = {
+    MATCH_FACTORS,
+    buildBreakdown,
+    calculateMatchScore
+};
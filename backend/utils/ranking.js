@@ -0,0 +1,129 @@
+// Ranking companies by a weighted "priority score" (0-100) built from data
+// already stored on each company, so changing the weights re-ranks the list
+// without another LLM call. Weights are relative: { matchScore: 50,
+// workLifeBalance: 50 } ranks the two equally and ignores everything else.
+
+const MAX_WEIGHT = 100;
+
+const RANKING_FACTORS = ['matchScore', 'workLifeBalance', 'localPriority', 'contacts', 'fundingStage', 'remotePolicy'];
+
+const DEFAULT_RANKING_WEIGHTS = {
+    matchScore: 50,
+    workLifeBalance: 20,
+    localPriority: 10,
+    contacts: 10,
+    fundingStage: 5,
+    remotePolicy: 5
+};
+
+// Later-stage companies rank higher; unknown stages sit in the middle
+const FUNDING_STAGE_SCORES = {
+    seed: 0.3,
+    'series-a': 0.5,
+    'series-b': 0.7,
+    'series-c': 0.85,
+    'series-d': 0.9,
+    ipo: 1,
+    acquired: 0.8,
+    unknown: 0.5
+};
+
+const REMOTE_POLICY_SCORES = {
+    'fully-remote': 1,
+    flexible: 0.8,
+    hybrid: 0.6,
+    'office-only': 0,
+    'not-specified': 0.3
+};
+
+// Checks weights from a request or profile. Returns { weights } or { error };
+// missing factors keep their defaults.
+function normalizeRankingWeights(input) {
+    if (input === undefined || input === null) {
+        return { weights: { ...DEFAULT_RANKING_WEIGHTS } };
+    }
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'Ranking weights must be an object' };
+    }
+
+    const weights = {};
+    for (const factor of RANKING_FACTORS) {
+        const value = input[factor] === undefined || input[factor] === null || input[factor] === '' ?
+            DEFAULT_RANKING_WEIGHTS[factor] :
+            Number(input[factor]);
+
+        if (!Number.isFinite(value) || value < 0 || value > MAX_WEIGHT) {
+            return { error: `${factor} weight must be between 0 and ${MAX_WEIGHT}` };
+        }
+        weights[factor] = value;
+    }
+
+    if (RANKING_FACTORS.every(factor => weights[factor] === 0)) {
+        return { error: 'At least one ranking weight must be above 0' };
+    }
+
+    return { weights };
+}
+
+// Saved weights, falling back to the defaults for missing or invalid input
+function resolveRankingWeights(input) {
+    const { weights, error } = normalizeRankingWeights(input);
+    return error ? { ...DEFAULT_RANKING_WEIGHTS } : weights;
+}
+
+const scoreLookup = (field, scores) => ({
+    $switch: {
+        branches: Object.entries(scores).map(([value, score]) => ({
+            case: { $eq: [field, value] },
+            then: score
+        })),
+        default: scores.unknown ?? scores['not-specified'] ?? 0
+    }
+});
+
+// Each factor as a 0-1 aggregation expression over a company document
+const FACTOR_EXPRESSIONS = {
+    matchScore: { $divide: [{ $ifNull: ['$aiMatchScore', 0] }, 100] },
+    workLifeBalance: { $divide: [{ $ifNull: ['$workLifeBalance.score', 0] }, 10] },
+    localPriority: { $cond: [{ $eq: ['$isLocalPriority', true] }, 1, 0] },
+    // A verified contact counts fully, unverified ones half
+    contacts: {
+        $cond: [
+            { $in: [true, { $ifNull: ['$hrContacts.verified', []] }] },
+            1,
+            { $cond: [{ $gt: [{ $size: { $ifNull: ['$hrContacts', []] } }, 0] }, 0.5, 0] }
+        ]
+    },
+    fundingStage: scoreLookup('$funding.stage', FUNDING_STAGE_SCORES),
+    remotePolicy: scoreLookup('$remotePolicy', REMOTE_POLICY_SCORES)
+};
+
+// $addFields stage that sets priorityScore on each company
+function buildPriorityScoreStage(weights) {
+    const totalWeight = RANKING_FACTORS.reduce((sum, factor) => sum + weights[factor], 0);
+
+    return {
+        $addFields: {
+            priorityScore: {
+                $round: [{
+                    $multiply: [
+                        {
+                            $add: RANKING_FACTORS
+                                .filter(factor => weights[factor] > 0)
+                                .map(factor => ({ $multiply: [FACTOR_EXPRESSIONS[factor], weights[factor] / totalWeight] }))
+                        },
+                        100
+                    ]
+                }, 0]
+            }
+        }
+    };
+}
+
+module.exports = {
+    RANKING_FACTORS,
+    DEFAULT_RANKING_WEIGHTS,
+    normalizeRankingWeights,
+    resolveRankingWeights,
+    buildPriorityScoreStage
+};
@@ -0,0 +1,68 @@
+const logger = require('./logger');
+
+// Requests-per-minute limits for external providers, shared by every caller
+// in the process so concurrent search workers can't exceed them together.
+
+const WINDOW_MS = 60 * 1000;
+
+// Override with <NAME>_RPM, e.g. OPENAI_RPM=3500 or APOLLO_RPM=100. 0 means unlimited.
+const DEFAULT_RPM = {
+    openai: 500,
+    anthropic: 50,
+    local: 0,
+    apollo: 50,
+    hunter: 300
+};
+
+class RateLimiter {
+    constructor(name, requestsPerMinute) {
+        this.name = name;
+        this.requestsPerMinute = requestsPerMinute;
+        this.timestamps = [];
+        this.queue = Promise.resolve();
+    }
+
+    // Resolves when a request may be made. Waiting callers are served in order.
+    acquire() {
+        const turn = this.queue.then(() => this.waitForSlot());
+        this.queue = turn;
+        return turn;
+    }
+
+    async waitForSlot() {
+        if (!this.requestsPerMinute) return;
+
+        let now = Date.now();
+        this.timestamps = this.timestamps.filter(timestamp => now - timestamp < WINDOW_MS);
+
+        if (this.timestamps.length >= this.requestsPerMinute) {
+            const delay = this.timestamps[0] + WINDOW_MS - now;
+            logger.debug(`⏳ ${this.name} rate limit reached, waiting ${delay}ms`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+            now = Date.now();
+            this.timestamps = this.timestamps.filter(timestamp => now - timestamp < WINDOW_MS);
+        }
+
+        this.timestamps.push(now);
+    }
+}
+
+const limiters = new Map();
+
+function getRequestsPerMinute(name) {
+    const configured = parseInt(process.env[`${name.toUpperCase()}_RPM`]);
+    return Number.isNaN(configured) ? (DEFAULT_RPM[name] ?? 0) : Math.max(configured, 0);
+}
+
+// One limiter per provider name ('openai', 'apollo', 'hunter', ...)
+function getRateLimiter(name) {
+    const key = name.toLowerCase();
+    if (!limiters.has(key)) {
+        limiters.set(key, new RateLimiter(key, getRequestsPerMinute(key)));
+    }
+    return limiters.get(key);
+}
+
+module.exports = {
+    getRateLimiter
+};
@@ -0,0 +1,133 @@
+// Target regions a search prioritizes before expanding nationwide. A region
+// is a city with a radius, an explicit list of metros, or both:
+//   { name: 'Austin', city: 'Austin, TX', radiusMiles: 30 }
+//   { name: 'Bay Area', metros: ['San Francisco, CA', 'Oakland, CA', 'San Jose, CA'] }
+// Regions are searched in the order given.
+
+const DEFAULT_RADIUS_MILES = 25;
+const MAX_RADIUS_MILES = 500;
+const MAX_REGIONS = 5;
+
+// Used when a profile has not defined any regions
+const DEFAULT_REGIONS = [
+    {
+        name: 'Boston',
+        city: 'Boston, MA',
+        radiusMiles: 30,
+        metros: ['Boston, MA', 'Cambridge, MA', 'Somerville, MA', 'Waltham, MA', 'Burlington, MA', 'Needham, MA', 'Westborough, MA']
+    },
+    {
+        name: 'Providence',
+        city: 'Providence, RI',
+        radiusMiles: 30,
+        metros: ['Providence, RI', 'Warwick, RI', 'Kent, RI', 'Newport, RI', 'West Kingston, RI', 'Woonsocket, RI']
+    }
+];
+
+const cleanList = (values) => (Array.isArray(values) ? values : [])
+    .map(value => (typeof value === 'string' ? value.trim() : ''))
+    .filter(Boolean);
+
+// Checks regions from a request or profile. Returns { regions } or { error }
+// for the first invalid entry; an empty list falls back to DEFAULT_REGIONS.
+function normalizeRegions(input) {
+    if (input === undefined || input === null || (Array.isArray(input) && input.length === 0)) {
+        return { regions: DEFAULT_REGIONS };
+    }
+    if (!Array.isArray(input)) {
+        return { error: 'regions must be an array' };
+    }
+    if (input.length > MAX_REGIONS) {
+        return { error: `At most ${MAX_REGIONS} target regions are supported` };
+    }
+
+    const regions = [];
+    for (const [index, region] of input.entries()) {
+        const city = typeof region?.city === 'string' ? region.city.trim() : '';
+        const metros = cleanList(region?.metros);
+
+        if (!city && metros.length === 0) {
+            return { error: `Region ${index + 1} needs a city or a list of metros` };
+        }
+
+        const radiusMiles = region.radiusMiles === undefined || region.radiusMiles === null || region.radiusMiles === '' ?
+            DEFAULT_RADIUS_MILES :
+            Number(region.radiusMiles);
+        if (city && (!Number.isFinite(radiusMiles) || radiusMiles <= 0 || radiusMiles > MAX_RADIUS_MILES)) {
+            return { error: `Region ${index + 1} radius must be between 1 and ${MAX_RADIUS_MILES} miles` };
+        }
+
+        const name = (typeof region.name === 'string' && region.name.trim()) ||
+            (city || metros[0]).split(',')[0].trim();
+
+        if (regions.some(existing => existing.name.toLowerCase() === name.toLowerCase())) {
+            return { error: `Region names must be unique (${name})` };
+        }
+
+        regions.push({
+            name,
+            ...(city && { city, radiusMiles }),
+            ...(metros.length > 0 && { metros })
+        });
+    }
+
+    return { regions };
+}
+
+// Regions to search with, falling back to the defaults for missing or invalid input
+function resolveRegions(input) {
+    const { regions, error } = normalizeRegions(input);
+    return error ? DEFAULT_REGIONS : regions;
+}
+
+// How a region is described to the model in prompts
+function describeRegion(region) {
+    const parts = [];
+    if (region.city) parts.push(`within ${region.radiusMiles || DEFAULT_RADIUS_MILES} miles of ${region.city}`);
+    if (region.metros?.length > 0) {
+        parts.push(region.city ?
+            `including ${region.metros.join(', ')}` :
+            `in the ${region.metros.join(', ')} area`);
+    }
+    return parts.join(', ');
+}
+
+// "Boston", "Boston and Providence", "Boston, Austin and Seattle"
+function formatRegionNames(regions) {
+    const names = regions.map(region => region.name);
+    if (names.length <= 1) return names[0] || 'your target regions';
+    return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+}
+
+// Best-effort match of a free-text location ("Cambridge, MA") against the
+// cities of each region. Returns the region name or null.
+function findRegionForLocation(location, regions) {
+    if (!location) return null;
+    const locationLower = location.toLowerCase();
+
+    const match = regions.find(region => [region.city, ...(region.metros || [])]
+        .filter(Boolean)
+        .some(place => locationLower.includes(place.split(',')[0].trim().toLowerCase())));
+
+    return match ? match.name : null;
+}
+
+// Companies are tagged with the region they were generated for; older
+// candidates without a tag are matched by location
+function getCompanyRegion(company, regions) {
+    if (company.region && regions.some(region => region.name === company.region)) {
+        return company.region;
+    }
+    return findRegionForLocation(company.location, regions);
+}
+
+module.exports = {
+    DEFAULT_REGIONS,
+    MAX_REGIONS,
+    normalizeRegions,
+    resolveRegions,
+    describeRegion,
+    formatRegionNames,
+    findRegionForLocation,
+    getCompanyRegion
+};
@@ -0,0 +1,79 @@
+// Per-search spending limits. A search's budget is stored in
+// parameters.budget; a missing or null limit means unlimited.
+
+const BUDGET_LIMITS = {
+    openai: {
+        limit: 'maxCost',
+        label: 'AI spend',
+        unit: 'USD',
+        used: apiUsage => apiUsage?.openai?.cost || 0
+    },
+    apollo: {
+        limit: 'maxApolloCredits',
+        label: 'Apollo.io credits',
+        unit: 'credits',
+        used: apiUsage => apiUsage?.apollo?.creditsUsed || 0
+    },
+    hunter: {
+        limit: 'maxHunterSearches',
+        label: 'Hunter.io searches',
+        unit: 'searches',
+        used: apiUsage => apiUsage?.hunter?.searchesUsed || 0
+    }
+};
+
+// Checks a budget from a request body. Returns { budget } with only the
+// limits that were set, or { error } describing the first invalid one.
+function parseBudget(input) {
+    if (input === undefined || input === null) return { budget: undefined };
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'budget must be an object' };
+    }
+
+    const budget = {};
+    for (const { limit } of Object.values(BUDGET_LIMITS)) {
+        const value = input[limit];
+        if (value === undefined || value === null || value === '') continue;
+
+        const number = Number(value);
+        if (!Number.isFinite(number) || number < 0) {
+            return { error: `budget.${limit} must be a non-negative number` };
+        }
+        budget[limit] = number;
+    }
+
+    return { budget };
+}
+
+// { openai: { limit, used, remaining, exhausted, label, unit }, apollo: ..., hunter: ... }
+function getBudgetStatus(budget, apiUsage) {
+    const status = {};
+
+    Object.entries(BUDGET_LIMITS).forEach(([service, definition]) => {
+        const limit = budget?.[definition.limit];
+        const used = definition.used(apiUsage);
+        const hasLimit = typeof limit === 'number';
+
+        status[service] = {
+            label: definition.label,
+            unit: definition.unit,
+            limit: hasLimit ? limit : null,
+            used,
+            remaining: hasLimit ? Math.max(limit - used, 0) : null,
+            exhausted: hasLimit && used >= limit
+        };
+    });
+
+    return status;
+}
+
+function isBudgetExhausted(budget, apiUsage, service) {
+    return getBudgetStatus(budget, apiUsage)[service]?.exhausted || false;
+}
+
+module.exports = {
+    BUDGET_LIMITS,
+    parseBudget,
+    getBudgetStatus,
+    isBudgetExhausted
+};
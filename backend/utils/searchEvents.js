@@ -0,0 +1,24 @@
+const EventEmitter = require('events');
+
+// In-process bus for search job updates. SearchJob publishes every saved
+// document here and the SSE endpoint subscribes per jobId.
+const searchEvents = new EventEmitter();
+
+// One listener per connected browser tab, so don't warn on many subscribers
+searchEvents.setMaxListeners(0);
+
+const publish = (job) => {
+    if (job?.jobId) {
+        searchEvents.emit(job.jobId, job);
+    }
+};
+
+const subscribe = (jobId, listener) => {
+    searchEvents.on(jobId, listener);
+    return () => searchEvents.off(jobId, listener);
+};
+
+module.exports = {
+    publish,
+    subscribe
+};
@@ -0,0 +1,129 @@
+// backend/worker.js
+// Consumes the 'ai company search' Bull queue. Run alongside server.js:
+//   npm run worker
+require('dotenv').config();
+const mongoose = require('mongoose');
+const logger = require('./utils/logger');
+const searchEvents = require('./utils/searchEvents');
+const { searchQueue, SEARCH_JOB_NAME } = require('./services/searchQueue');
+const { processAISearch } = require('./services/searchProcessor');
+const llmProviders = require('./services/llmProviders');
+const usageTracker = require('./services/usageTracker');
+
+const CONCURRENCY = parseInt(process.env.SEARCH_WORKER_CONCURRENCY) || 1;
+
+// Network hiccups, rate limits and upstream 5xx are worth another attempt;
+// anything else (bad input, missing keys) would just fail again.
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ENOTFOUND'];
+
+function isTransientError(error) {
+    const status = error.status || error.response?.status;
+    if (status) {
+        return status === 408 || status === 429 || status >= 500;
+    }
+
+    return TRANSIENT_ERROR_CODES.includes(error.code) ||
+        error.name === 'MongoNetworkError' ||
+        error.name === 'MongoServerSelectionError';
+}
+
+async function runSearchJob(job) {
+    const { jobId } = job.data;
+    const attempt = job.attemptsMade + 1;
+    const maxAttempts = job.opts.attempts || 1;
+
+    logger.info('🛠️  Worker picked up search job', { jobId, attempt, maxAttempts });
+
+    // Mirror every saved state of this search into Bull's job progress so the
+    // API process can relay it to SSE subscribers
+    const unsubscribe = searchEvents.subscribe(jobId, (searchJob) => {
+        job.progress({
+            status: searchJob.status,
+            phase: searchJob.progress.phase,
+            currentStep: searchJob.progress.currentStep,
+            percentage: searchJob.progress.percentage,
+            processed: searchJob.progress.current,
+            total: searchJob.progress.total
+        }).catch(error => logger.warn('Failed to report job progress:', error.message));
+    });
+
+    // Pick up task routing and prices changed in the API since the last job
+    await Promise.all([llmProviders.loadTaskOverrides(), usageTracker.loadModelPrices()]);
+
+    try {
+        await processAISearch(job.data, {
+            attempt,
+            shouldRetry: (error) => isTransientError(error) && attempt < maxAttempts
+        });
+    } catch (error) {
+        // Permanent failures should not burn through the remaining attempts
+        if (!isTransientError(error)) {
+            job.discard();
+        }
+        throw error;
+    } finally {
+        unsubscribe();
+    }
+}
+
+async function startWorker() {
+    if (!searchQueue) {
+        logger.error('❌ Bull queue not available - the search worker requires Redis');
+        process.exit(1);
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ai-company-matcher');
+    logger.info('✅ Worker connected to MongoDB');
+
+    // Searches save companies, which the old global unique name index rejects
+    try {
+        if (await require('./models/Company').dropLegacyIndexes()) {
+            logger.info('🗑️  Dropped legacy unique company name index');
+        }
+    } catch (error) {
+        logger.warn('⚠️  Could not drop legacy company name index:', error.message);
+    }
+
+    searchQueue.process(SEARCH_JOB_NAME, CONCURRENCY, runSearchJob);
+
+    // Queue event handlers
+    searchQueue.on('completed', (job) => {
+        logger.info('Search job completed:', job.id);
+    });
+
+    searchQueue.on('failed', (job, err) => {
+        const willRetry = job.attemptsMade < (job.opts.attempts || 1) && !job.isDiscarded();
+        logger.error(`Search job failed: ${job.id} (attempt ${job.attemptsMade}${willRetry ? ', retrying' : ''})`, err);
+    });
+
+    searchQueue.on('stalled', (job) => {
+        logger.warn('Search job stalled, it will be picked up again:', job.id);
+    });
+
+    searchQueue.on('error', (error) => {
+        logger.error('Search queue error:', error.message);
+    });
+
+    logger.info(`🚀 Search worker started (concurrency ${CONCURRENCY})`);
+}
+
+// Graceful shutdown: stop taking new jobs without waiting for the running
+// search. Its lock expires and the job is redelivered on the next start.
+async function shutdown(signal) {
+    logger.info(`${signal} received, shutting down search worker`);
+    try {
+        await searchQueue.close(true);
+        await mongoose.connection.close();
+    } catch (error) {
+        logger.error('Error during worker shutdown:', error.message);
+    }
+    process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+startWorker().catch((error) => {
+    logger.error('❌ Failed to start search worker:', error);
+    process.exit(1);
+});
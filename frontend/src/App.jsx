@@ -1,23 +1,40 @@
 import React, { useState, useEffect } from 'react';
-import { User, Search, Database, Mail, Settings, Brain, Heart, MapPin, Bug, BarChart3, AlertCircle, CheckCircle, Clock, Eye, EyeOff, TestTube } from 'lucide-react';
+import { User, Search, Database, Mail, Settings, Brain, Heart, MapPin, Bug, BarChart3, AlertCircle, CheckCircle, Clock, Eye, EyeOff, TestTube, LogOut, Megaphone } from 'lucide-react';
 
 // Components
 import CompanyCard from './components/CompanyCard';
 import EmailModal from './components/EmailModal';
 import RealTimeStatsDashboard from './components/RealTimeStatsDashboard';
+import NotificationSystem from './components/NotificationSystem';
 import CompaniesTable from './components/CompaniesTable';
+import TargetRegionsEditor from './components/TargetRegionsEditor';
+import RankingWeightsEditor from './components/RankingWeightsEditor';
+import SavedApiKeyStatus from './components/SavedApiKeyStatus';
+import DuplicateCompanies from './components/DuplicateCompanies';
+import Campaigns from './components/Campaigns';
+import FollowUps from './components/FollowUps';
 
 // Hooks
 import { useProfile } from './hooks/useProfile';
 import { useSearch } from './hooks/useSearch';
 
 // Services
-import { companiesAPI, emailAPI, configAPI } from './services/api';
+import { companiesAPI, emailAPI, configAPI, profileAPI } from './services/api';
+
+// "Boston, MA and Providence, RI" - the backend defaults when no regions are set
+const formatTargetRegions = (regions) => {
+    const names = (regions || []).map(region => region.name || region.city).filter(Boolean);
+    if (names.length === 0) return 'Boston, MA and Providence, RI';
+    if (names.length === 1) return names[0];
+    return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+};
 
-const App = () => {
+const App = ({ user, onLogout }) => {
     const [activeTab, setActiveTab] = useState('profile');
     const [companies, setCompanies] = useState([]);
     const [emailModal, setEmailModal] = useState({ isOpen: false, company: null, template: null });
+    // Companies picked in the table for a new campaign
+    const [campaignCompanyIds, setCampaignCompanyIds] = useState([]);
     const [apiKeys, setApiKeys] = useState({
         openai: '',
         apollo: '',
@@ -25,6 +42,8 @@ const App = () => {
         linkedin: '',
         crunchbase: ''
     });
+    // Keys saved on the server, masked ({ provider, configured, source, masked })
+    const [savedApiKeys, setSavedApiKeys] = useState({});
 
     // API monitoring state
     const [apiLoading, setApiLoading] = useState(false);
@@ -43,16 +62,38 @@ const App = () => {
     // Demo mode state
     const [demoMode, setDemoMode] = useState(false);
 
+    // Optional spending limits for the next search; empty means unlimited
+    const [searchBudget, setSearchBudget] = useState({
+        maxCost: '',
+        maxApolloCredits: '',
+        maxHunterSearches: ''
+    });
+    // Re-evaluate companies found by earlier searches instead of skipping them
+    const [rescoreExisting, setRescoreExisting] = useState(false);
+    // Weights of the company priority score; null until loaded
+    const [rankingWeights, setRankingWeights] = useState(null);
+    const [applyingWeights, setApplyingWeights] = useState(false);
+
     // Custom hooks
     const { profile, loading: profileLoading, updateProfile, updatePreferences, saveProfile } = useProfile();
-    const { searchStatus, startSearch, pauseSearch } = useSearch();
+    const { searchStatus, startSearch, pauseSearch, resumeSearch, cancelSearch } = useSearch();
 
     // Load saved settings on mount
     useEffect(() => {
         loadSavedApiKeys();
         loadDemoMode();
+        loadRankingWeights();
     }, []);
 
+    const loadRankingWeights = async () => {
+        try {
+            const response = await profileAPI.getRankingWeights();
+            setRankingWeights(response.data.rankingWeights);
+        } catch (error) {
+            console.error('Failed to load ranking weights:', error);
+        }
+    };
+
     // Load saved demo mode setting
     const loadDemoMode = () => {
         const savedDemoMode = localStorage.getItem('ai-company-matcher-demo-mode');
@@ -104,22 +145,38 @@ const App = () => {
         }
     };
 
-    // Load saved API keys from localStorage
-    const loadSavedApiKeys = () => {
+    const storeSavedApiKeys = (keys = []) => {
+        setSavedApiKeys(Object.fromEntries(keys.map(entry => [entry.provider, entry])));
+    };
+
+    // A key was typed in or is already saved on the server
+    const hasApiKey = (name) => !!apiKeys[name]?.trim() || !!savedApiKeys[name]?.configured;
+
+    // Load the masked keys saved on the server. Keys older versions kept in
+    // plaintext localStorage are moved to the server and removed.
+    const loadSavedApiKeys = async () => {
         try {
-            const saved = localStorage.getItem('ai-company-matcher-api-keys');
-            if (saved) {
-                const parsedKeys = JSON.parse(saved);
-                setApiKeys(parsedKeys);
-                console.log('✅ Loaded saved API keys');
-
-                // Test connections for saved keys
-                Object.entries(parsedKeys).forEach(([key, value]) => {
-                    if (value && value.trim()) {
-                        testApiConnection(key, value);
-                    }
-                });
+            const legacy = localStorage.getItem('ai-company-matcher-api-keys');
+            if (legacy) {
+                await configAPI.saveApiKeys(JSON.parse(legacy));
+                localStorage.removeItem('ai-company-matcher-api-keys');
+                console.log('✅ Moved API keys from this browser to the server');
             }
+        } catch (error) {
+            console.error('Failed to move saved API keys to the server:', error);
+        }
+
+        try {
+            const response = await configAPI.getApiKeys();
+            const keys = response.data.data.keys;
+            storeSavedApiKeys(keys);
+
+            // Test connections for saved keys
+            keys.forEach(({ provider, configured }) => {
+                if (configured && apiStatus[provider]) {
+                    testApiConnection(provider);
+                }
+            });
         } catch (error) {
             console.error('Failed to load saved API keys:', error);
         }
@@ -130,21 +187,19 @@ const App = () => {
         try {
             setApiLoading(true);
 
-            // Save to localStorage first
-            localStorage.setItem('ai-company-matcher-api-keys', JSON.stringify(apiKeys));
-
-            // Send to backend
             const result = await execute(() => configAPI.saveApiKeys(apiKeys), 'config');
 
             if (result.success) {
                 addNotification('API keys saved successfully!', 'success');
+                storeSavedApiKeys(result.data.data.keys);
 
-                // Test all connections
+                // Test the new keys, then clear them from the form
                 Object.entries(apiKeys).forEach(([key, value]) => {
-                    if (value && value.trim()) {
+                    if (value && value.trim() && apiStatus[key]) {
                         testApiConnection(key, value);
                     }
                 });
+                setApiKeys(prev => Object.fromEntries(Object.keys(prev).map(key => [key, ''])));
             } else {
                 addNotification('Failed to save API keys: ' + result.error, 'error');
             }
@@ -156,7 +211,19 @@ const App = () => {
         }
     };
 
-    // Enhanced API connection testing with error clearing
+    const handleRemoveApiKey = async (provider) => {
+        const result = await execute(() => configAPI.deleteApiKey(provider), 'config');
+
+        if (result.success) {
+            storeSavedApiKeys(result.data.data.keys);
+            addNotification(`${provider} API key removed`, 'success');
+        } else {
+            addNotification('Failed to remove API key: ' + result.error, 'error');
+        }
+    };
+
+    // Enhanced API connection testing with error clearing. Without apiKey the
+    // key saved on the server is tested.
     const testApiConnection = async (apiName, apiKey) => {
         try {
             // Clear previous status first
@@ -220,9 +287,9 @@ const App = () => {
         });
 
         // Test each connection
-        Object.entries(apiKeys).forEach(([key, value]) => {
-            if (value && value.trim()) {
-                testApiConnection(key, value);
+        Object.keys(apiStatus).forEach((key) => {
+            if (hasApiKey(key)) {
+                testApiConnection(key, apiKeys[key]?.trim() || undefined);
             } else {
                 setApiStatus(prev => ({
                     ...prev,
@@ -359,9 +426,64 @@ const App = () => {
         addNotification(`Deleted ${successCount} of ${companyIds.length} companies`, 'success');
     };
 
+    // Re-evaluate selected companies against the current profile
+    const handleRescoreCompanies = async (companyIds) => {
+        addNotification(`Re-scoring ${companyIds.length} companies against your current profile...`, 'info');
+
+        const result = await execute(() => companiesAPI.rescore({ companyIds, limit: companyIds.length }), 'companies');
+        if (!result.success) {
+            addNotification('Failed to re-score companies: ' + result.error, 'error');
+            return;
+        }
+
+        const { rescored, failed, significantChanges } = result.data.data;
+        addNotification(
+            `Re-scored ${rescored.length} companies, ${significantChanges} with big score changes` +
+            (failed.length > 0 ? ` (${failed.length} failed)` : ''),
+            failed.length > 0 ? 'warning' : 'success'
+        );
+        await loadCompanies();
+    };
+
+    // Score companies that were saved without scores after a failed AI evaluation
+    const handleRetryScoring = async (companyIds) => {
+        addNotification(`Scoring ${companyIds.length} companies...`, 'info');
+
+        const result = await execute(() => companiesAPI.retryEvaluations(companyIds), 'companies');
+        if (!result.success) {
+            addNotification('Failed to score companies: ' + result.error, 'error');
+            return;
+        }
+
+        const { rescored, failed } = result.data.data;
+        addNotification(
+            `Scored ${rescored.length} companies` + (failed.length > 0 ? `, ${failed.length} still failing` : ''),
+            failed.length > 0 ? 'warning' : 'success'
+        );
+        await loadCompanies();
+    };
+
+    // Save new ranking weights and reload companies in their new order
+    const handleApplyRankingWeights = async (weights) => {
+        setApplyingWeights(true);
+        const result = await execute(() => profileAPI.updateSettings({ rankingWeights: weights }), 'profile');
+        setApplyingWeights(false);
+
+        if (!result.success) {
+            addNotification('Failed to save ranking weights: ' + result.error, 'error');
+            return;
+        }
+
+        const savedWeights = result.data.settings.rankingWeights;
+        setRankingWeights(savedWeights);
+        updateProfile({ settings: { ...profile.settings, rankingWeights: savedWeights } });
+        await loadCompanies();
+        addNotification('Ranking weights saved, companies re-ranked', 'success');
+    };
+
     const handleStartSearch = async () => {
         // In demo mode, allow search without API keys
-        if (!demoMode && (!apiKeys.openai || !apiKeys.apollo)) {
+        if (!demoMode && (!hasApiKey('openai') || !hasApiKey('apollo'))) {
             addNotification('Please configure OpenAI and Apollo API keys first, or enable demo mode', 'error');
             setActiveTab('config');
             return;
@@ -399,11 +521,13 @@ const App = () => {
             addNotification('Starting AI search...', 'info');
         }
 
+        // Target regions are read from profile.preferences.regions
         const result = await startSearch({
             profile,
-            location: 'boston-providence',
             maxResults: 1000,
-            demoMode: demoMode // Pass demo mode to search
+            demoMode: demoMode, // Pass demo mode to search
+            rescoreExisting: !demoMode && rescoreExisting,
+            budget: getBudgetParams()
         });
 
         if (result.success) {
@@ -414,6 +538,22 @@ const App = () => {
         }
     };
 
+    // Only the limits that were filled in are sent
+    const getBudgetParams = () => {
+        const budget = {};
+        Object.entries(searchBudget).forEach(([key, value]) => {
+            if (value !== '') budget[key] = Number(value);
+        });
+        return Object.keys(budget).length > 0 ? budget : undefined;
+    };
+
+    const handleResumeSearch = async () => {
+        const result = await resumeSearch(getBudgetParams());
+        if (!result.success) {
+            addNotification('Failed to resume search: ' + result.error, 'error');
+        }
+    };
+
     const handleGenerateEmail = async (company) => {
         console.log('Generating email for company:', company);
 
@@ -462,6 +602,35 @@ const App = () => {
         }
     };
 
+    const handleCompaniesMerged = async (message) => {
+        addNotification(message, 'success');
+        await loadCompanies();
+    };
+
+    // Contacts were added, edited or removed in the company details
+    const handleCreateCampaign = (companyIds) => {
+        setCampaignCompanyIds(companyIds);
+        setActiveTab('campaigns');
+    };
+
+    const handleEmailSent = (company, outbox) => {
+        if (outbox.status !== 'sent') return;
+
+        const companyId = company.id || company._id;
+        setCompanies(prev =>
+            prev.map(c => (c.id === companyId || c._id === companyId) && (c.status || 'not-contacted') === 'not-contacted' ?
+                { ...c, status: 'contacted' } :
+                c)
+        );
+        addNotification(`Email sent to ${outbox.to}`, 'success');
+    };
+
+    const handleCompanyContactsChange = (companyId, hrContacts) => {
+        setCompanies(prev =>
+            prev.map(c => (c.id === companyId || c._id === companyId) ? { ...c, hrContacts } : c)
+        );
+    };
+
     const handleSaveProfile = async () => {
         if (!profile.personalInfo?.firstName || !profile.personalInfo?.email) {
             addNotification('Please provide your name and email address', 'error');
@@ -497,6 +666,35 @@ const App = () => {
                     />
                 </div>
 
+                {searchStatus.paused && (
+                    <div className="bg-yellow-50 p-4 rounded-lg">
+                        <h4 className="font-medium text-yellow-800 mb-2">
+                            {searchStatus.budgetExhausted ? 'Search Paused: Budget Exhausted' : 'Search Paused'}
+                        </h4>
+                        <p className="text-sm text-yellow-700">
+                            {searchStatus.budgetExhausted
+                                ? `The ${searchStatus.budget?.[searchStatus.budgetExhausted]?.label || 'search'} limit has been reached. Raise it in the budget fields above and resume, or cancel to keep the companies found so far.`
+                                : 'Resume to continue from the last processed company, or cancel to stop the search.'}
+                        </p>
+                    </div>
+                )}
+
+                {searchStatus.cancelled && (
+                    <div className="bg-gray-50 p-4 rounded-lg">
+                        <h4 className="font-medium text-gray-800 mb-2">Search Cancelled</h4>
+                        <p className="text-sm text-gray-700">
+                            {searchStatus.totalFound} companies were saved before the search was stopped.
+                        </p>
+                    </div>
+                )}
+
+                {searchStatus.failed && searchStatus.failureReason && (
+                    <div className="bg-red-50 p-4 rounded-lg">
+                        <h4 className="font-medium text-red-800 mb-2">Search Failed</h4>
+                        <p className="text-sm text-red-700">{searchStatus.failureReason}</p>
+                    </div>
+                )}
+
                 {searchStatus.completed && (
                     <div className="bg-green-50 p-4 rounded-lg">
                         <h4 className="font-medium text-green-800 mb-2">Search Completed!</h4>
@@ -578,6 +776,12 @@ const App = () => {
                 </div>
             )}
 
+            {/* Live search notifications */}
+            <NotificationSystem
+                searchStatus={searchStatus}
+                isRunning={searchStatus.isRunning}
+            />
+
             <div className="container mx-auto px-4 py-6 max-w-7xl">
                 {/* Header */}
                 <div className="card p-6 mb-6">
@@ -644,6 +848,18 @@ const App = () => {
                                     </span>
                                 </div>
                             </div>
+
+                            {/* Account */}
+                            <div className="text-right">
+                                <div className="text-sm text-gray-600 mb-1">{user.displayName}</div>
+                                <button
+                                    onClick={onLogout}
+                                    className="flex items-center gap-1 text-sm text-gray-500 hover:text-gray-700"
+                                >
+                                    <LogOut className="w-4 h-4" />
+                                    Log out
+                                </button>
+                            </div>
                         </div>
                     </div>
                     <div className="flex items-center justify-between mt-2">
@@ -666,6 +882,7 @@ const App = () => {
                             { id: 'profile', label: 'My Profile', icon: User },
                             { id: 'search', label: 'AI Search', icon: Search },
                             { id: 'matches', label: 'Company Database', icon: Database },
+                            { id: 'campaigns', label: 'Campaigns', icon: Megaphone },
                             { id: 'emails', label: 'Email Guide', icon: Mail },
                             { id: 'config', label: 'API Config', icon: Settings }
                         ].map(tab => {
@@ -690,7 +907,7 @@ const App = () => {
                                             {companies.length}
                                         </span>
                                     )}
-                                    {tab.id === 'config' && !demoMode && (!apiKeys.openai || !apiKeys.apollo) && (
+                                    {tab.id === 'config' && !demoMode && (!hasApiKey('openai') || !hasApiKey('apollo')) && (
                                         <AlertCircle className="w-4 h-4 text-red-500" />
                                     )}
                                 </button>
@@ -877,9 +1094,21 @@ const App = () => {
                                                     <MapPin className="w-4 h-4 text-blue-500" />
                                                     <span>Remote-Friendly</span>
                                                 </label>
+
+                                                <TargetRegionsEditor
+                                                    regions={profile.preferences?.regions || []}
+                                                    onChange={(regions) => updatePreferences({ regions })}
+                                                />
                                             </div>
                                         </div>
 
+                                        <RankingWeightsEditor
+                                            weights={rankingWeights}
+                                            onChange={setRankingWeights}
+                                            onApply={handleApplyRankingWeights}
+                                            applying={applyingWeights}
+                                        />
+
                                         {profile.aiAnalysis && (
                                             <div className="bg-blue-50 p-6 rounded-lg">
                                                 <h3 className="text-lg font-semibold text-blue-800 mb-4 flex items-center gap-2">
@@ -923,8 +1152,8 @@ const App = () => {
                                     </h3>
                                     <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm text-blue-700">
                                         <ul className="space-y-2">
-                                            <li>• <strong>Phase 1:</strong> Boston, MA area companies (primary focus)</li>
-                                            <li>• <strong>Phase 2:</strong> Providence, RI area companies</li>
+                                            <li>• <strong>Phase 1:</strong> Companies in {formatTargetRegions(profile.preferences?.regions)} (primary focus)</li>
+                                            <li>• <strong>Phase 2:</strong> Each region in the order you listed them</li>
                                             <li>• <strong>Phase 3:</strong> Expand nationwide for 1000+ companies</li>
                                         </ul>
                                         <ul className="space-y-2">
@@ -950,7 +1179,7 @@ const App = () => {
                                 )}
 
                                 {/* API Keys Warning */}
-                                {!demoMode && (!apiKeys.openai || !apiKeys.apollo) && (
+                                {!demoMode && (!hasApiKey('openai') || !hasApiKey('apollo')) && (
                                     <div className="bg-red-50 border border-red-200 p-4 rounded-lg">
                                         <div className="flex items-center gap-2 text-red-800 mb-2">
                                             <AlertCircle className="w-5 h-5" />
@@ -987,10 +1216,51 @@ const App = () => {
                                     </div>
                                 )}
 
+                                {/* Spending limits */}
+                                {!demoMode && (
+                                    <div className="bg-gray-50 p-4 rounded-lg">
+                                        <h4 className="font-medium text-gray-800 mb-1">Budget (optional)</h4>
+                                        <p className="text-sm text-gray-600 mb-3">
+                                            The search pauses when a limit is reached. Leave blank for no limit.
+                                        </p>
+                                        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                                            {[
+                                                { key: 'maxCost', label: 'Max AI spend ($)', step: '0.01' },
+                                                { key: 'maxApolloCredits', label: 'Max Apollo.io credits', step: '1' },
+                                                { key: 'maxHunterSearches', label: 'Max Hunter.io searches', step: '1' }
+                                            ].map(({ key, label, step }) => (
+                                                <div key={key}>
+                                                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                                                        {label}
+                                                    </label>
+                                                    <input
+                                                        type="number"
+                                                        min="0"
+                                                        step={step}
+                                                        value={searchBudget[key]}
+                                                        onChange={(e) => setSearchBudget(prev => ({ ...prev, [key]: e.target.value }))}
+                                                        className="input"
+                                                        placeholder="No limit"
+                                                    />
+                                                </div>
+                                            ))}
+                                        </div>
+                                        <label className="flex items-center gap-2 mt-4 text-sm text-gray-700">
+                                            <input
+                                                type="checkbox"
+                                                checked={rescoreExisting}
+                                                onChange={(e) => setRescoreExisting(e.target.checked)}
+                                                className="rounded"
+                                            />
+                                            Re-score companies found by earlier searches against your current profile
+                                        </label>
+                                    </div>
+                                )}
+
                                 <div className="flex gap-4">
                                     <button
                                         onClick={handleStartSearch}
-                                        disabled={searchStatus.isRunning || !profile.resume || !profile.personalInfo?.firstName || apiLoading}
+                                        disabled={searchStatus.isRunning || searchStatus.paused || !profile.resume || !profile.personalInfo?.firstName || apiLoading}
                                         className="btn btn-success flex items-center gap-2"
                                     >
                                         <Brain className="w-5 h-5" />
@@ -1005,6 +1275,24 @@ const App = () => {
                                             Pause Search
                                         </button>
                                     )}
+
+                                    {searchStatus.paused && (
+                                        <button
+                                            onClick={handleResumeSearch}
+                                            className="btn btn-primary"
+                                        >
+                                            Resume Search
+                                        </button>
+                                    )}
+
+                                    {(searchStatus.isRunning || searchStatus.paused) && (
+                                        <button
+                                            onClick={cancelSearch}
+                                            className="btn btn-secondary"
+                                        >
+                                            Cancel Search
+                                        </button>
+                                    )}
                                 </div>
 
                                 {renderProgressBar()}
@@ -1022,14 +1310,34 @@ const App = () => {
 
                         {/* Matches Tab */}
                         {activeTab === 'matches' && (
-                            <CompaniesTable
-                                companies={companies}
-                                onGenerateEmail={handleGenerateEmail}
-                                onUpdateStatus={handleUpdateCompanyStatus}
-                                onDeleteCompany={handleDeleteCompany}
-                                onBulkDelete={handleBulkDelete}
-                                userProfile={profile}
-                            />
+                            <div className="space-y-6">
+                                <DuplicateCompanies onMerged={handleCompaniesMerged} />
+                                <CompaniesTable
+                                    companies={companies}
+                                    onGenerateEmail={handleGenerateEmail}
+                                    onUpdateStatus={handleUpdateCompanyStatus}
+                                    onContactsChange={handleCompanyContactsChange}
+                                    onDeleteCompany={handleDeleteCompany}
+                                    onBulkDelete={handleBulkDelete}
+                                    onRescore={handleRescoreCompanies}
+                                    onRetryScoring={handleRetryScoring}
+                                    onCreateCampaign={handleCreateCampaign}
+                                    userProfile={profile}
+                                />
+                            </div>
+                        )}
+
+                        {/* Campaigns Tab */}
+                        {activeTab === 'campaigns' && (
+                            <div className="space-y-6">
+                                <Campaigns
+                                    userProfile={profile}
+                                    selectedCompanyIds={campaignCompanyIds}
+                                    onSelectionUsed={() => setCampaignCompanyIds([])}
+                                    onNotify={addNotification}
+                                />
+                                <FollowUps onNotify={addNotification} />
+                            </div>
                         )}
 
                         {/* Emails Tab */}
@@ -1147,8 +1455,9 @@ const App = () => {
                                                 value={apiKeys.openai}
                                                 onChange={(e) => setApiKeys(prev => ({ ...prev, openai: e.target.value }))}
                                                 className="input"
-                                                placeholder="sk-..."
+                                                placeholder={savedApiKeys.openai?.source === 'vault' ? 'Enter a new key to replace the saved one' : "sk-..."}
                                             />
+                                            <SavedApiKeyStatus entry={savedApiKeys.openai} onRemove={handleRemoveApiKey} />
                                             <div className="flex justify-between items-center mt-2">
                                                 <p className="text-xs text-gray-500">
                                                     Get from: https://platform.openai.com/api-keys
@@ -1187,8 +1496,9 @@ const App = () => {
                                                 value={apiKeys.apollo}
                                                 onChange={(e) => setApiKeys(prev => ({ ...prev, apollo: e.target.value }))}
                                                 className="input"
-                                                placeholder="Your Apollo.io API key"
+                                                placeholder={savedApiKeys.apollo?.source === 'vault' ? 'Enter a new key to replace the saved one' : "Your Apollo.io API key"}
                                             />
+                                            <SavedApiKeyStatus entry={savedApiKeys.apollo} onRemove={handleRemoveApiKey} />
                                             <div className="flex justify-between items-center mt-2">
                                                 <p className="text-xs text-gray-500">
                                                     Free tier: 50 credits/month - Get from: https://www.apollo.io/
@@ -1227,8 +1537,9 @@ const App = () => {
                                                 value={apiKeys.hunter}
                                                 onChange={(e) => setApiKeys(prev => ({ ...prev, hunter: e.target.value }))}
                                                 className="input"
-                                                placeholder="Your Hunter.io API key"
+                                                placeholder={savedApiKeys.hunter?.source === 'vault' ? 'Enter a new key to replace the saved one' : "Your Hunter.io API key"}
                                             />
+                                            <SavedApiKeyStatus entry={savedApiKeys.hunter} onRemove={handleRemoveApiKey} />
                                             <div className="flex justify-between items-center mt-2">
                                                 <p className="text-xs text-gray-500">
                                                     Free tier: 25 searches/month - Get from: https://hunter.io
@@ -1316,6 +1627,7 @@ const App = () => {
                     onClose={() => setEmailModal({ isOpen: false, company: null, template: null })}
                     company={emailModal.company}
                     emailTemplate={emailModal.template}
+                    onSent={handleEmailSent}
                 />
             </div>
         </div>
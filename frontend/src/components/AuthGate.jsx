@@ -0,0 +1,25 @@
+import React from 'react';
+import LoginScreen from './LoginScreen';
+import { useAuth } from '../hooks/useAuth';
+
+// Renders children({ user, logout }) once someone is logged in, the login
+// form otherwise. Nothing below it calls the API while logged out.
+const AuthGate = ({ children }) => {
+    const { user, checking, error, login, register, logout } = useAuth();
+
+    if (checking) {
+        return (
+            <div className="min-h-screen flex items-center justify-center text-gray-500">
+                Loading...
+            </div>
+        );
+    }
+
+    if (!user) {
+        return <LoginScreen onLogin={login} onRegister={register} error={error} />;
+    }
+
+    return children({ user, logout });
+};
+
+export default AuthGate;
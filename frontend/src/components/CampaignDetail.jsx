@@ -0,0 +1,324 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ArrowLeft, Play, Pause, XCircle, Trash2, CheckCheck, Check, SkipForward, Edit3, Save } from 'lucide-react';
+import { campaignsAPI } from '../services/api';
+import CampaignSettingsFields from './CampaignSettingsFields';
+
+const ITEM_STATUS_STYLES = {
+    pending: 'bg-gray-100 text-gray-600',
+    draft: 'bg-yellow-100 text-yellow-800',
+    approved: 'bg-blue-100 text-blue-800',
+    skipped: 'bg-gray-100 text-gray-500',
+    sending: 'bg-indigo-100 text-indigo-800',
+    queued: 'bg-indigo-100 text-indigo-800',
+    sent: 'bg-green-100 text-green-800',
+    failed: 'bg-red-100 text-red-800'
+};
+
+const ITEM_STATUS_LABELS = {
+    pending: 'Writing draft...',
+    queued: 'Retrying'
+};
+
+// One company's email: review, edit, approve or skip it
+const CampaignItem = ({ campaignId, item, onUpdated, onError }) => {
+    const [editing, setEditing] = useState(false);
+    const [form, setForm] = useState(null);
+    const [saving, setSaving] = useState(false);
+    const editable = ['draft', 'approved', 'skipped', 'failed'].includes(item.status);
+
+    // Drafts arrive while the page refreshes, so the form starts from the latest
+    const startEditing = () => {
+        setForm({ to: item.to || '', subject: item.subject || '', body: item.body || '' });
+        setEditing(true);
+    };
+
+    const save = async (changes) => {
+        setSaving(true);
+        try {
+            const response = await campaignsAPI.updateItem(campaignId, item._id, changes);
+            onUpdated(response.data.data);
+            setEditing(false);
+        } catch (err) {
+            onError(err.response?.data?.message || err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="border rounded-lg p-3">
+            <div className="flex items-start justify-between gap-3">
+                <div className="min-w-0">
+                    <div className="flex items-center gap-2">
+                        <span className="font-medium text-gray-800">{item.companyName}</span>
+                        <span className={`text-xs px-2 py-0.5 rounded-full ${ITEM_STATUS_STYLES[item.status]}`}>
+                            {ITEM_STATUS_LABELS[item.status] || item.status}
+                        </span>
+                    </div>
+                    {item.status !== 'pending' && (
+                        <p className="text-sm text-gray-600 truncate">
+                            {item.to || 'No recipient'} — {item.subject}
+                        </p>
+                    )}
+                    {item.error && <p className="text-xs text-red-600 mt-1">{item.error}</p>}
+                    {item.sentAt && <p className="text-xs text-gray-500 mt-1">Sent {new Date(item.sentAt).toLocaleString()}</p>}
+                </div>
+
+                {editable && !editing && (
+                    <div className="flex gap-2 flex-shrink-0">
+                        <button type="button" onClick={startEditing} className="btn btn-ghost text-xs flex items-center gap-1">
+                            <Edit3 className="w-3 h-3" />
+                            Edit
+                        </button>
+                        {item.status !== 'approved' && (
+                            <button type="button" onClick={() => save({ status: 'approved' })} disabled={saving} className="btn btn-success text-xs flex items-center gap-1">
+                                <Check className="w-3 h-3" />
+                                Approve
+                            </button>
+                        )}
+                        {item.status !== 'skipped' && (
+                            <button type="button" onClick={() => save({ status: 'skipped' })} disabled={saving} className="btn btn-secondary text-xs flex items-center gap-1">
+                                <SkipForward className="w-3 h-3" />
+                                Skip
+                            </button>
+                        )}
+                    </div>
+                )}
+            </div>
+
+            {editing && (
+                <div className="space-y-2 mt-3">
+                    <input
+                        type="email"
+                        value={form.to}
+                        onChange={(e) => setForm({ ...form, to: e.target.value })}
+                        className="input text-sm"
+                        placeholder="Recipient email"
+                    />
+                    <input
+                        type="text"
+                        value={form.subject}
+                        onChange={(e) => setForm({ ...form, subject: e.target.value })}
+                        className="input text-sm"
+                        placeholder="Subject"
+                    />
+                    <textarea
+                        value={form.body}
+                        onChange={(e) => setForm({ ...form, body: e.target.value })}
+                        className="input text-sm min-h-[200px]"
+                    />
+                    <div className="flex gap-2">
+                        <button type="button" onClick={() => save(form)} disabled={saving} className="btn btn-primary text-xs flex items-center gap-1">
+                            <Save className="w-3 h-3" />
+                            Save
+                        </button>
+                        <button type="button" onClick={() => save({ ...form, status: 'approved' })} disabled={saving} className="btn btn-success text-xs flex items-center gap-1">
+                            <Check className="w-3 h-3" />
+                            Save & Approve
+                        </button>
+                        <button type="button" onClick={() => setEditing(false)} className="btn btn-ghost text-xs">
+                            Cancel
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// A campaign's drafts and schedule. Refreshes itself while drafts are being
+// written or emails are going out.
+const CampaignDetail = ({ campaignId, smtpConfigured, onBack, onChanged }) => {
+    const [campaign, setCampaign] = useState(null);
+    const [settings, setSettings] = useState(null);
+    const [message, setMessage] = useState(null);
+    const [error, setError] = useState(null);
+    const [busy, setBusy] = useState(false);
+
+    const load = useCallback(async () => {
+        try {
+            const response = await campaignsAPI.get(campaignId);
+            setCampaign(response.data.data);
+        } catch (err) {
+            setError(err.response?.data?.message || err.message);
+        }
+    }, [campaignId]);
+
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    const status = campaign?.status;
+    useEffect(() => {
+        if (status !== 'generating' && status !== 'running') return undefined;
+        const timer = setInterval(load, 5000);
+        return () => clearInterval(timer);
+    }, [status, load]);
+
+    // Runs a campaign-level action and shows its result. Returns whether it worked.
+    const run = async (action) => {
+        setBusy(true);
+        setError(null);
+        setMessage(null);
+        try {
+            const response = await action();
+            if (response.data.data) setCampaign(response.data.data);
+            setMessage(response.data.message);
+            if (onChanged) onChanged();
+            return true;
+        } catch (err) {
+            setError(err.response?.data?.message || err.message);
+            return false;
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleDelete = async () => {
+        if (!confirm(`Delete campaign "${campaign.name}"? Emails already sent stay in each company's history.`)) return;
+        if (await run(() => campaignsAPI.delete(campaignId))) onBack();
+    };
+
+    const handleItemUpdated = (updated) => {
+        setCampaign(prev => {
+            const items = prev.items.map(item => item._id === updated._id ? updated : item);
+            const counts = items.reduce((all, item) => ({ ...all, [item.status]: (all[item.status] || 0) + 1 }), {});
+            return { ...prev, items, counts };
+        });
+    };
+
+    if (!campaign) {
+        return (
+            <div className="bg-white p-6 rounded-lg border">
+                <button type="button" onClick={onBack} className="btn btn-ghost text-sm flex items-center gap-1">
+                    <ArrowLeft className="w-4 h-4" />
+                    Back
+                </button>
+                <p className="text-sm text-gray-500 mt-4">{error || 'Loading campaign...'}</p>
+            </div>
+        );
+    }
+
+    const counts = campaign.counts || {};
+    const canStart = ['review', 'paused', 'completed'].includes(campaign.status) && counts.approved > 0;
+
+    return (
+        <div className="space-y-4">
+            <div className="bg-white p-6 rounded-lg border space-y-4">
+                <div className="flex items-start justify-between gap-4">
+                    <div>
+                        <button type="button" onClick={onBack} className="btn btn-ghost text-sm flex items-center gap-1 mb-2">
+                            <ArrowLeft className="w-4 h-4" />
+                            All campaigns
+                        </button>
+                        <h3 className="text-xl font-semibold text-gray-800">{campaign.name}</h3>
+                        <p className="text-sm text-gray-600">
+                            {campaign.status} • {campaign.total} companies • {counts.draft || 0} to review • {counts.approved || 0} approved • {counts.sent || 0} sent
+                            {counts.failed ? ` • ${counts.failed} failed` : ''}
+                        </p>
+                    </div>
+
+                    <div className="flex flex-wrap gap-2 justify-end">
+                        {counts.draft > 0 && (
+                            <button type="button" onClick={() => run(() => campaignsAPI.approveAll(campaignId))} disabled={busy} className="btn btn-secondary text-sm flex items-center gap-2">
+                                <CheckCheck className="w-4 h-4" />
+                                Approve All Drafts
+                            </button>
+                        )}
+                        {campaign.status === 'running' ? (
+                            <button type="button" onClick={() => run(() => campaignsAPI.pause(campaignId))} disabled={busy} className="btn btn-warning text-sm flex items-center gap-2">
+                                <Pause className="w-4 h-4" />
+                                Pause
+                            </button>
+                        ) : (
+                            <button
+                                type="button"
+                                onClick={() => run(() => campaignsAPI.start(campaignId))}
+                                disabled={busy || !canStart || !smtpConfigured}
+                                className="btn btn-primary text-sm flex items-center gap-2"
+                                title={smtpConfigured ? 'Send approved emails on the schedule' : 'SMTP is not configured on the server'}
+                            >
+                                <Play className="w-4 h-4" />
+                                {campaign.status === 'paused' ? 'Resume' : 'Start Sending'}
+                            </button>
+                        )}
+                        {campaign.status !== 'cancelled' && campaign.status !== 'completed' && (
+                            <button type="button" onClick={() => run(() => campaignsAPI.cancel(campaignId))} disabled={busy} className="btn btn-secondary text-sm flex items-center gap-2">
+                                <XCircle className="w-4 h-4" />
+                                Cancel
+                            </button>
+                        )}
+                        {campaign.status !== 'running' && (
+                            <button type="button" onClick={handleDelete} disabled={busy} className="btn btn-danger text-sm flex items-center gap-2">
+                                <Trash2 className="w-4 h-4" />
+                                Delete
+                            </button>
+                        )}
+                    </div>
+                </div>
+
+                {!smtpConfigured && (
+                    <p className="text-sm text-orange-700 bg-orange-50 p-3 rounded">
+                        Email sending is not configured on the server, so campaigns can be drafted and reviewed but not sent.
+                    </p>
+                )}
+                {message && <p className="text-sm text-green-700">{message}</p>}
+                {error && <p className="text-sm text-red-600">{error}</p>}
+
+                <div className="border-t pt-4">
+                    <div className="flex items-center justify-between mb-3">
+                        <h4 className="font-medium text-gray-800">Schedule</h4>
+                        {settings ? (
+                            <div className="flex gap-2">
+                                <button
+                                    type="button"
+                                    onClick={async () => {
+                                        if (await run(() => campaignsAPI.update(campaignId, { settings }))) setSettings(null);
+                                    }}
+                                    disabled={busy}
+                                    className="btn btn-primary text-xs"
+                                >
+                                    Save Schedule
+                                </button>
+                                <button type="button" onClick={() => setSettings(null)} className="btn btn-ghost text-xs">
+                                    Cancel
+                                </button>
+                            </div>
+                        ) : campaign.status !== 'cancelled' && (
+                            <button type="button" onClick={() => setSettings(campaign.settings)} className="btn btn-ghost text-xs">
+                                Change
+                            </button>
+                        )}
+                    </div>
+                    {settings ? (
+                        <CampaignSettingsFields settings={settings} onChange={setSettings} />
+                    ) : (
+                        <p className="text-sm text-gray-600">
+                            Up to {campaign.settings.dailyCap} emails a day, {String(campaign.settings.sendWindow.startHour).padStart(2, '0')}:00–{String(campaign.settings.sendWindow.endHour).padStart(2, '0')}:00 recipient time,
+                            {' '}{campaign.settings.domainSpacingMinutes} minutes apart per domain
+                            {campaign.settings.startAt ? `, starting ${new Date(campaign.settings.startAt).toLocaleString()}` : ''}.
+                        </p>
+                    )}
+                </div>
+            </div>
+
+            <div className="bg-white p-6 rounded-lg border space-y-3">
+                <h4 className="font-medium text-gray-800">Emails</h4>
+                {campaign.status === 'generating' && (
+                    <p className="text-sm text-blue-700">Writing drafts ({(campaign.total || 0) - (counts.pending || 0)}/{campaign.total})...</p>
+                )}
+                {campaign.items.map(item => (
+                    <CampaignItem
+                        key={item._id}
+                        campaignId={campaignId}
+                        item={item}
+                        onUpdated={handleItemUpdated}
+                        onError={setError}
+                    />
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default CampaignDetail;
@@ -0,0 +1,114 @@
+import React from 'react';
+
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// datetime-local value for a Date/ISO string, in the browser's timezone
+const toLocalInput = (value) => {
+    if (!value) return '';
+    const date = new Date(value);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+// Schedule options of a campaign (see settings in backend/models/Campaign.js)
+const CampaignSettingsFields = ({ settings, onChange }) => {
+    const sendWindow = settings.sendWindow;
+
+    const setWindow = (changes) => onChange({ ...settings, sendWindow: { ...sendWindow, ...changes } });
+
+    const toggleDay = (day) => {
+        const days = sendWindow.days.includes(day) ?
+            sendWindow.days.filter(d => d !== day) :
+            [...sendWindow.days, day].sort();
+        setWindow({ days });
+    };
+
+    return (
+        <div className="space-y-3 text-sm">
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                <label className="block">
+                    <span className="text-gray-700">Emails per day</span>
+                    <input
+                        type="number"
+                        min="1"
+                        max="500"
+                        value={settings.dailyCap}
+                        onChange={(e) => onChange({ ...settings, dailyCap: parseInt(e.target.value) || 1 })}
+                        className="input mt-1"
+                    />
+                </label>
+                <label className="block">
+                    <span className="text-gray-700">From (recipient's time)</span>
+                    <select
+                        value={sendWindow.startHour}
+                        onChange={(e) => setWindow({ startHour: parseInt(e.target.value) })}
+                        className="input mt-1"
+                    >
+                        {Array.from({ length: 24 }, (_, hour) => (
+                            <option key={hour} value={hour}>{String(hour).padStart(2, '0')}:00</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="block">
+                    <span className="text-gray-700">Until</span>
+                    <select
+                        value={sendWindow.endHour}
+                        onChange={(e) => setWindow({ endHour: parseInt(e.target.value) })}
+                        className="input mt-1"
+                    >
+                        {Array.from({ length: 24 }, (_, i) => i + 1).map(hour => (
+                            <option key={hour} value={hour}>{String(hour).padStart(2, '0')}:00</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="block">
+                    <span className="text-gray-700">Minutes between emails to one domain</span>
+                    <input
+                        type="number"
+                        min="0"
+                        value={settings.domainSpacingMinutes}
+                        onChange={(e) => onChange({ ...settings, domainSpacingMinutes: parseInt(e.target.value) || 0 })}
+                        className="input mt-1"
+                    />
+                </label>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-3">
+                <span className="text-gray-700">Send on</span>
+                {WEEKDAY_LABELS.map((label, day) => (
+                    <label key={label} className="flex items-center gap-1">
+                        <input
+                            type="checkbox"
+                            checked={sendWindow.days.includes(day)}
+                            onChange={() => toggleDay(day)}
+                        />
+                        {label}
+                    </label>
+                ))}
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                <label className="block">
+                    <span className="text-gray-700">Start no earlier than (optional)</span>
+                    <input
+                        type="datetime-local"
+                        value={toLocalInput(settings.startAt)}
+                        onChange={(e) => onChange({ ...settings, startAt: e.target.value ? new Date(e.target.value).toISOString() : null })}
+                        className="input mt-1"
+                    />
+                </label>
+                <label className="block">
+                    <span className="text-gray-700">Timezone for the daily cap and unknown recipients</span>
+                    <input
+                        type="text"
+                        value={settings.timezone}
+                        onChange={(e) => onChange({ ...settings, timezone: e.target.value })}
+                        className="input mt-1"
+                        placeholder="e.g. America/New_York"
+                    />
+                </label>
+            </div>
+        </div>
+    );
+};
+
+export default CampaignSettingsFields;
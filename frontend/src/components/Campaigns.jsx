@@ -0,0 +1,233 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Megaphone, Plus } from 'lucide-react';
+import { campaignsAPI } from '../services/api';
+import CampaignSettingsFields from './CampaignSettingsFields';
+import CampaignDetail from './CampaignDetail';
+
+const STATUS_STYLES = {
+    generating: 'bg-blue-100 text-blue-800',
+    review: 'bg-yellow-100 text-yellow-800',
+    running: 'bg-green-100 text-green-800',
+    paused: 'bg-orange-100 text-orange-800',
+    completed: 'bg-gray-100 text-gray-700',
+    cancelled: 'bg-gray-100 text-gray-500'
+};
+
+const newCampaignSettings = () => ({
+    dailyCap: 20,
+    sendWindow: { startHour: 9, endHour: 17, days: [1, 2, 3, 4, 5] },
+    domainSpacingMinutes: 60,
+    startAt: null,
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+});
+
+// Outreach campaigns: drafts for many companies, reviewed here and sent on a
+// schedule by the server. selectedCompanyIds come from the Company Database
+// tab's "Create Campaign" bulk action.
+const Campaigns = ({ userProfile, selectedCompanyIds = [], onSelectionUsed, onNotify }) => {
+    const [campaigns, setCampaigns] = useState([]);
+    const [smtpConfigured, setSmtpConfigured] = useState(true);
+    const [openCampaignId, setOpenCampaignId] = useState(null);
+    const [showCreate, setShowCreate] = useState(false);
+    const [name, setName] = useState('');
+    const [filter, setFilter] = useState({ status: 'not-contacted', minMatchScore: 70, hasContacts: 'yes' });
+    const [settings, setSettings] = useState(newCampaignSettings);
+    const [creating, setCreating] = useState(false);
+    const [error, setError] = useState(null);
+
+    const useSelection = selectedCompanyIds.length > 0;
+
+    const loadCampaigns = useCallback(async () => {
+        try {
+            const response = await campaignsAPI.getAll();
+            setCampaigns(response.data.data);
+            setSmtpConfigured(response.data.smtpConfigured);
+        } catch (err) {
+            setError(err.response?.data?.message || err.message);
+        }
+    }, []);
+
+    useEffect(() => {
+        loadCampaigns();
+    }, [loadCampaigns]);
+
+    useEffect(() => {
+        if (useSelection) setShowCreate(true);
+    }, [useSelection]);
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        if (!userProfile?.personalInfo?.firstName || !userProfile?.personalInfo?.email) {
+            setError('Complete your profile with your name and email before creating a campaign');
+            return;
+        }
+
+        setCreating(true);
+        setError(null);
+        try {
+            const response = await campaignsAPI.create({
+                name,
+                ...(useSelection ? { companyIds: selectedCompanyIds } : { filter }),
+                profile: userProfile,
+                settings
+            });
+            const campaign = response.data.data;
+            if (onNotify) onNotify(response.data.message, 'success');
+            if (onSelectionUsed) onSelectionUsed();
+            setShowCreate(false);
+            setName('');
+            setSettings(newCampaignSettings());
+            await loadCampaigns();
+            setOpenCampaignId(campaign._id);
+        } catch (err) {
+            setError(err.response?.data?.message || err.message);
+        } finally {
+            setCreating(false);
+        }
+    };
+
+    if (openCampaignId) {
+        return (
+            <CampaignDetail
+                campaignId={openCampaignId}
+                smtpConfigured={smtpConfigured}
+                onBack={() => {
+                    setOpenCampaignId(null);
+                    loadCampaigns();
+                }}
+            />
+        );
+    }
+
+    return (
+        <div className="space-y-6">
+            <div className="flex items-center justify-between">
+                <h2 className="text-2xl font-bold text-gray-800 flex items-center gap-2">
+                    <Megaphone className="w-6 h-6" />
+                    Outreach Campaigns
+                </h2>
+                {!showCreate && (
+                    <button type="button" onClick={() => setShowCreate(true)} className="btn btn-primary flex items-center gap-2">
+                        <Plus className="w-4 h-4" />
+                        New Campaign
+                    </button>
+                )}
+            </div>
+
+            {!smtpConfigured && (
+                <p className="text-sm text-orange-700 bg-orange-50 p-3 rounded">
+                    Email sending is not configured on the server. You can draft and review campaigns, but not send them.
+                </p>
+            )}
+            {error && <p className="text-sm text-red-600">{error}</p>}
+
+            {showCreate && (
+                <form onSubmit={handleCreate} className="bg-white p-6 rounded-lg border space-y-4">
+                    <h3 className="text-lg font-semibold text-gray-800">New Campaign</h3>
+                    <label className="block text-sm">
+                        <span className="text-gray-700">Name</span>
+                        <input
+                            type="text"
+                            value={name}
+                            onChange={(e) => setName(e.target.value)}
+                            className="input mt-1"
+                            placeholder="e.g. Boston fintech, October"
+                            required
+                        />
+                    </label>
+
+                    {useSelection ? (
+                        <div className="text-sm text-gray-700 bg-blue-50 p-3 rounded flex items-center justify-between">
+                            <span>{selectedCompanyIds.length} companies selected in the Company Database</span>
+                            <button type="button" onClick={onSelectionUsed} className="btn btn-ghost text-xs">
+                                Use a filter instead
+                            </button>
+                        </div>
+                    ) : (
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+                            <label className="block">
+                                <span className="text-gray-700">Status</span>
+                                <select
+                                    value={filter.status}
+                                    onChange={(e) => setFilter({ ...filter, status: e.target.value })}
+                                    className="input mt-1"
+                                >
+                                    <option value="not-contacted">Not contacted</option>
+                                    <option value="all">Any</option>
+                                </select>
+                            </label>
+                            <label className="block">
+                                <span className="text-gray-700">Minimum match score</span>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    max="100"
+                                    value={filter.minMatchScore}
+                                    onChange={(e) => setFilter({ ...filter, minMatchScore: parseInt(e.target.value) || 0 })}
+                                    className="input mt-1"
+                                />
+                            </label>
+                            <label className="block">
+                                <span className="text-gray-700">HR contacts</span>
+                                <select
+                                    value={filter.hasContacts}
+                                    onChange={(e) => setFilter({ ...filter, hasContacts: e.target.value })}
+                                    className="input mt-1"
+                                >
+                                    <option value="yes">Only with contacts</option>
+                                    <option value="">Any</option>
+                                </select>
+                            </label>
+                        </div>
+                    )}
+
+                    <CampaignSettingsFields settings={settings} onChange={setSettings} />
+
+                    <p className="text-xs text-gray-500">
+                        Drafts are written for every company first. Nothing is sent until you approve the emails and start the campaign.
+                    </p>
+
+                    <div className="flex gap-2">
+                        <button type="submit" disabled={creating} className="btn btn-primary">
+                            {creating ? 'Creating...' : 'Create & Write Drafts'}
+                        </button>
+                        <button type="button" onClick={() => setShowCreate(false)} className="btn btn-secondary">
+                            Cancel
+                        </button>
+                    </div>
+                </form>
+            )}
+
+            {campaigns.length === 0 && !showCreate && (
+                <p className="text-sm text-gray-500">
+                    No campaigns yet. Create one here, or select companies in the Company Database and choose "Create Campaign".
+                </p>
+            )}
+
+            <div className="space-y-3">
+                {campaigns.map(campaign => (
+                    <button
+                        type="button"
+                        key={campaign._id}
+                        onClick={() => setOpenCampaignId(campaign._id)}
+                        className="w-full text-left bg-white p-4 rounded-lg border hover:border-blue-400 transition-colors"
+                    >
+                        <div className="flex items-center justify-between">
+                            <span className="font-medium text-gray-800">{campaign.name}</span>
+                            <span className={`text-xs px-2 py-0.5 rounded-full ${STATUS_STYLES[campaign.status]}`}>
+                                {campaign.status}
+                            </span>
+                        </div>
+                        <p className="text-sm text-gray-600 mt-1">
+                            {campaign.total} companies • {campaign.counts.draft || 0} to review • {campaign.counts.approved || 0} approved • {campaign.counts.sent || 0} sent
+                            {campaign.counts.failed ? ` • ${campaign.counts.failed} failed` : ''}
+                        </p>
+                        <p className="text-xs text-gray-500 mt-1">Created {new Date(campaign.createdAt).toLocaleDateString()}</p>
+                    </button>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default Campaigns;
@@ -16,16 +16,22 @@ import {
     Eye,
     Send,
     Trash2,
-    MoreHorizontal
+    MoreHorizontal,
+    TrendingUp,
+    TrendingDown,
+    RefreshCw,
+    MessageSquare
 } from 'lucide-react';
 import CompanyModal from './CompanyModal';
+import { emailAPI } from '../services/api';
 
-const CompaniesTable = ({ companies, onGenerateEmail, onUpdateStatus, onDeleteCompany, onBulkDelete, userProfile }) => {
+const CompaniesTable = ({ companies, onGenerateEmail, onUpdateStatus, onContactsChange, onDeleteCompany, onBulkDelete, onRescore, onRetryScoring, onCreateCampaign, userProfile }) => {
     const [filteredCompanies, setFilteredCompanies] = useState(companies);
     const [searchTerm, setSearchTerm] = useState('');
     const [statusFilter, setStatusFilter] = useState('all');
     const [hasContactsFilter, setHasContactsFilter] = useState('all');
-    const [sortBy, setSortBy] = useState('aiMatchScore');
+    // Companies arrive ranked by the server's weighted priority score
+    const [sortBy, setSortBy] = useState('priorityScore');
     const [sortOrder, setSortOrder] = useState('desc');
     const [selectedCompanies, setSelectedCompanies] = useState(new Set());
     const [showDeleteConfirm, setShowDeleteConfirm] = useState(null);
@@ -66,6 +72,17 @@ const CompaniesTable = ({ companies, onGenerateEmail, onUpdateStatus, onDeleteCo
                 bValue = b.workLifeBalance?.score || 0;
             }
 
+            // Companies without scores rank below every scored one
+            if (sortBy === 'aiMatchScore') {
+                aValue = a.aiMatchScore ?? -1;
+                bValue = b.aiMatchScore ?? -1;
+            }
+
+            if (sortBy === 'priorityScore') {
+                aValue = a.priorityScore ?? 0;
+                bValue = b.priorityScore ?? 0;
+            }
+
             if (typeof aValue === 'string') {
                 aValue = aValue.toLowerCase();
                 bValue = bValue.toLowerCase();
@@ -111,6 +128,10 @@ const CompaniesTable = ({ companies, onGenerateEmail, onUpdateStatus, onDeleteCo
             return { status: 'none', label: 'No emails', icon: Mail, color: 'text-gray-400' };
         }
 
+        if (company.emailHistory.some(email => email.repliedAt)) {
+            return { status: 'replied', label: 'Replied', icon: MessageSquare, color: 'text-blue-600' };
+        }
+
         const latestEmail = company.emailHistory[company.emailHistory.length - 1];
         if (latestEmail.sent) {
             return { status: 'sent', label: 'Email sent', icon: CheckCircle, color: 'text-green-600' };
@@ -155,6 +176,19 @@ const CompaniesTable = ({ companies, onGenerateEmail, onUpdateStatus, onDeleteCo
         setSelectedCompanies(new Set());
     };
 
+    const handleBulkRescore = () => {
+        const companyIds = Array.from(selectedCompanies);
+        if (!confirm(`Re-score ${companyIds.length} companies against your current profile? This makes new AI calls.`)) {
+            return;
+        }
+        onRescore(companyIds);
+        setSelectedCompanies(new Set());
+    };
+
+    // Saved without scores because the AI evaluation failed or never ran
+    const needsScoring = (company) => company.evaluationStatus === 'failed' || company.evaluationStatus === 'pending';
+    const unscoredCompanies = companies.filter(needsScoring);
+
     // In CompaniesTable.jsx, add this function after handleBulkDelete:
 
     const handleBulkGenerateEmails = async () => {
@@ -175,18 +209,8 @@ const CompaniesTable = ({ companies, onGenerateEmail, onUpdateStatus, onDeleteCo
         }
 
         try {
-            const response = await fetch('/api/emails/bulk-generate', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    companyIds,
-                    profile: userProfile
-                })
-            });
-
-            const result = await response.json();
+            const response = await emailAPI.bulkGenerate(companyIds, userProfile);
+            const result = response.data;
 
             if (result.success) {
                 alert(`Generated ${result.data.summary.successful} emails successfully!`);
@@ -289,6 +313,16 @@ const CompaniesTable = ({ companies, onGenerateEmail, onUpdateStatus, onDeleteCo
                 </div>
 
                 <div className="flex items-center gap-3">
+                    {onRetryScoring && unscoredCompanies.length > 0 && (
+                        <button
+                            onClick={() => onRetryScoring(unscoredCompanies.map(c => c.id || c._id))}
+                            className="flex items-center gap-1 text-sm px-3 py-1 rounded bg-amber-100 text-amber-800 hover:bg-amber-200"
+                            title="Run the AI evaluation again for companies saved without scores"
+                        >
+                            <RefreshCw className="w-4 h-4" />
+                            {unscoredCompanies.length} need scoring
+                        </button>
+                    )}
                     {selectedCompanies.size > 0 && (
                         <div className="flex items-center gap-2">
                             <span className="text-sm text-gray-600">
@@ -300,6 +334,14 @@ const CompaniesTable = ({ companies, onGenerateEmail, onUpdateStatus, onDeleteCo
                                         handleBulkDelete();
                                     } else if (e.target.value === 'generate-emails') {
                                         handleBulkGenerateEmails();  // Add this
+                                    } else if (e.target.value === 'create-campaign') {
+                                        onCreateCampaign(Array.from(selectedCompanies));
+                                        setSelectedCompanies(new Set());
+                                    } else if (e.target.value === 'rescore') {
+                                        handleBulkRescore();
+                                    } else if (e.target.value === 'retry-scoring') {
+                                        onRetryScoring(Array.from(selectedCompanies));
+                                        setSelectedCompanies(new Set());
                                     } else if (e.target.value) {
                                         handleBulkStatusUpdate(e.target.value);
                                     }
@@ -310,6 +352,9 @@ const CompaniesTable = ({ companies, onGenerateEmail, onUpdateStatus, onDeleteCo
                             >
                                 <option value="">Bulk Actions</option>
                                 <option value="generate-emails" className="text-blue-600">Generate Emails</option>
+                                {onCreateCampaign && <option value="create-campaign">Create Campaign</option>}
+                                {onRescore && <option value="rescore">Re-score Against Profile</option>}
+                                {onRetryScoring && <option value="retry-scoring">Retry Failed Scoring</option>}
                                 <option value="contacted">Mark as Contacted</option>
                                 <option value="not-contacted">Mark as Not Contacted</option>
                                 <option value="rejected">Mark as Rejected</option>
@@ -383,6 +428,7 @@ const CompaniesTable = ({ companies, onGenerateEmail, onUpdateStatus, onDeleteCo
                             }}
                             className="w-full py-2 px-3 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
                         >
+                            <option value="priorityScore-desc">Priority (Ranking Weights)</option>
                             <option value="aiMatchScore-desc">Match Score (High to Low)</option>
                             <option value="aiMatchScore-asc">Match Score (Low to High)</option>
                             <option value="workLifeBalanceScore-desc">Work-Life Balance (High to Low)</option>
@@ -519,12 +565,40 @@ const CompaniesTable = ({ companies, onGenerateEmail, onUpdateStatus, onDeleteCo
 
                                     <td className="py-4 px-4">
                                         <div className="space-y-2">
-                                            <div className={`text-xs px-2 py-1 rounded-full font-medium ${getMatchScoreBadge(company.aiMatchScore)}`}>
-                                                {company.aiMatchScore}% Match
-                                            </div>
-                                            <div className="text-xs text-gray-600">
-                                                WLB: {company.workLifeBalance?.score || 0}/10
-                                            </div>
+                                            {needsScoring(company) ? (
+                                                <div
+                                                    className="flex items-center gap-1 text-xs px-2 py-1 rounded-full font-medium bg-amber-100 text-amber-800"
+                                                    title={company.evaluationError || 'AI evaluation has not run yet'}
+                                                >
+                                                    <AlertCircle className="w-3 h-3" />
+                                                    Needs scoring
+                                                </div>
+                                            ) : (
+                                                <>
+                                                    <div className={`text-xs px-2 py-1 rounded-full font-medium ${getMatchScoreBadge(company.aiMatchScore)}`}>
+                                                        {company.aiMatchScore}% Match
+                                                    </div>
+                                                    <div className="text-xs text-gray-600">
+                                                        WLB: {company.workLifeBalance?.score || 0}/10
+                                                    </div>
+                                                </>
+                                            )}
+                                            {company.priorityScore !== undefined && (
+                                                <div className="text-xs text-gray-500" title="Weighted by your ranking weights in Profile">
+                                                    Priority: {company.priorityScore}
+                                                </div>
+                                            )}
+                                            {company.lastScoreChange?.significant && (
+                                                <div
+                                                    className={`flex items-center gap-1 text-xs font-medium ${company.lastScoreChange.matchDelta >= 0 ? 'text-green-600' : 'text-red-600'}`}
+                                                    title={`Re-scored ${new Date(company.lastScoreChange.changedAt).toLocaleDateString()}: match ${company.lastScoreChange.matchDelta >= 0 ? '+' : ''}${company.lastScoreChange.matchDelta}, WLB ${company.lastScoreChange.wlbDelta >= 0 ? '+' : ''}${company.lastScoreChange.wlbDelta}`}
+                                                >
+                                                    {company.lastScoreChange.matchDelta >= 0 ?
+                                                        <TrendingUp className="w-3 h-3" /> :
+                                                        <TrendingDown className="w-3 h-3" />}
+                                                    {company.lastScoreChange.matchDelta >= 0 ? '+' : ''}{company.lastScoreChange.matchDelta} since re-score
+                                                </div>
+                                            )}
                                         </div>
                                     </td>
 
@@ -672,6 +746,10 @@ const CompaniesTable = ({ companies, onGenerateEmail, onUpdateStatus, onDeleteCo
                         setSelectedCompanyForModal(prev => ({ ...prev, status }));
                     }
                 }}
+                onContactsChange={(companyId, hrContacts) => {
+                    setSelectedCompanyForModal(prev => prev ? { ...prev, hrContacts } : prev);
+                    if (onContactsChange) onContactsChange(companyId, hrContacts);
+                }}
             />
         </div>
     );
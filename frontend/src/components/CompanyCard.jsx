@@ -1,7 +1,10 @@
 import React from 'react';
-import { MapPin, Building, Users, Globe, Star, Mail } from 'lucide-react';
+import { MapPin, Building, Users, Globe, Star, Mail, AlertTriangle } from 'lucide-react';
 
 const CompanyCard = ({ company, onGenerateEmail, onUpdateStatus }) => {
+    // Saved without scores because the AI evaluation failed or never ran
+    const needsScoring = company.evaluationStatus === 'failed' || company.evaluationStatus === 'pending';
+
     const getPriorityBadge = () => {
         if (company.isLocalPriority) {
             return (
@@ -42,14 +45,24 @@ const CompanyCard = ({ company, onGenerateEmail, onUpdateStatus }) => {
                         </p>
                     </div>
                 </div>
-                <div className="text-right space-y-2">
-                    <div className={`text-sm px-3 py-1 rounded-full font-medium ${getMatchScoreColor(company.aiMatchScore)}`}>
-                        {company.aiMatchScore}% AI Match
+                {needsScoring ? (
+                    <div
+                        className="flex items-center gap-1 text-sm px-3 py-1 rounded-full font-medium bg-amber-100 text-amber-800"
+                        title={company.evaluationError || 'AI evaluation has not run yet'}
+                    >
+                        <AlertTriangle className="w-4 h-4" />
+                        Needs scoring
                     </div>
-                    <div className={`text-sm px-3 py-1 rounded-full font-medium ${getWLBScoreColor(company.workLifeBalanceScore)}`}>
-                        {company.workLifeBalanceScore}/10 WLB
+                ) : (
+                    <div className="text-right space-y-2">
+                        <div className={`text-sm px-3 py-1 rounded-full font-medium ${getMatchScoreColor(company.aiMatchScore)}`}>
+                            {company.aiMatchScore}% AI Match
+                        </div>
+                        <div className={`text-sm px-3 py-1 rounded-full font-medium ${getWLBScoreColor(company.workLifeBalanceScore)}`}>
+                            {company.workLifeBalanceScore}/10 WLB
+                        </div>
                     </div>
-                </div>
+                )}
             </div>
 
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
@@ -1,8 +1,9 @@
 import React from 'react';
 import { X } from 'lucide-react';
 import CompanyCard from './CompanyCard';
+import ContactDisplay from './ContactDisplay';
 
-const CompanyModal = ({ isOpen, onClose, company, onGenerateEmail, onUpdateStatus }) => {
+const CompanyModal = ({ isOpen, onClose, company, onGenerateEmail, onUpdateStatus, onContactsChange }) => {
     if (!isOpen || !company) return null;
 
     // Ensure company has all required fields for CompanyCard
@@ -49,22 +50,57 @@ const CompanyModal = ({ isOpen, onClose, company, onGenerateEmail, onUpdateStatu
                         )}
 
                         {/* All HR Contacts */}
-                        {company.hrContacts && company.hrContacts.length > 1 && (
+                        <div className="bg-blue-50 p-4 rounded-lg">
+                            <ContactDisplay
+                                contacts={company.hrContacts || []}
+                                companyName={company.name}
+                                companyId={companyData.id}
+                                onContactsChange={onContactsChange && ((hrContacts) => onContactsChange(companyData.id, hrContacts))}
+                            />
+                        </div>
+
+                        {/* Score Breakdown */}
+                        {company.matchBreakdown && company.matchBreakdown.length > 0 && (
                             <div className="bg-blue-50 p-4 rounded-lg">
-                                <h3 className="font-semibold text-blue-800 mb-3">All HR Contacts ({company.hrContacts.length})</h3>
+                                <h3 className="font-semibold text-blue-800 mb-3">
+                                    Score Breakdown ({company.aiMatchScore}%)
+                                </h3>
                                 <div className="space-y-3">
-                                    {company.hrContacts.map((contact, index) => (
-                                        <div key={index} className="bg-white p-3 rounded border border-blue-200">
-                                            <div className="font-medium text-gray-800">{contact.name}</div>
-                                            <div className="text-sm text-gray-600">{contact.title}</div>
-                                            <div className="text-sm text-blue-600">{contact.email}</div>
-                                            <div className="text-xs text-gray-500 mt-1">
-                                                {contact.confidence}% confidence • {contact.source}
-                                                {contact.verified && " • Verified ✓"}
+                                    {company.matchBreakdown.map((entry) => (
+                                        <div key={entry.factor}>
+                                            <div className="flex justify-between text-sm">
+                                                <span className="font-medium text-gray-800">
+                                                    {entry.label}
+                                                    <span className="ml-1 text-xs text-gray-500">
+                                                        ({Math.round(entry.weight * 100)}% weight)
+                                                    </span>
+                                                </span>
+                                                <span className="text-gray-700">
+                                                    {entry.score}/100
+                                                    <span className="ml-1 text-xs text-gray-500">
+                                                        +{Math.round(entry.weight * entry.score)} pts
+                                                    </span>
+                                                </span>
                                             </div>
+                                            <div className="w-full bg-blue-100 rounded-full h-1.5 mt-1">
+                                                <div
+                                                    className="bg-blue-500 h-1.5 rounded-full"
+                                                    style={{ width: `${entry.score}%` }}
+                                                />
+                                            </div>
+                                            {entry.reason && (
+                                                <p className="text-xs text-gray-600 mt-1">{entry.reason}</p>
+                                            )}
                                         </div>
                                     ))}
                                 </div>
+                                {company.scoreProvenance?.model && (
+                                    <p className="text-xs text-gray-500 mt-3">
+                                        Scored by {company.scoreProvenance.provider}/{company.scoreProvenance.model}
+                                        {company.scoreProvenance.evaluatedAt && ` on ${new Date(company.scoreProvenance.evaluatedAt).toLocaleDateString()}`}
+                                        {company.scoreProvenance.repaired && ' • response repaired'}
+                                    </p>
+                                )}
                             </div>
                         )}
 
@@ -84,7 +120,7 @@ const CompanyModal = ({ isOpen, onClose, company, onGenerateEmail, onUpdateStatu
                         )}
 
                         {/* Work-Life Balance Details */}
-                        {company.workLifeBalance && (
+                        {company.workLifeBalance?.score && (
                             <div className="bg-purple-50 p-4 rounded-lg">
                                 <h3 className="font-semibold text-purple-800 mb-2">
                                     Work-Life Balance Analysis ({company.workLifeBalance.score}/10)
@@ -140,12 +176,22 @@ const CompanyModal = ({ isOpen, onClose, company, onGenerateEmail, onUpdateStatu
                                 </h3>
                                 <div className="space-y-2">
                                     {company.emailHistory.map((email, index) => (
-                                        <div key={index} className="text-sm text-gray-600 flex justify-between">
-                                            <span>{email.subject}</span>
-                                            <span className="text-xs">
-                                                {new Date(email.generatedAt).toLocaleDateString()}
-                                                {email.sent && " • Sent ✓"}
-                                            </span>
+                                        <div key={index} className="text-sm text-gray-600">
+                                            <div className="flex justify-between">
+                                                <span>{email.subject}</span>
+                                                <span className="text-xs">
+                                                    {new Date(email.generatedAt).toLocaleDateString()}
+                                                    {email.sent && " • Sent ✓"}
+                                                    {email.repliedAt && " • Replied"}
+                                                </span>
+                                            </div>
+                                            {email.replies?.map(reply => (
+                                                <div key={reply.messageId} className="mt-1 ml-3 pl-2 border-l-2 border-blue-200 text-xs">
+                                                    <span className="font-medium text-gray-700">{reply.from}</span>
+                                                    {' • '}{new Date(reply.receivedAt).toLocaleString()}
+                                                    {reply.snippet && <p className="text-gray-600">{reply.snippet}</p>}
+                                                </div>
+                                            ))}
                                         </div>
                                     ))}
                                 </div>
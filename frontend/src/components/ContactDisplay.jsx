@@ -8,14 +8,82 @@ import {
     EyeOff,
     User,
     Building,
-    Shield
+    Shield,
+    Plus,
+    Pencil,
+    Trash2,
+    Star,
+    MailCheck
 } from 'lucide-react';
+import { companiesAPI } from '../services/api';
 
-const ContactDisplay = ({ contacts, companyName, compact = false }) => {
+const EMPTY_CONTACT = { name: '', email: '', title: '' };
+
+// Add/edit form for one contact
+const ContactForm = ({ initial = EMPTY_CONTACT, saving, onSave, onCancel }) => {
+    const [form, setForm] = useState({
+        name: initial.name || '',
+        email: initial.email || '',
+        title: initial.title || ''
+    });
+
+    const setField = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+    return (
+        <div className="bg-white p-3 rounded border border-blue-200 space-y-2">
+            <input className="input" placeholder="Name" value={form.name} onChange={setField('name')} />
+            <input className="input" placeholder="Email (required)" type="email" value={form.email} onChange={setField('email')} />
+            <input className="input" placeholder="Title, e.g. Talent Acquisition Manager" value={form.title} onChange={setField('title')} />
+            <div className="flex gap-2">
+                <button
+                    type="button"
+                    onClick={() => onSave(form)}
+                    disabled={saving || !form.email.trim()}
+                    className="btn btn-primary text-sm"
+                >
+                    {saving ? 'Saving...' : 'Save'}
+                </button>
+                <button type="button" onClick={onCancel} className="btn btn-secondary text-sm">
+                    Cancel
+                </button>
+            </div>
+        </div>
+    );
+};
+
+// Contacts are editable when companyId and onContactsChange(hrContacts) are
+// given; changes are saved right away and the updated list is passed back.
+const ContactDisplay = ({ contacts, companyName, compact = false, companyId, onContactsChange }) => {
     const [showAllContacts, setShowAllContacts] = useState(false);
     const [obscureEmails, setObscureEmails] = useState(true);
+    // null, 'new' or the _id of the contact being edited
+    const [editing, setEditing] = useState(null);
+    const [saving, setSaving] = useState(false);
+    const [editError, setEditError] = useState(null);
+
+    const editable = !compact && !!companyId && !!onContactsChange;
+
+    // Runs a contacts API call and hands the updated list to the parent
+    const saveContacts = async (apiCall) => {
+        setSaving(true);
+        setEditError(null);
+        try {
+            const response = await apiCall();
+            onContactsChange(response.data.data.hrContacts);
+            setEditing(null);
+        } catch (error) {
+            setEditError(error.response?.data?.message || error.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = (contact) => {
+        if (!window.confirm(`Remove ${contact.name || contact.email} from ${companyName}?`)) return;
+        saveContacts(() => companiesAPI.deleteContact(companyId, contact._id));
+    };
 
-    if (!contacts || contacts.length === 0) {
+    if ((!contacts || contacts.length === 0) && !editable) {
         return (
             <div className="no-contact-state">
                 <AlertCircle className="no-contact-icon" />
@@ -171,12 +239,53 @@ const ContactDisplay = ({ contacts, companyName, compact = false }) => {
                         {obscureEmails ? <Eye className="w-3 h-3" /> : <EyeOff className="w-3 h-3" />}
                         {obscureEmails ? 'Show' : 'Hide'} emails
                     </button>
+                    {editable && contacts.length > 0 && (
+                        <button
+                            onClick={() => saveContacts(() => companiesAPI.verifyContacts(companyId))}
+                            disabled={saving}
+                            className="text-blue-600 hover:text-blue-800 flex items-center gap-1"
+                            title="Check that each email address can receive mail"
+                        >
+                            <MailCheck className="w-3 h-3" />
+                            Verify emails
+                        </button>
+                    )}
+                    {editable && (
+                        <button
+                            onClick={() => setEditing('new')}
+                            disabled={saving}
+                            className="text-blue-600 hover:text-blue-800 flex items-center gap-1"
+                        >
+                            <Plus className="w-3 h-3" />
+                            Add contact
+                        </button>
+                    )}
                 </div>
             </div>
 
+            {editError && (
+                <div className="text-xs text-red-600">{editError}</div>
+            )}
+
+            {editing === 'new' && (
+                <ContactForm
+                    saving={saving}
+                    onSave={(form) => saveContacts(() => companiesAPI.addContact(companyId, form))}
+                    onCancel={() => setEditing(null)}
+                />
+            )}
+
             <div className="space-y-3">
-                {contacts.map((contact, index) => (
-                    <div key={index} className={getContactCardClass(contact)}>
+                {contacts.map((contact, index) => editing === contact._id ? (
+                    <ContactForm
+                        key={contact._id}
+                        initial={contact}
+                        saving={saving}
+                        onSave={(form) => saveContacts(() => companiesAPI.updateContact(companyId, contact._id, form))}
+                        onCancel={() => setEditing(null)}
+                    />
+                ) : (
+                    <div key={contact._id || index} className={getContactCardClass(contact)}>
                         <div className="flex justify-between items-start mb-2">
                             <div className={getContactTextClass(contact, 'name')}>
                                 {contact.name || 'Unknown'}
@@ -189,8 +298,38 @@ const ContactDisplay = ({ contacts, companyName, compact = false }) => {
                                     </span>
                                 )}
                             </div>
-                            <div className="text-xs text-gray-500">
+                            <div className="flex items-center gap-2 text-xs text-gray-500">
                                 {contact.confidence || 0}% confidence
+                                {editable && (
+                                    <>
+                                        {index !== 0 && (
+                                            <button
+                                                onClick={() => saveContacts(() => companiesAPI.setPrimaryContact(companyId, contact._id))}
+                                                disabled={saving}
+                                                className="text-gray-400 hover:text-blue-600"
+                                                title="Make primary contact"
+                                            >
+                                                <Star className="w-3 h-3" />
+                                            </button>
+                                        )}
+                                        <button
+                                            onClick={() => setEditing(contact._id)}
+                                            disabled={saving}
+                                            className="text-gray-400 hover:text-gray-700"
+                                            title="Edit contact"
+                                        >
+                                            <Pencil className="w-3 h-3" />
+                                        </button>
+                                        <button
+                                            onClick={() => handleDelete(contact)}
+                                            disabled={saving}
+                                            className="text-gray-400 hover:text-red-600"
+                                            title="Remove contact"
+                                        >
+                                            <Trash2 className="w-3 h-3" />
+                                        </button>
+                                    </>
+                                )}
                             </div>
                         </div>
 
@@ -225,11 +364,21 @@ const ContactDisplay = ({ contacts, companyName, compact = false }) => {
                                     <span>Verified contact</span>
                                 </div>
                             )}
+                            {contact.verificationStatus && contact.verificationStatus !== 'unverified' && (
+                                <div title={contact.verificationReason}>
+                                    Email {contact.verificationStatus}
+                                    {contact.verificationCheckedAt && ` (checked ${new Date(contact.verificationCheckedAt).toLocaleDateString()})`}
+                                </div>
+                            )}
                         </div>
                     </div>
                 ))}
             </div>
 
+            {contacts.length === 0 && editing !== 'new' && (
+                <div className="text-sm text-gray-500">No contacts yet. Add one you found yourself.</div>
+            )}
+
             {contacts.length > 0 && (
                 <div className="bg-blue-50 p-3 rounded-lg text-xs text-blue-700">
                     <strong>Tip:</strong> Start with the primary contact (highest confidence) for initial outreach.
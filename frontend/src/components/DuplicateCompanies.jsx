@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { Copy, GitMerge } from 'lucide-react';
+import { companiesAPI } from '../services/api';
+
+// Finds saved companies that are really the same one ("Acme", "Acme Inc.",
+// "acme.com") and merges each group into the record the user keeps.
+const DuplicateCompanies = ({ onMerged }) => {
+    const [groups, setGroups] = useState(null);
+    // Group (by its suggested survivor) -> id of the company to keep
+    const [survivors, setSurvivors] = useState({});
+    const [loading, setLoading] = useState(false);
+    const [mergingGroup, setMergingGroup] = useState(null);
+    const [error, setError] = useState(null);
+
+    const findDuplicates = async () => {
+        setLoading(true);
+        setError(null);
+        try {
+            const response = await companiesAPI.getDuplicates();
+            const found = response.data.data.groups;
+            setGroups(found);
+            setSurvivors(Object.fromEntries(found.map(group => [group.suggestedSurvivorId, group.suggestedSurvivorId])));
+        } catch (err) {
+            setError(err.response?.data?.message || err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const mergeGroup = async (group) => {
+        const survivorId = survivors[group.suggestedSurvivorId];
+        const duplicateIds = group.companies
+            .map(company => company._id)
+            .filter(id => id !== survivorId);
+
+        setMergingGroup(group.suggestedSurvivorId);
+        setError(null);
+        try {
+            const response = await companiesAPI.mergeCompanies(survivorId, duplicateIds);
+            setGroups(prev => prev.filter(other => other !== group));
+            if (onMerged) onMerged(response.data.message);
+        } catch (err) {
+            setError(err.response?.data?.message || err.message);
+        } finally {
+            setMergingGroup(null);
+        }
+    };
+
+    return (
+        <div className="bg-white p-4 rounded-lg border">
+            <div className="flex items-center justify-between">
+                <h3 className="font-semibold text-gray-800 flex items-center gap-2">
+                    <Copy className="w-4 h-4" />
+                    Duplicate Companies
+                </h3>
+                <button
+                    type="button"
+                    onClick={findDuplicates}
+                    disabled={loading}
+                    className="btn btn-secondary text-sm"
+                >
+                    {loading ? 'Checking...' : groups ? 'Check Again' : 'Find Duplicates'}
+                </button>
+            </div>
+
+            {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+
+            {groups && groups.length === 0 && (
+                <p className="text-sm text-gray-500 mt-2">No duplicates found.</p>
+            )}
+
+            {groups && groups.length > 0 && (
+                <div className="space-y-4 mt-4">
+                    {groups.map(group => (
+                        <div key={group.suggestedSurvivorId} className="border rounded-lg p-3">
+                            <p className="text-xs text-gray-500 mb-2">Choose the record to keep; the others are merged into it and deleted.</p>
+                            <div className="space-y-1">
+                                {group.companies.map(company => (
+                                    <label key={company._id} className="flex items-center gap-2 text-sm">
+                                        <input
+                                            type="radio"
+                                            name={`survivor-${group.suggestedSurvivorId}`}
+                                            checked={survivors[group.suggestedSurvivorId] === company._id}
+                                            onChange={() => setSurvivors(prev => ({ ...prev, [group.suggestedSurvivorId]: company._id }))}
+                                        />
+                                        <span className="font-medium text-gray-800">{company.name}</span>
+                                        {company.domain && <span className="text-gray-500">{company.domain}</span>}
+                                        <span className="text-xs text-gray-500">
+                                            {company.aiMatchScore ?? '–'}% match • {company.contactCount} contacts • {company.noteCount} notes • {company.emailCount} emails • {company.status}
+                                        </span>
+                                        {company.matchedOn.length > 0 && (
+                                            <span className="text-xs text-blue-600">same {company.matchedOn.join(' & ')}</span>
+                                        )}
+                                    </label>
+                                ))}
+                            </div>
+                            <button
+                                type="button"
+                                onClick={() => mergeGroup(group)}
+                                disabled={mergingGroup !== null}
+                                className="btn btn-primary text-sm mt-3 flex items-center gap-2"
+                            >
+                                <GitMerge className="w-4 h-4" />
+                                {mergingGroup === group.suggestedSurvivorId ? 'Merging...' : `Merge ${group.companies.length} records`}
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default DuplicateCompanies;
@@ -1,15 +1,19 @@
 import React, { useState, useEffect } from 'react';
-import { X, Copy, Send, Mail, User, MapPin, Phone, Linkedin, Globe, Edit3, Check } from 'lucide-react';
+import { X, Copy, Send, Mail, User, MapPin, Phone, Linkedin, Globe, Edit3, Check, ExternalLink } from 'lucide-react';
+import { emailAPI } from '../services/api';
 
-const EmailModal = ({ isOpen, onClose, company, emailTemplate }) => {
+const EmailModal = ({ isOpen, onClose, company, emailTemplate, onSent }) => {
     const [copied, setCopied] = useState(false);
     const [editMode, setEditMode] = useState(false);
     const [editedContent, setEditedContent] = useState('');
+    // { status: 'sending' | 'sent' | 'queued' | 'failed', message }
+    const [delivery, setDelivery] = useState(null);
 
     useEffect(() => {
         if (emailTemplate?.content || emailTemplate?.body) {
             setEditedContent(emailTemplate.content || emailTemplate.body);
         }
+        setDelivery(null);
     }, [emailTemplate]);
 
     if (!isOpen || !company || !emailTemplate) return null;
@@ -41,6 +45,36 @@ const EmailModal = ({ isOpen, onClose, company, emailTemplate }) => {
         window.open(`mailto:${to}?subject=${subject}&body=${body}`);
     };
 
+    const handleSend = async () => {
+        setDelivery({ status: 'sending', message: `Sending to ${emailTemplate.recipientEmail}...` });
+        try {
+            const response = await emailAPI.send(company.id || company._id, {
+                to: emailTemplate.recipientEmail,
+                subject: emailTemplate.subject,
+                body: editedContent || emailTemplate.content || emailTemplate.body,
+                emailHistoryId: emailTemplate.emailHistoryId
+            });
+            const outbox = response.data.data;
+            setDelivery({ status: outbox.status, message: response.data.message });
+            setEditMode(false);
+            if (onSent) onSent(company, outbox);
+        } catch (err) {
+            const outbox = err.response?.data?.data;
+            const message = err.response?.data?.message || err.message;
+            setDelivery({
+                status: 'failed',
+                message: outbox?.lastError ? `${message}: ${outbox.lastError}` : message
+            });
+        }
+    };
+
+    const deliveryStyles = {
+        sending: 'bg-blue-50 text-blue-700',
+        sent: 'bg-green-50 text-green-700',
+        queued: 'bg-yellow-50 text-yellow-700',
+        failed: 'bg-red-50 text-red-700'
+    };
+
     console.log('EmailModal rendering with:', { company, template });
 
     const handleEditToggle = () => {
@@ -257,8 +291,25 @@ const EmailModal = ({ isOpen, onClose, company, emailTemplate }) => {
                     </div>
                 </div>
 
+                {delivery && (
+                    <div className={`px-6 py-3 text-sm border-t ${deliveryStyles[delivery.status] || deliveryStyles.failed}`}>
+                        {delivery.message}
+                    </div>
+                )}
+
                 {/* Footer - Fixed */}
                 <div className="flex gap-3 p-6 border-t bg-gray-50 flex-shrink-0">
+                    <button
+                        onClick={handleSend}
+                        disabled={!emailTemplate.recipientEmail || ['sending', 'sent', 'queued'].includes(delivery?.status)}
+                        className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        <Send className="w-4 h-4" />
+                        {delivery?.status === 'sending' ? 'Sending...' :
+                            delivery?.status === 'sent' ? 'Sent' :
+                                delivery?.status === 'failed' ? 'Retry Send' : 'Send'}
+                    </button>
+
                     <button
                         onClick={handleCopy}
                         className={`px-4 py-2 rounded-lg transition-colors flex items-center gap-2 ${
@@ -273,7 +324,7 @@ const EmailModal = ({ isOpen, onClose, company, emailTemplate }) => {
                         onClick={handleEmailClient}
                         className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors flex items-center gap-2"
                     >
-                        <Send className="w-4 h-4" />
+                        <ExternalLink className="w-4 h-4" />
                         Open in Email Client
                     </button>
 
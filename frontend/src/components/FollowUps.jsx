@@ -0,0 +1,379 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Repeat, Send, SkipForward, RefreshCw, Edit3, XCircle, Plus, Trash2, Settings } from 'lucide-react';
+import { followUpsAPI, profileAPI } from '../services/api';
+
+const STATUS_STYLES = {
+    scheduled: 'bg-gray-100 text-gray-600',
+    draft: 'bg-yellow-100 text-yellow-800',
+    queued: 'bg-indigo-100 text-indigo-800',
+    failed: 'bg-red-100 text-red-800'
+};
+
+const STATUS_LABELS = {
+    draft: 'Ready to review',
+    queued: 'Retrying'
+};
+
+// One follow-up: review, edit and send, skip or redraft it
+const FollowUpItem = ({ followUp, smtpConfigured, onUpdated, onStopCompany, onError }) => {
+    const [editing, setEditing] = useState(false);
+    const [form, setForm] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const reviewable = ['draft', 'failed'].includes(followUp.status) && followUp.body;
+
+    const startEditing = () => {
+        setForm({ subject: followUp.subject || '', body: followUp.body || '' });
+        setEditing(true);
+    };
+
+    const run = async (action) => {
+        setBusy(true);
+        try {
+            const response = await action();
+            onUpdated(response.data.data);
+            setEditing(false);
+        } catch (err) {
+            const data = err.response?.data;
+            if (data?.data) onUpdated(data.data);
+            onError(data?.message || err.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div className="border rounded-lg p-3">
+            <div className="flex items-start justify-between gap-3">
+                <div className="min-w-0">
+                    <div className="flex items-center gap-2">
+                        <span className="font-medium text-gray-800">{followUp.companyName}</span>
+                        <span className={`text-xs px-2 py-0.5 rounded-full ${STATUS_STYLES[followUp.status]}`}>
+                            {STATUS_LABELS[followUp.status] || followUp.status}
+                        </span>
+                        <span className="text-xs text-gray-500">
+                            {followUp.label || `Follow-up ${followUp.step}`} ({followUp.step}/{followUp.totalSteps})
+                        </span>
+                    </div>
+                    <p className="text-sm text-gray-600 truncate">
+                        {followUp.to} — {followUp.subject || `Re: ${followUp.originalSubject || ''}`}
+                    </p>
+                    <p className="text-xs text-gray-500 mt-1">
+                        {followUp.status === 'scheduled' ?
+                            `Draft due ${new Date(followUp.dueAt).toLocaleDateString()}` :
+                            `Original sent ${new Date(followUp.originalSentAt).toLocaleDateString()}`}
+                    </p>
+                    {followUp.error && <p className="text-xs text-red-600 mt-1">{followUp.error}</p>}
+                </div>
+
+                {!editing && (
+                    <div className="flex gap-2 flex-shrink-0">
+                        {reviewable && (
+                            <>
+                                <button type="button" onClick={startEditing} className="btn btn-ghost text-xs flex items-center gap-1">
+                                    <Edit3 className="w-3 h-3" />
+                                    Edit
+                                </button>
+                                <button
+                                    type="button"
+                                    onClick={() => run(() => followUpsAPI.send(followUp._id))}
+                                    disabled={busy || !smtpConfigured}
+                                    className="btn btn-success text-xs flex items-center gap-1"
+                                    title={smtpConfigured ? 'Send as a reply to the original email' : 'SMTP is not configured on the server'}
+                                >
+                                    <Send className="w-3 h-3" />
+                                    Approve & Send
+                                </button>
+                                <button type="button" onClick={() => run(() => followUpsAPI.redraft(followUp._id))} disabled={busy} className="btn btn-ghost text-xs flex items-center gap-1">
+                                    <RefreshCw className={`w-3 h-3 ${busy ? 'animate-spin' : ''}`} />
+                                    Redraft
+                                </button>
+                            </>
+                        )}
+                        {followUp.status !== 'queued' && (
+                            <button type="button" onClick={() => run(() => followUpsAPI.skip(followUp._id))} disabled={busy} className="btn btn-secondary text-xs flex items-center gap-1">
+                                <SkipForward className="w-3 h-3" />
+                                Skip
+                            </button>
+                        )}
+                        <button
+                            type="button"
+                            onClick={() => onStopCompany(followUp)}
+                            disabled={busy}
+                            className="btn btn-ghost text-xs flex items-center gap-1"
+                            title="Stop every follow-up to this company"
+                        >
+                            <XCircle className="w-3 h-3" />
+                            Stop
+                        </button>
+                    </div>
+                )}
+            </div>
+
+            {reviewable && !editing && (
+                <p className="text-sm text-gray-700 whitespace-pre-wrap mt-3 bg-gray-50 p-3 rounded">{followUp.body}</p>
+            )}
+
+            {editing && (
+                <div className="space-y-2 mt-3">
+                    <input
+                        type="text"
+                        value={form.subject}
+                        onChange={(e) => setForm({ ...form, subject: e.target.value })}
+                        className="input text-sm"
+                        placeholder="Subject"
+                    />
+                    <textarea
+                        value={form.body}
+                        onChange={(e) => setForm({ ...form, body: e.target.value })}
+                        className="input text-sm min-h-[160px]"
+                    />
+                    <div className="flex gap-2">
+                        <button type="button" onClick={() => run(() => followUpsAPI.update(followUp._id, form))} disabled={busy} className="btn btn-primary text-xs">
+                            Save
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => run(() => followUpsAPI.send(followUp._id, form))}
+                            disabled={busy || !smtpConfigured}
+                            className="btn btn-success text-xs flex items-center gap-1"
+                        >
+                            <Send className="w-3 h-3" />
+                            Save & Send
+                        </button>
+                        <button type="button" onClick={() => setEditing(false)} className="btn btn-ghost text-xs">
+                            Cancel
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// The follow-up sequence (see settings.followUpSequence in
+// backend/models/UserProfile.js)
+const SequenceEditor = ({ sequence, onSaved, onCancel }) => {
+    const [form, setForm] = useState(sequence);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    const setStep = (index, changes) => setForm({
+        ...form,
+        steps: form.steps.map((step, i) => i === index ? { ...step, ...changes } : step)
+    });
+
+    const addStep = () => {
+        const lastDelay = form.steps[form.steps.length - 1]?.delayDays || 0;
+        setForm({ ...form, steps: [...form.steps, { delayDays: Math.min(lastDelay + 7, 90), label: '' }] });
+    };
+
+    const handleSave = async () => {
+        setSaving(true);
+        setError(null);
+        try {
+            await profileAPI.updateSettings({ followUpSequence: form });
+            const response = await profileAPI.getFollowUpSequence();
+            onSaved(response.data.followUpSequence);
+        } catch (err) {
+            setError(err.response?.data?.message || err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="space-y-3 text-sm border-t pt-4">
+            <label className="flex items-center gap-2">
+                <input
+                    type="checkbox"
+                    checked={form.enabled}
+                    onChange={(e) => setForm({ ...form, enabled: e.target.checked })}
+                />
+                <span className="text-gray-700">Schedule follow-ups for every email I send</span>
+            </label>
+
+            {form.steps.map((step, index) => (
+                <div key={index} className="flex items-center gap-2">
+                    <span className="text-gray-700 w-20">Step {index + 1}</span>
+                    <input
+                        type="number"
+                        min="1"
+                        max="90"
+                        value={step.delayDays}
+                        onChange={(e) => setStep(index, { delayDays: parseInt(e.target.value) || 1 })}
+                        className="input w-24"
+                    />
+                    <span className="text-gray-600">days after the original</span>
+                    <input
+                        type="text"
+                        value={step.label || ''}
+                        onChange={(e) => setStep(index, { label: e.target.value })}
+                        className="input flex-1"
+                        placeholder="Label, e.g. Nudge"
+                    />
+                    <button
+                        type="button"
+                        onClick={() => setForm({ ...form, steps: form.steps.filter((_, i) => i !== index) })}
+                        className="btn btn-ghost text-xs"
+                        title="Remove step"
+                    >
+                        <Trash2 className="w-3 h-3" />
+                    </button>
+                </div>
+            ))}
+
+            {form.steps.length < 5 && (
+                <button type="button" onClick={addStep} className="btn btn-ghost text-xs flex items-center gap-1">
+                    <Plus className="w-3 h-3" />
+                    Add step
+                </button>
+            )}
+
+            <p className="text-xs text-gray-500">
+                Changes apply to emails sent from now on. Follow-ups stop when a company is marked responded, interview, rejected or hired.
+            </p>
+            {error && <p className="text-sm text-red-600">{error}</p>}
+
+            <div className="flex gap-2">
+                <button type="button" onClick={handleSave} disabled={saving} className="btn btn-primary text-xs">
+                    {saving ? 'Saving...' : 'Save Sequence'}
+                </button>
+                <button type="button" onClick={onCancel} className="btn btn-ghost text-xs">
+                    Cancel
+                </button>
+            </div>
+        </div>
+    );
+};
+
+// Follow-ups for outreach without a reply: drafts to approve and the
+// steps still scheduled. The server writes the drafts when they are due.
+const FollowUps = ({ onNotify }) => {
+    const [followUps, setFollowUps] = useState([]);
+    const [smtpConfigured, setSmtpConfigured] = useState(true);
+    const [sequence, setSequence] = useState(null);
+    const [editingSequence, setEditingSequence] = useState(false);
+    const [error, setError] = useState(null);
+
+    const load = useCallback(async () => {
+        try {
+            const [listResponse, sequenceResponse] = await Promise.all([
+                followUpsAPI.getAll(),
+                profileAPI.getFollowUpSequence()
+            ]);
+            setFollowUps(listResponse.data.data);
+            setSmtpConfigured(listResponse.data.smtpConfigured);
+            setSequence(sequenceResponse.data.followUpSequence);
+        } catch (err) {
+            setError(err.response?.data?.message || err.message);
+        }
+    }, []);
+
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    const handleUpdated = (updated) => {
+        setFollowUps(prev => ['scheduled', 'draft', 'queued', 'failed'].includes(updated.status) ?
+            prev.map(followUp => followUp._id === updated._id ? updated : followUp) :
+            prev.filter(followUp => followUp._id !== updated._id));
+        if (updated.status === 'sent' && onNotify) onNotify(`Follow-up sent to ${updated.to}`, 'success');
+    };
+
+    const handleStopCompany = async (followUp) => {
+        if (!confirm(`Stop all follow-ups to ${followUp.companyName}?`)) return;
+        try {
+            const response = await followUpsAPI.stopForCompany(followUp.company);
+            setFollowUps(prev => prev.filter(item => item.company !== followUp.company || item.status === 'queued'));
+            if (onNotify) onNotify(response.data.message, 'success');
+        } catch (err) {
+            setError(err.response?.data?.message || err.message);
+        }
+    };
+
+    const drafts = followUps.filter(followUp => followUp.status !== 'scheduled');
+    const upcoming = followUps.filter(followUp => followUp.status === 'scheduled');
+
+    return (
+        <div className="bg-white p-6 rounded-lg border space-y-4">
+            <div className="flex items-center justify-between">
+                <h3 className="text-xl font-semibold text-gray-800 flex items-center gap-2">
+                    <Repeat className="w-5 h-5" />
+                    Follow-ups
+                </h3>
+                {sequence && !editingSequence && (
+                    <button type="button" onClick={() => setEditingSequence(true)} className="btn btn-ghost text-sm flex items-center gap-1">
+                        <Settings className="w-4 h-4" />
+                        Sequence
+                    </button>
+                )}
+            </div>
+
+            {sequence && !editingSequence && (
+                <p className="text-sm text-gray-600">
+                    {sequence.enabled && sequence.steps.length > 0 ?
+                        `After each email: ${sequence.steps.map(step => `${step.label || 'follow-up'} on day ${step.delayDays}`).join(', ')}.` :
+                        'Follow-ups are turned off.'}
+                </p>
+            )}
+            {editingSequence && (
+                <SequenceEditor
+                    sequence={sequence}
+                    onSaved={(saved) => {
+                        setSequence(saved);
+                        setEditingSequence(false);
+                        if (onNotify) onNotify('Follow-up sequence saved', 'success');
+                    }}
+                    onCancel={() => setEditingSequence(false)}
+                />
+            )}
+
+            {!smtpConfigured && (
+                <p className="text-sm text-orange-700 bg-orange-50 p-3 rounded">
+                    Email sending is not configured on the server, so follow-ups can be reviewed but not sent.
+                </p>
+            )}
+            {error && <p className="text-sm text-red-600">{error}</p>}
+
+            {drafts.length > 0 && (
+                <div className="space-y-3">
+                    <h4 className="font-medium text-gray-800">To review ({drafts.length})</h4>
+                    {drafts.map(followUp => (
+                        <FollowUpItem
+                            key={followUp._id}
+                            followUp={followUp}
+                            smtpConfigured={smtpConfigured}
+                            onUpdated={handleUpdated}
+                            onStopCompany={handleStopCompany}
+                            onError={setError}
+                        />
+                    ))}
+                </div>
+            )}
+
+            {upcoming.length > 0 && (
+                <div className="space-y-3">
+                    <h4 className="font-medium text-gray-800">Scheduled ({upcoming.length})</h4>
+                    {upcoming.map(followUp => (
+                        <FollowUpItem
+                            key={followUp._id}
+                            followUp={followUp}
+                            smtpConfigured={smtpConfigured}
+                            onUpdated={handleUpdated}
+                            onStopCompany={handleStopCompany}
+                            onError={setError}
+                        />
+                    ))}
+                </div>
+            )}
+
+            {followUps.length === 0 && (
+                <p className="text-sm text-gray-500">
+                    No follow-ups waiting. They are scheduled when you send an email or mark one as sent.
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default FollowUps;
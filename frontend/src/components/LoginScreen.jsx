@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import { Brain, LogIn, UserPlus } from 'lucide-react';
+
+const LoginScreen = ({ onLogin, onRegister, error }) => {
+    const [mode, setMode] = useState('login');
+    const [username, setUsername] = useState('');
+    const [password, setPassword] = useState('');
+    const [displayName, setDisplayName] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+
+    const isRegister = mode === 'register';
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSubmitting(true);
+        if (isRegister) {
+            await onRegister({ username, password, displayName });
+        } else {
+            await onLogin(username, password);
+        }
+        setSubmitting(false);
+    };
+
+    return (
+        <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+            <div className="card p-8 w-full max-w-sm">
+                <div className="flex items-center gap-3 mb-6">
+                    <Brain className="w-8 h-8 text-blue-600" />
+                    <h1 className="text-2xl font-bold text-gradient">AI Company Matcher</h1>
+                </div>
+
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Username</label>
+                        <input
+                            type="text"
+                            value={username}
+                            onChange={(e) => setUsername(e.target.value)}
+                            className="input"
+                            autoComplete="username"
+                            required
+                        />
+                    </div>
+
+                    {isRegister && (
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">Display Name</label>
+                            <input
+                                type="text"
+                                value={displayName}
+                                onChange={(e) => setDisplayName(e.target.value)}
+                                className="input"
+                                placeholder="Optional"
+                            />
+                        </div>
+                    )}
+
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Password</label>
+                        <input
+                            type="password"
+                            value={password}
+                            onChange={(e) => setPassword(e.target.value)}
+                            className="input"
+                            autoComplete={isRegister ? 'new-password' : 'current-password'}
+                            minLength={isRegister ? 8 : undefined}
+                            required
+                        />
+                    </div>
+
+                    {error && (
+                        <p className="text-sm text-red-600">{error}</p>
+                    )}
+
+                    <button
+                        type="submit"
+                        disabled={submitting}
+                        className="btn btn-primary w-full flex items-center justify-center gap-2"
+                    >
+                        {isRegister ? <UserPlus className="w-4 h-4" /> : <LogIn className="w-4 h-4" />}
+                        {submitting ? 'Please wait...' : isRegister ? 'Create Account' : 'Log In'}
+                    </button>
+                </form>
+
+                <p className="text-sm text-gray-600 mt-4 text-center">
+                    {isRegister ? 'Already have an account?' : 'New to this instance?'}{' '}
+                    <button
+                        type="button"
+                        onClick={() => setMode(isRegister ? 'login' : 'register')}
+                        className="text-blue-600 hover:underline"
+                    >
+                        {isRegister ? 'Log in' : 'Create an account'}
+                    </button>
+                </p>
+            </div>
+        </div>
+    );
+};
+
+export default LoginScreen;
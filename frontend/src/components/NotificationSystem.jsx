@@ -102,7 +102,7 @@ const NotificationSystem = ({ searchStatus, isRunning }) => {
                 id: Date.now() + 4,
                 type: 'info',
                 title: 'Expanded to Nationwide Search',
-                message: 'Finding more matches beyond Boston/Providence area',
+                message: 'Finding more matches beyond your target regions',
                 icon: MapPin,
                 priority: 'medium',
                 autoClose: 5000
@@ -155,6 +155,21 @@ const NotificationSystem = ({ searchStatus, isRunning }) => {
         }
     };
 
+    // Let the user know when live streaming drops back to polling
+    useEffect(() => {
+        if (!isRunning || searchStatus.connection !== 'polling') return;
+
+        setNotifications(prev => [{
+            id: Date.now() + 7,
+            type: 'warning',
+            title: 'Live Updates Interrupted',
+            message: 'Progress will refresh every second instead of streaming',
+            icon: Clock,
+            priority: 'low',
+            autoClose: 6000
+        }, ...prev].slice(0, 20));
+    }, [searchStatus.connection, isRunning]);
+
     // Completion notification
     useEffect(() => {
         if (searchStatus.completed && lastStats) {
@@ -262,7 +277,7 @@ const NotificationSystem = ({ searchStatus, isRunning }) => {
     if (notifications.length === 0) return null;
 
     return (
-        <div className="fixed top-4 right-4 z-50 space-y-2 max-w-sm">
+        <div className="fixed bottom-4 right-4 z-50 space-y-2 max-w-sm">
             {/* Notification Controls */}
             <div className="flex items-center justify-between bg-white rounded-lg shadow-lg border p-2">
                 <div className="flex items-center gap-2">
@@ -161,8 +161,8 @@ const ProfileTab = ({ profile, updateProfile, updatePreferences, handleSaveProfi
 
                 <div className="bg-blue-50 p-4 rounded-lg mb-4">
                     <p className="text-sm text-blue-700">
-                        <strong>Note:</strong> Job search will focus on Boston, MA and Providence, RI areas first,
-                        then expand nationwide if needed. This location is just for your contact information.
+                        <strong>Note:</strong> Job search will focus on your target regions (set under Work
+                        Preferences) first, then expand nationwide if needed. This location is just for your contact information.
                     </p>
                 </div>
 
@@ -460,7 +460,7 @@ const ProfileTab = ({ profile, updateProfile, updatePreferences, handleSaveProfi
                             </div>
                         )}
                         <div className="mt-3 text-xs text-gray-500">
-                            <div><strong>Search Focus:</strong> Boston, MA → Providence, RI → Nationwide</div>
+                            <div><strong>Search Focus:</strong> {[...(profile.preferences?.regions?.length ? profile.preferences.regions.map(region => region.name || region.city) : ['Boston, MA', 'Providence, RI']), 'Nationwide'].join(' → ')}</div>
                             <div><strong>Company Sizes:</strong> {profile.preferences?.companySizes?.join(', ') || 'All sizes'}</div>
                             <div><strong>Industries:</strong> {profile.preferences?.industries?.join(', ') || 'All industries'}</div>
                         </div>
@@ -0,0 +1,85 @@
+import React from 'react';
+import { SlidersHorizontal, RotateCcw } from 'lucide-react';
+
+// Matches RANKING_FACTORS and DEFAULT_RANKING_WEIGHTS in backend/utils/ranking.js
+const RANKING_FACTORS = [
+    { factor: 'matchScore', label: 'Match Score', defaultWeight: 50 },
+    { factor: 'workLifeBalance', label: 'Work-Life Balance', defaultWeight: 20 },
+    { factor: 'localPriority', label: 'In Target Regions', defaultWeight: 10 },
+    { factor: 'contacts', label: 'HR Contacts Found', defaultWeight: 10 },
+    { factor: 'fundingStage', label: 'Funding Stage (later is better)', defaultWeight: 5 },
+    { factor: 'remotePolicy', label: 'Remote Policy', defaultWeight: 5 }
+];
+
+const DEFAULT_RANKING_WEIGHTS = Object.fromEntries(
+    RANKING_FACTORS.map(({ factor, defaultWeight }) => [factor, defaultWeight])
+);
+
+// Weights are relative; each slider shows its share of the priority score.
+// Applying re-ranks saved companies without re-running any AI evaluation.
+const RankingWeightsEditor = ({ weights, onChange, onApply, applying = false }) => {
+    const current = weights || DEFAULT_RANKING_WEIGHTS;
+    const totalWeight = RANKING_FACTORS.reduce((sum, { factor }) => sum + (Number(current[factor]) || 0), 0);
+
+    return (
+        <div className="bg-gray-50 p-6 rounded-lg">
+            <h3 className="text-lg font-semibold text-gray-800 mb-2 flex items-center gap-2">
+                <SlidersHorizontal className="w-5 h-5" />
+                Ranking Weights
+            </h3>
+            <p className="text-xs text-gray-500 mb-4">
+                How much each factor counts toward a company's priority score on the Matches tab.
+            </p>
+
+            <div className="space-y-3">
+                {RANKING_FACTORS.map(({ factor, label }) => {
+                    const weight = Number(current[factor]) || 0;
+                    const share = totalWeight > 0 ? Math.round((weight / totalWeight) * 100) : 0;
+
+                    return (
+                        <div key={factor}>
+                            <div className="flex justify-between text-sm text-gray-700 mb-1">
+                                <span>{label}</span>
+                                <span className="text-xs text-gray-500">{share}%</span>
+                            </div>
+                            <input
+                                type="range"
+                                min="0"
+                                max="100"
+                                step="5"
+                                value={weight}
+                                onChange={(e) => onChange({ ...current, [factor]: Number(e.target.value) })}
+                                className="w-full"
+                            />
+                        </div>
+                    );
+                })}
+            </div>
+
+            {totalWeight === 0 && (
+                <p className="text-xs text-red-600 mt-2">Set at least one weight above 0.</p>
+            )}
+
+            <div className="flex gap-2 mt-4">
+                <button
+                    type="button"
+                    onClick={() => onApply(current)}
+                    disabled={applying || totalWeight === 0}
+                    className="btn btn-primary text-sm"
+                >
+                    {applying ? 'Applying...' : 'Apply & Re-rank'}
+                </button>
+                <button
+                    type="button"
+                    onClick={() => onChange(DEFAULT_RANKING_WEIGHTS)}
+                    className="btn btn-secondary text-sm flex items-center gap-2"
+                >
+                    <RotateCcw className="w-4 h-4" />
+                    Defaults
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default RankingWeightsEditor;
@@ -2,14 +2,33 @@ import React from 'react';
 import {
     Building, Users, MapPin, Heart, Trophy, Clock,
     TrendingUp, Activity, Mail, Star, AlertCircle,
-    CheckCircle, Target, Zap, BarChart3
+    CheckCircle, Target, Zap, BarChart3, Wallet
 } from 'lucide-react';
 
 const RealTimeStatsDashboard = ({ searchStatus, isRunning }) => {
-    const { liveStats, recentActivity, performanceMetrics, apiUsage, phase } = searchStatus;
+    const { liveStats, recentActivity, performanceMetrics, apiUsage, phase, budget } = searchStatus;
 
     if (!isRunning && !liveStats) return null;
 
+    // One entry per target region, then nationwide
+    const regionColors = ['blue', 'green', 'orange', 'red', 'yellow'];
+    const geographicCounts = [
+        ...(liveStats?.regionCompanies || []).map((region, index) => ({
+            label: region.name,
+            value: region.count || 0,
+            color: regionColors[index % regionColors.length]
+        })),
+        { label: 'Nationwide', value: liveStats?.nationwideCompanies || 0, color: 'purple' }
+    ];
+    const geographicTotal = geographicCounts.reduce((sum, entry) => sum + entry.value, 0) || 1;
+
+    // Only services the search was given a limit for
+    const budgetLimits = Object.entries(budget || {}).filter(([, status]) => status.limit !== null);
+
+    const formatBudgetAmount = (value, unit) => (
+        unit === 'USD' ? `$${value.toFixed(2)}` : `${value} ${unit}`
+    );
+
     const StatCard = ({ icon: Icon, title, value, subtitle, color = "blue", trend = null }) => (
         <div className={`bg-white rounded-lg border-l-4 border-${color}-500 p-4 shadow-sm`}>
             <div className="flex items-center justify-between">
@@ -39,6 +58,7 @@ const RealTimeStatsDashboard = ({ searchStatus, isRunning }) => {
                 case 'contact-found': return <Mail className="w-4 h-4 text-purple-500" />;
                 case 'error': return <AlertCircle className="w-4 h-4 text-red-500" />;
                 case 'milestone': return <Star className="w-4 h-4 text-yellow-500" />;
+                case 'budget-exhausted': return <Wallet className="w-4 h-4 text-orange-500" />;
                 default: return <Activity className="w-4 h-4 text-gray-500" />;
             }
         };
@@ -50,6 +70,7 @@ const RealTimeStatsDashboard = ({ searchStatus, isRunning }) => {
                 case 'contact-found': return 'text-purple-700';
                 case 'error': return 'text-red-700';
                 case 'milestone': return 'text-yellow-700';
+                case 'budget-exhausted': return 'text-orange-700';
                 default: return 'text-gray-700';
             }
         };
@@ -161,8 +182,20 @@ const RealTimeStatsDashboard = ({ searchStatus, isRunning }) => {
                     <div className="flex items-center gap-2">
                         <div className={`w-3 h-3 rounded-full ${isRunning ? 'bg-green-500 animate-pulse' : 'bg-gray-400'}`} />
                         <span className="text-sm text-gray-600">
-              {isRunning ? 'Processing...' : 'Completed'}
+              {isRunning ? 'Processing...' :
+                  searchStatus.paused ? 'Paused' :
+                      searchStatus.cancelled ? 'Cancelled' : 'Completed'}
             </span>
+                        {isRunning && searchStatus.connection && (
+                            <span
+                                className={`text-xs px-2 py-0.5 rounded-full ${
+                                    searchStatus.connection === 'live' ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-600'
+                                }`}
+                                title={searchStatus.connection === 'live' ? 'Streaming updates from the server' : 'Live stream unavailable, checking every second'}
+                            >
+                                {searchStatus.connection === 'live' ? 'Live' : 'Polling'}
+                            </span>
+                        )}
                     </div>
                 </div>
 
@@ -210,7 +243,9 @@ const RealTimeStatsDashboard = ({ searchStatus, isRunning }) => {
                     icon={CheckCircle}
                     title="Saved to Database"
                     value={liveStats.companiesSaved || 0}
-                    subtitle={`${liveStats.companiesSkipped || 0} skipped (duplicates)`}
+                    subtitle={liveStats.companiesRescored > 0 ?
+                        `${liveStats.companiesRescored} re-scored, ${liveStats.significantScoreChanges || 0} big changes` :
+                        `${liveStats.companiesSkipped || 0} skipped (duplicates)`}
                     color="green"
                 />
 
@@ -238,30 +273,16 @@ const RealTimeStatsDashboard = ({ searchStatus, isRunning }) => {
                     Geographic Distribution
                 </h4>
                 <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-                    <div className="text-center">
-                        <CircularProgress
-                            value={liveStats.bostonCompanies || 0}
-                            max={(liveStats.bostonCompanies || 0) + (liveStats.providenceCompanies || 0) + (liveStats.nationwideCompanies || 0) || 1}
-                            label="Boston Area"
-                            color="blue"
-                        />
-                    </div>
-                    <div className="text-center">
-                        <CircularProgress
-                            value={liveStats.providenceCompanies || 0}
-                            max={(liveStats.bostonCompanies || 0) + (liveStats.providenceCompanies || 0) + (liveStats.nationwideCompanies || 0) || 1}
-                            label="Providence Area"
-                            color="green"
-                        />
-                    </div>
-                    <div className="text-center">
-                        <CircularProgress
-                            value={liveStats.nationwideCompanies || 0}
-                            max={(liveStats.bostonCompanies || 0) + (liveStats.providenceCompanies || 0) + (liveStats.nationwideCompanies || 0) || 1}
-                            label="Nationwide"
-                            color="purple"
-                        />
-                    </div>
+                    {geographicCounts.map(entry => (
+                        <div key={entry.label} className="text-center">
+                            <CircularProgress
+                                value={entry.value}
+                                max={geographicTotal}
+                                label={entry.label === 'Nationwide' ? entry.label : `${entry.label} Area`}
+                                color={entry.color}
+                            />
+                        </div>
+                    ))}
                 </div>
             </div>
 
@@ -342,7 +363,7 @@ const RealTimeStatsDashboard = ({ searchStatus, isRunning }) => {
                             icon={Users}
                             title="OpenAI Calls"
                             value={apiUsage.openai?.calls || 0}
-                            subtitle={`~$${(apiUsage.openai?.cost || 0).toFixed(3)}`}
+                            subtitle={`$${(apiUsage.openai?.cost || 0).toFixed(4)} · ${(apiUsage.openai?.tokensUsed || 0).toLocaleString()} tokens`}
                             color="blue"
                         />
                         <StatCard
@@ -363,6 +384,28 @@ const RealTimeStatsDashboard = ({ searchStatus, isRunning }) => {
                 </div>
             )}
 
+            {/* Remaining Budget */}
+            {budgetLimits.length > 0 && (
+                <div className="bg-white p-6 rounded-lg border">
+                    <h4 className="text-lg font-semibold text-gray-800 mb-4 flex items-center gap-2">
+                        <Wallet className="w-5 h-5" />
+                        Remaining Budget
+                    </h4>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                        {budgetLimits.map(([service, status]) => (
+                            <StatCard
+                                key={service}
+                                icon={status.exhausted ? AlertCircle : Wallet}
+                                title={status.label}
+                                value={formatBudgetAmount(status.remaining, status.unit)}
+                                subtitle={`${formatBudgetAmount(status.used, status.unit)} of ${formatBudgetAmount(status.limit, status.unit)} used`}
+                                color={status.exhausted ? 'red' : status.remaining < status.limit * 0.2 ? 'orange' : 'green'}
+                            />
+                        ))}
+                    </div>
+                </div>
+            )}
+
             {/* Live Activity Feed */}
             {recentActivity && recentActivity.length > 0 && (
                 <div className="bg-white p-6 rounded-lg border">
@@ -379,13 +422,13 @@ const RealTimeStatsDashboard = ({ searchStatus, isRunning }) => {
             )}
 
             {/* Error Summary */}
-            {(liveStats.processingErrors > 0 || liveStats.apiErrors > 0) && (
+            {(liveStats.processingErrors > 0 || liveStats.apiErrors > 0 || liveStats.validationFailures > 0 || liveStats.evaluationsFailed > 0) && (
                 <div className="bg-red-50 p-6 rounded-lg border border-red-200">
                     <h4 className="text-lg font-semibold text-red-800 mb-4 flex items-center gap-2">
                         <AlertCircle className="w-5 h-5" />
                         Error Summary
                     </h4>
-                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
                         <StatCard
                             icon={AlertCircle}
                             title="Processing Errors"
@@ -400,6 +443,20 @@ const RealTimeStatsDashboard = ({ searchStatus, isRunning }) => {
                             subtitle="External API failures"
                             color="red"
                         />
+                        <StatCard
+                            icon={AlertCircle}
+                            title="Invalid AI Responses"
+                            value={liveStats.validationFailures || 0}
+                            subtitle="Failed validation after repair"
+                            color="red"
+                        />
+                        <StatCard
+                            icon={AlertCircle}
+                            title="Needs Scoring"
+                            value={liveStats.evaluationsFailed || 0}
+                            subtitle="Saved without AI scores"
+                            color="red"
+                        />
                     </div>
                 </div>
             )}
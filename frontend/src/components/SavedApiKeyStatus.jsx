@@ -0,0 +1,39 @@
+import React from 'react';
+import { Lock, Server } from 'lucide-react';
+
+// Where the server gets a provider's key from: the user's encrypted key
+// (shown masked, with a remove button) or the instance-wide environment key
+const SavedApiKeyStatus = ({ entry, onRemove }) => {
+    if (!entry?.configured) return null;
+
+    if (entry.source === 'environment') {
+        return (
+            <p className="text-xs text-gray-500 mt-2 flex items-center gap-1">
+                <Server className="w-3 h-3" />
+                Using the server's shared key. Save your own to use it instead.
+            </p>
+        );
+    }
+
+    return (
+        <div className="text-xs text-gray-600 mt-2 flex items-center justify-between">
+            <span className="flex items-center gap-1">
+                <Lock className="w-3 h-3" />
+                Saved encrypted on the server: <span className="font-mono">{entry.masked}</span>
+                {entry.rotatedAt && ` • replaced ${new Date(entry.rotatedAt).toLocaleDateString()}`}
+                {entry.readable === false && (
+                    <span className="text-red-600"> • cannot be decrypted, please save it again</span>
+                )}
+            </span>
+            <button
+                type="button"
+                onClick={() => onRemove(entry.provider)}
+                className="text-red-600 hover:text-red-800"
+            >
+                Remove
+            </button>
+        </div>
+    );
+};
+
+export default SavedApiKeyStatus;
@@ -0,0 +1,113 @@
+import React from 'react';
+import { MapPin, Plus, Trash2, ArrowUp } from 'lucide-react';
+
+// Matches MAX_REGIONS in backend/utils/regions.js
+const MAX_REGIONS = 5;
+
+// Target regions are searched in order before the search expands nationwide.
+// Each region is a city with a radius, a list of metros, or both.
+const TargetRegionsEditor = ({ regions = [], onChange }) => {
+    const updateRegion = (index, updates) => {
+        onChange(regions.map((region, i) => (i === index ? { ...region, ...updates } : region)));
+    };
+
+    const addRegion = () => {
+        onChange([...regions, { name: '', city: '', radiusMiles: 25, metros: [] }]);
+    };
+
+    const removeRegion = (index) => {
+        onChange(regions.filter((_, i) => i !== index));
+    };
+
+    const moveUp = (index) => {
+        const reordered = [...regions];
+        [reordered[index - 1], reordered[index]] = [reordered[index], reordered[index - 1]];
+        onChange(reordered);
+    };
+
+    return (
+        <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+                Target Regions
+            </label>
+            <p className="text-xs text-gray-500 mb-3">
+                Searched in this order before expanding nationwide.
+                {regions.length === 0 && ' With no regions, Boston, MA and Providence, RI are used.'}
+            </p>
+
+            <div className="space-y-3">
+                {regions.map((region, index) => (
+                    <div key={index} className="bg-white border rounded-lg p-3 space-y-2">
+                        <div className="flex items-center gap-2">
+                            <MapPin className="w-4 h-4 text-blue-500" />
+                            <input
+                                type="text"
+                                value={region.name || ''}
+                                onChange={(e) => updateRegion(index, { name: e.target.value })}
+                                className="input flex-1"
+                                placeholder="Region name (e.g. Austin)"
+                            />
+                            {index > 0 && (
+                                <button
+                                    type="button"
+                                    onClick={() => moveUp(index)}
+                                    className="text-gray-500 hover:text-gray-700"
+                                    title="Search this region earlier"
+                                >
+                                    <ArrowUp className="w-4 h-4" />
+                                </button>
+                            )}
+                            <button
+                                type="button"
+                                onClick={() => removeRegion(index)}
+                                className="text-red-500 hover:text-red-700"
+                                title="Remove region"
+                            >
+                                <Trash2 className="w-4 h-4" />
+                            </button>
+                        </div>
+
+                        <div className="grid grid-cols-3 gap-2">
+                            <input
+                                type="text"
+                                value={region.city || ''}
+                                onChange={(e) => updateRegion(index, { city: e.target.value })}
+                                className="input col-span-2"
+                                placeholder="City, State"
+                            />
+                            <input
+                                type="number"
+                                min="1"
+                                max="500"
+                                value={region.radiusMiles ?? ''}
+                                onChange={(e) => updateRegion(index, { radiusMiles: e.target.value })}
+                                className="input"
+                                placeholder="Miles"
+                            />
+                        </div>
+
+                        <textarea
+                            value={(region.metros || []).join('\n')}
+                            onChange={(e) => updateRegion(index, { metros: e.target.value.split('\n') })}
+                            className="textarea h-16 text-sm"
+                            placeholder="Optional: one metro per line (e.g. Round Rock, TX)"
+                        />
+                    </div>
+                ))}
+            </div>
+
+            {regions.length < MAX_REGIONS && (
+                <button
+                    type="button"
+                    onClick={addRegion}
+                    className="mt-3 btn btn-secondary text-sm flex items-center gap-2"
+                >
+                    <Plus className="w-4 h-4" />
+                    Add Region
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default TargetRegionsEditor;
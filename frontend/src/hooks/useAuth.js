@@ -0,0 +1,59 @@
+import { useState, useEffect } from 'react';
+import { authAPI } from '../services/api';
+
+// The logged-in user. The token lives in localStorage under 'token', where
+// the API interceptor picks it up for every request.
+export const useAuth = () => {
+    const [user, setUser] = useState(null);
+    const [checking, setChecking] = useState(() => !!localStorage.getItem('token'));
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!localStorage.getItem('token')) return;
+
+        authAPI.me()
+            .then(response => setUser(response.data.user))
+            .catch(() => localStorage.removeItem('token'))
+            .finally(() => setChecking(false));
+    }, []);
+
+    const startSession = (response) => {
+        localStorage.setItem('token', response.data.token);
+        setUser(response.data.user);
+
+        // The API sends logged-out users to /login
+        if (window.location.pathname === '/login') {
+            window.history.replaceState(null, '', '/');
+        }
+    };
+
+    const authenticate = async (apiCall) => {
+        try {
+            setError(null);
+            startSession(await apiCall());
+            return { success: true };
+        } catch (err) {
+            const errorMessage = err.response?.data?.message || err.message || 'Login failed';
+            setError(errorMessage);
+            return { success: false, error: errorMessage };
+        }
+    };
+
+    const login = (username, password) => authenticate(() => authAPI.login(username, password));
+
+    const register = (account) => authenticate(() => authAPI.register(account));
+
+    const logout = () => {
+        localStorage.removeItem('token');
+        setUser(null);
+    };
+
+    return {
+        user,
+        checking,
+        error,
+        login,
+        register,
+        logout
+    };
+};
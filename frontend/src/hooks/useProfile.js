@@ -27,6 +27,7 @@ export const useProfile = () => {
             remoteFriendly: true,
             startupCulture: false,
             techStack: [],
+            regions: [],
 
             // Multiple selections (new)
             companySizes: ['medium'],
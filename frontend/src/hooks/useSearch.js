@@ -11,6 +11,8 @@ export const useSearch = () => {
         aiAnalysis: '',
         completed: false,
         failed: false,
+        paused: false,
+        cancelled: false,
         expandedNationwide: false,
         demoMode: false,
 
@@ -19,6 +21,9 @@ export const useSearch = () => {
         recentActivity: [],
         performanceMetrics: {},
         apiUsage: {},
+        budget: null,
+        budgetExhausted: null, // service whose budget paused the search
+        connection: null, // 'live' (SSE) or 'polling'
         error: null
     });
 
@@ -27,6 +32,7 @@ export const useSearch = () => {
 
     // Use refs to track polling state
     const pollIntervalRef = useRef(null);
+    const eventSourceRef = useRef(null);
     const lastUpdateRef = useRef(null);
     const lastJobIdRef = useRef(null);
 
@@ -39,6 +45,8 @@ export const useSearch = () => {
                 isRunning: true,
                 completed: false,
                 failed: false,
+                paused: false,
+                cancelled: false,
                 progress: 0,
                 currentStep: searchParams.demoMode ? 'Starting demo search...' : 'Starting AI analysis...',
                 phase: 'profile-analysis',
@@ -62,8 +70,8 @@ export const useSearch = () => {
                 const jobId = response.jobId || response.data?.jobId;
                 lastJobIdRef.current = jobId;
 
-                // Start more frequent polling for real-time updates
-                startProgressPolling();
+                // Stream live updates, falling back to polling
+                startProgressUpdates();
                 return { success: true, jobId };
             } else {
                 throw new Error(response.message || response.data?.message || 'Search failed');
@@ -81,16 +89,30 @@ export const useSearch = () => {
         }
     };
 
+    const stopProgressUpdates = useCallback(() => {
+        if (eventSourceRef.current) {
+            eventSourceRef.current.close();
+            eventSourceRef.current = null;
+        }
+
+        if (pollIntervalRef.current) {
+            clearInterval(pollIntervalRef.current);
+            pollIntervalRef.current = null;
+        }
+    }, []);
+
     const startProgressPolling = useCallback(() => {
         // Clear any existing polling
         if (pollIntervalRef.current) {
             clearInterval(pollIntervalRef.current);
         }
 
+        setSearchStatus(prevStatus => ({ ...prevStatus, connection: 'polling' }));
+
         // More frequent polling for real-time feel (every 1 second instead of 2)
         pollIntervalRef.current = setInterval(async () => {
             try {
-                const response = await searchAPI.getProgress();
+                const response = await searchAPI.getProgress(lastJobIdRef.current);
                 const progress = response.data || response;
 
                 // Only update if there's actual change to avoid unnecessary re-renders
@@ -149,28 +171,119 @@ export const useSearch = () => {
         return pollIntervalRef.current;
     }, []);
 
-    const pauseSearch = async () => {
-        try {
-            // Try both API methods for compatibility
-            let response;
+    // Subscribe to the job's Server-Sent Events stream. The server pushes a
+    // snapshot, then phase changes, stat deltas and activity entries as they
+    // happen. Any stream error drops back to polling.
+    const startProgressStream = useCallback((jobId) => {
+        stopProgressUpdates();
+
+        const source = new EventSource(searchAPI.getEventsUrl(jobId));
+        eventSourceRef.current = source;
+
+        const parse = (event) => {
             try {
-                response = await searchAPI.pauseSearch();
+                return JSON.parse(event.data);
             } catch (err) {
-                response = await searchAPI.pause();
+                console.error('Invalid search event:', err);
+                return null;
             }
+        };
+
+        const applySnapshot = (event) => {
+            const progress = parse(event);
+            if (!progress) return;
+
+            setSearchStatus(prevStatus => ({
+                ...prevStatus,
+                ...progress,
+                recentActivity: progress.recentActivity || prevStatus.recentActivity || [],
+                liveStats: progress.liveStats || prevStatus.liveStats,
+                performanceMetrics: progress.performanceMetrics || prevStatus.performanceMetrics || {},
+                apiUsage: progress.apiUsage || prevStatus.apiUsage || {},
+                connection: 'live',
+                error: null
+            }));
+        };
+
+        source.addEventListener('snapshot', applySnapshot);
+
+        source.addEventListener('phase', (event) => {
+            const phase = parse(event);
+            if (!phase) return;
+
+            setSearchStatus(prevStatus => ({ ...prevStatus, ...phase }));
+        });
+
+        source.addEventListener('stats', (event) => {
+            const update = parse(event);
+            if (!update) return;
+
+            setSearchStatus(prevStatus => ({
+                ...prevStatus,
+                ...update,
+                liveStats: { ...(prevStatus.liveStats || {}), ...update.liveStats },
+                performanceMetrics: update.performanceMetrics || prevStatus.performanceMetrics || {},
+                apiUsage: update.apiUsage || prevStatus.apiUsage || {},
+                budget: update.budget || prevStatus.budget
+            }));
+        });
+
+        source.addEventListener('activity', (event) => {
+            const activity = parse(event);
+            if (!activity) return;
+
+            setSearchStatus(prevStatus => ({
+                ...prevStatus,
+                recentActivity: [activity, ...(prevStatus.recentActivity || [])].slice(0, 10)
+            }));
+        });
+
+        source.addEventListener('done', (event) => {
+            applySnapshot(event);
+            source.close();
+            eventSourceRef.current = null;
+            setTimeout(() => loadSearchHistory(), 1000);
+        });
+
+        source.onerror = () => {
+            // EventSource would retry on its own; polling is more predictable
+            console.warn('Search event stream unavailable, falling back to polling');
+            source.close();
+            eventSourceRef.current = null;
+            startProgressPolling();
+        };
+    }, [startProgressPolling, stopProgressUpdates]);
+
+    const startProgressUpdates = useCallback(() => {
+        const jobId = lastJobIdRef.current;
+
+        if (jobId && typeof EventSource !== 'undefined') {
+            startProgressStream(jobId);
+        } else {
+            startProgressPolling();
+        }
+    }, [startProgressStream, startProgressPolling]);
+
+    const pauseSearch = async () => {
+        try {
+            // Target the current job when we know it, otherwise the latest running one
+            const jobId = lastJobIdRef.current;
+            const response = jobId
+                ? await searchAPI.pauseSearch(jobId)
+                : await searchAPI.pause();
 
             if (response.success || response.data?.success) {
+                lastJobIdRef.current = response.data?.jobId || jobId;
+
                 setSearchStatus(prev => ({
                     ...prev,
                     isRunning: false,
+                    paused: true,
                     currentStep: 'Search paused by user'
                 }));
 
-                // Stop polling when paused
-                if (pollIntervalRef.current) {
-                    clearInterval(pollIntervalRef.current);
-                    pollIntervalRef.current = null;
-                }
+                // Stop live updates when paused
+                stopProgressUpdates();
 
                 return { success: true };
             } else {
@@ -183,15 +296,67 @@ export const useSearch = () => {
         }
     };
 
-    const resumeSearch = async () => {
+    // budget is optional and raises the limits of a search paused for budget
+    const resumeSearch = async (budget) => {
         try {
-            // Resume polling if search was paused
-            if (!pollIntervalRef.current && searchStatus.isRunning) {
-                startProgressPolling();
+            const jobId = lastJobIdRef.current;
+            if (!jobId) {
+                throw new Error('No paused search to resume');
+            }
+
+            const response = await searchAPI.resumeSearch(jobId, budget);
+
+            if (response.success || response.data?.success) {
+                setSearchStatus(prev => ({
+                    ...prev,
+                    isRunning: true,
+                    paused: false,
+                    budgetExhausted: null,
+                    currentStep: 'Resuming search...'
+                }));
+
+                // The backend continues from the last processed company
+                startProgressUpdates();
+                return { success: true };
+            } else {
+                throw new Error(response.message || 'Failed to resume search');
             }
-            return { success: true };
         } catch (err) {
             console.error('Failed to resume search:', err);
+            // The server explains why, e.g. a budget that is still too low
+            const message = err.response?.data?.message || err.message;
+            setError(message);
+            return { success: false, error: message };
+        }
+    };
+
+    const cancelSearch = async () => {
+        try {
+            const jobId = lastJobIdRef.current;
+            if (!jobId) {
+                throw new Error('No active search to cancel');
+            }
+
+            const response = await searchAPI.cancelSearch(jobId);
+
+            if (response.success || response.data?.success) {
+                stopProgressUpdates();
+
+                setSearchStatus(prev => ({
+                    ...prev,
+                    isRunning: false,
+                    paused: false,
+                    cancelled: true,
+                    currentStep: 'Search cancelled by user'
+                }));
+
+                setTimeout(() => loadSearchHistory(), 1000);
+                return { success: true };
+            } else {
+                throw new Error(response.message || 'Failed to cancel search');
+            }
+        } catch (err) {
+            console.error('Failed to cancel search:', err);
             setError(err.message);
             return { success: false, error: err.message };
         }
@@ -203,13 +368,18 @@ export const useSearch = () => {
             const response = await searchAPI.getProgress();
             const progress = response.data || response;
 
-            if (progress && progress.isRunning) {
+            if (progress && (progress.isRunning || progress.paused)) {
+                lastJobIdRef.current = progress.jobId || lastJobIdRef.current;
                 setSearchStatus(prevStatus => ({
                     ...prevStatus,
                     ...progress,
                     error: null
                 }));
-                startProgressPolling();
+
+                // A paused search only needs live updates again once it is resumed
+                if (progress.isRunning) {
+                    startProgressUpdates();
+                }
                 return true;
             }
             return false;
@@ -221,11 +391,8 @@ export const useSearch = () => {
 
     const stopSearch = async () => {
         try {
-            // Stop polling
-            if (pollIntervalRef.current) {
-                clearInterval(pollIntervalRef.current);
-                pollIntervalRef.current = null;
-            }
+            // Stop live updates
+            stopProgressUpdates();
 
             setSearchStatus(prev => ({
                 ...prev,
@@ -244,10 +411,7 @@ export const useSearch = () => {
 
     // Reset search status
     const resetSearch = () => {
-        if (pollIntervalRef.current) {
-            clearInterval(pollIntervalRef.current);
-            pollIntervalRef.current = null;
-        }
+        stopProgressUpdates();
 
         setSearchStatus({
             isRunning: false,
@@ -258,12 +422,15 @@ export const useSearch = () => {
             aiAnalysis: '',
             completed: false,
             failed: false,
+            paused: false,
+            cancelled: false,
             expandedNationwide: false,
             demoMode: false,
             liveStats: null,
             recentActivity: [],
             performanceMetrics: {},
             apiUsage: {},
+            connection: null,
             error: null
         });
 
@@ -323,9 +490,8 @@ export const useSearch = () => {
             estimatedTimeRemaining: stats.estimatedTimeRemaining || 'Calculating...',
             currentCompany: stats.currentCompany || null,
 
-            // Geographic breakdown
-            bostonCompanies: stats.bostonCompanies || 0,
-            providenceCompanies: stats.providenceCompanies || 0,
+            // Geographic breakdown, one entry per target region
+            regionCompanies: stats.regionCompanies || [],
             nationwideCompanies: stats.nationwideCompanies || 0,
 
             // Quality breakdown
@@ -342,6 +508,8 @@ export const useSearch = () => {
             // Error tracking
             processingErrors: stats.processingErrors || 0,
             apiErrors: stats.apiErrors || 0,
+            validationFailures: stats.validationFailures || 0,
+            evaluationsFailed: stats.evaluationsFailed || 0,
 
             // History stats
             totalSearches: searchHistory.length,
@@ -378,7 +546,8 @@ export const useSearch = () => {
         return {
             openai: {
                 calls: searchStatus.apiUsage?.openai?.calls || 0,
-                cost: searchStatus.apiUsage?.openai?.cost || 0
+                cost: searchStatus.apiUsage?.openai?.cost || 0,
+                tokensUsed: searchStatus.apiUsage?.openai?.tokensUsed || 0
             },
             apollo: {
                 calls: searchStatus.apiUsage?.apollo?.calls || 0,
@@ -475,20 +644,23 @@ export const useSearch = () => {
 
         checkForRunningSearch();
 
-        // Cleanup polling on unmount
+        // Cleanup stream and polling on unmount
         return () => {
+            if (eventSourceRef.current) {
+                eventSourceRef.current.close();
+            }
             if (pollIntervalRef.current) {
                 clearInterval(pollIntervalRef.current);
             }
         };
     }, []);
 
-    // Auto-resume polling if component remounts during active search
+    // Auto-resume live updates if component remounts during active search
     useEffect(() => {
-        if (searchStatus.isRunning && !pollIntervalRef.current) {
-            startProgressPolling();
+        if (searchStatus.isRunning && !pollIntervalRef.current && !eventSourceRef.current) {
+            startProgressUpdates();
         }
-    }, [searchStatus.isRunning, startProgressPolling]);
+    }, [searchStatus.isRunning, startProgressUpdates]);
 
     // Effect to load search history when search completes
     useEffect(() => {
@@ -507,6 +679,7 @@ export const useSearch = () => {
         startSearch,
         pauseSearch,
         resumeSearch,
+        cancelSearch,
         stopSearch,
         resetSearch,
         loadSearchHistory,
@@ -528,19 +701,19 @@ export const useSearch = () => {
         isRunning: searchStatus.isRunning,
         isCompleted: searchStatus.completed,
         isFailed: searchStatus.failed,
+        isPaused: searchStatus.paused,
+        isBudgetExhausted: !!searchStatus.budgetExhausted,
+        isCancelled: searchStatus.cancelled,
+        isLive: searchStatus.connection === 'live',
         progress: searchStatus.progress,
         currentStep: searchStatus.currentStep,
         phase: searchStatus.phase,
         demoMode: searchStatus.demoMode,
         hasRealTimeData: !!searchStatus.liveStats,
 
-        // Polling control (for advanced usage)
+        // Live update control (for advanced usage)
         startPolling: startProgressPolling,
-        stopPolling: () => {
-            if (pollIntervalRef.current) {
-                clearInterval(pollIntervalRef.current);
-                pollIntervalRef.current = null;
-            }
-        }
+        startStream: startProgressUpdates,
+        stopPolling: stopProgressUpdates
     };
 };
\ No newline at end of file
@@ -1,10 +1,13 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
+import AuthGate from './components/AuthGate.jsx'
 import './index.css'
 
 ReactDOM.createRoot(document.getElementById('root')).render(
     <React.StrictMode>
-        <App />
+        <AuthGate>
+            {({ user, logout }) => <App user={user} onLogout={logout} />}
+        </AuthGate>
     </React.StrictMode>,
 )
\ No newline at end of file
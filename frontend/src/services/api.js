@@ -63,7 +63,8 @@ api.interceptors.response.use(
         // Log the error
         apiLogger.logError(error);
 
-        if (error.response?.status === 401) {
+        // A failed login is reported by the login form instead
+        if (error.response?.status === 401 && !error.config?.url?.startsWith('/auth/')) {
             // Handle unauthorized access
             localStorage.removeItem('token');
             window.location.href = '/login';
@@ -73,6 +74,15 @@ api.interceptors.response.use(
     }
 );
 
+// Accounts. The token from login/register is kept in localStorage and sent
+// with every request by the interceptor above.
+export const authAPI = {
+    login: (username, password) => api.post('/auth/login', { username, password }),
+    register: (account) => api.post('/auth/register', account),
+    me: () => api.get('/auth/me'),
+    logoutAll: () => api.post('/auth/logout-all')
+};
+
 // Enhanced Profile API
 export const profileAPI = {
     get: () => api.get('/profile'),
@@ -88,19 +98,25 @@ export const profileAPI = {
     getStats: () => api.get('/profile/stats'),
     addInteraction: (interaction) => api.post('/profile/interactions', interaction),
     getRecentInteractions: (limit = 10) => api.get(`/profile/interactions/recent?limit=${limit}`),
-    updateSettings: (settings) => api.put('/profile/settings', settings)
+    updateSettings: (settings) => api.put('/profile/settings', settings),
+    getRankingWeights: () => api.get('/profile/ranking-weights'),
+    getFollowUpSequence: () => api.get('/profile/follow-up-sequence')
 };
 
 // Enhanced Search API
 export const searchAPI = {
     start: (params) => api.post('/search/ai-powered', params),
     getProgress: (jobId) => api.get(`/search/progress${jobId ? `/${jobId}` : ''}`),
+    // Server-Sent Events stream; consumed with EventSource rather than axios,
+    // which can't send the Authorization header
+    getEventsUrl: (jobId) => `${API_BASE_URL}/search/${jobId}/events?token=${encodeURIComponent(localStorage.getItem('token') || '')}`,
     pause: () => api.post('/search/pause'),
     getHistory: () => api.get('/search/history'),
     startSearch: (params) => api.post('/ai-search/start', params),
     getSearchStatus: (jobId) => api.get(`/ai-search/status/${jobId}`),
     pauseSearch: (jobId) => api.post(`/ai-search/pause/${jobId}`),
-    resumeSearch: (jobId) => api.post(`/ai-search/resume/${jobId}`),
+    // Pass a budget to raise the limits of a search paused for budget
+    resumeSearch: (jobId, budget) => api.post(`/ai-search/resume/${jobId}`, budget ? { budget } : {}),
     cancelSearch: (jobId) => api.post(`/ai-search/cancel/${jobId}`),
     getSearchHistory: () => api.get('/ai-search/history')
 };
@@ -112,6 +128,13 @@ export const companiesAPI = {
     getById: (id) => api.get(`/companies/${id}`),
     updateStatus: (id, status) => api.put(`/companies/${id}/status`, { status }),
     addNote: (id, note) => api.post(`/companies/${id}/notes`, { note }),
+    // HR contacts; contact: { name, email, title, confidence, isPrimary }
+    addContact: (id, contact) => api.post(`/companies/${id}/contacts`, contact),
+    updateContact: (id, contactId, updates) => api.put(`/companies/${id}/contacts/${contactId}`, updates),
+    deleteContact: (id, contactId) => api.delete(`/companies/${id}/contacts/${contactId}`),
+    setPrimaryContact: (id, contactId) => api.put(`/companies/${id}/contacts/${contactId}/primary`),
+    // options: { contactIds, force, useHunter }
+    verifyContacts: (id, options = {}) => api.post(`/companies/${id}/contacts/verify`, options),
     getMatches: (params) => api.get('/companies', { params }), // Changed to /companies since it works
 
     // Enhanced methods
@@ -127,6 +150,9 @@ export const companiesAPI = {
     },
 
     getCompany: (id) => api.get(`/companies/${id}`),
+    // Groups of records that look like the same company, and merging them
+    getDuplicates: () => api.get('/companies/duplicates'),
+    mergeCompanies: (survivorId, duplicateIds) => api.post('/companies/merge', { survivorId, duplicateIds }),
     deleteCompany: (id) => api.delete(`/companies/${id}`),
     getStats: () => api.get('/companies/stats/summary'),
 
@@ -161,14 +187,27 @@ export const companiesAPI = {
         return api.get('/companies/search/advanced', { params: cleanParams });
     },
 
-    getMinimal: () => api.get('/companies/minimal')
+    getMinimal: () => api.get('/companies/minimal'),
+
+    // Re-evaluates companies against the current profile; can take a while
+    rescore: (filter = {}) => api.post('/companies/rescore', filter, { timeout: 300000 }),
+
+    // Scores companies saved without scores after a failed evaluation
+    retryEvaluations: (companyIds) => api.post('/companies/retry-evaluations', {
+        companyIds,
+        limit: companyIds?.length
+    }, { timeout: 300000 })
 };
 
 // Enhanced Email API
 export const emailAPI = {
-    generate: (companyId, profile) => api.post(`/emails/generate/${companyId}`, { profile }),
+    // templateId is optional; with it the email is rendered from that template
+    generate: (companyId, profile, templateId) => api.post(`/emails/generate/${companyId}`, { profile, templateId }),
     getTemplates: () => api.get('/emails/templates'),
     saveTemplate: (template) => api.post('/emails/templates', template),
+    getTemplateVariables: () => api.get('/emails/templates/variables'),
+    // contactId is optional; the company's primary contact is used without it
+    previewTemplate: (templateId, companyId, contactId) => api.post(`/emails/templates/${templateId}/preview/${companyId}`, { contactId }),
 
     getHistory: (params = {}) => {
         const cleanParams = Object.keys(params).reduce((acc, key) => {
@@ -185,16 +224,52 @@ export const emailAPI = {
         return api.put(`/emails/history/${companyId}/${emailIndex}/sent`);
     },
 
+    // Sends over the server's SMTP account; returns the outbox entry
+    send: (companyId, email) => api.post(`/emails/send/${companyId}`, email),
+    getOutbox: (params = {}) => api.get('/emails/outbox', { params }),
+    retryOutboxEmail: (outboxId) => api.post(`/emails/outbox/${outboxId}/retry`),
+    cancelOutboxEmail: (outboxId) => api.post(`/emails/outbox/${outboxId}/cancel`),
+
     getStats: () => api.get('/emails/stats'),
 
-    bulkGenerate: (companyIds, profile) => {
-        return api.post('/emails/bulk-generate', { companyIds, profile });
+    bulkGenerate: (companyIds, profile, templateId) => {
+        return api.post('/emails/bulk-generate', { companyIds, profile, templateId });
     }
 };
 
+// Campaigns API
+export const campaignsAPI = {
+    getAll: () => api.get('/campaigns'),
+    get: (campaignId) => api.get(`/campaigns/${campaignId}`),
+    // { name, companyIds } or { name, filter }, plus profile and settings
+    create: (campaign) => api.post('/campaigns', campaign),
+    update: (campaignId, changes) => api.put(`/campaigns/${campaignId}`, changes),
+    updateItem: (campaignId, itemId, changes) => api.put(`/campaigns/${campaignId}/items/${itemId}`, changes),
+    approveAll: (campaignId) => api.post(`/campaigns/${campaignId}/approve`),
+    start: (campaignId) => api.post(`/campaigns/${campaignId}/start`),
+    pause: (campaignId) => api.post(`/campaigns/${campaignId}/pause`),
+    cancel: (campaignId) => api.post(`/campaigns/${campaignId}/cancel`),
+    delete: (campaignId) => api.delete(`/campaigns/${campaignId}`)
+};
+
+// Follow-ups API
+export const followUpsAPI = {
+    // status: comma-separated or 'all' (default: the open ones)
+    getAll: (params = {}) => api.get('/follow-ups', { params }),
+    update: (followUpId, changes) => api.put(`/follow-ups/${followUpId}`, changes),
+    // changes: optional { subject, body } to send an edited version
+    send: (followUpId, changes = {}) => api.post(`/follow-ups/${followUpId}/send`, changes),
+    skip: (followUpId) => api.post(`/follow-ups/${followUpId}/skip`),
+    redraft: (followUpId) => api.post(`/follow-ups/${followUpId}/redraft`),
+    stopForCompany: (companyId) => api.post(`/follow-ups/company/${companyId}/stop`)
+};
+
 // Config API
 export const configAPI = {
+    // Keys are stored encrypted on the server and only read back masked
+    getApiKeys: () => api.get('/config/api-keys'),
     saveApiKeys: (keys) => api.post('/config/api-keys', keys),
+    deleteApiKey: (provider) => api.delete(`/config/api-keys/${provider}`),
     testConnection: (apiName, key) => api.post('/config/test-connection', { apiName, apiKey: key }),
     getSettings: () => api.get('/config/settings'),
     updateSettings: (settings) => api.put('/config/settings', settings),